@@ -1,24 +1,31 @@
 import fs from 'fs-extra';
 import path from 'path';
+import { TEMPLATE_NAMES } from './src/template-scorer.js';
 
 /**
  * Build script to embed templates into JavaScript module
  */
 async function buildTemplates() {
-    const templateNames = ['base', 'neo'];
     const templates = {};
 
-    for (const name of templateNames) {
+    // Every template, since a configuration file can choose any of them
+    for (const name of TEMPLATE_NAMES) {
         const templatePath = path.join('styles-new', name);
 
         const jsPath = path.join(templatePath, 'style.js');
         const cssPath = path.join(templatePath, 'style.css');
         const configPath = path.join(templatePath, 'config.xml');
 
+        // Only the names of the icons: the web app maps the old style's
+        // icons to them but has no use for the images
+        const iconsPath = path.join(templatePath, 'icons');
+        const icons = await fs.pathExists(iconsPath) ? (await fs.readdir(iconsPath)).sort() : [];
+
         templates[name] = {
             js: await fs.readFile(jsPath, 'utf-8'),
             css: await fs.readFile(cssPath, 'utf-8'),
-            config: await fs.readFile(configPath, 'utf-8')
+            config: await fs.readFile(configPath, 'utf-8'),
+            icons
         };
     }
 
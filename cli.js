@@ -2,6 +2,13 @@
 
 import { Command } from 'commander';
 import { StyleConverter } from './src/converter.js';
+import { TEMPLATE_NAMES } from './src/template-scorer.js';
+import { CSS_MODES } from './src/css-merger.js';
+import { REPORT_FORMATS } from './src/reporter.js';
+import { REPORT_SCHEMA } from './src/report-schema.js';
+import { loadConfig } from './src/config-loader.js';
+import { ConversionConfig } from './src/conversion-config.js';
+import { loadPlugins } from './src/plugin-loader.js';
 import chalk from 'chalk';
 import path from 'path';
 import { fileURLToPath } from 'url';
@@ -20,32 +27,113 @@ const program = new Command();
 program
     .name('convert-exe-style')
     .description('Convert eXeLearning styles from v2.9 to v3.0')
-    .version(packageJson.version);
+    .version(packageJson.version)
+    .enablePositionalOptions();
+
+/**
+ * Options shared by the conversion and the preview
+ */
+function addConversionOptions(command) {
+    return command
+        .option('-t, --template <name>', `Use this v3.0 template instead of the best match (${TEMPLATE_NAMES.join(', ')})`)
+        .option('-c, --css-mode <mode>', `How to build style.css: merge the old stylesheets or overlay their design tokens on the template (${CSS_MODES.join(', ')})`, 'merge')
+        .option('--no-design-tokens', 'Keep literal colours, fonts and sizes in style.css instead of CSS custom properties')
+        .option('--prune-assets', 'Leave out assets in icons/, img/ and fonts/ that nothing in the style uses')
+        .option('--fill-icons', "Copy the template's iDevice icons that the old style has no icon for")
+        .option('--config <file>', 'Custom conversion rules (default: exe-converter.config.json or .js in the current directory)')
+        .option('--no-config', 'Ignore exe-converter.config.json in the current directory')
+        .option('-p, --plugin <module>', 'Run a plugin (npm package or file path); repeat for several', (value, previous) => previous.concat([value]), []);
+}
 
 program
-    .option('-i, --input <path>', 'Input directory containing old style (v2.9)')
+    .option('-i, --input <path>', 'Old style (v2.9): a directory, a .zip archive or a package (.elpx, .elp, IMS/SCORM .zip)')
     .option('-o, --output <dir>', 'Output directory for converted styles', 'results')
     .option('-d, --dry-run', 'Preview changes without writing files')
     .option('-v, --verbose', 'Show detailed progress')
     .option('-z, --zip', 'Create ZIP file ready for eXeLearning 3.0 import')
-    .option('-b, --batch <dir>', 'Convert all styles in a directory');
+    .option('-r, --report-format <formats>', `Reports to write next to the converted style, comma-separated (${REPORT_FORMATS.join(', ')})`, 'md')
+    .option('--repackage', 'For packages: also write a copy with the converted style swapped in')
+    .option('--no-screenshot', 'Do not generate screenshot.png when the old style has none')
+    .option('--visual-check', 'Render the old and the converted style in headless Chromium and score how alike they look')
+    .option('--chromium <path>', 'Chromium or Chrome executable for --visual-check (default: CHROME_PATH or an installed browser)')
+    .option('--no-sandbox', 'Run Chromium without its sandbox (containers that need it; as root it is always off)');
+addConversionOptions(program)
+    .option('-b, --batch <dir>', 'Convert all styles found in a directory tree (folders, .zip archives and packages)')
+    .option('-j, --concurrency <n>', 'With --batch: convert this many styles at a time, on worker threads', '1')
+    .option('--resume', 'With --batch: skip the styles converted by the last run whose input has not changed')
+    .option('--force', 'With --batch: convert every style again, even with --resume')
+    .action(() => main(program.opts()));
+
+addConversionOptions(program
+    .command('preview')
+    .description('Write sample pages showing the old style (v2.9 markup) next to the converted one (v3.0 markup)')
+    .requiredOption('-i, --input <path>', 'Old style (v2.9): a directory, a .zip archive or a package')
+    .option('-o, --output <dir>', 'Output directory; the pages go to <dir>/<style>/preview', 'results')
+    .option('-v, --verbose', 'Show detailed progress'))
+    .action(options => preview(options));
+
+program
+    .command('report-schema')
+    .description('Print the JSON Schema of conversion-report.json')
+    .action(() => console.log(JSON.stringify(REPORT_SCHEMA, null, 2)));
+
+function printBanner() {
+    console.log(chalk.bold.cyan('\n╔════════════════════════════════════════════════════════════╗'));
+    console.log(chalk.bold.cyan('║   eXeLearning Style Converter v2.9 → v3.0                 ║'));
+    console.log(chalk.bold.cyan('╚════════════════════════════════════════════════════════════╝\n'));
+
+    // Experimental warning
+    console.log(chalk.yellow('⚠️  EXPERIMENTAL TOOL'));
+    console.log(chalk.yellow('    This is an experimental converter. The converted styles may'));
+    console.log(chalk.yellow('    not work perfectly and will likely require manual adjustments.'));
+    console.log(chalk.yellow('    However, it provides a good starting point for migration.\n'));
+}
 
-program.parse(process.argv);
+/**
+ * Check the conversion options, load the conversion rules and plugins
+ * and create the converter
+ */
+async function createConverter(options, converterOptions = {}) {
+    if (options.template && !TEMPLATE_NAMES.includes(options.template)) {
+        throw new Error(`Unknown template "${options.template}". Available templates: ${TEMPLATE_NAMES.join(', ')}`);
+    }
 
-const options = program.opts();
+    if (!CSS_MODES.includes(options.cssMode)) {
+        throw new Error(`Unknown CSS mode "${options.cssMode}". Available modes: ${CSS_MODES.join(', ')}`);
+    }
 
-// Display banner
-console.log(chalk.bold.cyan('\n╔════════════════════════════════════════════════════════════╗'));
-console.log(chalk.bold.cyan('║   eXeLearning Style Converter v2.9 → v3.0                 ║'));
-console.log(chalk.bold.cyan('╚════════════════════════════════════════════════════════════╝\n'));
+    // Load custom conversion rules
+    const config = options.config === false ? new ConversionConfig() : await loadConfig(options.config);
+    if (config.source) {
+        console.log(chalk.blue(`Using conversion rules from ${config.source}\n`));
+    }
 
-// Experimental warning
-console.log(chalk.yellow('⚠️  EXPERIMENTAL TOOL'));
-console.log(chalk.yellow('    This is an experimental converter. The converted styles may'));
-console.log(chalk.yellow('    not work perfectly and will likely require manual adjustments.'));
-console.log(chalk.yellow('    However, it provides a good starting point for migration.\n'));
+    // Load plugins
+    const plugins = await loadPlugins(options.plugin);
+    if (plugins.length > 0) {
+        console.log(chalk.blue(`Using plugins: ${plugins.map(p => p.name).join(', ')}\n`));
+    }
+
+    return new StyleConverter({
+        outputDir: options.output,
+        verbose: options.verbose,
+        template: options.template,
+        cssMode: options.cssMode,
+        designTokens: options.designTokens,
+        pruneAssets: options.pruneAssets,
+        fillIcons: options.fillIcons,
+        config,
+        plugins,
+        // For the workers of a parallel batch, which load them again
+        configPath: options.config,
+        pluginSpecifiers: options.plugin,
+        ...converterOptions
+    });
+}
+
+async function main(options) {
+    printBanner();
 
-async function main() {
     try {
         // Validate options
         if (!options.input && !options.batch) {
@@ -54,12 +142,30 @@ async function main() {
             process.exit(1);
         }
 
+        const reportFormats = options.reportFormat.split(',').map(format => format.trim().toLowerCase()).filter(Boolean);
+        const unknownFormat = reportFormats.find(format => !REPORT_FORMATS.includes(format));
+        if (unknownFormat) {
+            throw new Error(`Unknown report format "${unknownFormat}". Available formats: ${REPORT_FORMATS.join(', ')}`);
+        }
+
+        const concurrency = Number(options.concurrency);
+        if (!Number.isInteger(concurrency) || concurrency < 1) {
+            throw new Error(`Invalid concurrency "${options.concurrency}": expected a whole number of 1 or more`);
+        }
+
         // Create converter
-        const converter = new StyleConverter({
+        const converter = await createConverter(options, {
             dryRun: options.dryRun,
-            outputDir: options.output,
-            verbose: options.verbose,
-            createZip: options.zip
+            createZip: options.zip,
+            reportFormats,
+            repackage: options.repackage,
+            screenshot: options.screenshot,
+            visualCheck: options.visualCheck,
+            chromium: options.chromium,
+            sandbox: options.sandbox,
+            concurrency,
+            resume: options.resume,
+            force: options.force
         });
 
         // Batch mode
@@ -99,4 +205,27 @@ async function main() {
     }
 }
 
-main();
+async function preview(options) {
+    printBanner();
+
+    try {
+        const inputPath = path.resolve(options.input);
+        if (!await fs.pathExists(inputPath)) {
+            throw new Error(`Input path does not exist: ${inputPath}`);
+        }
+
+        const converter = await createConverter(options);
+        await converter.preview(inputPath);
+
+        console.log(chalk.yellow('   Open it in a browser to compare the old and the converted style.\n'));
+        process.exit(0);
+    } catch (error) {
+        console.error(chalk.red(`\n✗ Error: ${error.message}\n`));
+        if (options.verbose) {
+            console.error(chalk.gray(error.stack));
+        }
+        process.exit(1);
+    }
+}
+
+await program.parseAsync(process.argv);
@@ -1,19 +1,28 @@
-import fs from 'fs-extra';
-import path from 'path';
+import { TemplateScorer, TEMPLATE_NAMES } from './template-scorer.js';
+import { ConversionConfig } from './conversion-config.js';
+import { ScriptAnalyzer, findThemeMember, LEGACY_THEME_MEMBERS, TEMPLATE_THEME_MEMBERS } from './script-analyzer.js';
 
 /**
  * Analyzes old style files to determine complexity and detect custom code
+ *
+ * `files` is a VirtualFS holding the old style. Options: `styleName`,
+ * `templates` (VirtualFS of the v3.0 templates), `template` and `config`.
  */
 export class StyleAnalyzer {
-    constructor(inputPath) {
-        this.inputPath = inputPath;
-        this.styleName = path.basename(inputPath);
+    constructor(files, options = {}) {
+        this.files = files;
+        this.options = options;
+        this.config = options.config || new ConversionConfig();
+        this.styleName = options.styleName;
         this.analysis = {
             styleName: this.styleName,
             complexity: 'simple', // simple, moderate, complex
-            template: 'base', // base, neo, flux
+            template: 'base', // base, neo, flux, nova, zen
+            templateSelection: 'auto', // auto, override, config
+            templateScores: [],
             jsFile: null,
             jsContent: '',
+            script: null,
             cssFiles: [],
             configFile: null,
             assets: [],
@@ -23,6 +32,7 @@ export class StyleAnalyzer {
                 hasPhaseManagement: false,
                 hasPrintContent: false,
                 hasCommonInit: false,
+                configFeatures: [],
                 customFunctions: [],
                 customEventListeners: [],
                 linesOfCode: 0
@@ -39,7 +49,7 @@ export class StyleAnalyzer {
         await this.analyzeJavaScript();
         await this.analyzeCSSFiles();
         this.determineComplexity();
-        this.selectTemplate();
+        await this.selectTemplate();
 
         return this.analysis;
     }
@@ -48,13 +58,10 @@ export class StyleAnalyzer {
      * Find all relevant files in the input directory
      */
     async findFiles() {
-        const files = await fs.readdir(this.inputPath);
+        const files = this.files.readdir();
 
         for (const file of files) {
-            const filePath = path.join(this.inputPath, file);
-            const stats = await fs.stat(filePath);
-
-            if (stats.isFile()) {
+            if (this.files.isFile(file)) {
                 // Find JavaScript file
                 if (file.endsWith('_js.js') || file.endsWith('.js')) {
                     this.analysis.jsFile = file;
@@ -97,8 +104,7 @@ export class StyleAnalyzer {
             return;
         }
 
-        const jsPath = path.join(this.inputPath, this.analysis.jsFile);
-        this.analysis.jsContent = await fs.readFile(jsPath, 'utf-8');
+        this.analysis.jsContent = this.files.readFile(this.analysis.jsFile, 'utf-8');
 
         const content = this.analysis.jsContent;
         const lines = content.split('\n');
@@ -106,16 +112,31 @@ export class StyleAnalyzer {
             line.trim() && !line.trim().startsWith('//')
         ).length;
 
+        // Build the inventory of myTheme members, functions, IIFEs and events
+        const script = new ScriptAnalyzer(content).analyze();
+        this.analysis.script = script;
+
+        if (script.parseError) {
+            this.analysis.warnings.push(
+                `${this.analysis.jsFile} could not be fully parsed (line ${script.parseError.line}): ` +
+                `${script.parseError.message}. Custom code extraction may be incomplete.`
+            );
+        }
+
+        const topLevel = [...script.eventRegistrations, ...script.statements];
+
         // Detect H5P iframe resizer
-        if (content.includes('h5pResizerInitialized') ||
-            content.includes('H5P iframe Resizer')) {
+        if (script.iifes.some(iife =>
+            iife.code.includes('h5pResizerInitialized') ||
+            iife.code.includes('H5P iframe Resizer'))) {
             this.analysis.customCode.hasH5P = true;
             this.analysis.customCode.customFunctions.push('H5P iframe resizer');
         }
 
         // Detect character management
-        if (content.includes('$exeDevice.characters') ||
-            content.includes('.udl-character')) {
+        if (topLevel.some(entry =>
+            entry.code.includes('$exeDevice.characters') ||
+            entry.code.includes('.udl-character'))) {
             this.analysis.customCode.hasCharacters = true;
             this.analysis.customCode.customFunctions.push('Character management');
         }
@@ -129,39 +150,51 @@ export class StyleAnalyzer {
         }
 
         // Detect printContent function
-        if (content.includes('printContent') &&
-            content.includes('function')) {
+        const printContent = findThemeMember(script, 'printContent');
+        if (printContent && printContent.type === 'function') {
             this.analysis.customCode.hasPrintContent = true;
             this.analysis.customCode.customFunctions.push('printContent()');
         }
 
         // Detect common.init
-        if (content.includes('common') &&
-            content.includes('init') &&
-            content.match(/common\s*:\s*{/)) {
+        if (findThemeMember(script, 'common.init')) {
             this.analysis.customCode.hasCommonInit = true;
             this.analysis.customCode.customFunctions.push('common.init()');
         }
 
-        // Detect custom event listeners (beyond standard ones)
-        const eventListenerPatterns = [
-            /addEventListener\s*\(\s*["'](?!resize|load|DOMContentLoaded)/g,
-            /\$\([^)]+\)\.on\s*\(\s*["'](?!click|resize)/g
-        ];
+        // Detect other custom myTheme members (beyond the standard v2.9 ones)
+        if (script.myTheme) {
+            for (const member of script.myTheme.members) {
+                if (LEGACY_THEME_MEMBERS.includes(member.name) ||
+                    TEMPLATE_THEME_MEMBERS.includes(member.name) ||
+                    ['printContent', 'common'].includes(member.name) ||
+                    member.type !== 'function') {
+                    continue;
+                }
+                this.analysis.customCode.customFunctions.push(`myTheme.${member.name}()`);
+            }
+        }
 
-        for (const pattern of eventListenerPatterns) {
-            const matches = content.match(pattern);
-            if (matches) {
-                this.analysis.customCode.customEventListeners.push(...matches);
+        // Detect custom event listeners (beyond the standard initialization)
+        for (const registration of script.eventRegistrations) {
+            if (!registration.isBootstrap) {
+                this.analysis.customCode.customEventListeners.push(
+                    `${registration.target} ${registration.event} (line ${registration.line})`
+                );
             }
         }
 
         // Look for custom functions outside of myTheme
-        const customFunctionMatches = content.match(/^function\s+(\w+)/gm);
-        if (customFunctionMatches) {
-            this.analysis.customCode.customFunctions.push(
-                ...customFunctionMatches.map(m => m.trim())
-            );
+        for (const fn of script.functions) {
+            this.analysis.customCode.customFunctions.push(`function ${fn.name}`);
+        }
+
+        // Detection strings from the configuration file
+        for (const feature of this.config.features) {
+            if (content.includes(feature.match)) {
+                this.analysis.customCode.configFeatures.push(feature);
+                this.analysis.customCode.customFunctions.push(feature.name);
+            }
         }
     }
 
@@ -187,9 +220,10 @@ export class StyleAnalyzer {
      */
     determineComplexity() {
         const custom = this.analysis.customCode;
+        const configured = level => custom.configFeatures.some(f => f.complexity === level);
 
-        // Complex: Has H5P, characters, or phase management
-        if (custom.hasH5P || custom.hasCharacters || custom.hasPhaseManagement) {
+        // Complex: Has H5P, characters, phase management or a configured complex feature
+        if (custom.hasH5P || custom.hasCharacters || custom.hasPhaseManagement || configured('complex')) {
             this.analysis.complexity = 'complex';
             return;
         }
@@ -203,6 +237,7 @@ export class StyleAnalyzer {
         // Moderate: Has custom functions or common.init
         if (custom.hasPrintContent ||
             custom.hasCommonInit ||
+            configured('moderate') ||
             custom.customFunctions.length > 2) {
             this.analysis.complexity = 'moderate';
             return;
@@ -213,16 +248,48 @@ export class StyleAnalyzer {
     }
 
     /**
-     * Select appropriate template based on complexity
+     * Select the template closest to the old style's layout, unless one
+     * was requested explicitly
      */
-    selectTemplate() {
-        if (this.analysis.complexity === 'complex') {
-            // Use neo or flux for complex styles (both have movePageTitle)
-            this.analysis.template = 'neo';
+    async selectTemplate() {
+        const override = this.options.template || this.config.getTemplate(this.styleName);
+        if (override && !TEMPLATE_NAMES.includes(override)) {
+            throw new Error(`Unknown template "${override}". Available templates: ${TEMPLATE_NAMES.join(', ')}`);
+        }
+
+        const scorer = new TemplateScorer(this.loadTemplates());
+
+        const stylesheets = this.analysis.cssFiles.map(cssFile => this.files.readFile(cssFile, 'utf-8'));
+
+        // A script that works on the page title needs a template with movePageTitle
+        const script = this.analysis.script;
+        const traits = {
+            ...scorer.extractTraits(stylesheets, 'v2.9'),
+            movesTitle: Boolean(script && script.titleReferences.length > 0)
+        };
+
+        this.analysis.templateScores = scorer.score(traits);
+
+        if (override) {
+            this.analysis.template = override;
+            this.analysis.templateSelection = this.options.template ? 'override' : 'config';
         } else {
-            // Use base for simple and moderate styles
-            this.analysis.template = 'base';
+            this.analysis.template = this.analysis.templateScores[0].template;
+        }
+    }
+
+    /**
+     * Read the CSS and JavaScript of every v3.0 template
+     */
+    loadTemplates() {
+        const templates = {};
+        for (const name of TEMPLATE_NAMES) {
+            templates[name] = {
+                css: this.options.templates.readFile(`${name}/style.css`, 'utf-8'),
+                js: this.options.templates.readFile(`${name}/style.js`, 'utf-8')
+            };
         }
+        return templates;
     }
 
     /**
@@ -1,30 +1,36 @@
-import fs from 'fs-extra';
-import path from 'path';
+import { ConversionConfig } from './conversion-config.js';
+import { basename } from './virtual-fs.js';
+import { findAssetReferences } from './asset-references.js';
+import { AssetRouter } from './asset-router.js';
 
 /**
  * Migrates assets to organized subdirectories
+ *
+ * Copies from the old style's VirtualFS (`files`) to the converted
+ * style's VirtualFS (`output`), to the directories `options.router` (an
+ * AssetRouter) decides.
  */
 export class AssetMigrator {
-    constructor(inputPath, outputPath) {
-        this.inputPath = inputPath;
-        this.outputPath = outputPath;
+    constructor(files, output, options = {}) {
+        this.files = files;
+        this.output = output;
+        this.config = options.config || new ConversionConfig();
+        this.router = options.router || new AssetRouter(files, null, { config: this.config });
         this.migrations = [];
+        this.pruned = [];
     }
 
     /**
      * Main migration method
      */
     async migrate() {
-        const files = await fs.readdir(this.inputPath);
+        const files = this.files.readdir();
 
         for (const file of files) {
-            const filePath = path.join(this.inputPath, file);
-            const stats = await fs.stat(filePath);
-
-            if (stats.isFile()) {
-                const destination = this.getDestination(file);
-                if (destination) {
-                    await this.migrateFile(file, destination);
+            if (this.files.isFile(file)) {
+                const route = this.router.route(file);
+                if (route) {
+                    await this.migrateFile(file, route.directory, route.reason);
                 }
             }
         }
@@ -36,73 +42,57 @@ export class AssetMigrator {
     }
 
     /**
-     * Determine destination directory for a file
+     * Migrate a single file to its destination; `reason` is how the router
+     * decided it (see AssetRouter.route)
      */
-    getDestination(filename) {
-        const ext = path.extname(filename).toLowerCase();
-        const basename = path.basename(filename, ext);
-
-        // Skip files that should stay in root
-        const rootFiles = ['config.xml', 'style.css', 'style.js', 'screenshot.png', 'readme.md'];
-        if (rootFiles.includes(filename.toLowerCase())) {
-            return null;
-        }
-
-        // Icons: small images, gifs, or files with 'icon' in name
-        if (filename.toLowerCase().includes('icon') ||
-            ext === '.gif' ||
-            (ext === '.svg' && this.isSmallFile(filename))) {
-            return 'icons';
-        }
-
-        // Fonts
-        if (['.woff', '.woff2', '.ttf', '.eot', '.otf'].includes(ext)) {
-            return 'fonts';
-        }
+    async migrateFile(filename, destinationDir, reason) {
+        this.output.copyFile(filename, `${destinationDir}/${filename}`, this.files);
 
-        // Images
-        if (['.png', '.jpg', '.jpeg', '.svg', '.webp'].includes(ext)) {
-            return 'img';
-        }
-
-        // Keep other files in root or skip
-        return null;
+        this.migrations.push({
+            filename,
+            from: filename,
+            to: `${destinationDir}/${filename}`,
+            type: destinationDir,
+            reason
+        });
     }
 
     /**
-     * Check if a file is small (likely an icon)
+     * Copy a template's asset directories (fonts, images) that its
+     * style.css refers to, without replacing the old style's own files
      */
-    isSmallFile(filename) {
-        try {
-            const filePath = path.join(this.inputPath, filename);
-            const stats = fs.statSync(filePath);
-            // Files smaller than 50KB are considered small (likely icons)
-            return stats.size < 50 * 1024;
-        } catch (e) {
-            return false;
+    async copyTemplateAssets(templates, templateName, directories = ['fonts', 'img']) {
+        for (const directory of directories) {
+            const sourceDir = `${templateName}/${directory}`;
+
+            for (const source of templates.list(sourceDir)) {
+                const file = source.slice(sourceDir.length + 1);
+                const destFilePath = `${directory}/${file}`;
+                if (this.output.exists(destFilePath)) continue;
+
+                this.output.copyFile(source, destFilePath, templates);
+
+                this.migrations.push({
+                    filename: basename(file),
+                    from: source,
+                    to: `${directory}/${file}`,
+                    type: directory,
+                    source: 'template'
+                });
+            }
         }
     }
 
     /**
-     * Migrate a single file to its destination
+     * Remove the assets of the converted style that nothing uses (see
+     * findAssetReferences); `icons` are the iDevice icons IconMapper found
      */
-    async migrateFile(filename, destinationDir) {
-        const sourcePath = path.join(this.inputPath, filename);
-        const destDirPath = path.join(this.outputPath, destinationDir);
-        const destFilePath = path.join(destDirPath, filename);
-
-        // Create destination directory if it doesn't exist
-        await fs.ensureDir(destDirPath);
-
-        // Copy the file
-        await fs.copy(sourcePath, destFilePath, { overwrite: true });
-
-        this.migrations.push({
-            filename,
-            from: filename,
-            to: `${destinationDir}/${filename}`,
-            type: destinationDir
-        });
+    pruneOrphans(icons = []) {
+        for (const file of findAssetReferences(this.output, { icons }).orphans) {
+            this.output.remove(file);
+            this.pruned.push(file);
+        }
+        return this.pruned;
     }
 
     /**
@@ -111,7 +101,9 @@ export class AssetMigrator {
     getSummary() {
         const summary = {
             total: this.migrations.length,
-            byType: {}
+            pruned: this.pruned.length,
+            byType: {},
+            byReason: {}
         };
 
         for (const migration of this.migrations) {
@@ -119,6 +111,10 @@ export class AssetMigrator {
                 summary.byType[migration.type] = 0;
             }
             summary.byType[migration.type]++;
+
+            if (migration.reason) {
+                summary.byReason[migration.reason] = (summary.byReason[migration.reason] || 0) + 1;
+            }
         }
 
         return summary;
@@ -0,0 +1,125 @@
+import postcss from 'postcss';
+import valueParser from 'postcss-value-parser';
+import { basename } from './virtual-fs.js';
+
+/**
+ * Directories the converted style keeps its assets in
+ */
+export const ASSET_DIRECTORIES = ['icons', 'img', 'fonts'];
+
+/**
+ * iDevice icons in icons/, which eXeLearning offers by file name rather
+ * than through the stylesheet
+ */
+const IDEVICE_ICON = /^icons\/icon_[^/]+$/i;
+
+/**
+ * Cross-check the url() references of a converted style's style.css with
+ * the files in its asset directories
+ *
+ * An asset counts as used when style.css refers to it, when a broken
+ * reference has its file name (the path is wrong, not the file), when
+ * style.js or config.xml mention its file name (scripts often build
+ * image paths), or when it is an iDevice icon.
+ *
+ * @param {VirtualFS} files - the converted style
+ * @param {Object} options - { icons }: iDevice icons besides icons/icon_*,
+ *   such as those IconMapper renamed after the template's icon set
+ * @returns {Object} { references, missing, orphans } - references are
+ *   { url, path, line, exists } for each local url(); missing has one
+ *   { path, lines, foundAt } per path that does not exist, foundAt being
+ *   an asset with the same file name, if any; orphans are the paths of
+ *   the assets nothing uses
+ */
+export function findAssetReferences(files, options = {}) {
+    const references = [];
+
+    if (files.isFile('style.css')) {
+        let root = null;
+        try {
+            root = postcss.parse(files.readFile('style.css', 'utf-8'));
+        } catch (e) {
+            // Reported by the stylesheet validation
+        }
+
+        if (root) {
+            root.walkDecls(decl => {
+                if (!/url\s*\(/i.test(decl.value)) return;
+                valueParser(decl.value).walk(node => {
+                    if (node.type !== 'function' || node.value.toLowerCase() !== 'url' || !node.nodes[0]) return;
+                    const path = resolveReference(node.nodes[0].value);
+                    if (path) {
+                        references.push({ url: node.nodes[0].value, path, line: decl.source.start.line, exists: files.isFile(path) });
+                    }
+                });
+            });
+        }
+    }
+
+    const assets = ASSET_DIRECTORIES.flatMap(directory => files.list(directory));
+
+    const missing = new Map();
+    for (const reference of references) {
+        if (reference.exists) continue;
+        if (!missing.has(reference.path)) {
+            const name = basename(reference.path);
+            missing.set(reference.path, {
+                path: reference.path,
+                lines: [],
+                foundAt: assets.find(asset => basename(asset) === name) || null
+            });
+        }
+        missing.get(reference.path).lines.push(reference.line);
+    }
+
+    const used = new Set([...references.map(reference => reference.path), ...(options.icons || [])]);
+    for (const { foundAt } of missing.values()) {
+        if (foundAt) used.add(foundAt);
+    }
+    const text = ['style.js', 'config.xml']
+        .filter(file => files.isFile(file))
+        .map(file => files.readFile(file, 'utf-8'))
+        .join('\n');
+
+    const orphans = assets.filter(path =>
+        !used.has(path) && !IDEVICE_ICON.test(path) && !text.includes(basename(path))
+    );
+
+    return {
+        references,
+        missing: [...missing.values()],
+        orphans
+    };
+}
+
+/**
+ * Path in the style of a url() reference made from style.css, or null for
+ * references to other sites, data: URLs and paths outside the style
+ */
+function resolveReference(reference) {
+    if (!reference ||
+        /^[a-z][a-z0-9+.-]*:/i.test(reference) ||
+        reference.startsWith('//') ||
+        reference.startsWith('/') ||
+        reference.startsWith('#')) {
+        return null;
+    }
+
+    let path = reference.split(/[?#]/)[0];
+    try {
+        path = decodeURIComponent(path);
+    } catch (e) {
+        // Keep malformed escapes as they are
+    }
+
+    const segments = [];
+    for (const segment of path.split('/')) {
+        if (segment === '..') {
+            if (segments.length === 0) return null;
+            segments.pop();
+        } else if (segment && segment !== '.') {
+            segments.push(segment);
+        }
+    }
+    return segments.length > 0 ? segments.join('/') : null;
+}
@@ -0,0 +1,221 @@
+import postcss from 'postcss';
+import valueParser from 'postcss-value-parser';
+import { ConversionConfig } from './conversion-config.js';
+import { findSelectorNames } from './markup-names.js';
+import { extname } from './virtual-fs.js';
+
+const IMAGE_EXTENSIONS = ['.png', '.jpg', '.jpeg', '.gif', '.svg', '.webp'];
+const FONT_EXTENSIONS = ['.woff', '.woff2', '.ttf', '.eot', '.otf'];
+
+/**
+ * v2.9 elements that show an iDevice's icon as their background
+ */
+const ICON_HOLDERS = ['.iDevice_header', '.iDevice_icon'];
+
+/**
+ * Ways the old stylesheets use an asset, strongest first, with the
+ * directory each one sends it to
+ */
+export const ASSET_USAGES = [
+    { usage: 'idevice-icon', directory: 'icons', description: 'iDevice icon rule' },
+    { usage: 'font-face', directory: 'fonts', description: '@font-face source' },
+    { usage: 'list-bullet', directory: 'img', description: 'list bullet' },
+    { usage: 'background', directory: 'img', description: 'background image' },
+    { usage: 'image', directory: 'img', description: 'other url() in the stylesheet' }
+];
+
+/**
+ * Short description of a routing reason (see AssetRouter.route)
+ */
+export function describeRoute(reason) {
+    if (reason === 'config') return 'configuration file rule';
+    if (reason === 'name') return 'file name';
+    const entry = ASSET_USAGES.find(e => e.usage === reason);
+    return entry ? entry.description : reason;
+}
+
+/**
+ * Decides which directory of the converted style each asset goes to
+ *
+ * The decision is made once per file name, from how the old stylesheets
+ * refer to it: the background of an iDevice header is an iDevice icon,
+ * an @font-face source is a font, and any other url() is an image. Assets
+ * the stylesheets never mention are routed by file name. Routing rules
+ * from the configuration file and the files that stay in the root come
+ * before both.
+ *
+ * AssetMigrator moves the files and CSSMerger rewrites the url()
+ * references with the same router, so the two always agree.
+ */
+export class AssetRouter {
+    /**
+     * @param {VirtualFS} files - the old style
+     * @param {Array<string>} cssFiles - its stylesheets; all the .css files
+     *   in its root when omitted
+     * @param {Object} options - { config }
+     */
+    constructor(files, cssFiles, options = {}) {
+        this.files = files;
+        this.cssFiles = cssFiles || files.readdir().filter(file => extname(file) === '.css');
+        this.config = options.config || new ConversionConfig();
+        this.usages = null;
+    }
+
+    /**
+     * Directory and reason for a file of the old style's root, or null
+     * when it stays where it is
+     *
+     * @param {string} filename
+     * @returns {Object|null} { directory, reason } - reason is 'config',
+     *   one of the ASSET_USAGES or 'name'
+     */
+    route(filename) {
+        const name = filename.toLowerCase();
+        const ext = extname(name);
+
+        // Skip files that should stay in root
+        if (this.config.rootFiles.includes(name)) {
+            return null;
+        }
+
+        // Routing rules from the configuration file
+        const directory = this.config.getAssetDirectory(filename);
+        if (directory) {
+            return { directory, reason: 'config' };
+        }
+
+        // How the stylesheets use it
+        const usage = this.getUsages().get(name);
+        if (usage && (IMAGE_EXTENSIONS.includes(ext) || FONT_EXTENSIONS.includes(ext))) {
+            return { directory: usage.directory, reason: usage.usage };
+        }
+
+        return this.routeByName(filename);
+    }
+
+    /**
+     * Fallback for assets the stylesheets don't refer to
+     */
+    routeByName(filename) {
+        const name = filename.toLowerCase();
+        const ext = extname(name);
+
+        // Icons: small images, gifs, or files with 'icon' in name
+        if (name.includes('icon') ||
+            ext === '.gif' ||
+            (ext === '.svg' && this.isSmallFile(filename))) {
+            return { directory: 'icons', reason: 'name' };
+        }
+
+        // Fonts
+        if (FONT_EXTENSIONS.includes(ext)) {
+            return { directory: 'fonts', reason: 'name' };
+        }
+
+        // Images
+        if (IMAGE_EXTENSIONS.includes(ext)) {
+            return { directory: 'img', reason: 'name' };
+        }
+
+        return null;
+    }
+
+    /**
+     * Check if a file is small (likely an icon)
+     */
+    isSmallFile(filename) {
+        if (!this.files.isFile(filename)) {
+            return false;
+        }
+        // Files smaller than 50KB are considered small (likely icons)
+        return this.files.size(filename) < 50 * 1024;
+    }
+
+    /**
+     * The strongest use the stylesheets make of each file name referred
+     * to without a directory (lower case), read once
+     *
+     * @returns {Map<string, Object>} file name to one of ASSET_USAGES
+     */
+    getUsages() {
+        if (this.usages) return this.usages;
+        this.usages = new Map();
+
+        for (const cssFile of this.cssFiles) {
+            if (!this.files.isFile(cssFile)) continue;
+
+            let root;
+            try {
+                root = postcss.parse(this.files.readFile(cssFile, 'utf-8'));
+            } catch (e) {
+                // CSSMerger reports the stylesheets it can't parse
+                continue;
+            }
+
+            root.walkDecls(decl => {
+                if (!/url\s*\(/i.test(decl.value)) return;
+                const usage = getUsage(decl);
+
+                valueParser(decl.value).walk(node => {
+                    if (node.type !== 'function' || node.value.toLowerCase() !== 'url' || !node.nodes[0]) return;
+                    const filename = getFileName(node.nodes[0].value);
+                    if (!filename) return;
+                    const name = filename.toLowerCase();
+
+                    const current = this.usages.get(name);
+                    if (!current || ASSET_USAGES.indexOf(usage) < ASSET_USAGES.indexOf(current)) {
+                        this.usages.set(name, usage);
+                    }
+                });
+            });
+        }
+
+        return this.usages;
+    }
+}
+
+/**
+ * The use a declaration makes of the url() references in its value
+ */
+function getUsage(decl) {
+    const find = usage => ASSET_USAGES.find(entry => entry.usage === usage);
+    const prop = decl.prop.toLowerCase();
+
+    if (decl.parent.type === 'atrule' && decl.parent.name.toLowerCase() === 'font-face') {
+        return find('font-face');
+    }
+    if (prop === 'list-style' || prop === 'list-style-image') {
+        return find('list-bullet');
+    }
+    if (prop === 'background' || prop === 'background-image') {
+        const isIconHolder = decl.parent.type === 'rule' && decl.parent.selectors.some(selector => {
+            const compounds = selector.trim().split(/\s*[\s>+~]\s*/);
+            return findSelectorNames(compounds[compounds.length - 1]).some(name => ICON_HOLDERS.includes(name));
+        });
+        return find(isIconHolder ? 'idevice-icon' : 'background');
+    }
+    return find('image');
+}
+
+/**
+ * File name of a url() reference to a file in the style's root, or null
+ * for other sites, data: URLs and paths with a directory
+ */
+export function getFileName(reference) {
+    if (!reference ||
+        /^[a-z][a-z0-9+.-]*:/i.test(reference) ||
+        reference.startsWith('//') ||
+        reference.startsWith('#') ||
+        reference.includes('/')) {
+        return null;
+    }
+
+    // Ignore query strings and fragments (e.g. font.eot?#iefix)
+    let name = reference.split(/[?#]/)[0];
+    try {
+        name = decodeURIComponent(name);
+    } catch (e) {
+        // Keep malformed escapes as they are
+    }
+    return name || null;
+}
@@ -0,0 +1,231 @@
+import chalk from 'chalk';
+import fs from 'fs-extra';
+import path from 'path';
+
+/**
+ * Points each finding adds to a style's manual work estimate
+ */
+export const MANUAL_WORK_WEIGHTS = {
+    error: 10,
+    warning: 2,
+    customCode: 3,
+    complexity: { simple: 0, moderate: 5, complex: 10 },
+    visualRework: 10
+};
+
+/**
+ * Columns of batch-report.csv, in order
+ */
+const CSV_COLUMNS = [
+    'style', 'status', 'manualWork', 'complexity', 'template', 'customCode',
+    'cssChanges', 'errors', 'warnings', 'zipSize', 'error'
+];
+
+/**
+ * Sums up a batch conversion: one row per style, the styles that need
+ * the most hand work first, written to the output root as
+ * batch-report.md, batch-report.json and batch-report.csv
+ */
+export class BatchReporter {
+    /**
+     * @param {Array<Object>} results - StyleConverter.convertBatch entries
+     *   ({ style, success, result }, { style, success, error }, or
+     *   { style, success, resumed, summary } for a style a resumed batch
+     *   skipped)
+     * @param {Object} discovery - { skipped, duplicates } of StyleDiscovery
+     */
+    constructor(results, discovery = {}) {
+        this.rows = results.map(entry => entry.summary || summarizeResult(entry)).sort(compareRows);
+        this.resumed = results.filter(entry => entry.resumed).length;
+        this.skipped = discovery.skipped || [];
+        this.duplicates = discovery.duplicates || [];
+    }
+
+    /**
+     * Print the summary table
+     */
+    generateConsoleReport() {
+        const failed = this.rows.filter(row => row.status === 'failed');
+
+        console.log(chalk.bold.cyan('\n' + '='.repeat(60)));
+        console.log(chalk.bold.cyan('Batch Conversion Summary'));
+        console.log(chalk.bold.cyan('='.repeat(60)));
+        console.log(`Total: ${this.rows.length}`);
+        console.log(chalk.green(`Success: ${this.rows.length - failed.length}`));
+        console.log(chalk.red(`Failed: ${failed.length}`));
+        if (this.resumed > 0) {
+            console.log(chalk.gray(`Unchanged since the last run: ${this.resumed}`));
+        }
+
+        const converted = this.rows.filter(row => row.status !== 'failed');
+        if (converted.length > 0) {
+            console.log(chalk.bold('\nManual work needed (most first):'));
+            for (const row of converted) {
+                const counts = `${row.errors} errors, ${row.warnings} warnings`;
+                const line = `  ${String(row.manualWork).padStart(4)}  ${row.style.padEnd(24)} ${row.complexity.padEnd(9)} ${row.template.padEnd(5)} ${counts}`;
+                console.log(row.errors > 0 ? chalk.red(line) : line);
+            }
+        }
+
+        if (failed.length > 0) {
+            console.log(chalk.bold.red('\nFailed conversions:'));
+            for (const row of failed) {
+                console.log(chalk.red(`  - ${row.style}: ${row.error}`));
+            }
+        }
+    }
+
+    /**
+     * Write batch-report.md, .json and .csv to the output root
+     *
+     * @returns {Promise<Array<string>>} the paths written
+     */
+    async writeReports(outputDir) {
+        await fs.ensureDir(outputDir);
+        const reports = [
+            ['batch-report.md', this.toMarkdown()],
+            ['batch-report.json', JSON.stringify(this.toJSON(), null, 2) + '\n'],
+            ['batch-report.csv', this.toCSV()]
+        ];
+
+        const paths = [];
+        for (const [name, content] of reports) {
+            const reportPath = path.join(outputDir, name);
+            await fs.writeFile(reportPath, content, 'utf-8');
+            paths.push(reportPath);
+        }
+        return paths;
+    }
+
+    toMarkdown() {
+        const converted = this.rows.filter(row => row.status !== 'failed');
+        const failed = this.rows.filter(row => row.status === 'failed');
+
+        let md = '# Batch Conversion Report\n\n';
+        md += `**Date:** ${new Date().toISOString()}\n`;
+        md += `**Styles:** ${this.rows.length} (${converted.length} converted, ${failed.length} failed)\n\n`;
+        md += 'Styles are listed by the manual work they are likely to need, most first: ';
+        md += `${MANUAL_WORK_WEIGHTS.error} points per validation error, ${MANUAL_WORK_WEIGHTS.warning} per warning, `;
+        md += `${MANUAL_WORK_WEIGHTS.customCode} per preserved custom code section, `;
+        md += `${MANUAL_WORK_WEIGHTS.complexity.moderate} for a moderate and ${MANUAL_WORK_WEIGHTS.complexity.complex} for a complex style, `;
+        md += `and ${MANUAL_WORK_WEIGHTS.visualRework} when the visual check asks for rework.\n\n`;
+
+        if (converted.length > 0) {
+            md += '| Manual work | Style | Complexity | Template | Custom code | CSS changes | Errors | Warnings | ZIP size |\n';
+            md += '|---:|---|---|---|---|---:|---:|---:|---:|\n';
+            for (const row of converted) {
+                md += `| ${row.manualWork} | ${row.style} | ${row.complexity} | ${row.template} | `;
+                md += `${row.customCode.map(name => `\`${name}\``).join(', ') || '-'} | `;
+                md += `${row.cssChanges} | ${row.errors} | ${row.warnings} | ${formatSize(row.zipSize)} |\n`;
+            }
+            md += '\n';
+        }
+
+        if (failed.length > 0) {
+            md += '## Failed Conversions\n\n';
+            for (const row of failed) {
+                md += `- **${row.style}**: ${row.error}\n`;
+            }
+            md += '\n';
+        }
+
+        if (this.skipped.length > 0 || this.duplicates.length > 0) {
+            md += '## Not Converted\n\n';
+            for (const { name, directory, reason } of this.skipped) {
+                md += `- \`${name}${directory ? '/' : ''}\`: ${reason}\n`;
+            }
+            for (const { name, of } of this.duplicates) {
+                md += `- \`${name}\`: same style as \`${of}\`\n`;
+            }
+            md += '\n';
+        }
+
+        return md;
+    }
+
+    toJSON() {
+        return {
+            generatedAt: new Date().toISOString(),
+            weights: MANUAL_WORK_WEIGHTS,
+            total: this.rows.length,
+            converted: this.rows.filter(row => row.status !== 'failed').length,
+            failed: this.rows.filter(row => row.status === 'failed').length,
+            styles: this.rows,
+            skipped: this.skipped.map(({ name, reason }) => ({ name, reason })),
+            duplicates: this.duplicates
+        };
+    }
+
+    toCSV() {
+        const lines = [CSV_COLUMNS.join(',')];
+        for (const row of this.rows) {
+            lines.push(CSV_COLUMNS.map(column => {
+                const value = column === 'customCode' ? row.customCode.join('; ') : row[column];
+                return csvField(value);
+            }).join(','));
+        }
+        return lines.join('\r\n') + '\r\n';
+    }
+}
+
+/**
+ * One row of the summary
+ */
+export function summarizeResult({ style, success, result, error }) {
+    if (!success) {
+        return {
+            style, status: 'failed', manualWork: null, complexity: null, template: null,
+            customCode: [], cssChanges: 0, errors: 0, warnings: 0, zipSize: null, error
+        };
+    }
+
+    const { analysis, validation } = result;
+    return {
+        style,
+        status: validation.isValid ? 'converted' : 'invalid',
+        manualWork: estimateManualWork(result),
+        complexity: analysis.complexity,
+        template: analysis.template,
+        customCode: result.jsTransform.customCodeSections,
+        cssChanges: result.cssChanges.changes.length,
+        errors: validation.errors.length,
+        warnings: validation.warnings.length,
+        zipSize: result.zipFile ? result.zipFile.size : null,
+        error: null
+    };
+}
+
+/**
+ * Points for what is left to do by hand (see MANUAL_WORK_WEIGHTS)
+ */
+function estimateManualWork(result) {
+    const { analysis, validation, visual } = result;
+    let points = MANUAL_WORK_WEIGHTS.complexity[analysis.complexity] || 0;
+    points += validation.errors.length * MANUAL_WORK_WEIGHTS.error;
+    points += validation.warnings.length * MANUAL_WORK_WEIGHTS.warning;
+    points += result.jsTransform.customCodeSections.length * MANUAL_WORK_WEIGHTS.customCode;
+    if (visual && visual.level === 'rework') {
+        points += MANUAL_WORK_WEIGHTS.visualRework;
+    }
+    return points;
+}
+
+/**
+ * Failed styles first, then the most manual work, then by name
+ */
+function compareRows(a, b) {
+    if ((a.status === 'failed') !== (b.status === 'failed')) {
+        return a.status === 'failed' ? -1 : 1;
+    }
+    return (b.manualWork || 0) - (a.manualWork || 0) || a.style.localeCompare(b.style);
+}
+
+function csvField(value) {
+    if (value === null || value === undefined) return '';
+    const text = String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function formatSize(bytes) {
+    return bytes === null ? '-' : `${(bytes / 1024).toFixed(1)} KB`;
+}
@@ -0,0 +1,121 @@
+import crypto from 'crypto';
+import fs from 'fs-extra';
+import path from 'path';
+
+/**
+ * Name of the state file in the batch's output directory
+ */
+export const STATE_FILE = 'batch-state.json';
+
+const STATE_VERSION = 1;
+
+/**
+ * Converter options that change the converted files; a state written
+ * with other values doesn't count for a resumed batch
+ */
+const OUTPUT_OPTIONS = [
+    'template', 'cssMode', 'designTokens', 'pruneAssets', 'fillIcons', 'createZip',
+    'reportFormats', 'repackage', 'screenshot', 'visualCheck'
+];
+
+/**
+ * What a batch has converted so far, kept in `<outputDir>/batch-state.json`
+ * so that a resumed batch (`--resume`) skips the styles that are done
+ *
+ * A style is done when it was converted from the same files (their hash,
+ * see StyleDiscovery) with the same output options, and its output
+ * directory is still there. The file is written after each style, so a
+ * batch that stops half way keeps what it did.
+ */
+export class BatchState {
+    constructor(outputDir, options = {}) {
+        this.outputDir = outputDir;
+        this.path = path.join(outputDir, STATE_FILE);
+        this.fingerprint = getFingerprint(options, options.config);
+        this.styles = {};
+        this.stale = false;
+    }
+
+    /**
+     * Read the state of the last run, if there is one
+     */
+    async load() {
+        if (!await fs.pathExists(this.path)) return;
+
+        let state;
+        try {
+            state = await fs.readJson(this.path);
+        } catch (e) {
+            throw new Error(`Could not read ${STATE_FILE}: ${e.message}. Delete it or run with --force`);
+        }
+        if (state.version !== STATE_VERSION) return;
+
+        // Styles converted with other options must be converted again
+        if (state.fingerprint !== this.fingerprint) {
+            this.stale = Object.keys(state.styles || {}).length > 0;
+            return;
+        }
+        this.styles = state.styles || {};
+    }
+
+    /**
+     * The entry of a style converted from this input, or null
+     */
+    async getDone(style, hash) {
+        const entry = this.styles[style];
+        if (!entry || entry.hash !== hash) return null;
+        return await fs.pathExists(entry.outputPath) ? entry : null;
+    }
+
+    /**
+     * Record a converted style and write the state file
+     *
+     * @param {Object} entry - { hash, outputPath, summary }
+     */
+    async record(style, entry) {
+        this.styles[style] = { ...entry, completedAt: new Date().toISOString() };
+        await this.save();
+    }
+
+    /**
+     * Forget a style (it failed) and write the state file
+     */
+    async forget(style) {
+        if (!(style in this.styles)) return;
+        delete this.styles[style];
+        await this.save();
+    }
+
+    /**
+     * Write the state file, through a temporary file so an interrupted
+     * write never leaves half of it
+     */
+    async save() {
+        await fs.ensureDir(this.outputDir);
+        const state = { version: STATE_VERSION, fingerprint: this.fingerprint, styles: this.styles };
+        const temporary = `${this.path}.tmp`;
+        await fs.writeFile(temporary, JSON.stringify(state, null, 2) + '\n', 'utf-8');
+        await fs.rename(temporary, this.path);
+    }
+}
+
+/**
+ * Hash of the output options, the conversion rules and the plugins
+ */
+function getFingerprint(options, config) {
+    const values = OUTPUT_OPTIONS.map(name => [name, options[name] === undefined ? null : options[name]]);
+    values.push(['config', config ? safeStringify(config.raw) : null]);
+    values.push(['plugins', (options.plugins || []).map(plugin => plugin.name)]);
+    return crypto.createHash('sha256').update(JSON.stringify(values)).digest('hex').slice(0, 16);
+}
+
+/**
+ * JSON of the conversion rules; functions and regular expressions (in a
+ * .js configuration file) by their source
+ */
+function safeStringify(value) {
+    return JSON.stringify(value === undefined ? null : value, (key, item) => {
+        if (typeof item === 'function' || item instanceof RegExp) return String(item);
+        return item;
+    });
+}
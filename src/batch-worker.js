@@ -0,0 +1,39 @@
+import { parentPort, workerData } from 'worker_threads';
+import { format } from 'util';
+import chalk from 'chalk';
+import { StyleConverter } from './converter.js';
+import { ConversionConfig } from './conversion-config.js';
+import { loadConfig } from './config-loader.js';
+import { loadPlugins } from './plugin-loader.js';
+
+/**
+ * Worker of a parallel batch (see WorkerPool): converts the styles it is
+ * sent, one at a time, and answers with the results
+ *
+ * The conversion rules and plugins are loaded again here, as the CLI
+ * did, since plugins can't be sent to a worker. What a conversion prints
+ * is collected and sent along, so the batch shows it in one piece.
+ */
+const { options, configPath, pluginSpecifiers, colorLevel } = workerData;
+chalk.level = colorLevel;
+
+let log = [];
+const collect = (...args) => log.push(format(...args));
+console.log = collect;
+console.info = collect;
+console.warn = collect;
+console.error = collect;
+
+const config = configPath === false ? new ConversionConfig() : await loadConfig(configPath || null);
+const plugins = await loadPlugins(pluginSpecifiers || []);
+const converter = new StyleConverter({ ...options, config, plugins });
+
+parentPort.on('message', async ({ style, inputPath, outputDir }) => {
+    log = [];
+    try {
+        const result = await converter.convert(inputPath, { outputDir });
+        parentPort.postMessage({ style, success: true, result, log: log.join('\n') });
+    } catch (error) {
+        parentPort.postMessage({ style, success: false, error: error.message, log: log.join('\n') });
+    }
+});
@@ -0,0 +1,38 @@
+/**
+ * Lines shown before and after the one with the error
+ */
+const CONTEXT_LINES = 2;
+
+/**
+ * The lines of `code` around a position, with a caret under the column:
+ *
+ *     12 |     foo(
+ *   > 13 |     bar baz
+ *        |         ^
+ *     14 | }
+ *
+ * @param {string} code
+ * @param {number} line - 1-based
+ * @param {number} column - 1-based
+ * @returns {string}
+ */
+export function codeFrame(code, line, column) {
+    const lines = code.split(/\r\n|\r|\n/);
+    const first = Math.max(1, line - CONTEXT_LINES);
+    const last = Math.min(lines.length, line + CONTEXT_LINES);
+    const gutter = String(last).length;
+
+    const frame = [];
+    for (let number = first; number <= last; number++) {
+        const text = lines[number - 1].replace(/\t/g, '    ');
+        const marker = number === line ? '>' : ' ';
+        frame.push(`${marker} ${String(number).padStart(gutter)} | ${text}`.trimEnd());
+
+        if (number === line) {
+            // Tabs before the column are widened like the line itself
+            const before = lines[number - 1].slice(0, Math.max(0, column - 1)).replace(/\t/g, '    ');
+            frame.push(`  ${' '.repeat(gutter)} | ${' '.repeat(before.length)}^`);
+        }
+    }
+    return frame.join('\n');
+}
@@ -0,0 +1,61 @@
+import fs from 'fs-extra';
+import path from 'path';
+import { pathToFileURL } from 'url';
+import { ConversionConfig, CONFIG_FILE_NAMES } from './conversion-config.js';
+
+/**
+ * Find the configuration file in a directory, if there is one
+ */
+export async function findConfigFile(directory) {
+    for (const name of CONFIG_FILE_NAMES) {
+        const candidate = path.join(directory, name);
+        if (await fs.pathExists(candidate)) {
+            return candidate;
+        }
+    }
+    return null;
+}
+
+/**
+ * Load and validate a configuration file (.json, or .js exporting the
+ * configuration as its default export)
+ *
+ * @param {string} configPath - explicit path; when omitted the working
+ *   directory is searched for CONFIG_FILE_NAMES
+ * @returns {Promise<ConversionConfig>} the built-in rules when no file is found
+ */
+export async function loadConfig(configPath = null, directory = process.cwd()) {
+    const file = configPath ? path.resolve(configPath) : await findConfigFile(directory);
+    if (!file) {
+        return new ConversionConfig();
+    }
+
+    if (!await fs.pathExists(file)) {
+        throw new Error(`Configuration file not found: ${file}`);
+    }
+
+    const name = path.basename(file);
+    let config;
+
+    if (/\.(c|m)?js$/i.test(file)) {
+        const module = await import(pathToFileURL(file).href);
+        if (module.default === undefined || module.default === null) {
+            throw new Error(`Configuration file has no default export: ${file}`);
+        }
+        config = module.default;
+        if (typeof config === 'function') {
+            config = await config();
+            if (config === undefined || config === null) {
+                throw new Error(`The default export of ${file} returned no configuration`);
+            }
+        }
+    } else {
+        try {
+            config = JSON.parse(await fs.readFile(file, 'utf-8'));
+        } catch (e) {
+            throw new Error(`Could not parse ${name}: ${e.message}`);
+        }
+    }
+
+    return new ConversionConfig(config, name);
+}
@@ -1,14 +1,14 @@
-import fs from 'fs-extra';
-import path from 'path';
-import xml2js from 'xml2js';
+import { ConversionConfig } from './conversion-config.js';
+import { parseThemeXML } from './theme-xml.js';
 
 /**
  * Updates config.xml from v2.9 to v3.0 format
  */
 export class ConfigUpdater {
-    constructor(inputPath, styleName) {
-        this.inputPath = inputPath;
+    constructor(files, styleName, options = {}) {
+        this.files = files;
         this.styleName = styleName;
+        this.config = options.config || new ConversionConfig();
         this.changes = [];
     }
 
@@ -16,16 +16,18 @@ export class ConfigUpdater {
      * Main update method
      */
     async update() {
-        const configPath = path.join(this.inputPath, 'config.xml');
-
-        if (!await fs.pathExists(configPath)) {
-            throw new Error(`config.xml not found in ${this.inputPath}`);
+        if (!this.files.isFile('config.xml')) {
+            throw new Error(`config.xml not found in ${this.styleName}`);
         }
 
         // Read and parse old config.xml
-        const oldContent = await fs.readFile(configPath, 'utf-8');
-        const parser = new xml2js.Parser();
-        const oldConfig = await parser.parseStringPromise(oldContent);
+        const oldContent = this.files.readFile('config.xml', 'utf-8');
+        let oldConfig;
+        try {
+            oldConfig = parseThemeXML(oldContent);
+        } catch (e) {
+            throw new Error(`config.xml is not valid XML: ${e.message}`);
+        }
 
         // Extract metadata from old config
         const metadata = this.extractMetadata(oldConfig);
@@ -44,7 +46,7 @@ export class ConfigUpdater {
      * Extract metadata from old config
      */
     extractMetadata(config) {
-        const theme = config.theme || {};
+        const theme = config.root === 'theme' ? config.fields : {};
         const metadata = {};
 
         // Extract all fields
@@ -53,8 +55,8 @@ export class ConfigUpdater {
                        'downloadable'];
 
         for (const field of fields) {
-            if (theme[field] && theme[field][0]) {
-                metadata[field] = theme[field][0];
+            if (theme[field]) {
+                metadata[field] = theme[field];
             }
         }
 
@@ -97,19 +99,27 @@ export class ConfigUpdater {
 
         // Add downloadable if not present
         if (!metadata.downloadable) {
-            metadata.downloadable = '1';
+            metadata.downloadable = this.config.metadataDefaults.downloadable;
             this.changes.push({
                 type: 'field-added',
                 field: 'downloadable',
-                value: '1',
+                value: metadata.downloadable,
                 description: 'Added downloadable field'
             });
         }
 
+        // Values forced by the configuration file
+        for (const [field, value] of Object.entries(this.config.metadataOverrides)) {
+            if (metadata[field] === value) continue;
+            this.changes.push(metadata[field] === undefined
+                ? { type: 'field-added', field, value, description: `Set by ${this.config.source}` }
+                : { type: 'field-updated', field, oldValue: metadata[field], newValue: value, description: `Set by ${this.config.source}` });
+            metadata[field] = value;
+        }
+
         // Check for deprecated fields
-        const deprecatedFields = ['extra-head', 'extra-body', 'edition-extra-head'];
-        for (const field of deprecatedFields) {
-            if (theme[field]) {
+        for (const field of this.config.deprecatedFields) {
+            if (theme[field] !== undefined) {
                 this.changes.push({
                     type: 'field-removed',
                     field: field,
@@ -125,17 +135,18 @@ export class ConfigUpdater {
      * Generate new config.xml in v3.0 format
      */
     generateNewConfig(metadata) {
+        const defaults = this.config.metadataDefaults;
         const fields = [
-            { key: 'name', value: metadata.name || this.styleName },
-            { key: 'title', value: metadata.title || metadata.name || this.styleName },
+            { key: 'name', value: metadata.name || defaults.name || this.styleName },
+            { key: 'title', value: metadata.title || metadata.name || defaults.title || this.styleName },
             { key: 'version', value: metadata.version || '2025' },
             { key: 'compatibility', value: '3.0' },
-            { key: 'author', value: metadata.author || 'Unknown' },
-            { key: 'author-url', value: metadata['author-url'] || '', optional: true },
-            { key: 'license', value: metadata.license || 'Creative Commons by-sa' },
-            { key: 'license-url', value: metadata['license-url'] || 'http://creativecommons.org/licenses/by-sa/3.0/' },
-            { key: 'description', value: metadata.description || 'Converted from v2.9 to v3.0' },
-            { key: 'downloadable', value: metadata.downloadable || '1' }
+            { key: 'author', value: metadata.author || defaults.author },
+            { key: 'author-url', value: metadata['author-url'] || defaults['author-url'], optional: true },
+            { key: 'license', value: metadata.license || defaults.license },
+            { key: 'license-url', value: metadata['license-url'] || defaults['license-url'] },
+            { key: 'description', value: metadata.description || defaults.description },
+            { key: 'downloadable', value: metadata.downloadable || defaults.downloadable }
         ];
 
         let xml = '<?xml version="1.0" encoding="UTF-8"?>\n';
@@ -0,0 +1,300 @@
+import selectorParser from 'postcss-selector-parser';
+import { SELECTOR_MAP } from './selector-map.js';
+import { TEMPLATE_NAMES } from './template-scorer.js';
+
+/**
+ * File names looked up in the working directory, in order
+ */
+export const CONFIG_FILE_NAMES = ['exe-converter.config.json', 'exe-converter.config.js'];
+
+/**
+ * Files kept in the root of the converted style
+ */
+const ROOT_FILES = ['config.xml', 'style.css', 'style.js', 'screenshot.png', 'readme.md'];
+
+/**
+ * config.xml fields that are no longer used in v3.0
+ */
+const DEPRECATED_FIELDS = ['extra-head', 'extra-body', 'edition-extra-head'];
+
+/**
+ * Values used for config.xml fields the old style leaves out
+ */
+const METADATA_DEFAULTS = {
+    author: 'Unknown',
+    'author-url': '',
+    license: 'Creative Commons by-sa',
+    'license-url': 'http://creativecommons.org/licenses/by-sa/3.0/',
+    description: 'Converted from v2.9 to v3.0',
+    downloadable: '1'
+};
+
+const METADATA_FIELDS = ['name', 'title', 'author', 'author-url', 'license', 'license-url', 'description', 'downloadable'];
+
+const metadataSchema = {
+    type: 'object',
+    properties: Object.fromEntries(METADATA_FIELDS.map(field => [field, { type: 'string' }]))
+};
+
+/**
+ * Shape of exe-converter.config.json (a small subset of JSON Schema)
+ */
+export const CONFIG_SCHEMA = {
+    type: 'object',
+    properties: {
+        $schema: { type: 'string' },
+        selectors: {
+            type: 'object',
+            properties: {
+                extend: { type: 'boolean' },
+                map: {
+                    type: 'array',
+                    items: {
+                        type: 'object',
+                        required: ['old', 'new'],
+                        properties: {
+                            old: { type: 'string', pattern: '^[.#][A-Za-z_-][\\w-]*$', patternHint: 'a single class or ID such as ".myBox" or "#myHeader"' },
+                            new: { type: 'string', selector: true },
+                            category: { type: 'string' },
+                            description: { type: 'string' }
+                        }
+                    }
+                },
+                remove: {
+                    type: 'array',
+                    items: { type: 'string', pattern: '^[.#][A-Za-z_-][\\w-]*$', patternHint: 'a single class or ID such as ".myBox" or "#myHeader"' }
+                }
+            }
+        },
+        assets: {
+            type: 'object',
+            properties: {
+                rootFiles: { type: 'array', items: { type: 'string', minLength: 1 } },
+                rules: {
+                    type: 'array',
+                    items: {
+                        type: 'object',
+                        required: ['match', 'directory'],
+                        properties: {
+                            match: { type: 'string', minLength: 1 },
+                            directory: { type: 'string', pattern: '^[\\w-]+(/[\\w-]+)*$', patternHint: 'a relative directory such as "img" or "img/backgrounds"' }
+                        }
+                    }
+                }
+            }
+        },
+        template: {
+            oneOf: [
+                { type: 'string', enum: ['auto', ...TEMPLATE_NAMES] },
+                {
+                    type: 'object',
+                    properties: {
+                        default: { type: 'string', enum: ['auto', ...TEMPLATE_NAMES] },
+                        styles: { type: 'object', additionalProperties: { type: 'string', enum: ['auto', ...TEMPLATE_NAMES] } }
+                    }
+                }
+            ]
+        },
+        metadata: {
+            type: 'object',
+            properties: {
+                defaults: metadataSchema,
+                overrides: metadataSchema,
+                deprecatedFields: { type: 'array', items: { type: 'string', minLength: 1 } }
+            }
+        },
+        detection: {
+            type: 'object',
+            properties: {
+                features: {
+                    type: 'array',
+                    items: {
+                        type: 'object',
+                        required: ['name', 'match'],
+                        properties: {
+                            name: { type: 'string', minLength: 1 },
+                            match: { type: 'string', minLength: 1 },
+                            complexity: { type: 'string', enum: ['simple', 'moderate', 'complex'] }
+                        }
+                    }
+                }
+            }
+        }
+    }
+};
+
+/**
+ * Check a value against a CONFIG_SCHEMA node, collecting "path: problem"
+ * messages
+ */
+function check(value, schema, at, errors) {
+    const name = at || 'config';
+
+    if (schema.oneOf) {
+        const attempts = schema.oneOf.map(option => {
+            const found = [];
+            check(value, option, at, found);
+            return found;
+        });
+        const match = attempts.find(found => found.length === 0);
+        if (match) return;
+        // Report against the alternative of the same type, if any
+        const sameType = schema.oneOf.findIndex(option => typeOf(value) === option.type);
+        errors.push(...(sameType >= 0 ? attempts[sameType] : [`${name}: expected ${schema.oneOf.map(o => describeType(o.type)).join(' or ')}`]));
+        return;
+    }
+
+    if (typeOf(value) !== schema.type) {
+        errors.push(`${name}: expected ${describeType(schema.type)}, got ${describeType(typeOf(value))}`);
+        return;
+    }
+
+    if (schema.type === 'string') {
+        if (schema.minLength && value.length < schema.minLength) {
+            errors.push(`${name}: must not be empty`);
+        } else if (schema.enum && !schema.enum.includes(value)) {
+            errors.push(`${name}: "${value}" is not one of ${schema.enum.join(', ')}`);
+        } else if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+            errors.push(`${name}: "${value}" must be ${schema.patternHint}`);
+        } else if (schema.selector) {
+            try {
+                selectorParser().astSync(value);
+            } catch (e) {
+                errors.push(`${name}: "${value}" is not a valid selector (${e.message})`);
+            }
+        }
+        return;
+    }
+
+    if (schema.type === 'array') {
+        value.forEach((item, index) => check(item, schema.items, `${name}[${index}]`, errors));
+        return;
+    }
+
+    if (schema.type === 'object') {
+        for (const key of schema.required || []) {
+            if (value[key] === undefined) {
+                errors.push(`${name}: missing required property "${key}"`);
+            }
+        }
+        for (const [key, item] of Object.entries(value)) {
+            const path = at ? `${at}.${key}` : key;
+            const itemSchema = (schema.properties && schema.properties[key]) || schema.additionalProperties;
+            if (!itemSchema) {
+                errors.push(`${path}: unknown property (expected one of: ${Object.keys(schema.properties).join(', ')})`);
+            } else {
+                check(item, itemSchema, path, errors);
+            }
+        }
+    }
+}
+
+function typeOf(value) {
+    if (Array.isArray(value)) return 'array';
+    if (value === null) return 'null';
+    return typeof value;
+}
+
+function describeType(type) {
+    return { object: 'an object', array: 'an array', string: 'a string', boolean: 'true or false', number: 'a number' }[type] || type;
+}
+
+/**
+ * Turn a file name glob (`*` and `?`) into a case-insensitive RegExp
+ */
+function globToRegExp(glob) {
+    const source = glob.replace(/[.+^${}()|[\]\\]/g, '\\$&').replace(/\*/g, '.*').replace(/\?/g, '.');
+    return new RegExp(`^${source}$`, 'i');
+}
+
+/**
+ * Custom conversion rules from exe-converter.config.json
+ *
+ * Validates a parsed configuration against CONFIG_SCHEMA and merges it
+ * with the built-in rules, so the CLI and the web app read the selector
+ * map, asset routing, template choice, config.xml defaults and detection
+ * strings from one place. Without a configuration the built-in rules are
+ * used unchanged.
+ */
+export class ConversionConfig {
+    /**
+     * @param {Object} config - parsed configuration file contents
+     * @param {string} source - where it came from, for messages and reports
+     */
+    constructor(config = {}, source = null) {
+        const errors = ConversionConfig.validate(config);
+        if (errors.length > 0) {
+            throw new Error(`Invalid ${source || 'configuration'}:\n${errors.map(e => `  - ${e}`).join('\n')}`);
+        }
+
+        this.source = source;
+        this.raw = config;
+
+        const selectors = config.selectors || {};
+        const assets = config.assets || {};
+        const metadata = config.metadata || {};
+        const template = typeof config.template === 'string' ? { default: config.template } : (config.template || {});
+
+        this.selectorMap = this.buildSelectorMap(selectors);
+        this.rootFiles = [...ROOT_FILES, ...(assets.rootFiles || []).map(f => f.toLowerCase())];
+        this.assetRules = (assets.rules || []).map(rule => ({ ...rule, pattern: globToRegExp(rule.match) }));
+        this.template = { default: template.default || 'auto', styles: template.styles || {} };
+        this.metadataDefaults = { ...METADATA_DEFAULTS, ...(metadata.defaults || {}) };
+        this.metadataOverrides = metadata.overrides || {};
+        this.deprecatedFields = [...new Set([...DEPRECATED_FIELDS, ...(metadata.deprecatedFields || [])])];
+        this.features = ((config.detection || {}).features || []).map(feature => ({ complexity: 'moderate', ...feature }));
+    }
+
+    /**
+     * Check a parsed configuration and return the list of problems
+     */
+    static validate(config) {
+        const errors = [];
+        check(config, CONFIG_SCHEMA, '', errors);
+        return errors;
+    }
+
+    /**
+     * Combine the built-in selector map with the configured entries; an
+     * entry for an old selector that is already mapped replaces it
+     */
+    buildSelectorMap(selectors) {
+        const map = new Map();
+        if (selectors.extend !== false) {
+            for (const entry of SELECTOR_MAP) {
+                map.set(entry.old, entry);
+            }
+        }
+        for (const old of selectors.remove || []) {
+            map.delete(old);
+        }
+        this.customSelectors = (selectors.map || []).map(entry => ({
+            old: entry.old,
+            new: entry.new,
+            type: entry.old.startsWith('#') ? 'id' : 'class',
+            category: entry.category || 'custom',
+            description: entry.description || `Mapped by ${this.source || 'configuration'}`
+        }));
+        for (const entry of this.customSelectors) {
+            map.set(entry.old, entry);
+        }
+        return [...map.values()];
+    }
+
+    /**
+     * Template requested for a style, or null to pick the best match
+     */
+    getTemplate(styleName) {
+        const template = this.template.styles[styleName] || this.template.default;
+        return template === 'auto' ? null : template;
+    }
+
+    /**
+     * Directory an asset is routed to by a configured rule, or undefined
+     * when no rule matches and the built-in heuristics apply
+     */
+    getAssetDirectory(filename) {
+        const rule = this.assetRules.find(r => r.pattern.test(filename));
+        return rule ? rule.directory : undefined;
+    }
+}
@@ -0,0 +1,238 @@
+import { StyleAnalyzer } from './analyzer.js';
+import { JavaScriptTransformer } from './js-transformer.js';
+import { CSSMerger } from './css-merger.js';
+import { DesignTokenizer } from './design-tokens.js';
+import { ConversionConfig } from './conversion-config.js';
+import { PluginManager } from './plugin-manager.js';
+import { ConfigUpdater } from './config-updater.js';
+import { AssetMigrator } from './asset-migrator.js';
+import { AssetRouter } from './asset-router.js';
+import { IconMapper } from './icon-mapper.js';
+import { ScreenshotGenerator } from './screenshot-generator.js';
+import { StyleValidator } from './validator.js';
+import { VirtualFS } from './virtual-fs.js';
+
+/**
+ * The conversion pipeline shared by the CLI and the web app
+ *
+ * Works on VirtualFS trees only: the old style goes in, the converted
+ * style comes out, and the caller decides where the files come from
+ * (a directory, a ZIP, a browser upload) and where they go.
+ *
+ * Options: `template`, `cssMode`, `designTokens`, `pruneAssets`,
+ * `fillIcons`, `screenshot`, `config`, `plugins` and `onProgress(stage, message)`, where
+ * stage is 'start', 'done', 'error' or 'info'. `templateIcons` gives the
+ * icon file names of each template when `templates` has no icons/.
+ */
+export class ConversionCore {
+    constructor(templates, options = {}) {
+        this.templates = templates;
+        this.options = {
+            cssMode: options.cssMode || 'merge',
+            designTokens: options.designTokens !== false,
+            ...options
+        };
+        this.config = options.config || new ConversionConfig();
+    }
+
+    /**
+     * Convert one style
+     *
+     * @param {VirtualFS} files - the old style
+     * @param {Object} details - { styleName, inputPath, outputPath, dryRun },
+     *   passed on to plugins and to the results
+     * @returns {Promise<Object>} { output, results, plugins, context }
+     */
+    async convert(files, details) {
+        const { styleName, inputPath = styleName, outputPath = styleName, dryRun = false } = details;
+
+        this.progress('start', `Analyzing style: ${styleName}...`);
+
+        // Step 1: Analyze the old style
+        const analyzer = new StyleAnalyzer(files, {
+            styleName,
+            templates: this.templates,
+            template: this.options.template,
+            config: this.config
+        });
+        const analysis = await analyzer.analyze();
+
+        this.progress('done', '✓ Analysis complete');
+        this.progress('info', `  Complexity: ${analysis.complexity}`);
+        this.progress('info', `  Template: ${analysis.template} (${analysis.templateSelection})`);
+
+        // Plugins see the same context at every step
+        const plugins = new PluginManager(this.options.plugins || []);
+        const context = {
+            styleName,
+            inputPath,
+            outputPath,
+            analysis,
+            config: this.config,
+            options: this.options,
+            dryRun
+        };
+        await plugins.run('afterAnalyze', context);
+
+        // Step 2: Prepare the output tree
+        const output = new VirtualFS();
+        output.mkdir('icons');
+        output.mkdir('img');
+        output.mkdir('fonts');
+
+        this.progress('start', 'Transforming JavaScript...');
+
+        // Step 3: Transform JavaScript
+        const jsTransformer = new JavaScriptTransformer(analysis, { templates: this.templates });
+        const jsResult = await jsTransformer.transform();
+        jsResult.content = await plugins.run('transformJS', { ...context, jsResult }, jsResult.content);
+        output.writeFile('style.js', jsResult.content);
+
+        this.progress('done', '✓ JavaScript transformed');
+        this.progress('start', 'Merging CSS files...');
+
+        // Step 4: Merge and update CSS; url() references are rewritten with
+        // the router the assets are moved with in step 6
+        const assetRouter = new AssetRouter(files, analysis.cssFiles, { config: this.config });
+        const cssMerger = new CSSMerger(files, analysis, {
+            mode: this.options.cssMode,
+            designTokens: this.options.designTokens,
+            config: this.config,
+            templates: this.templates,
+            router: assetRouter
+        });
+        const cssResult = await cssMerger.merge();
+        cssResult.content = await plugins.run('transformCSS', { ...context, cssResult }, cssResult.content);
+        output.writeFile('style.css', cssResult.content);
+
+        if (cssResult.designTokens.length > 0) {
+            const tokensJSON = DesignTokenizer.toJSON(cssResult.designTokens, {
+                style: styleName,
+                template: analysis.template,
+                cssMode: this.options.cssMode
+            });
+            output.writeFile('design-tokens.json', JSON.stringify(tokensJSON, null, 2) + '\n');
+        }
+
+        this.progress('done', `✓ CSS ${this.options.cssMode === 'template' ? 'built on template' : 'merged'} (${cssResult.changes.length} changes)`);
+        this.progress('start', 'Updating config.xml...');
+
+        // Step 5: Update config.xml
+        const configUpdater = new ConfigUpdater(files, styleName, { config: this.config });
+        const configResult = await configUpdater.update();
+        configResult.content = await plugins.run('transformConfig', { ...context, configResult }, configResult.content);
+        output.writeFile('config.xml', configResult.content);
+
+        this.progress('done', '✓ config.xml updated');
+        this.progress('start', 'Migrating assets...');
+
+        // Step 6: Migrate assets
+        const assetMigrator = new AssetMigrator(files, output, { config: this.config, router: assetRouter });
+        await assetMigrator.migrate();
+
+        // The template's stylesheet refers to its own fonts and images
+        if (this.options.cssMode === 'template') {
+            await assetMigrator.copyTemplateAssets(this.templates, analysis.template);
+        }
+
+        // Give the iDevice icons the names of the template's icon set
+        const iconMapper = new IconMapper(output, {
+            templates: this.templates,
+            template: analysis.template,
+            names: (this.options.templateIcons || {})[analysis.template],
+            fill: this.options.fillIcons
+        });
+        const iconResult = await iconMapper.map();
+
+        // Drop the assets style.css and style.js never use
+        if (this.options.pruneAssets) {
+            assetMigrator.pruneOrphans(iconResult.icons);
+        }
+        const assetResult = {
+            migrations: assetMigrator.migrations,
+            pruned: assetMigrator.pruned,
+            summary: assetMigrator.getSummary()
+        };
+
+        const pruned = assetResult.pruned.length > 0 ? `, ${assetResult.pruned.length} unused removed` : '';
+        this.progress('done', `✓ Assets migrated (${assetResult.summary.total} files${pruned})`);
+        const icons = iconResult.summary;
+        const filled = icons.filled > 0 ? `, ${icons.filled} filled from the template` : '';
+        this.progress('info', `  Icons: ${icons.mapped} mapped to the ${analysis.template} set, ${icons.unmatched} without counterpart, ${icons.uncovered} template icons not covered${filled}`);
+
+        // Old styles rarely come with a screenshot for the style picker
+        const screenshot = this.addScreenshot(files, output, cssResult.styleTokens, styleName, dryRun);
+
+        this.progress('start', 'Validating conversion...');
+
+        // Step 7: Validate the conversion
+        await plugins.run('beforeValidate', { ...context, output, jsResult, cssResult, configResult, assetResult });
+
+        const validator = new StyleValidator(output, { templates: this.templates, icons: iconResult.icons, config: this.config });
+        const validation = await validator.validate();
+
+        this.progress(validation.isValid ? 'done' : 'error', `${validation.isValid ? '✓ Valid' : '✗ Invalid'} (${validation.errors.length} errors, ${validation.warnings.length} warnings)`);
+
+        // Step 8: Collect the results for the reports
+        const results = {
+            styleName,
+            inputPath,
+            outputPath,
+            analysis,
+            jsTransform: jsResult,
+            cssChanges: {
+                mode: this.options.cssMode,
+                changes: cssResult.changes,
+                tokens: cssResult.tokens || null,
+                designTokens: cssResult.designTokens,
+                styleTokens: cssResult.styleTokens,
+                summary: cssMerger.getSummary()
+            },
+            configChanges: {
+                changes: configResult.changes,
+                summary: configUpdater.getSummary()
+            },
+            assetMigration: assetResult,
+            iconMapping: iconResult,
+            validation,
+            configFile: this.config.source,
+            plugins: {
+                names: plugins.getNames(),
+                changes: plugins.changes
+            },
+            dryRun
+        };
+        if (screenshot) {
+            results.screenshot = screenshot;
+        }
+
+        return { output, results, plugins, context };
+    }
+
+    /**
+     * Keep the old style's screenshot.png, or sketch one in its colours
+     * (see ScreenshotGenerator); the CLI renders a real one over the sketch
+     * when it has a browser. Dry runs and `screenshot: false` make none.
+     *
+     * @returns {Object|null} { method, reason } for the results
+     */
+    addScreenshot(files, output, styleTokens, styleName, dryRun) {
+        if (output.isFile('screenshot.png')) return null;
+
+        if (files.isFile('screenshot.png')) {
+            output.copyFile('screenshot.png', 'screenshot.png', files);
+            return { method: 'kept', reason: null };
+        }
+        if (dryRun || this.options.screenshot === false) return null;
+
+        output.writeFile('screenshot.png', new ScreenshotGenerator(styleName).compose(styleTokens || {}, output));
+        this.progress('done', "✓ screenshot.png sketched in the style's colours");
+        return { method: 'composed', reason: null };
+    }
+
+    progress(stage, message) {
+        if (this.options.onProgress) {
+            this.options.onProgress(stage, message);
+        }
+    }
+}
@@ -1,15 +1,28 @@
 import fs from 'fs-extra';
 import path from 'path';
-import { StyleAnalyzer } from './analyzer.js';
-import { JavaScriptTransformer } from './js-transformer.js';
-import { CSSMerger } from './css-merger.js';
-import { ConfigUpdater } from './config-updater.js';
-import { AssetMigrator } from './asset-migrator.js';
-import { StyleValidator } from './validator.js';
+import { fileURLToPath } from 'url';
+import { ConversionCore } from './conversion-core.js';
+import { ConversionConfig } from './conversion-config.js';
 import { ConversionReporter } from './reporter.js';
+import { BatchReporter, summarizeResult } from './batch-reporter.js';
+import { BatchState } from './batch-state.js';
+import { StyleDiscovery } from './style-discovery.js';
+import { ProgressBar } from './progress-bar.js';
+import { WorkerPool } from './worker-pool.js';
 import { ZipCreator } from './zip-creator.js';
+import { readDirectory, writeDirectory } from './fs-adapter.js';
+import { readZip, writeZip, isZipFile } from './zip-adapter.js';
+import { PackageExtractor } from './package-extractor.js';
+import { PreviewBuilder } from './preview-builder.js';
+import { HeadlessBrowser } from './headless-browser.js';
+import { VisualChecker } from './visual-checker.js';
+import { ScreenshotGenerator } from './screenshot-generator.js';
+import { VirtualFS } from './virtual-fs.js';
 import chalk from 'chalk';
 
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
 /**
  * Main converter orchestrator
  */
@@ -20,14 +33,28 @@ export class StyleConverter {
             outputDir: options.outputDir || 'results',
             verbose: options.verbose || false,
             createZip: options.createZip || false,
+            reportFormats: options.reportFormats || ['md'],
+            concurrency: options.concurrency || 1,
+            cssMode: options.cssMode || 'merge',
+            designTokens: options.designTokens !== false,
             ...options
         };
+        this.config = options.config || new ConversionConfig();
     }
 
     /**
      * Main conversion method
+     *
+     * Reads the style (a directory or a ZIP archive) into memory, runs
+     * the shared conversion core and writes the converted files, report
+     * and ZIP to disk.
+     *
+     * @param {string} inputPath
+     * @param {Object} options - { outputDir }: where the style's directory
+     *   goes, instead of the converter's outputDir (batches mirror the
+     *   source tree)
      */
-    async convert(inputPath) {
+    async convert(inputPath, options = {}) {
         const reporter = new ConversionReporter();
 
         try {
@@ -36,253 +63,454 @@ export class StyleConverter {
                 throw new Error(`Input path does not exist: ${inputPath}`);
             }
 
-            const styleName = path.basename(inputPath);
-
-            if (this.options.verbose) {
-                console.log(chalk.blue(`\nAnalyzing style: ${styleName}...`));
-            }
+            const { styleName, files, source } = await this.readInput(inputPath);
+            const outputPath = path.join(options.outputDir || this.options.outputDir, styleName);
 
-            // Step 1: Analyze the old style
-            const analyzer = new StyleAnalyzer(inputPath);
-            const analysis = await analyzer.analyze();
+            // Steps 1-7: Analyze, transform, migrate and validate in memory
+            const core = new ConversionCore(await this.loadTemplates(), {
+                ...this.options,
+                config: this.config,
+                onProgress: (stage, message) => this.logProgress(stage, message)
+            });
+            const { output, results, plugins, context } = await core.convert(files, {
+                styleName,
+                inputPath,
+                outputPath,
+                dryRun: this.options.dryRun
+            });
 
-            if (this.options.verbose) {
-                console.log(chalk.green(`✓ Analysis complete`));
-                console.log(`  Complexity: ${analysis.complexity}`);
-                console.log(`  Template: ${analysis.template}`);
+            if (source) {
+                const { type, label, styleFolder } = source.extracted;
+                results.package = { type, label, styleFolder, repackagedPath: null };
             }
 
-            // Step 2: Prepare output directory
-            const outputPath = path.join(this.options.outputDir, styleName);
+            // The core sketches a missing screenshot; render the page instead
+            const needsScreenshot = Boolean(results.screenshot) && results.screenshot.method === 'composed';
 
-            if (!this.options.dryRun) {
-                await fs.ensureDir(outputPath);
-                // Create subdirectories
-                await fs.ensureDir(path.join(outputPath, 'icons'));
-                await fs.ensureDir(path.join(outputPath, 'img'));
-                await fs.ensureDir(path.join(outputPath, 'fonts'));
-            }
+            // Steps that render pages share one browser
+            if (needsScreenshot || this.options.visualCheck) {
+                const { browser, reason } = await this.openBrowser();
+                try {
+                    if (needsScreenshot) {
+                        results.screenshot = await this.renderScreenshot(browser, reason, files, results, output, styleName);
+                    }
 
-            if (this.options.verbose) {
-                console.log(chalk.blue(`\nTransforming JavaScript...`));
+                    // Render both versions and compare them
+                    if (this.options.visualCheck) {
+                        const { visual, screenshots } = await this.checkVisuals(browser, reason, files, results.analysis, output, styleName);
+                        results.visual = visual;
+                        for (const file of screenshots.list()) {
+                            output.writeFile(`visual/${file}`, screenshots.files.get(file));
+                        }
+                    }
+                } finally {
+                    if (browser) await browser.close();
+                }
             }
 
-            // Step 3: Transform JavaScript
-            const jsTransformer = new JavaScriptTransformer(analysis);
-            const jsResult = await jsTransformer.transform();
+            // Step 8: Generate reports
+            reporter.generateConsoleReport(results);
 
             if (!this.options.dryRun) {
-                await fs.writeFile(
-                    path.join(outputPath, 'style.js'),
-                    jsResult.content,
-                    'utf-8'
-                );
-            }
+                await writeDirectory(output, outputPath);
 
-            if (this.options.verbose) {
-                console.log(chalk.green(`✓ JavaScript transformed`));
-            }
+                // Create ZIP file if requested
+                if (this.options.createZip) {
+                    if (this.options.verbose) {
+                        console.log(chalk.blue(`\nCreating ZIP file...`));
+                    }
 
-            if (this.options.verbose) {
-                console.log(chalk.blue(`\nMerging CSS files...`));
-            }
+                    const zipCreator = new ZipCreator(output, styleName);
+                    const zip = await zipCreator.createZip('nodebuffer');
+                    const zipPath = path.join(path.dirname(outputPath), zip.fileName);
+                    await fs.writeFile(zipPath, zip.content);
 
-            // Step 4: Merge and update CSS
-            const cssMerger = new CSSMerger(inputPath, analysis);
-            const cssResult = await cssMerger.merge();
+                    const zipResult = { zipPath, size: zip.size, filesCount: zip.filesCount };
+                    results.zipFile = zipResult;
 
-            if (!this.options.dryRun) {
-                await fs.writeFile(
-                    path.join(outputPath, 'style.css'),
-                    cssResult.content,
-                    'utf-8'
-                );
-            }
+                    if (this.options.verbose) {
+                        console.log(chalk.green(`✓ ZIP created: ${zipResult.zipPath}`));
+                        console.log(`  Size: ${(zipResult.size / 1024).toFixed(2)} KB`);
+                        console.log(`  Files: ${zipResult.filesCount}`);
+                    }
+                }
 
-            if (this.options.verbose) {
-                console.log(chalk.green(`✓ CSS merged (${cssResult.changes.length} changes)`));
+                // Swap the converted style into a copy of the package
+                if (this.options.repackage && source) {
+                    results.package.repackagedPath = await this.writePackage(source, output, inputPath, path.dirname(outputPath));
+                    if (this.options.verbose) {
+                        console.log(chalk.green(`✓ Package written: ${results.package.repackagedPath}`));
+                    }
+                }
+
+                // Reports, once the ZIP and the package are in the results
+                for (const format of this.options.reportFormats) {
+                    const reportPath = await reporter.generateReport(format, results, outputPath, { files, output });
+                    if (this.options.verbose) {
+                        console.log(chalk.blue(`Report saved: ${reportPath}`));
+                    }
+                }
+
+                await plugins.run('afterWrite', { ...context, results });
             }
 
+            return results;
+        } catch (error) {
+            console.error(chalk.red(`\n✗ Conversion failed: ${error.message}`));
             if (this.options.verbose) {
-                console.log(chalk.blue(`\nUpdating config.xml...`));
+                console.error(error.stack);
             }
+            throw error;
+        }
+    }
 
-            // Step 5: Update config.xml
-            const configUpdater = new ConfigUpdater(inputPath, styleName);
-            const configResult = await configUpdater.update();
+    /**
+     * Convert a style in memory and write before/after sample pages to
+     * `<outputDir>/<style>/preview` instead of the converted style
+     *
+     * @returns {Promise<string>} the path of the comparison page
+     */
+    async preview(inputPath) {
+        if (!await fs.pathExists(inputPath)) {
+            throw new Error(`Input path does not exist: ${inputPath}`);
+        }
 
-            if (!this.options.dryRun) {
-                await fs.writeFile(
-                    path.join(outputPath, 'config.xml'),
-                    configResult.content,
-                    'utf-8'
-                );
-            }
+        const { styleName, files } = await this.readInput(inputPath);
+        const outputPath = path.join(this.options.outputDir, styleName);
+
+        const core = new ConversionCore(await this.loadTemplates(), {
+            ...this.options,
+            config: this.config,
+            onProgress: (stage, message) => this.logProgress(stage, message)
+        });
+        const { output, results } = await core.convert(files, {
+            styleName,
+            inputPath,
+            outputPath,
+            dryRun: true
+        });
+
+        // Only what eXeLearning imports, as in the style's ZIP
+        const styleFiles = new ZipCreator(output, styleName).getArchiveFiles();
+        const preview = new PreviewBuilder(styleName).build(files, results.analysis, output, styleFiles);
+
+        const previewPath = path.join(outputPath, 'preview');
+        await fs.remove(previewPath);
+        await writeDirectory(preview, previewPath);
+
+        const indexPath = path.join(previewPath, 'index.html');
+        console.log(chalk.green(`\n✓ Preview written: ${indexPath}`));
+        return indexPath;
+    }
 
-            if (this.options.verbose) {
-                console.log(chalk.green(`✓ config.xml updated`));
+    /**
+     * Start a local Chromium
+     *
+     * @returns {Promise<Object>} { browser, reason } - reason says why
+     *   browser is null
+     */
+    async openBrowser() {
+        try {
+            const browser = await HeadlessBrowser.launch(this.options.chromium, { sandbox: this.options.sandbox });
+            if (browser && !browser.sandbox) {
+                console.log(chalk.yellow('⚠ Chromium runs without its sandbox; style CSS, fonts and images are not contained'));
             }
+            return {
+                browser,
+                reason: browser ? null : 'no Chromium found (use --chromium or set CHROME_PATH)'
+            };
+        } catch (error) {
+            return { browser: null, reason: error.message };
+        }
+    }
 
-            if (this.options.verbose) {
-                console.log(chalk.blue(`\nMigrating assets...`));
+    /**
+     * Replace the sketched screenshot.png with the v3.0 sample page
+     * rendered in the browser; without one, or when rendering fails, the
+     * sketch stays
+     *
+     * @returns {Promise<Object>} { method, reason } - method is 'rendered'
+     *   or 'composed'; reason says why it was not rendered
+     */
+    async renderScreenshot(browser, reason, files, results, output, styleName) {
+        if (browser) {
+            try {
+                const styleFiles = new ZipCreator(output, styleName).getArchiveFiles();
+                const image = await new ScreenshotGenerator(styleName).render(browser, files, results.analysis, output, styleFiles);
+                output.writeFile('screenshot.png', image);
+                this.logProgress('done', '✓ screenshot.png rendered');
+                return { method: 'rendered', reason: null };
+            } catch (error) {
+                reason = error.message;
             }
+        }
 
-            // Step 6: Migrate assets
-            let assetResult = { migrations: [], summary: { total: 0, byType: {} } };
-            if (!this.options.dryRun) {
-                const assetMigrator = new AssetMigrator(inputPath, outputPath);
-                assetResult = await assetMigrator.migrate();
-            } else {
-                // In dry run, just analyze
-                const assetMigrator = new AssetMigrator(inputPath, outputPath);
-                const files = await fs.readdir(inputPath);
-                for (const file of files) {
-                    const dest = assetMigrator.getDestination(file);
-                    if (dest) {
-                        assetResult.migrations.push({
-                            filename: file,
-                            to: `${dest}/${file}`,
-                            type: dest
-                        });
-                    }
-                }
-                // Calculate summary
-                for (const migration of assetResult.migrations) {
-                    if (!assetResult.summary.byType[migration.type]) {
-                        assetResult.summary.byType[migration.type] = 0;
-                    }
-                    assetResult.summary.byType[migration.type]++;
-                }
-                assetResult.summary.total = assetResult.migrations.length;
-            }
+        this.logProgress('info', `  screenshot.png stays a sketch (${reason})`);
+        return { method: 'composed', reason };
+    }
 
-            if (this.options.verbose) {
-                console.log(chalk.green(`✓ Assets migrated (${assetResult.summary.total} files)`));
-            }
+    /**
+     * Score how closely the converted style looks like the old one (see
+     * VisualChecker)
+     *
+     * @returns {Promise<Object>} { visual, screenshots } - visual is
+     *   { skipped, reason } when no browser could be started
+     */
+    async checkVisuals(browser, reason, files, analysis, output, styleName) {
+        if (!browser) {
+            return {
+                visual: { skipped: true, reason },
+                screenshots: new VirtualFS()
+            };
+        }
 
-            // Step 7: Validate the conversion
-            let validation = {
-                isValid: true,
-                errors: [],
-                warnings: [],
-                info: []
+        try {
+            this.logProgress('start', 'Rendering sample pages for the visual check...');
+            const styleFiles = new ZipCreator(output, styleName).getArchiveFiles();
+            const preview = new PreviewBuilder(styleName).build(files, analysis, output, styleFiles);
+            const { screenshots, ...visual } = await new VisualChecker(browser).check(preview);
+            this.logProgress('done', `✓ Visual fidelity: ${visual.fidelity}%`);
+            return { visual, screenshots };
+        } catch (error) {
+            return {
+                visual: { skipped: true, reason: error.message },
+                screenshots: new VirtualFS()
             };
+        }
+    }
 
-            if (!this.options.dryRun) {
-                if (this.options.verbose) {
-                    console.log(chalk.blue(`\nValidating conversion...`));
-                }
+    /**
+     * Read a style directory, a style ZIP or a package holding a style
+     * into a VirtualFS
+     *
+     * @returns {Promise<Object>} { styleName, files, source } - source is
+     *   set for packages: { extractor, extracted, folder }
+     */
+    async readInput(inputPath) {
+        const stats = await fs.stat(inputPath);
 
-                const validator = new StyleValidator(outputPath);
-                validation = await validator.validate();
+        if (stats.isDirectory()) {
+            return { styleName: path.basename(inputPath), files: await readDirectory(inputPath) };
+        }
 
-                if (this.options.verbose) {
-                    const status = validation.isValid ? chalk.green('✓ Valid') : chalk.red('✗ Invalid');
-                    console.log(`${status} (${validation.errors.length} errors, ${validation.warnings.length} warnings)`);
-                }
-            }
+        const isPackage = PackageExtractor.isPackageFile(inputPath);
+        if (!isZipFile(inputPath) && !isPackage) {
+            throw new Error(`Input must be a style directory, a .zip archive or an .elpx/.elp package: ${inputPath}`);
+        }
 
-            // Step 8: Generate reports
-            const results = {
-                styleName,
-                inputPath,
-                outputPath,
-                analysis,
-                jsTransform: jsResult,
-                cssChanges: {
-                    changes: cssResult.changes,
-                    summary: cssMerger.getSummary()
-                },
-                configChanges: {
-                    changes: configResult.changes,
-                    summary: configUpdater.getSummary()
-                },
-                assetMigration: assetResult,
-                validation,
-                dryRun: this.options.dryRun
-            };
+        let archive;
+        try {
+            archive = await readZip(await fs.readFile(inputPath));
+        } catch (e) {
+            throw new Error(`Could not read ZIP archive ${path.basename(inputPath)}: ${e.message}`);
+        }
 
-            // Console report
-            reporter.generateConsoleReport(results);
+        // Styles are often zipped together with their folder
+        const { folder, vfs: files } = archive.unwrap();
+        if (files.list().length === 0) {
+            throw new Error(`ZIP archive ${path.basename(inputPath)} contains no files`);
+        }
 
-            // Markdown report
-            if (!this.options.dryRun) {
-                const reportPath = await reporter.generateMarkdownReport(results, outputPath);
-                if (this.options.verbose) {
-                    console.log(chalk.blue(`Report saved: ${reportPath}`));
-                }
+        const name = path.basename(inputPath, path.extname(inputPath));
+        if (!isPackage && PackageExtractor.isStyle(files)) {
+            return { styleName: name, files };
+        }
 
-                // Create ZIP file if requested
-                if (this.options.createZip) {
-                    if (this.options.verbose) {
-                        console.log(chalk.blue(`\nCreating ZIP file...`));
-                    }
+        // An exported package: find the style among the content
+        const extractor = new PackageExtractor(files, name);
+        const extracted = extractor.extract();
+        if (this.options.verbose) {
+            console.log(chalk.blue(`${extracted.label}: style found in ${extracted.styleFolder ? `${extracted.styleFolder}/` : 'the package root'}`));
+        }
 
-                    const zipCreator = new ZipCreator(outputPath, styleName);
-                    const zipResult = await zipCreator.createZip();
+        return {
+            styleName: extracted.styleName,
+            files: extracted.files,
+            source: { extractor, extracted, folder }
+        };
+    }
 
-                    results.zipFile = zipResult;
+    /**
+     * Write a copy of the input package with the converted style in place
+     * of the old one, next to the converted style
+     *
+     * @returns {Promise<string>} the path of the new package
+     */
+    async writePackage(source, output, inputPath, outputDir) {
+        const { extractor, extracted, folder } = source;
+        // Only what eXeLearning imports, as in the style's ZIP
+        const styleFiles = new ZipCreator(output, extracted.styleName).getArchiveFiles();
+        let packed = extractor.repackage(extracted, output, styleFiles);
+
+        // Keep the package's own top-level folder
+        if (folder) {
+            packed = VirtualFS.from(packed.list().map(file => [`${folder}/${file}`, packed.files.get(file)]));
+        }
 
-                    if (this.options.verbose) {
-                        console.log(chalk.green(`✓ ZIP created: ${zipResult.zipPath}`));
-                        console.log(`  Size: ${(zipResult.size / 1024).toFixed(2)} KB`);
-                        console.log(`  Files: ${zipResult.filesCount}`);
-                    }
-                }
-            }
+        const extension = path.extname(inputPath);
+        const packagePath = path.join(outputDir, `${path.basename(inputPath, extension)}-converted${extension}`);
+        await fs.writeFile(packagePath, await writeZip(packed, { type: 'nodebuffer' }));
+        return packagePath;
+    }
 
-            return results;
-        } catch (error) {
-            console.error(chalk.red(`\n✗ Conversion failed: ${error.message}`));
-            if (this.options.verbose) {
-                console.error(error.stack);
-            }
-            throw error;
+    /**
+     * Read the v3.0 templates once per converter
+     */
+    async loadTemplates() {
+        if (!this.templates) {
+            this.templates = await readDirectory(path.join(path.dirname(__dirname), 'styles-new'));
+        }
+        return this.templates;
+    }
+
+    /**
+     * Print the core's progress messages in verbose mode
+     */
+    logProgress(stage, message) {
+        if (!this.options.verbose) return;
+
+        if (stage === 'start') {
+            console.log(chalk.blue(`\n${message}`));
+        } else if (stage === 'done') {
+            console.log(chalk.green(message));
+        } else if (stage === 'error') {
+            console.log(chalk.red(message));
+        } else {
+            console.log(message);
         }
     }
 
     /**
      * Convert multiple styles (batch mode)
+     *
+     * The styles are searched for in the whole tree below `inputDir`
+     * (see StyleDiscovery), and each one is written to the directory of
+     * the output that mirrors where it was found. The batch reports (see
+     * BatchReporter) go to the output directory.
+     *
+     * With `concurrency` above 1 the styles are converted on that many
+     * worker threads. Converted styles are recorded in the state file (see
+     * BatchState); with `resume`, those whose input hasn't changed since
+     * are skipped, unless `force` is set too.
      */
     async convertBatch(inputDir) {
-        const styles = await fs.readdir(inputDir);
+        const discovery = new StyleDiscovery(inputDir, { exclude: [this.options.outputDir] });
+        const { styles, skipped, duplicates } = await discovery.discover();
         const results = [];
 
         console.log(chalk.bold.cyan(`\nBatch conversion: ${styles.length} styles found\n`));
+        for (const { name, of } of duplicates) {
+            console.log(chalk.gray(`Skipping ${name}: same style as ${of}`));
+        }
+        for (const { name, directory, reason } of skipped) {
+            console.log(chalk.gray(`Skipping ${name}${directory ? '/' : ''}: ${reason}`));
+        }
 
-        for (const style of styles) {
-            const stylePath = path.join(inputDir, style);
-            const stats = await fs.stat(stylePath);
+        // Styles converted from the same input by the last run; --force
+        // converts them again
+        const resume = this.options.resume && !this.options.force;
+        const state = new BatchState(this.options.outputDir, { ...this.options, config: this.config });
+        if (resume && !this.options.dryRun) {
+            await state.load();
+            if (state.stale) {
+                console.log(chalk.yellow('The options or conversion rules changed since the last run: converting every style again'));
+            }
+        }
 
-            if (stats.isDirectory()) {
-                try {
-                    console.log(chalk.bold(`\nConverting: ${style}`));
-                    console.log(chalk.gray('-'.repeat(60)));
+        const pending = [];
+        for (const { name, inputPath, hash, outputDir } of styles) {
+            const done = resume ? await state.getDone(name, hash) : null;
+            if (done) {
+                results.push({ style: name, success: true, resumed: true, summary: done.summary });
+            } else {
+                pending.push({ style: name, inputPath, hash, outputDir: path.join(this.options.outputDir, outputDir) });
+            }
+        }
+        if (results.length > 0) {
+            console.log(chalk.gray(`Skipping ${results.length} ${results.length === 1 ? 'style' : 'styles'} unchanged since the last run (--force converts them again)`));
+        }
 
-                    const result = await this.convert(stylePath);
-                    results.push({ style, success: true, result });
+        const progress = new ProgressBar(pending.length);
+        const finish = async (entry, { hash }) => {
+            results.push(entry);
+            if (this.options.dryRun) return;
+            if (entry.success) {
+                await state.record(entry.style, { hash, outputPath: entry.result.outputPath, summary: summarizeResult(entry) });
+            } else {
+                await state.forget(entry.style);
+            }
+        };
+
+        const concurrency = Math.min(this.options.concurrency || 1, pending.length);
+        if (concurrency > 1) {
+            await this.convertInWorkers(pending, concurrency, progress, finish);
+        } else {
+            for (const task of pending) {
+                const { style, inputPath, outputDir } = task;
+                console.log(chalk.bold(`\nConverting: ${style}`));
+                console.log(chalk.gray(progress.render()));
+                console.log(chalk.gray('-'.repeat(60)));
+
+                try {
+                    const result = await this.convert(inputPath, { outputDir });
+                    await finish({ style, success: true, result }, task);
                 } catch (error) {
                     console.error(chalk.red(`Failed to convert ${style}: ${error.message}`));
-                    results.push({ style, success: false, error: error.message });
+                    await finish({ style, success: false, error: error.message }, task);
                 }
+                progress.advance();
             }
         }
 
-        // Summary
-        console.log(chalk.bold.cyan('\n' + '='.repeat(60)));
-        console.log(chalk.bold.cyan('Batch Conversion Summary'));
-        console.log(chalk.bold.cyan('='.repeat(60)));
-        console.log(`Total: ${results.length}`);
-        console.log(chalk.green(`Success: ${results.filter(r => r.success).length}`));
-        console.log(chalk.red(`Failed: ${results.filter(r => !r.success).length}`));
-
-        if (results.some(r => !r.success)) {
-            console.log(chalk.bold.red('\nFailed conversions:'));
-            for (const result of results.filter(r => !r.success)) {
-                console.log(chalk.red(`  - ${result.style}: ${result.error}`));
-            }
+        // Summary, and the batch reports in the output root
+        const batchReporter = new BatchReporter(results, { skipped, duplicates });
+        batchReporter.generateConsoleReport();
+
+        if (!this.options.dryRun) {
+            const reportPaths = await batchReporter.writeReports(this.options.outputDir);
+            console.log(chalk.blue(`\nBatch report saved: ${reportPaths.join(', ')}`));
         }
 
         return results;
     }
+
+    /**
+     * Convert the pending styles of a batch on `concurrency` worker
+     * threads, with a progress bar; each style's own report is printed
+     * above the bar when it is done (with --verbose) or fails
+     */
+    async convertInWorkers(pending, concurrency, progress, finish) {
+        console.log(chalk.blue(`Converting ${pending.length} styles on ${concurrency} workers\n`));
+
+        const options = {};
+        for (const [name, value] of Object.entries(this.options)) {
+            if (name !== 'config' && name !== 'plugins' && typeof value !== 'function') {
+                options[name] = value;
+            }
+        }
+        const pool = new WorkerPool(new URL('./batch-worker.js', import.meta.url), concurrency, {
+            options,
+            configPath: this.options.configPath,
+            pluginSpecifiers: this.options.pluginSpecifiers,
+            colorLevel: chalk.level
+        });
+
+        progress.update(`${concurrency} running`);
+        await pool.run(pending, async (message, task) => {
+            const { style, success, result, error, log } = message;
+            if (log && (this.options.verbose || !success)) {
+                progress.log(log);
+            }
+            if (success) {
+                const { errors, warnings } = result.validation;
+                progress.log(`${chalk.green('✓')} ${style} ${chalk.gray(`(${errors.length} errors, ${warnings.length} warnings)`)}`);
+                await finish({ style, success, result }, task);
+            } else {
+                progress.log(chalk.red(`✗ ${style}: ${error}`));
+                await finish({ style, success, error }, task);
+            }
+            progress.tick(`last done: ${style}`);
+        });
+        progress.stop();
+    }
 }
@@ -1,14 +1,46 @@
-import fs from 'fs-extra';
-import path from 'path';
+import postcss from 'postcss';
+import selectorParser from 'postcss-selector-parser';
+import valueParser from 'postcss-value-parser';
+import { ConversionConfig } from './conversion-config.js';
+import { ThemeOverlay } from './theme-overlay.js';
+import { DesignTokenizer } from './design-tokens.js';
+import { AssetRouter, getFileName } from './asset-router.js';
+
+/**
+ * How the output style.css is built: `merge` concatenates the updated old
+ * stylesheets, `template` starts from the template's style.css and lays
+ * the old style's design tokens over it
+ */
+export const CSS_MODES = ['merge', 'template'];
 
 /**
  * Merges and updates CSS files from v2.9 to v3.0 format
+ *
+ * Each stylesheet is parsed into a PostCSS tree; selectors and url()
+ * references are rewritten on the tree and the result is re-serialised,
+ * so comments, strings and unrelated names are never touched.
+ *
+ * `files` is a VirtualFS holding the old style; `options.templates` holds
+ * the v3.0 templates (`<template>/style.css`). url() references are
+ * rewritten with `options.router`, the AssetRouter the assets are moved
+ * with.
  */
 export class CSSMerger {
-    constructor(inputPath, analysis) {
-        this.inputPath = inputPath;
+    constructor(files, analysis, options = {}) {
+        this.files = files;
         this.analysis = analysis;
+        this.options = {
+            mode: options.mode || 'merge',
+            designTokens: options.designTokens !== false
+        };
+        this.templates = options.templates;
+        this.config = options.config || new ConversionConfig();
+        this.router = options.router || new AssetRouter(files, analysis.cssFiles, { config: this.config });
         this.changes = [];
+
+        if (!CSS_MODES.includes(this.options.mode)) {
+            throw new Error(`Unknown CSS mode "${this.options.mode}". Available modes: ${CSS_MODES.join(', ')}`);
+        }
     }
 
     /**
@@ -16,197 +48,337 @@ export class CSSMerger {
      */
     async merge() {
         const cssFiles = this.analysis.cssFiles;
-        let mergedCSS = '';
+        const roots = [];
 
-        // Read and combine all CSS files
+        // Parse and update all CSS files
         for (const cssFile of cssFiles) {
-            const cssPath = path.join(this.inputPath, cssFile);
-            if (await fs.pathExists(cssPath)) {
-                let content = await fs.readFile(cssPath, 'utf-8');
+            if (this.files.isFile(cssFile)) {
+                const content = this.files.readFile(cssFile, 'utf-8');
+                const root = this.parse(content, cssFile);
+
+                this.updateCSS(root, cssFile);
+                roots.push({ file: cssFile, root });
+            }
+        }
+
+        // The old style's colours, fonts and images, read before any value
+        // is replaced with a custom property
+        const styleTokens = new ThemeOverlay(this.analysis.styleName).extractTokens(roots.map(r => r.root));
 
-                // Add a comment indicating the source file
+        if (this.options.mode === 'template') {
+            return this.overlayTemplate(roots, styleTokens);
+        }
+
+        // Replace repeated values with custom properties
+        let designTokens = [];
+        let mergedCSS = '';
+        if (this.options.designTokens) {
+            const tokenizer = new DesignTokenizer();
+            const result = tokenizer.tokenize(roots.map(r => r.root), styleTokens);
+
+            designTokens = result.variables;
+            this.changes.push(...result.changes);
+
+            if (result.rootBlock) {
                 mergedCSS += `/* ========================================\n`;
-                mergedCSS += `   Source: ${cssFile}\n`;
+                mergedCSS += `   Design tokens (see design-tokens.json)\n`;
                 mergedCSS += `   ======================================== */\n\n`;
-
-                mergedCSS += content + '\n\n';
+                mergedCSS += result.rootBlock + '\n';
             }
         }
 
-        // Update the CSS content
-        mergedCSS = this.updateCSS(mergedCSS);
+        // Combine them
+        for (const { file, root } of roots) {
+            // Add a comment indicating the source file
+            mergedCSS += `/* ========================================\n`;
+            mergedCSS += `   Source: ${file}\n`;
+            mergedCSS += `   ======================================== */\n\n`;
+
+            mergedCSS += root.toString() + '\n\n';
+        }
 
         return {
             content: mergedCSS,
-            changes: this.changes
+            changes: this.changes,
+            designTokens,
+            styleTokens
         };
     }
 
     /**
-     * Update CSS content to match v3.0 conventions
+     * Build style.css from the template's stylesheet and the design tokens
+     * of the updated old stylesheets
      */
-    updateCSS(css) {
-        let updated = css;
+    async overlayTemplate(roots, tokens) {
+        const templateCSS = this.templates.readFile(`${this.analysis.template}/style.css`, 'utf-8');
 
-        // Update class selectors
-        updated = this.updateClassSelectors(updated);
+        const overlay = new ThemeOverlay(this.analysis.styleName);
 
-        // Update ID selectors
-        updated = this.updateIDSelectors(updated);
+        const fontFaces = [];
+        for (const { root } of roots) {
+            root.walkAtRules(/^font-face$/i, rule => {
+                fontFaces.push(rule);
+            });
+        }
 
-        // Update asset paths
-        updated = this.updateAssetPaths(updated);
+        // The old rules are not part of the output, so only the overlay's
+        // changes describe what was done
+        const result = overlay.apply(templateCSS, tokens, fontFaces, this.options.designTokens);
+        this.changes = result.changes;
 
-        return updated;
+        return {
+            content: result.content,
+            changes: this.changes,
+            tokens,
+            designTokens: result.variables,
+            styleTokens: tokens
+        };
     }
 
     /**
-     * Update class selectors to match v3.0 naming
+     * Parse a stylesheet into a PostCSS root
      */
-    updateClassSelectors(css) {
-        let updated = css;
-        const classReplacements = [
-            { old: '.no-nav', new: '.siteNav-off', description: 'Updated navigation toggle class' },
-            { old: '.hide-nav', new: '.siteNav-off', description: 'Updated navigation toggle class' },
-            { old: '.show-nav', new: '.siteNav-on', description: 'Updated navigation toggle class' }
-        ];
-
-        for (const replacement of classReplacements) {
-            const regex = new RegExp(replacement.old.replace('.', '\\.'), 'g');
-            const count = (updated.match(regex) || []).length;
-
-            if (count > 0) {
-                updated = updated.replace(regex, replacement.new);
-                this.changes.push({
-                    type: 'class',
-                    old: replacement.old,
-                    new: replacement.new,
-                    count,
-                    description: replacement.description
-                });
+    parse(css, file) {
+        try {
+            return postcss.parse(css, { from: file });
+        } catch (e) {
+            if (e.name === 'CssSyntaxError') {
+                throw new Error(`Could not parse ${file} (line ${e.line}, column ${e.column}): ${e.reason}`);
             }
+            throw e;
         }
-
-        return updated;
     }
 
     /**
-     * Update ID selectors to match v3.0 naming
+     * Update a parsed stylesheet to match v3.0 conventions
      */
-    updateIDSelectors(css) {
-        let updated = css;
-        const idReplacements = [
-            { old: '#toggle-nav', new: '#siteNavToggler', description: 'Updated menu toggle button ID' },
-            { old: '#nav-toggler', new: '#siteNavToggler', description: 'Updated menu toggle button ID' },
-            { old: '#header-options', new: '#siteNavToggler', description: 'Updated menu toggle container ID' }
-        ];
-
-        for (const replacement of idReplacements) {
-            const regex = new RegExp(replacement.old.replace('#', '\\#'), 'g');
-            const count = (updated.match(regex) || []).length;
-
-            if (count > 0) {
-                updated = updated.replace(regex, replacement.new);
-                this.changes.push({
-                    type: 'id',
-                    old: replacement.old,
-                    new: replacement.new,
-                    count,
-                    description: replacement.description
-                });
-            }
-        }
+    updateCSS(root, file) {
+        // Update class and ID selectors
+        this.updateSelectors(root, file);
 
-        return updated;
+        // Update asset paths
+        this.updateAssetPaths(root, file);
+
+        return root;
     }
 
     /**
-     * Update asset paths to match new directory structure
+     * Update class and ID selectors to match v3.0 naming
      */
-    updateAssetPaths(css) {
-        let updated = css;
-
-        // Update icon paths (small images, typically .gif or .svg in root)
-        const iconPatterns = [
-            { pattern: /url\s*\(\s*['"]?([^'")\s]*icon[^'")\s]*\.(gif|svg|png))['"]?\s*\)/gi, prefix: 'icons/' },
-            { pattern: /url\s*\(\s*['"]?([^'")\s\/]*\.(gif))['"]?\s*\)/gi, prefix: 'icons/' }
-        ];
-
-        for (const { pattern, prefix } of iconPatterns) {
-            updated = updated.replace(pattern, (match, filename) => {
-                // Don't add prefix if it's already there or if it's a URL
-                if (filename.startsWith('http') ||
-                    filename.startsWith('//') ||
-                    filename.startsWith('data:') ||
-                    filename.includes('/')) {
-                    return match;
+    updateSelectors(root, file) {
+        const mappings = new Map(this.config.selectorMap.map(m => [m.old, m]));
+
+        root.walkRules(rule => {
+            // Keyframe selectors (from, to, 50%) are not element selectors
+            if (rule.parent.type === 'atrule' && /keyframes$/i.test(rule.parent.name)) {
+                return;
+            }
+
+            let ast;
+            try {
+                ast = selectorParser().astSync(rule.selector);
+            } catch (e) {
+                // Leave selectors the parser does not understand untouched
+                return;
+            }
+
+            const counts = new Map();
+            const matches = [];
+
+            ast.walk(node => {
+                if (node.type !== 'class' && node.type !== 'id') return;
+                const key = (node.type === 'class' ? '.' : '#') + node.value;
+                if (mappings.has(key)) {
+                    matches.push({ node, mapping: mappings.get(key) });
                 }
+            });
 
-                this.changes.push({
-                    type: 'asset-path',
-                    old: filename,
-                    new: prefix + filename,
-                    description: 'Updated asset path to new directory structure'
-                });
+            if (matches.length === 0) return;
+
+            const replaced = new Map();
+            for (const { node, mapping } of matches) {
+                const replacement = selectorParser().astSync(mapping.new).first.nodes.map(n => n.clone());
+                node.replaceWith(...replacement);
+                replaced.set(replacement[0], mapping);
+                counts.set(mapping, (counts.get(mapping) || 0) + 1);
+            }
 
-                return `url('${prefix}${filename}')`;
+            const nested = new Map();
+            ast.each(selector => {
+                for (const [outer, inner] of this.collapseNested(selector, replaced)) {
+                    const key = `${outer.old} ${inner.old}`;
+                    if (!nested.has(key)) nested.set(key, { inner, count: 0 });
+                    nested.get(key).count++;
+                }
             });
-        }
 
-        // Update image paths (larger images, typically .png, .jpg)
-        const imagePatterns = [
-            { pattern: /url\s*\(\s*['"]?([^'")\s]*\.(png|jpg|jpeg))['"]?\s*\)/gi, prefix: 'img/' }
-        ];
-
-        for (const { pattern, prefix } of imagePatterns) {
-            updated = updated.replace(pattern, (match, filename) => {
-                // Don't add prefix if it's already there or if it's a URL
-                if (filename.startsWith('http') ||
-                    filename.startsWith('//') ||
-                    filename.startsWith('data:') ||
-                    filename.includes('/') ||
-                    filename.includes('icon')) { // Skip if already handled as icon
-                    return match;
+            // Several old selectors can map to the same new one
+            const seen = new Set();
+            ast.each(selector => {
+                const key = selector.toString().trim();
+                if (seen.has(key)) {
+                    selector.remove();
+                } else {
+                    seen.add(key);
                 }
+            });
+            ast.first.spaces.before = '';
+
+            rule.selector = ast.toString();
 
+            for (const [mapping, count] of counts) {
                 this.changes.push({
-                    type: 'asset-path',
-                    old: filename,
-                    new: prefix + filename,
-                    description: 'Updated asset path to new directory structure'
+                    type: mapping.type,
+                    category: mapping.category,
+                    old: mapping.old,
+                    new: mapping.new,
+                    count,
+                    file,
+                    line: rule.source.start.line,
+                    description: mapping.description
+                });
+            }
+            for (const [old, { inner, count }] of nested) {
+                this.changes.push({
+                    type: 'nested',
+                    category: inner.category,
+                    old,
+                    new: inner.new,
+                    count,
+                    file,
+                    line: rule.source.start.line,
+                    description: `v2.9 nests ${inner.old} in ${old.split(' ')[0]}; v3.0 has one element`
                 });
+            }
+        });
+    }
 
-                return `url('${prefix}${filename}')`;
-            });
+    /**
+     * Join a compound to its ancestor when the old names of both map to
+     * the same v3.0 element: v2.9 nests `.iDevice` in `.iDevice_wrapper`,
+     * v3.0 has a single `.box`, so `.iDevice_wrapper .iDevice` becomes
+     * `.box` rather than `.box .box`, which no v3.0 page matches. Names
+     * repeated within a compound are dropped too.
+     *
+     * @param {Selector} selector - a selector after the map was applied
+     * @param {Map<Node, Object>} replaced - first node of each replacement
+     *   and the map entry it came from
+     * @returns {Array<Array<Object>>} the [outer, inner] entries joined
+     */
+    collapseNested(selector, replaced) {
+        const isTag = node => node.type === 'tag' || node.type === 'universal';
+        const compounds = [{ nodes: [], combinator: null }];
+        for (const node of selector.nodes) {
+            if (node.type === 'combinator') {
+                compounds.push({ nodes: [], combinator: node });
+            } else {
+                compounds[compounds.length - 1].nodes.push(node);
+            }
         }
 
-        // Update font paths
-        const fontPatterns = [
-            { pattern: /url\s*\(\s*['"]?([^'")\s]*\.(woff|woff2|ttf|eot|otf))['"]?\s*\)/gi, prefix: 'fonts/' }
-        ];
-
-        for (const { pattern, prefix } of fontPatterns) {
-            updated = updated.replace(pattern, (match, filename) => {
-                // Don't add prefix if it's already there or if it's a URL
-                if (filename.startsWith('http') ||
-                    filename.startsWith('//') ||
-                    filename.startsWith('data:') ||
-                    filename.includes('/')) {
-                    return match;
+        const joined = [];
+        let outer = null;
+        for (const compound of compounds) {
+            const seen = new Set();
+            compound.nodes = compound.nodes.filter(node => {
+                const key = node.toString().trim();
+                if (node.type === 'comment' || !seen.has(key)) {
+                    seen.add(key);
+                    return true;
+                }
+                node.remove();
+                return false;
+            });
+            compound.mappings = compound.nodes.filter(node => replaced.has(node)).map(node => ({
+                element: node.toString().trim(),
+                entry: replaced.get(node)
+            }));
+
+            const descendant = compound.combinator && ['', '>'].includes(compound.combinator.value.trim());
+            const pair = outer && descendant && outer.mappings.map(o => [o, compound.mappings.find(i => i.element === o.element)])
+                .find(([, inner]) => inner);
+            const outerTag = outer && outer.nodes.find(isTag);
+            const innerTag = compound.nodes.find(isTag);
+            if (!pair || (outerTag && innerTag && outerTag.toString().trim() !== innerTag.toString().trim())) {
+                outer = compound;
+                continue;
+            }
+
+            compound.combinator.remove();
+            const present = new Set(outer.nodes.map(node => node.toString().trim()));
+            for (const node of compound.nodes) {
+                if (present.has(node.toString().trim())) {
+                    node.remove();
+                } else if (isTag(node)) {
+                    node.remove();
+                    selector.insertBefore(outer.nodes[0], node);
+                    outer.nodes.unshift(node);
+                } else {
+                    outer.nodes.push(node);
                 }
+            }
+            outer.mappings.push(...compound.mappings);
+            joined.push([pair[0].entry, pair[1].entry]);
+        }
+        return joined;
+    }
+
+    /**
+     * Update asset paths to match new directory structure
+     *
+     * Only url() references in declarations are rewritten; @import targets
+     * are stylesheets, not assets, and keep their original path.
+     */
+    updateAssetPaths(root, file) {
+        root.walkDecls(decl => {
+            if (!/url\s*\(/i.test(decl.value)) return;
+
+            const value = valueParser(decl.value);
+            let modified = false;
+
+            value.walk(node => {
+                if (node.type !== 'function' || node.value.toLowerCase() !== 'url') return;
+
+                const target = node.nodes[0];
+                if (!target) return;
+
+                const prefix = this.getAssetPrefix(target.value);
+                if (!prefix) return;
 
                 this.changes.push({
                     type: 'asset-path',
-                    old: filename,
-                    new: prefix + filename,
-                    description: 'Updated font path to new directory structure'
+                    old: target.value,
+                    new: prefix + target.value,
+                    file,
+                    line: decl.source.start.line,
+                    description: prefix === 'fonts/'
+                        ? 'Updated font path to new directory structure'
+                        : 'Updated asset path to new directory structure'
                 });
 
-                return `url('${prefix}${filename}')`;
+                target.value = prefix + target.value;
+                modified = true;
             });
+
+            if (modified) {
+                decl.value = value.toString();
+            }
+        });
+    }
+
+    /**
+     * Get the v3.0 subdirectory prefix for a url() reference, or null
+     * when the reference should stay as it is
+     */
+    getAssetPrefix(reference) {
+        // Don't add prefix if it's already there or if it's a URL
+        const filename = getFileName(reference);
+        if (!filename) {
+            return null;
         }
 
-        return updated;
+        const route = this.router.route(filename);
+        return route ? `${route.directory}/` : null;
     }
 
     /**
@@ -215,7 +387,8 @@ export class CSSMerger {
     getSummary() {
         const summary = {
             totalChanges: this.changes.length,
-            byType: {}
+            byType: {},
+            byCategory: {}
         };
 
         for (const change of this.changes) {
@@ -223,6 +396,13 @@ export class CSSMerger {
                 summary.byType[change.type] = 0;
             }
             summary.byType[change.type]++;
+
+            if (change.category) {
+                if (!summary.byCategory[change.category]) {
+                    summary.byCategory[change.category] = 0;
+                }
+                summary.byCategory[change.category] += change.count || 1;
+            }
         }
 
         return summary;
@@ -0,0 +1,134 @@
+import valueParser from 'postcss-value-parser';
+
+/**
+ * Selectors that play the same layout role in each markup version
+ */
+export const LAYOUT_ROLES = {
+    'v2.9': {
+        body: ['body'],
+        nav: ['#siteNav'],
+        header: ['#header', '#emptyHeader', '#headerContent'],
+        title: ['#nodeTitle', '#nodeDecoration']
+    },
+    'v3.0': {
+        body: ['body'],
+        nav: ['#siteNav'],
+        header: ['.package-header'],
+        title: ['.page-title', '.page-header']
+    }
+};
+
+/**
+ * Check if any selector of a rule targets one of the given selectors
+ * as its last compound (e.g. `.exe-content .page-title::before`)
+ */
+export function matchesRole(rule, selectors) {
+    return rule.selectors.some(selector => {
+        const compounds = selector.trim().split(/\s*[\s>+~]\s*/);
+        const last = compounds[compounds.length - 1];
+        return selectors.some(role => {
+            if (/^[a-z]/i.test(role)) {
+                return new RegExp(`^${role}(?![\\w-])`, 'i').test(last);
+            }
+            return new RegExp(`${role.replace('.', '\\.')}(?![\\w-])`).test(last);
+        });
+    });
+}
+
+/**
+ * First family of a font-family list, lower-cased and unquoted
+ */
+export function getPrimaryFont(value) {
+    const first = value.split(',')[0].replace(/[\u200b"']/g, '').trim().toLowerCase();
+    if (!first || first.startsWith('var(') || ['inherit', 'initial'].includes(first)) return null;
+    return first;
+}
+
+/**
+ * Find the colours (hex, rgb() and hsl()) used in a declaration value,
+ * normalised to #rrggbb
+ */
+export function findColours(value) {
+    const colours = [];
+    valueParser(value).walk(node => {
+        if (node.type === 'word' && /^#([0-9a-f]{3,4}|[0-9a-f]{6}|[0-9a-f]{8})$/i.test(node.value)) {
+            let hex = node.value.slice(1).toLowerCase();
+            if (hex.length <= 4) hex = [...hex.slice(0, 3)].map(c => c + c).join('');
+            colours.push(`#${hex.slice(0, 6)}`);
+        } else if (node.type === 'function' && /^rgba?$/i.test(node.value)) {
+            const channels = node.nodes.filter(n => n.type === 'word').map(n => parseFloat(n.value));
+            if (channels.length >= 3 && channels.slice(0, 3).every(c => !isNaN(c))) {
+                colours.push(toHex(channels.slice(0, 3)));
+            }
+            return false;
+        } else if (node.type === 'function' && /^hsla?$/i.test(node.value)) {
+            const channels = node.nodes.filter(n => n.type === 'word').map(n => parseFloat(n.value));
+            if (channels.length >= 3 && channels.slice(0, 3).every(c => !isNaN(c))) {
+                colours.push(toHex(hslToRgb(channels[0], channels[1] / 100, channels[2] / 100)));
+            }
+            return false;
+        }
+    });
+    return colours;
+}
+
+/**
+ * Convert [r, g, b] (0-255) to #rrggbb
+ */
+export function toHex(rgb) {
+    return '#' + rgb.map(c => Math.max(0, Math.min(255, Math.round(c))).toString(16).padStart(2, '0')).join('');
+}
+
+/**
+ * Convert #rrggbb to { h (0-360), s (0-1), l (0-1) }
+ */
+export function toHsl(hex) {
+    const [r, g, b] = [1, 3, 5].map(i => parseInt(hex.slice(i, i + 2), 16) / 255);
+    const max = Math.max(r, g, b);
+    const min = Math.min(r, g, b);
+    const l = (max + min) / 2;
+    if (max === min) return { h: 0, s: 0, l };
+
+    const d = max - min;
+    const s = l > 0.5 ? d / (2 - max - min) : d / (max + min);
+    let h;
+    if (max === r) h = ((g - b) / d + (g < b ? 6 : 0)) * 60;
+    else if (max === g) h = ((b - r) / d + 2) * 60;
+    else h = ((r - g) / d + 4) * 60;
+    return { h, s, l };
+}
+
+/**
+ * Convert h (0-360), s and l (0-1) to [r, g, b] (0-255)
+ */
+export function hslToRgb(h, s, l) {
+    const k = n => (n + h / 30) % 12;
+    const a = s * Math.min(l, 1 - l);
+    const f = n => l - a * Math.max(-1, Math.min(k(n) - 3, Math.min(9 - k(n), 1)));
+    return [f(0) * 255, f(8) * 255, f(4) * 255];
+}
+
+/**
+ * Perceptual distance (CIE76 ΔE) between two #rrggbb colours; below ~2.3
+ * the difference is not noticeable
+ */
+export function colourDistance(a, b) {
+    const [l1, a1, b1] = toLab(a);
+    const [l2, a2, b2] = toLab(b);
+    return Math.sqrt((l1 - l2) ** 2 + (a1 - a2) ** 2 + (b1 - b2) ** 2);
+}
+
+/**
+ * Convert #rrggbb to CIE L*a*b* (D65)
+ */
+function toLab(hex) {
+    const [r, g, b] = [1, 3, 5].map(i => {
+        const c = parseInt(hex.slice(i, i + 2), 16) / 255;
+        return c > 0.04045 ? ((c + 0.055) / 1.055) ** 2.4 : c / 12.92;
+    });
+    const f = t => (t > 0.008856 ? Math.cbrt(t) : 7.787 * t + 16 / 116);
+    const x = f((r * 0.4124 + g * 0.3576 + b * 0.1805) / 0.95047);
+    const y = f(r * 0.2126 + g * 0.7152 + b * 0.0722);
+    const z = f((r * 0.0193 + g * 0.1192 + b * 0.9505) / 1.08883);
+    return [116 * y - 16, 500 * (x - y), 200 * (y - z)];
+}
@@ -0,0 +1,298 @@
+import valueParser from 'postcss-value-parser';
+import { findColours, colourDistance } from './css-utils.js';
+
+/**
+ * Colours closer than this (CIE76 ΔE) are treated as the same colour
+ */
+const COLOUR_THRESHOLD = 3;
+
+/**
+ * Minimum number of uses before a value becomes a custom property
+ */
+const MIN_USES = {
+    colour: 3,
+    font: 2,
+    fontSize: 3,
+    spacing: 3
+};
+
+/**
+ * Semantic tokens (from ThemeOverlay.extractTokens) that name a cluster
+ * when they fall into it, in order of precedence
+ */
+const SEMANTIC_TOKENS = [
+    'primary', 'secondary', 'link', 'linkHover', 'textColour', 'pageBackground',
+    'contentBackground', 'headerBackground', 'headerText', 'navBackground', 'navLink',
+    'fontFamily', 'headingFont'
+];
+
+/**
+ * Declarations whose values are never rewritten
+ */
+const SKIPPED_PROPS = /^(--|filter$|-ms-filter$|src$|unicode-range$)/i;
+
+const SPACING_PROPS = /^(margin|padding)(-(top|right|bottom|left))?$|^(row-|column-)?gap$/i;
+
+/**
+ * Turns repeated literal values into CSS custom properties
+ *
+ * Colours, font families, font sizes and spacing lengths are gathered
+ * from the updated stylesheets; near-identical colours are clustered and
+ * equivalent lengths (`.75em`, `0.75em`) merged. Values used often enough
+ * get a variable, named after their role when the semantic tokens of the
+ * style identify one (`--exe-primary`) and numbered otherwise
+ * (`--exe-color-3`), and every use is rewritten to `var(...)`.
+ */
+export class DesignTokenizer {
+    constructor() {
+        this.changes = [];
+    }
+
+    /**
+     * Gather, name and rewrite the design tokens of a set of PostCSS roots
+     *
+     * @param {Array} roots - PostCSS roots, rewritten in place
+     * @param {Object} semantic - tokens from ThemeOverlay.extractTokens()
+     * @returns {Object} { variables: [{ name, value, type, uses, role, members }], rootBlock, changes }
+     */
+    tokenize(roots, semantic = {}) {
+        const usage = this.collect(roots);
+
+        const variables = [
+            ...this.nameGroups(this.clusterColours(usage.colour), 'colour', '--exe-color', semantic),
+            ...this.nameGroups(this.groupExact(usage.font), 'font', '--exe-font', semantic),
+            ...this.nameGroups(this.sortByLength(this.groupExact(usage.fontSize)), 'fontSize', '--exe-font-size', semantic),
+            ...this.nameGroups(this.sortByLength(this.groupExact(usage.spacing)), 'spacing', '--exe-space', semantic)
+        ];
+
+        if (variables.length === 0) {
+            return { variables, rootBlock: '', changes: this.changes };
+        }
+
+        this.rewrite(roots, variables);
+
+        let rootBlock = ':root {\n';
+        for (const variable of variables) {
+            rootBlock += `    ${variable.name}: ${variable.value};\n`;
+        }
+        rootBlock += '}\n';
+
+        for (const variable of variables) {
+            this.changes.push({
+                type: 'design-token',
+                old: variable.members.join(', '),
+                new: `var(${variable.name})`,
+                count: variable.uses,
+                description: variable.role || `Repeated ${variable.type === 'fontSize' ? 'font size' : variable.type}`
+            });
+        }
+
+        return { variables, rootBlock, changes: this.changes };
+    }
+
+    /**
+     * Describe the variables as the design-tokens.json written next to
+     * style.css
+     */
+    static toJSON(variables, details = {}) {
+        const tokens = {};
+        for (const { name, ...variable } of variables) {
+            tokens[name] = variable;
+        }
+        return { ...details, tokens };
+    }
+
+    /**
+     * Count the uses of every candidate value
+     */
+    collect(roots) {
+        const usage = { colour: new Map(), font: new Map(), fontSize: new Map(), spacing: new Map() };
+        const count = (map, key) => map.set(key, (map.get(key) || 0) + 1);
+
+        for (const root of roots) {
+            root.walkDecls(decl => {
+                const kind = this.getKind(decl);
+                if (!kind) return;
+
+                if (kind === 'font') {
+                    count(usage.font, this.normaliseFont(decl.value));
+                    return;
+                }
+
+                valueParser(decl.value).walk(node => {
+                    if (kind === 'colour') {
+                        const colour = this.readColour(node);
+                        if (colour) count(usage.colour, colour);
+                        return node.type === 'function' && /^(rgb|hsl)a?$/i.test(node.value) ? false : undefined;
+                    }
+                    const length = this.readLength(node);
+                    if (length) count(usage[kind], length);
+                    return undefined;
+                });
+            });
+        }
+
+        return usage;
+    }
+
+    /**
+     * What kind of token a declaration can carry, if any
+     */
+    getKind(decl) {
+        if (SKIPPED_PROPS.test(decl.prop)) return null;
+        if (decl.parent && decl.parent.type === 'atrule' && /font-face/i.test(decl.parent.name)) return null;
+
+        const prop = decl.prop.toLowerCase();
+        if (prop === 'font-family') return 'font';
+        if (prop === 'font-size') return 'fontSize';
+        if (SPACING_PROPS.test(prop)) return 'spacing';
+        return 'colour';
+    }
+
+    /**
+     * Read an opaque colour from a value node (hex or rgb()/hsl()), as #rrggbb
+     */
+    readColour(node) {
+        if (node.type === 'word' && /^#([0-9a-f]{3}|[0-9a-f]{6})$/i.test(node.value)) {
+            return findColours(node.value)[0];
+        }
+        if (node.type === 'function' && /^(rgb|hsl)$/i.test(node.value)) {
+            return findColours(valueParser.stringify(node))[0] || null;
+        }
+        return null;
+    }
+
+    /**
+     * Read a non-zero length from a value node, normalised (`.5em` → `0.5em`)
+     */
+    readLength(node) {
+        if (node.type !== 'word') return null;
+        const unit = valueParser.unit(node.value);
+        if (!unit || !['px', 'em', 'rem', '%'].includes(unit.unit.toLowerCase())) return null;
+
+        const number = parseFloat(unit.number);
+        if (!number || number < 0) return null;
+        return `${number}${unit.unit.toLowerCase()}`;
+    }
+
+    /**
+     * Normalise a font-family list for comparison
+     */
+    normaliseFont(value) {
+        return value.replace(/\u200b/g, '').split(',').map(f => f.trim()).join(', ');
+    }
+
+    /**
+     * Group colours within COLOUR_THRESHOLD of each other; the most used
+     * colour of a cluster represents it
+     */
+    clusterColours(colours) {
+        const clusters = [];
+        const sorted = [...colours.entries()].sort((a, b) => b[1] - a[1]);
+
+        for (const [colour, uses] of sorted) {
+            const cluster = clusters.find(c => colourDistance(c.value, colour) < COLOUR_THRESHOLD);
+            if (cluster) {
+                cluster.members.push(colour);
+                cluster.uses += uses;
+            } else {
+                clusters.push({ value: colour, members: [colour], uses });
+            }
+        }
+
+        return clusters.sort((a, b) => b.uses - a.uses);
+    }
+
+    /**
+     * One group per distinct value, most used first
+     */
+    groupExact(values) {
+        return [...values.entries()]
+            .map(([value, uses]) => ({ value, members: [value], uses }))
+            .sort((a, b) => b.uses - a.uses);
+    }
+
+    /**
+     * Order length groups from smallest to largest (1em = 16px)
+     */
+    sortByLength(groups) {
+        const toPx = value => {
+            const { number, unit } = valueParser.unit(value);
+            return parseFloat(number) * ({ em: 16, rem: 16, '%': 0.16 }[unit] || 1);
+        };
+        return groups.sort((a, b) => toPx(a.value) - toPx(b.value));
+    }
+
+    /**
+     * Keep the groups used often enough and give them variable names
+     */
+    nameGroups(groups, type, prefix, semantic) {
+        const kept = groups.filter(group => group.uses >= MIN_USES[type]);
+        const named = new Set();
+
+        // Role names first, in order of precedence
+        for (const name of SEMANTIC_TOKENS) {
+            const token = semantic[name];
+            if (!token || (type === 'font') !== (token.kind === 'font') || !['colour', 'font'].includes(type)) continue;
+
+            const value = type === 'font' ? this.normaliseFont(token.value) : token.value;
+            const group = kept.find(g => g.members.includes(value));
+            if (group && !group.name && !named.has(token.variable)) {
+                group.name = token.variable;
+                group.role = token.label;
+                named.add(token.variable);
+            }
+        }
+
+        let index = 1;
+        return kept.map(group => ({
+            name: group.name || `${prefix}-${index++}`,
+            value: group.value,
+            type,
+            uses: group.uses,
+            role: group.role || null,
+            members: group.members
+        }));
+    }
+
+    /**
+     * Replace every use of a tokenised value with var(--name)
+     */
+    rewrite(roots, variables) {
+        const lookup = { colour: new Map(), font: new Map(), fontSize: new Map(), spacing: new Map() };
+        for (const variable of variables) {
+            for (const member of variable.members) {
+                lookup[variable.type].set(member, `var(${variable.name})`);
+            }
+        }
+
+        for (const root of roots) {
+            root.walkDecls(decl => {
+                const kind = this.getKind(decl);
+                if (!kind) return;
+
+                if (kind === 'font') {
+                    const replacement = lookup.font.get(this.normaliseFont(decl.value));
+                    if (replacement) decl.value = replacement;
+                    return;
+                }
+
+                const value = valueParser(decl.value);
+                let modified = false;
+                value.walk(node => {
+                    const key = kind === 'colour' ? this.readColour(node) : this.readLength(node);
+                    const replacement = key && lookup[kind].get(key);
+                    if (replacement) {
+                        node.type = 'word';
+                        node.value = replacement;
+                        delete node.nodes;
+                        modified = true;
+                        return false;
+                    }
+                    return undefined;
+                });
+                if (modified) decl.value = value.toString();
+            });
+        }
+    }
+}
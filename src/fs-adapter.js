@@ -0,0 +1,45 @@
+import fs from 'fs-extra';
+import path from 'path';
+import { VirtualFS, isTextFile } from './virtual-fs.js';
+
+/**
+ * Read a directory (recursively) into a VirtualFS
+ */
+export async function readDirectory(directory) {
+    const vfs = new VirtualFS();
+
+    async function walk(relative) {
+        for (const entry of await fs.readdir(path.join(directory, relative), { withFileTypes: true })) {
+            const entryPath = relative ? `${relative}/${entry.name}` : entry.name;
+            const fullPath = path.join(directory, entryPath);
+
+            if (entry.isDirectory()) {
+                vfs.mkdir(entryPath);
+                await walk(entryPath);
+            } else if (entry.isFile()) {
+                vfs.writeFile(entryPath, isTextFile(entry.name)
+                    ? await fs.readFile(fullPath, 'utf-8')
+                    : await fs.readFile(fullPath));
+            }
+        }
+    }
+
+    await walk('');
+    return vfs;
+}
+
+/**
+ * Write every file and directory of a VirtualFS below a directory
+ */
+export async function writeDirectory(vfs, directory) {
+    await fs.ensureDir(directory);
+
+    for (const dir of vfs.directories) {
+        await fs.ensureDir(path.join(directory, dir));
+    }
+    for (const [filePath, content] of vfs.files) {
+        const target = path.join(directory, filePath);
+        await fs.ensureDir(path.dirname(target));
+        await fs.writeFile(target, typeof content === 'string' ? content : Buffer.from(content), typeof content === 'string' ? 'utf-8' : undefined);
+    }
+}
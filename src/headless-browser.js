@@ -0,0 +1,209 @@
+import fs from 'fs-extra';
+import os from 'os';
+import path from 'path';
+import { extname } from './virtual-fs.js';
+
+/**
+ * Origin the pages are served from; every other request is blocked, so
+ * rendering never touches the network
+ */
+const ORIGIN = 'http://preview.invalid';
+
+const CONTENT_TYPES = {
+    '.html': 'text/html; charset=utf-8',
+    '.css': 'text/css; charset=utf-8',
+    '.js': 'text/javascript; charset=utf-8',
+    '.svg': 'image/svg+xml',
+    '.png': 'image/png',
+    '.gif': 'image/gif',
+    '.jpg': 'image/jpeg',
+    '.jpeg': 'image/jpeg',
+    '.webp': 'image/webp',
+    '.woff': 'font/woff',
+    '.woff2': 'font/woff2',
+    '.ttf': 'font/ttf',
+    '.otf': 'font/otf',
+    '.eot': 'application/vnd.ms-fontobject'
+};
+
+/**
+ * Usual install locations of Chrome and Chromium
+ */
+const CANDIDATES = {
+    linux: [
+        '/usr/bin/chromium',
+        '/usr/bin/chromium-browser',
+        '/usr/bin/google-chrome',
+        '/usr/bin/google-chrome-stable',
+        '/snap/bin/chromium'
+    ],
+    darwin: [
+        '/Applications/Google Chrome.app/Contents/MacOS/Google Chrome',
+        '/Applications/Chromium.app/Contents/MacOS/Chromium'
+    ],
+    win32: [
+        'C:\\Program Files\\Google\\Chrome\\Application\\chrome.exe',
+        'C:\\Program Files (x86)\\Google\\Chrome\\Application\\chrome.exe'
+    ]
+};
+
+/**
+ * A locally installed Chromium driven through puppeteer-core, rendering
+ * pages held in a VirtualFS
+ */
+export class HeadlessBrowser {
+    constructor(browser, executablePath, sandbox = true) {
+        this.browser = browser;
+        this.executablePath = executablePath;
+        this.sandbox = sandbox;
+    }
+
+    /**
+     * Whether Chromium can keep its sandbox: the pages load no scripts, but
+     * Chromium still parses the untrusted CSS, fonts and images of the
+     * styles, so it is only turned off when asked to (`sandbox: false`,
+     * CHROME_NO_SANDBOX=1) or as root, where Chromium refuses to start
+     * with it
+     */
+    static useSandbox(options = {}) {
+        if (options.sandbox === false) return false;
+        if (['1', 'true'].includes(String(process.env.CHROME_NO_SANDBOX).toLowerCase())) return false;
+        return !(process.getuid && process.getuid() === 0);
+    }
+
+    /**
+     * Find a Chromium executable: the given path, then CHROME_PATH, the
+     * usual install locations and the browsers downloaded by Puppeteer
+     *
+     * @returns {Promise<string|null>}
+     */
+    static async find(executablePath = null) {
+        if (executablePath) {
+            if (!await fs.pathExists(executablePath)) {
+                throw new Error(`Chromium not found: ${executablePath}`);
+            }
+            return executablePath;
+        }
+
+        const candidates = [
+            process.env.CHROME_PATH,
+            process.env.PUPPETEER_EXECUTABLE_PATH,
+            ...(CANDIDATES[process.platform] || []),
+            ...await findPuppeteerBrowsers()
+        ].filter(Boolean);
+
+        for (const candidate of candidates) {
+            if (await fs.pathExists(candidate)) {
+                return candidate;
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Start Chromium
+     *
+     * @param {Object} options - { sandbox: false to turn the sandbox off }
+     * @returns {Promise<HeadlessBrowser|null>} null when no Chromium is
+     *   installed
+     */
+    static async launch(executablePath = null, options = {}) {
+        const executable = await HeadlessBrowser.find(executablePath);
+        if (!executable) return null;
+
+        let puppeteer;
+        try {
+            puppeteer = (await import('puppeteer-core')).default;
+        } catch (e) {
+            throw new Error('puppeteer-core is not installed; run npm install');
+        }
+
+        const sandbox = HeadlessBrowser.useSandbox(options);
+        const args = ['--disable-gpu', '--font-render-hinting=none', '--hide-scrollbars'];
+        if (!sandbox) args.unshift('--no-sandbox');
+
+        try {
+            const browser = await puppeteer.launch({ executablePath: executable, headless: true, args });
+            return new HeadlessBrowser(browser, executable, sandbox);
+        } catch (e) {
+            // Puppeteer's message holds the browser's whole stderr
+            const lines = e.message.split('\n').map(line => line.trim()).filter(Boolean);
+            const cause = lines.find(line => /error while loading|cannot open|not found/i.test(line)) || lines[0];
+            throw new Error(`Could not start ${executable}: ${cause.replace(`${executable}: `, '')}`);
+        }
+    }
+
+    /**
+     * Open a page of a VirtualFS
+     *
+     * @param {VirtualFS} files - the site
+     * @param {string} entry - path of the page in `files`
+     * @param {Object} viewport - { width, height, isMobile }
+     * @returns {Promise<Page>} the Puppeteer page, loaded
+     */
+    async open(files, entry, viewport) {
+        const page = await this.browser.newPage();
+        await page.setViewport({ deviceScaleFactor: 1, ...viewport });
+        await page.setRequestInterception(true);
+
+        page.on('request', request => {
+            const url = request.url();
+            if (url.startsWith('data:')) {
+                request.continue();
+                return;
+            }
+            if (!url.startsWith(`${ORIGIN}/`)) {
+                request.abort('blockedbyclient');
+                return;
+            }
+
+            const file = decodeURIComponent(new URL(url).pathname.slice(1));
+            if (!files.isFile(file)) {
+                request.respond({ status: 404, contentType: 'text/plain', body: 'Not found' });
+                return;
+            }
+            request.respond({
+                status: 200,
+                contentType: CONTENT_TYPES[extname(file)] || 'application/octet-stream',
+                body: Buffer.from(files.files.get(file))
+            });
+        });
+
+        await page.goto(`${ORIGIN}/${entry.split('/').map(encodeURIComponent).join('/')}`, { waitUntil: 'load', timeout: 30000 });
+        return page;
+    }
+
+    /**
+     * An empty page, for work that needs no files
+     */
+    async newPage() {
+        return this.browser.newPage();
+    }
+
+    async close() {
+        await this.browser.close();
+    }
+}
+
+/**
+ * Browsers installed by `npx @puppeteer/browsers install` or Puppeteer
+ * itself, newest first
+ */
+async function findPuppeteerBrowsers() {
+    const cache = process.env.PUPPETEER_CACHE_DIR || path.join(os.homedir(), '.cache', 'puppeteer');
+    const binaries = {
+        'chrome-headless-shell': { linux: 'chrome-headless-shell-linux64/chrome-headless-shell', win32: 'chrome-headless-shell-win64/chrome-headless-shell.exe' },
+        chrome: { linux: 'chrome-linux64/chrome', win32: 'chrome-win64/chrome.exe' }
+    };
+    const found = [];
+
+    for (const [browser, paths] of Object.entries(binaries)) {
+        const binary = paths[process.platform];
+        const dir = path.join(cache, browser);
+        if (!binary || !await fs.pathExists(dir)) continue;
+
+        const versions = (await fs.readdir(dir)).sort((a, b) => b.localeCompare(a, undefined, { numeric: true }));
+        found.push(...versions.map(version => path.join(dir, version, binary)));
+    }
+    return found;
+}
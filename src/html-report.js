@@ -0,0 +1,375 @@
+import { diffLines } from './line-diff.js';
+
+/**
+ * Unchanged lines shown around each change in the diffs; longer runs of
+ * unchanged lines are folded
+ */
+const DIFF_CONTEXT = 3;
+
+/**
+ * Styles of conversion-report.html, inlined so the page opens offline
+ */
+const REPORT_CSS = `
+body { font: 15px/1.5 system-ui, sans-serif; color: #222; margin: 0 auto; max-width: 1400px; padding: 1em 2em 3em; }
+h1 { font-size: 1.6em; margin-bottom: 0.2em; }
+h2 { display: inline; font-size: 1.25em; }
+section > details > summary { cursor: pointer; border-bottom: 1px solid #ddd; padding-bottom: 0.2em; margin: 2em 0 0.5em; }
+details.diff > summary { cursor: pointer; font-weight: 600; margin: 1em 0 0.5em; }
+table { border-collapse: collapse; width: 100%; margin: 0.5em 0 1em; font-size: 0.92em; }
+th, td { border: 1px solid #ddd; padding: 4px 8px; text-align: left; vertical-align: top; }
+th { background: #f5f5f5; }
+code { font: 0.9em/1.4 ui-monospace, monospace; background: #f3f3f3; padding: 0 3px; border-radius: 3px; word-break: break-all; }
+pre { font: 0.85em/1.4 ui-monospace, monospace; background: #f7f7f7; padding: 8px; overflow: auto; }
+a { color: #1557b0; }
+.meta { color: #666; }
+.summary td:first-child { width: 14em; font-weight: 600; }
+.error { background: #fdecea; }
+.warning { background: #fff8e1; }
+.passed { color: #1b7a1b; }
+.failed { color: #b71c1c; }
+table.diff { table-layout: fixed; font: 12px/1.4 ui-monospace, monospace; }
+table.diff td { border: 0; padding: 0 6px; white-space: pre-wrap; word-break: break-all; }
+table.diff td.num { width: 4.5em; text-align: right; color: #888; background: #fafafa; user-select: none; }
+table.diff td.num:target { background: #ffe082; color: #222; }
+table.diff tr.changed td.old, table.diff tr.removed td.old { background: #fdecea; }
+table.diff tr.changed td.new, table.diff tr.added td.new { background: #e6f4ea; }
+table.diff tr.file td { background: #eef2f7; color: #444; font-weight: 600; padding: 2px 6px; }
+table.diff td.finding-error { box-shadow: inset 4px 0 #d32f2f; background: #fdecea; }
+table.diff td.finding-warning { box-shadow: inset 4px 0 #f9a825; background: #fff8e1; }
+table.diff tbody.fold-toggle td { background: #f1f3f4; color: #555; text-align: center; cursor: pointer; padding: 2px; }
+`;
+
+/**
+ * Opens the folded lines and closed sections a link points into
+ */
+const REPORT_SCRIPT = `
+function reveal(id) {
+    var target = id && document.getElementById(id);
+    if (!target) return;
+    for (var node = target; node; node = node.parentElement) {
+        if (node.tagName === 'DETAILS') node.open = true;
+        if (node.tagName === 'TBODY' && node.hidden) {
+            node.hidden = false;
+            if (node.previousElementSibling) node.previousElementSibling.hidden = true;
+        }
+    }
+    target.scrollIntoView({ block: 'center' });
+}
+document.addEventListener('click', function (event) {
+    var toggle = event.target.closest('tbody.fold-toggle');
+    if (toggle) {
+        toggle.hidden = true;
+        toggle.nextElementSibling.hidden = false;
+    }
+});
+window.addEventListener('hashchange', function () { reveal(location.hash.slice(1)); });
+reveal(location.hash.slice(1));
+`;
+
+/**
+ * Which diff a validation finding's line belongs to, by the prefix of
+ * its type
+ */
+const FINDING_FILES = [
+    { prefix: 'js-', diff: 'js' },
+    { prefix: 'css-', diff: 'css' },
+    { prefix: 'asset-missing', diff: 'css' },
+    { prefix: 'config-', diff: 'config' }
+];
+
+/**
+ * Render the conversion report as a standalone HTML page
+ *
+ * With `options.sources`, each of the JavaScript, CSS and config.xml
+ * sections shows a side-by-side diff of the old files against the
+ * converted one, and the change records and validation findings link to
+ * their lines in it.
+ *
+ * @param {Object} results - ConversionCore results
+ * @param {Object} options - { generatedAt, templateNote, sources }, where
+ *   sources has `js`, `css` and `config` entries of
+ *   { old: [{ name, content }], new: { name, content } }
+ * @returns {string}
+ */
+export function renderHTMLReport(results, options = {}) {
+    const { analysis, validation } = results;
+    const sources = options.sources || {};
+    const findings = [...validation.errors, ...validation.warnings, ...validation.info];
+    const sections = [];
+
+    sections.push(section('summary', 'Summary', table(null, [
+        ['Complexity', escape(analysis.complexity)],
+        ['Template', escape(analysis.template + (options.templateNote || ''))],
+        ['CSS mode', escape(results.cssChanges.mode)],
+        ['Original JS lines', analysis.customCode.linesOfCode],
+        ['Validation', validation.isValid
+            ? '<span class="passed">✓ Passed</span>'
+            : '<span class="failed">✗ Failed</span>'],
+        ['Errors / warnings', `${validation.errors.length} / ${validation.warnings.length}`]
+    ], 'summary')));
+
+    // JavaScript
+    const js = results.jsTransform;
+    let jsHTML = '';
+    if (js.customCodeSections.length > 0) {
+        jsHTML += `<p>Preserved custom code:</p><ul>${js.customCodeSections.map(name => `<li>${escape(name)}</li>`).join('')}</ul>`;
+    }
+    if (js.droppedCode && js.droppedCode.length > 0) {
+        jsHTML += `<p class="warning">Dropped with the old myTheme.init(), review manually:</p>`;
+        jsHTML += js.droppedCode.map(statement =>
+            `<p>Line ${lineLink(sources.js, 'js', 'old', 0, statement.line)}</p><pre>${escape(statement.code)}</pre>`
+        ).join('');
+    }
+    jsHTML += changeTable(['Line', 'Change', 'Old', 'New'], js.changes, change => [
+        lineLink(sources.js, 'js', 'old', 0, change.line), escape(change.description), code(change.old), code(change.new)
+    ]);
+    jsHTML += diffBlock('js', sources.js, findings);
+    sections.push(section('js', 'JavaScript', jsHTML));
+
+    // CSS
+    const cssFiles = sources.css ? sources.css.old.map(file => file.name) : [];
+    let cssHTML = changeTable(
+        ['File', 'Line', 'Change', 'Old', 'New', 'Count'],
+        results.cssChanges.changes,
+        change => [
+            escape(change.file || ''),
+            lineLink(sources.css, 'css', 'old', cssFiles.indexOf(change.file), change.line),
+            escape(change.description), code(change.old), code(change.new), change.count || ''
+        ]
+    );
+    cssHTML += diffBlock('css', sources.css, findings);
+    sections.push(section('css', `CSS (${results.cssChanges.changes.length} changes)`, cssHTML));
+
+    // config.xml
+    let configHTML = changeTable(['Field', 'Change', 'Value'], results.configChanges.changes, change => [
+        configLink(sources.config, change.field, change.type) || code(change.field),
+        escape(change.description),
+        change.oldValue !== undefined
+            ? `${code(change.oldValue)} → ${code(change.newValue)}`
+            : code(change.value)
+    ]);
+    configHTML += diffBlock('config', sources.config, findings);
+    sections.push(section('config', 'config.xml', configHTML));
+
+    // Assets and icons
+    const assets = results.assetMigration;
+    let assetHTML = changeTable(['File', 'Moved to', 'Reason'], assets.migrations, migration => [
+        code(migration.from), code(migration.to), escape(migration.source === 'template' ? 'template asset' : (migration.reason || ''))
+    ]);
+    if (assets.pruned.length > 0) {
+        assetHTML += `<p>Removed as unused: ${assets.pruned.map(code).join(', ')}</p>`;
+    }
+    if (results.iconMapping) {
+        const icons = results.iconMapping;
+        assetHTML += `<p>iDevice icons renamed after the ${escape(analysis.template)} icon set:</p>`;
+        assetHTML += changeTable(['Old', 'New', 'Template icon', 'Action'], icons.mappings, mapping => [
+            code(mapping.old), code(mapping.new), code(mapping.slot), escape(mapping.action)
+        ]);
+        if (icons.unmatched.length > 0) {
+            assetHTML += `<p>No counterpart in the template: ${icons.unmatched.map(code).join(', ')}</p>`;
+        }
+        if (icons.uncovered.length > 0) {
+            assetHTML += `<p>Template icons ${icons.filled.length > 0 ? 'copied from the template' : 'not covered'}: ${icons.uncovered.map(code).join(', ')}</p>`;
+        }
+    }
+    sections.push(section('assets', 'Assets', assetHTML));
+
+    // Validation
+    sections.push(section('validation', 'Validation', changeTable(['Severity', 'Check', 'Message', 'Lines'], findings, finding => {
+        const diff = getFindingDiff(finding);
+        return [
+            escape(finding.severity),
+            code(finding.type),
+            escape(finding.message) + (finding.frame ? `<pre>${escape(finding.frame)}</pre>` : ''),
+            diff ? getFindingLines(finding).map(line => lineLink(sources[diff], diff, 'new', 0, line)).join(' ') : ''
+        ];
+    }, finding => finding.severity)));
+
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>Conversion report: ${escape(analysis.styleName)}</title>
+<style>${REPORT_CSS}</style>
+</head>
+<body>
+<h1>eXeLearning Style Conversion Report</h1>
+<p class="meta">${escape(analysis.styleName)} · ${escape(options.generatedAt || new Date().toISOString())}</p>
+${sections.join('\n')}
+<script>${REPORT_SCRIPT}</script>
+</body>
+</html>
+`;
+}
+
+function section(id, title, content) {
+    return `<section id="${id}">\n<details open>\n<summary><h2>${escape(title)}</h2></summary>\n${content}\n</details>\n</section>`;
+}
+
+/**
+ * Collapsed side-by-side diff of a section's files, with the lines of
+ * validation findings marked on the converted side
+ */
+function diffBlock(key, source, findings) {
+    if (!source) return '';
+
+    const old = joinFiles(source.old);
+    const rows = diffLines(old.content, source.new.content);
+    const changed = rows.filter(row => row.type !== 'same');
+    const oldNames = source.old.map(file => file.name).join(' + ') || '(none)';
+    const label = changed.length === 0
+        ? 'no differences'
+        : `${rows.filter(row => row.new && row.type !== 'same').length} lines added or changed, ${rows.filter(row => row.old && row.type !== 'same').length} removed or changed`;
+
+    const marks = new Map();
+    for (const finding of findings) {
+        if (getFindingDiff(finding) !== key) continue;
+        for (const line of getFindingLines(finding)) {
+            const mark = marks.get(line) || { severity: finding.severity, messages: [] };
+            if (finding.severity === 'error') mark.severity = 'error';
+            mark.messages.push(finding.message);
+            marks.set(line, mark);
+        }
+    }
+
+    // Rows near a change, a marked line or the start of an old file stay
+    // in view
+    const keep = rows.map((row, i) => row.type !== 'same' ||
+        (row.new && marks.has(row.new.line)) ||
+        (source.old.length > 1 && row.old && old.lines[row.old.line - 1].line === 1 && i > 0));
+    const visible = rows.map((row, i) => {
+        for (let j = Math.max(0, i - DIFF_CONTEXT); j <= Math.min(rows.length - 1, i + DIFF_CONTEXT); j++) {
+            if (keep[j]) return true;
+        }
+        return false;
+    });
+
+    const cell = (side, entry) => {
+        if (!entry) return '<td class="num"></td><td></td>';
+        if (side === 'old') {
+            const { file, line } = old.lines[entry.line - 1];
+            return `<td class="num" id="${key}-old-${file}-L${line}">${line}</td><td class="old">${escape(entry.text)}</td>`;
+        }
+        const mark = marks.get(entry.line);
+        const attr = mark ? ` class="new finding-${mark.severity}" title="${escape(mark.messages.join('\n'))}"` : ' class="new"';
+        return `<td class="num" id="${key}-new-0-L${entry.line}">${entry.line}</td><td${attr}>${escape(entry.text)}</td>`;
+    };
+
+    let body = '';
+    let folded = [];
+    const flush = () => {
+        if (folded.length === 0) return;
+        body += `</tbody><tbody class="fold-toggle"><tr><td colspan="4">⋯ ${folded.length} unchanged ${folded.length === 1 ? 'line' : 'lines'}</td></tr></tbody>`;
+        body += `<tbody hidden>${folded.join('')}</tbody><tbody>`;
+        folded = [];
+    };
+    for (const [i, row] of rows.entries()) {
+        let html = '';
+        if (source.old.length > 1 && row.old && old.lines[row.old.line - 1].line === 1) {
+            html += `<tr class="file"><td colspan="4">${escape(source.old[old.lines[row.old.line - 1].file].name)}</td></tr>`;
+        }
+        html += `<tr class="${row.type}">${cell('old', row.old)}${cell('new', row.new)}</tr>`;
+
+        if (visible[i]) {
+            flush();
+            body += html;
+        } else {
+            folded.push(html);
+        }
+    }
+    flush();
+
+    return `<details class="diff" id="${key}-diff">
+<summary>Diff: ${escape(oldNames)} → ${escape(source.new.name)} (${label})</summary>
+<table class="diff"><colgroup><col style="width:4.5em"><col><col style="width:4.5em"><col></colgroup>
+<thead><tr><th colspan="2">${escape(oldNames)}</th><th colspan="2">${escape(source.new.name)}</th></tr></thead>
+<tbody>${body}</tbody></table>
+</details>`;
+}
+
+/**
+ * The old files as one text, with the file (index) and line each line
+ * comes from
+ */
+function joinFiles(files) {
+    const lines = [];
+    const texts = [];
+    for (const [index, file] of files.entries()) {
+        let text = file.content.replace(/\r?\n$/, '');
+        if (text === '') continue;
+        texts.push(text);
+        text.split(/\r?\n/).forEach((_, i) => lines.push({ file: index, line: i + 1 }));
+    }
+    return { content: texts.join('\n'), lines };
+}
+
+/**
+ * Link to a line of a diff, or the bare line number without one
+ */
+function lineLink(source, key, side, file, line) {
+    if (!line) return '';
+    if (!source || file < 0) return String(line);
+    return `<a href="#${key}-${side}-${file}-L${line}">${line}</a>`;
+}
+
+/**
+ * Field name linked to its line in the new config.xml, or in the old
+ * one for a field the conversion removed
+ */
+function configLink(source, field, type) {
+    if (!source || !field) return '';
+    const removed = type === 'field-removed';
+    const file = removed ? source.old[0] : source.new;
+    if (!file) return '';
+
+    const tag = new RegExp(`<${field.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}[\\s>/]`);
+    const index = file.content.split(/\r?\n/).findIndex(text => tag.test(text));
+    if (index < 0) return '';
+    return `<a href="#config-${removed ? 'old' : 'new'}-0-L${index + 1}">${code(field)}</a>`;
+}
+
+function getFindingDiff(finding) {
+    const entry = FINDING_FILES.find(e => finding.type.startsWith(e.prefix));
+    return entry ? entry.diff : null;
+}
+
+function getFindingLines(finding) {
+    if (finding.lines) return finding.lines;
+    return finding.line ? [finding.line] : [];
+}
+
+function table(head, rows, className = '', rowClass = () => '') {
+    const attr = className ? ` class="${className}"` : '';
+    let html = `<table${attr}>`;
+    if (head) {
+        html += `<thead><tr>${head.map(cell => `<th>${escape(cell)}</th>`).join('')}</tr></thead>`;
+    }
+    html += '<tbody>';
+    for (const [i, row] of rows.entries()) {
+        const cls = rowClass(i);
+        html += `<tr${cls ? ` class="${cls}"` : ''}>${row.map(cell => `<td>${cell}</td>`).join('')}</tr>`;
+    }
+    return html + '</tbody></table>';
+}
+
+/**
+ * A table with one row per record, or a note when there are none
+ */
+function changeTable(head, records, toRow, toClass = () => '') {
+    if (records.length === 0) return '<p class="meta">None.</p>';
+    return table(head, records.map(toRow), '', i => toClass(records[i]));
+}
+
+function code(value) {
+    if (value === null || value === undefined || value === '') return '';
+    return `<code>${escape(value)}</code>`;
+}
+
+function escape(value) {
+    return String(value)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
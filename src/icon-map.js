@@ -0,0 +1,62 @@
+/**
+ * v2.9 iDevice icon names and their v3.0 equivalents
+ *
+ * Each group holds names that stand for the same kind of iDevice: the
+ * v2.9 names (`icon_<name>`) and those of the icon sets of the v3.0
+ * templates (`objectives.png` in base, `icon_objective.png` in neo,
+ * `ads_click.svg` in flux, nova and zen). Names are compared without the
+ * `icon_` prefix and the extension; a name may appear in several groups,
+ * and the earlier names of a group are preferred.
+ */
+export const ICON_ALIASES = [
+    ['objectives', 'objective', 'ads_click'],
+    ['question', 'ask', 'help'],
+    ['calc', 'calculate', 'math'],
+    ['reading', 'book', 'local_library'],
+    ['casestudy', 'case'],
+    ['reflection', 'think', 'psychology'],
+    ['preknowledge', 'think_alt', 'psychology'],
+    ['activity', 'task', 'edit_note'],
+    ['assignment', 'task', 'write', 'edit_note'],
+    ['discussion', 'discuss', 'forum'],
+    ['gallery', 'picture', 'collections', 'photo_camera'],
+    ['multimedia', 'video', 'smart_display'],
+    ['attention', 'alert'],
+    ['info', 'information'],
+    ['time', 'chrono', 'calendar_today'],
+    ['technology', 'tool'],
+    ['inter', 'interactive', 'touch_app'],
+    ['summary', 'synthesis', 'key_points', 'list_alt'],
+    ['e_journal', 'diary'],
+    ['define', 'e_gloss', 'wiki', 'wikipedia'],
+    ['assess', 'assessment', 'review', 'diagnosis', 'fact_checksvg', 'check'],
+    ['file', 'attached', 'attachment'],
+    ['search', 'magnifier', 'zoom', 'pageview'],
+    ['listen', 'audiotrack'],
+    ['collaborative', 'group']
+];
+
+/**
+ * Name of an icon file without the `icon_` prefix and the extension, in
+ * lower case (`icon_Objectives.gif` → `objectives`)
+ */
+export function getIconKey(filename) {
+    return filename.toLowerCase().replace(/\.[^.]+$/, '').replace(/^icon_/, '');
+}
+
+/**
+ * Names that stand for the same iDevice as `key`, best first
+ *
+ * @param {string} key - see getIconKey
+ * @returns {Array<string>}
+ */
+export function findIconAliases(key) {
+    const aliases = [];
+    for (const group of ICON_ALIASES) {
+        if (!group.includes(key)) continue;
+        for (const name of group) {
+            if (name !== key && !aliases.includes(name)) aliases.push(name);
+        }
+    }
+    return aliases;
+}
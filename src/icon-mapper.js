@@ -0,0 +1,157 @@
+import { findAssetReferences } from './asset-references.js';
+import { getIconKey, findIconAliases } from './icon-map.js';
+import { basename, extname } from './virtual-fs.js';
+
+const ICON_EXTENSIONS = ['.png', '.jpg', '.jpeg', '.gif', '.svg', '.webp'];
+
+/**
+ * v2.9 iDevice icons: `icon_<name>` images
+ */
+const LEGACY_ICON = /^icon_[^/]+$/i;
+
+/**
+ * Gives the old style's iDevice icons the names of the chosen template's
+ * icon set, so eXeLearning 3.0 offers them in place of the template's
+ *
+ * Each `icons/icon_*` file of the converted style (`output`) is matched
+ * with a template icon of the same name, or else with one that stands
+ * for the same iDevice (see ICON_ALIASES), and renamed after it, keeping
+ * its own extension. An icon style.css refers to keeps its old name as
+ * well (an alias). Old icons without a match stay as they are; template
+ * icons nothing matched are listed and, with `options.fill`, copied from
+ * the template.
+ *
+ * The template's icon names are read from `options.templates`
+ * (`<template>/icons/`), or taken from `options.names` when the templates
+ * come without their images (the web app).
+ */
+export class IconMapper {
+    constructor(output, options = {}) {
+        this.output = output;
+        this.templates = options.templates || null;
+        this.template = options.template;
+        this.names = options.names || null;
+        this.fill = options.fill === true;
+        this.mappings = [];
+        this.unmatched = [];
+        this.uncovered = [];
+        this.filled = [];
+    }
+
+    /**
+     * Main mapping method
+     */
+    async map() {
+        const slots = this.getTemplateIcons().map(name => ({ name, key: getIconKey(name) }));
+        const icons = this.output.list('icons').filter(path =>
+            LEGACY_ICON.test(basename(path)) && ICON_EXTENSIONS.includes(extname(path))
+        );
+
+        // Same name first, so an alias never takes a template icon that
+        // another old icon has by name
+        const matches = new Map();
+        const taken = new Set();
+        const match = (path, key, kind) => {
+            const slot = slots.find(s => s.key === key && !taken.has(s.name));
+            if (!slot) return false;
+            taken.add(slot.name);
+            matches.set(path, { slot, match: kind });
+            return true;
+        };
+        for (const path of icons) {
+            match(path, getIconKey(basename(path)), 'name');
+        }
+        for (const path of icons) {
+            if (matches.has(path)) continue;
+            findIconAliases(getIconKey(basename(path))).some(alias => match(path, alias, 'alias'));
+        }
+
+        const referenced = new Set(findAssetReferences(this.output).references.map(reference => reference.path));
+
+        for (const path of icons) {
+            if (!matches.has(path)) {
+                this.unmatched.push(path);
+                continue;
+            }
+
+            const { slot, match: kind } = matches.get(path);
+            const target = `icons/${slot.name.replace(/\.[^.]+$/, '')}${extname(path)}`;
+            let action = 'renamed';
+            if (target === path || this.output.exists(target)) {
+                action = 'kept';
+            } else if (referenced.has(path)) {
+                this.output.copyFile(path, target);
+                action = 'aliased';
+            } else {
+                this.output.copyFile(path, target);
+                this.output.remove(path);
+            }
+
+            this.mappings.push({
+                old: path,
+                new: action === 'kept' ? path : target,
+                slot: slot.name,
+                match: kind,
+                action
+            });
+        }
+
+        for (const { name } of slots) {
+            if (taken.has(name)) continue;
+            this.uncovered.push(name);
+
+            const source = `${this.template}/icons/${name}`;
+            if (this.fill && this.templates && this.templates.isFile(source) && !this.output.exists(`icons/${name}`)) {
+                this.output.copyFile(source, `icons/${name}`, this.templates);
+                this.filled.push(`icons/${name}`);
+            }
+        }
+
+        return {
+            mappings: this.mappings,
+            unmatched: this.unmatched,
+            uncovered: this.uncovered,
+            filled: this.filled,
+            icons: this.getIcons(),
+            summary: this.getSummary()
+        };
+    }
+
+    /**
+     * File names of the template's icon set
+     */
+    getTemplateIcons() {
+        const dir = `${this.template}/icons`;
+        const files = this.templates ? this.templates.list(dir).map(path => path.slice(dir.length + 1)) : [];
+        const names = files.length > 0 ? files : (this.names || []);
+        return names.filter(name => !name.includes('/') && ICON_EXTENSIONS.includes(extname(name)));
+    }
+
+    /**
+     * Paths of the converted style's iDevice icons once mapped: the old
+     * icons under their new and kept names, and those filled in
+     */
+    getIcons() {
+        const icons = new Set(this.unmatched);
+        for (const mapping of this.mappings) {
+            icons.add(mapping.new);
+            if (mapping.action === 'aliased') icons.add(mapping.old);
+        }
+        this.filled.forEach(path => icons.add(path));
+        return [...icons].sort();
+    }
+
+    /**
+     * Get mapping summary
+     */
+    getSummary() {
+        return {
+            mapped: this.mappings.length,
+            renamed: this.mappings.filter(m => m.action === 'renamed').length,
+            aliased: this.mappings.filter(m => m.action === 'aliased').length,
+            unmatched: this.unmatched.length,
+            uncovered: this.uncovered.length,
+            filled: this.filled.length
+        };
+    }
+}
@@ -1,18 +1,20 @@
-import fs from 'fs-extra';
-import path from 'path';
-import { fileURLToPath } from 'url';
-
-const __filename = fileURLToPath(import.meta.url);
-const __dirname = path.dirname(__filename);
+import * as walk from 'acorn-walk';
+import { ScriptAnalyzer, LEGACY_THEME_MEMBERS } from './script-analyzer.js';
+import { LEGACY_METHODS, LEGACY_INIT_STATEMENTS } from './legacy-api.js';
 
 /**
  * Transforms old JavaScript to new v3.0 format
+ *
+ * `options.templates` is a VirtualFS holding the v3.0 templates
+ * (`<template>/style.js`).
  */
 export class JavaScriptTransformer {
     constructor(analysis, options = {}) {
         this.analysis = analysis;
         this.options = options;
         this.customCodeSections = [];
+        this.changes = [];
+        this.droppedCode = [];
     }
 
     /**
@@ -20,15 +22,13 @@ export class JavaScriptTransformer {
      */
     async transform() {
         const templateName = this.analysis.template;
-        const templatePath = path.join(
-            path.dirname(__dirname),
-            'styles-new',
-            templateName,
-            'style.js'
-        );
 
         // Load the appropriate template
-        let newJS = await fs.readFile(templatePath, 'utf-8');
+        let newJS = this.options.templates.readFile(`${templateName}/style.js`, 'utf-8');
+        this.templateScript = new ScriptAnalyzer(newJS).analyze();
+
+        // Record the legacy methods the template replaces
+        this.recordLegacyMembers();
 
         // For complex styles, extract and preserve custom code
         if (this.analysis.complexity !== 'simple') {
@@ -40,81 +40,132 @@ export class JavaScriptTransformer {
 
         return {
             content: newJS,
-            customCodeSections: this.customCodeSections
+            customCodeSections: this.customCodeSections,
+            changes: this.changes,
+            droppedCode: this.droppedCode
         };
     }
 
     /**
-     * Extract custom code from old JavaScript
+     * Record the v2.9 myTheme members that are not carried over because
+     * the template defines them or v3.0 replaces them
      */
-    async extractCustomCode() {
-        const oldJS = this.analysis.jsContent;
-        if (!oldJS) return '';
-
-        const sections = [];
-
-        // Extract printContent function
-        if (this.analysis.customCode.hasPrintContent) {
-            const printContent = this.extractFunction(oldJS, 'printContent');
-            if (printContent) {
-                sections.push({
-                    name: 'printContent function',
-                    code: printContent,
-                    location: 'myTheme object'
-                });
-                this.customCodeSections.push('printContent()');
+    recordLegacyMembers() {
+        const script = this.analysis.script;
+        if (!script || !script.myTheme) return;
+
+        for (const member of script.myTheme.members) {
+            if (!LEGACY_THEME_MEMBERS.includes(member.name)) continue;
+
+            const legacy = LEGACY_METHODS[member.name];
+            this.changes.push({
+                type: 'legacy-method',
+                old: `myTheme.${member.name}`,
+                new: legacy ? null : `myTheme.${member.name} (v3.0 template)`,
+                line: member.line,
+                description: legacy
+                    ? `Dropped: ${legacy.description}`
+                    : 'Replaced by the v3.0 template implementation'
+            });
+
+            if (member.name === 'init' && member.type === 'function') {
+                this.recordDroppedInit(member);
             }
         }
+    }
 
-        // Extract common.init function
-        if (this.analysis.customCode.hasCommonInit) {
-            const commonInit = this.extractCommonInit(oldJS);
-            if (commonInit) {
-                sections.push({
-                    name: 'common.init function',
-                    code: commonInit,
-                    location: 'myTheme object'
-                });
-                this.customCodeSections.push('common.init()');
-            }
+    /**
+     * Record the statements of the old init() that are the style's own
+     * code: they go with it, so each one needs a manual review
+     */
+    recordDroppedInit(member) {
+        const fn = member.node.value;
+        if (!fn.body || fn.body.type !== 'BlockStatement') return;
+
+        for (const statement of fn.body.body) {
+            // Declarations do nothing on their own
+            if (statement.type === 'VariableDeclaration' || statement.type === 'EmptyStatement') continue;
+
+            const code = this.analysis.jsContent.slice(statement.start, statement.end);
+            if (LEGACY_INIT_STATEMENTS.some(pattern => pattern.test(code))) continue;
+
+            const firstLine = code.split('\n')[0].trim();
+            this.droppedCode.push({ member: 'myTheme.init', line: statement.loc.start.line, code });
+            this.changes.push({
+                type: 'dropped-code',
+                old: firstLine.length > 60 ? firstLine.slice(0, 57) + '...' : firstLine,
+                new: null,
+                line: statement.loc.start.line,
+                description: 'Custom code in the old myTheme.init() is not carried over, review manually'
+            });
         }
+    }
 
-        // Extract character management code
-        if (this.analysis.customCode.hasCharacters) {
-            const characters = this.extractCharacterManagement(oldJS);
-            if (characters) {
-                sections.push({
-                    name: 'Character management',
-                    code: characters,
-                    location: 'after main code'
+    /**
+     * Extract custom code from old JavaScript, node by node
+     */
+    async extractCustomCode() {
+        const script = this.analysis.script;
+        if (!script) return [];
+
+        const source = this.analysis.jsContent;
+        const preserved = [];
+
+        // myTheme members that neither v2.9 nor the template already provide
+        if (script.myTheme) {
+            const templateMembers = this.templateScript && this.templateScript.myTheme
+                ? this.templateScript.myTheme.members.map(m => m.name)
+                : [];
+
+            for (const member of script.myTheme.members) {
+                if (LEGACY_THEME_MEMBERS.includes(member.name) ||
+                    templateMembers.includes(member.name)) {
+                    continue;
+                }
+                preserved.push({
+                    entry: member,
+                    name: this.describeMember(member),
+                    location: 'myTheme object',
+                    edits: this.findLegacyReferences(member.node, true)
                 });
-                this.customCodeSections.push('Character management');
             }
         }
 
-        // Extract H5P iframe resizer
-        if (this.analysis.customCode.hasH5P) {
-            const h5p = this.extractH5PResizer(oldJS);
-            if (h5p) {
-                sections.push({
-                    name: 'H5P iframe resizer',
-                    code: h5p,
-                    location: 'after main code'
-                });
-                this.customCodeSections.push('H5P iframe resizer');
-            }
+        // Top-level code, kept in its original order
+        const topLevel = [
+            ...script.functions.map(fn => ({ entry: fn, name: `${fn.name}()` })),
+            ...script.iifes.map(iife => ({ entry: iife, name: this.describeTopLevel(iife, iife.name) })),
+            ...script.eventRegistrations
+                .filter(reg => !reg.isBootstrap)
+                .map(reg => ({
+                    entry: reg,
+                    name: this.describeTopLevel(reg, `${reg.target} ${reg.event} handler`),
+                    edits: this.getBootstrapRemovals(reg)
+                })),
+            ...script.statements.map(st => ({ entry: st, name: this.describeTopLevel(st, st.name) }))
+        ].sort((a, b) => a.entry.start - b.entry.start);
+
+        for (const item of topLevel) {
+            preserved.push({
+                ...item,
+                location: 'after main code',
+                edits: [
+                    ...(item.edits || []),
+                    ...this.findLegacyReferences(item.entry.node, false)
+                ]
+            });
         }
 
-        // Extract phase management
-        if (this.analysis.customCode.hasPhaseManagement) {
-            const phase = this.extractPhaseManagement(oldJS);
-            if (phase) {
-                sections.push({
-                    name: 'Phase management',
-                    code: phase,
-                    location: 'common.init'
-                });
-                this.customCodeSections.push('Phase management');
+        const sections = preserved.map(({ entry, name, location, edits }) => ({
+            name,
+            code: this.applyEdits(source, entry.start, entry.end, edits).trim(),
+            location,
+            line: entry.line
+        }));
+
+        for (const section of sections) {
+            if (!this.customCodeSections.includes(section.name)) {
+                this.customCodeSections.push(section.name);
             }
         }
 
@@ -122,167 +173,149 @@ export class JavaScriptTransformer {
     }
 
     /**
-     * Extract a specific function from the old JavaScript (handles nested braces)
+     * Find references to legacy myTheme methods (hideMenu, toggleMenu,
+     * reset) inside a node and return the edits that rewrite them to the
+     * v3.0 mechanism. `this.method` is also matched inside myTheme members.
      */
-    extractFunction(code, functionName) {
-        // Find the start of the function
-        const startRegex = new RegExp(`${functionName}\\s*:\\s*function\\s*\\([^)]*\\)\\s*{`);
-        const startMatch = code.match(startRegex);
-        if (!startMatch) return null;
-
-        const startIndex = startMatch.index + startMatch[0].length - 1; // Include opening brace
-
-        // Count braces to find matching closing brace
-        let braceCount = 0;
-        let inString = false;
-        let stringChar = null;
-        let escaped = false;
-
-        for (let i = startIndex; i < code.length; i++) {
-            const char = code[i];
-
-            // Handle escape sequences
-            if (escaped) {
-                escaped = false;
-                continue;
-            }
-            if (char === '\\') {
-                escaped = true;
-                continue;
-            }
-
-            // Handle strings
-            if (!inString && (char === '"' || char === "'" || char === '`')) {
-                inString = true;
-                stringChar = char;
-                continue;
-            }
-            if (inString && char === stringChar) {
-                inString = false;
-                stringChar = null;
-                continue;
-            }
-
-            // Count braces only outside of strings
-            if (!inString) {
-                if (char === '{') braceCount++;
-                if (char === '}') {
-                    braceCount--;
-                    if (braceCount === 0) {
-                        // Found matching closing brace
-                        const funcCode = code.slice(startMatch.index, i + 1);
-                        return funcCode;
+    findLegacyReferences(node, matchThis) {
+        const edits = [];
+
+        const isThemeObject = object =>
+            (object.type === 'Identifier' && object.name === 'myTheme') ||
+            (matchThis && object.type === 'ThisExpression');
+
+        walk.ancestor(node, {
+            MemberExpression: (member, ancestors) => {
+                if (member.computed || !isThemeObject(member.object)) return;
+
+                const name = member.property.name;
+                const legacy = LEGACY_METHODS[name];
+                if (!legacy) return;
+
+                const parent = ancestors[ancestors.length - 2];
+                const isCall = parent && parent.type === 'CallExpression' && parent.callee === member;
+                const target = isCall ? parent : member;
+                const text = isCall ? legacy.call : legacy.reference;
+                const old = this.analysis.jsContent.slice(target.start, target.end);
+
+                edits.push({
+                    start: target.start,
+                    end: target.end,
+                    text,
+                    change: {
+                        type: isCall ? 'legacy-call' : 'legacy-reference',
+                        old: old.length > 60 ? old.slice(0, 57) + '...' : old,
+                        new: text,
+                        line: member.loc.start.line,
+                        description: legacy.description
                     }
+                });
+            },
+            Literal: literal => {
+                if (typeof literal.value === 'string') {
+                    this.checkLegacyString(literal.value, literal.loc.start.line);
                 }
+            },
+            TemplateElement: element => {
+                this.checkLegacyString(element.value.cooked || '', element.loc.start.line);
             }
+        });
+
+        // A nested reference (e.g. in the arguments of a rewritten call) is
+        // replaced together with its outer call
+        const outermost = edits.filter(edit => !edits.some(other =>
+            other !== edit && other.start <= edit.start && other.end >= edit.end
+        ));
+
+        for (const edit of outermost) {
+            this.changes.push(edit.change);
         }
 
-        return null;
+        return outermost;
     }
 
     /**
-     * Extract common.init object (handles nested braces)
+     * Flag legacy method calls hidden in strings (e.g. onclick attributes),
+     * which cannot be rewritten safely
      */
-    extractCommonInit(code) {
-        // Find the start of common object
-        const startMatch = code.match(/common\s*:\s*{/);
-        if (!startMatch) return null;
-
-        const startIndex = startMatch.index + startMatch[0].length - 1; // Include opening brace
-
-        // Count braces to find matching closing brace
-        let braceCount = 0;
-        let inString = false;
-        let stringChar = null;
-        let escaped = false;
-
-        for (let i = startIndex; i < code.length; i++) {
-            const char = code[i];
-
-            // Handle escape sequences
-            if (escaped) {
-                escaped = false;
-                continue;
-            }
-            if (char === '\\') {
-                escaped = true;
-                continue;
-            }
-
-            // Handle strings
-            if (!inString && (char === '"' || char === "'" || char === '`')) {
-                inString = true;
-                stringChar = char;
-                continue;
-            }
-            if (inString && char === stringChar) {
-                inString = false;
-                stringChar = null;
-                continue;
+    checkLegacyString(value, line) {
+        for (const name of Object.keys(LEGACY_METHODS)) {
+            if (value.includes(`myTheme.${name}`)) {
+                this.changes.push({
+                    type: 'legacy-string',
+                    old: `myTheme.${name}`,
+                    new: null,
+                    line,
+                    description: `Found in a string, review manually: ${LEGACY_METHODS[name].description}`
+                });
             }
+        }
+    }
 
-            // Count braces only outside of strings
-            if (!inString) {
-                if (char === '{') braceCount++;
-                if (char === '}') {
-                    braceCount--;
-                    if (braceCount === 0) {
-                        // Found matching closing brace
-                        return 'common: ' + code.slice(startIndex, i + 1);
-                    }
-                }
+    /**
+     * Name a preserved myTheme member for the reports
+     */
+    describeMember(member) {
+        if (member.type === 'function') {
+            return `${member.path}()`;
+        }
+        if (member.type === 'object') {
+            const functions = member.members.filter(m => m.type === 'function');
+            if (functions.length > 0) {
+                return functions.map(m => `${m.path}()`).join(', ');
             }
         }
-
-        return null;
+        return `myTheme.${member.path}`;
     }
 
     /**
-     * Extract character management code
+     * Name a preserved top-level section, recognising the known patterns
      */
-    extractCharacterManagement(code) {
-        const sections = [];
-
-        // Extract DOMContentLoaded event listener with character code
-        const domContentMatch = code.match(
-            /document\.addEventListener\s*\(\s*["']DOMContentLoaded["']\s*,\s*\(event\)\s*=>\s*{[\s\S]*?\.udl-character[\s\S]*?}\);/
-        );
-        if (domContentMatch) {
-            sections.push(domContentMatch[0]);
+    describeTopLevel(entry, fallback) {
+        if (entry.code.includes('h5pResizerInitialized')) {
+            return 'H5P iframe resizer';
         }
-
-        // Extract $exeDevice.characters
-        const exeDeviceMatch = code.match(
-            /if\s*\(\s*typeof\s+\$exeDevice\s*!==\s*["']undefined["']\s*\)\s*{[\s\S]*?\$exeDevice\.characters[\s\S]*?}/
-        );
-        if (exeDeviceMatch) {
-            sections.push(exeDeviceMatch[0]);
+        if (entry.code.includes('$exeDevice.characters') || entry.code.includes('.udl-character')) {
+            return 'Character management';
         }
-
-        return sections.length > 0 ? sections.join('\n\n') : null;
+        return fallback;
     }
 
     /**
-     * Extract H5P iframe resizer
+     * Edits that remove the myTheme.init() calls from a ready handler;
+     * the template starts the theme itself
      */
-    extractH5PResizer(code) {
-        // Find the H5P iframe resizer IIFE
-        const h5pMatch = code.match(
-            /\/\/ H5P iframe Resizer[\s\S]*?\(function\s*\(\)\s*{[\s\S]*?}\)\(\);/
-        );
-        return h5pMatch ? h5pMatch[0] : null;
+    getBootstrapRemovals(registration) {
+        const source = this.analysis.jsContent;
+
+        return registration.bootstrapRanges.map(range => {
+            let start = range.start;
+
+            // Also remove the indentation and line break before the statement
+            while (start > registration.start && /[ \t]/.test(source[start - 1])) start--;
+            if (source[start - 1] === '\n') start--;
+            if (source[start - 1] === '\r') start--;
+
+            return { start, end: range.end, text: '' };
+        });
     }
 
     /**
-     * Extract phase management code from common.init
+     * Slice a range of the source, applying the edits that fall inside it
      */
-    extractPhaseManagement(code) {
-        // This is typically inside common.init, so we'll extract the whole common object
-        // The phase management code is the part that deals with nodeDecoration classes
-        const phaseMatch = code.match(
-            /\/\/Phase management[\s\S]*?$("#nodeDecoration")\.addClass[\s\S]*?}/
-        );
-        return phaseMatch ? phaseMatch[0] : null;
+    applyEdits(source, start, end, edits) {
+        let code = source.slice(start, end);
+
+        // Apply from the end so earlier offsets stay valid
+        const applicable = edits
+            .filter(edit => edit.start >= start && edit.end <= end)
+            .sort((a, b) => b.start - a.start);
+
+        for (const edit of applicable) {
+            code = code.slice(0, edit.start - start) + edit.text + code.slice(edit.end - start);
+        }
+
+        return code;
     }
 
     /**
@@ -295,24 +328,30 @@ export class JavaScriptTransformer {
 
         let result = newJS;
 
-        // Find the position to insert code
         const myThemeSections = customSections.filter(s => s.location === 'myTheme object');
         const afterCodeSections = customSections.filter(s => s.location === 'after main code');
 
-        // Add functions to myTheme object
-        if (myThemeSections.length > 0) {
-            // Find the closing brace of params function (last standard function)
-            const paramsEndMatch = result.match(/(params\s*:\s*function\s*\([^)]*\)\s*{[\s\S]*?}\s*,?\s*\n)/);
-            if (paramsEndMatch) {
-                const insertPos = paramsEndMatch.index + paramsEndMatch[0].length;
-                const customFunctions = myThemeSections.map(s => {
-                    const code = s.code;
-                    // Ensure proper formatting and comma
-                    return code.endsWith(',') ? code : code + ',';
-                }).join('\n\n    ');
-
-                result = result.slice(0, insertPos) + '\n    // === CUSTOM FUNCTIONS PRESERVED FROM v2.9 ===\n    ' + customFunctions + '\n' + result.slice(insertPos);
+        // Add members after the last member of the template's myTheme object
+        const templateMembers = this.templateScript && this.templateScript.myTheme
+            ? this.templateScript.myTheme.members
+            : [];
+
+        if (myThemeSections.length > 0 && templateMembers.length > 0) {
+            let insertPos = templateMembers[templateMembers.length - 1].end;
+            let separator = ',';
+
+            const trailingComma = result.slice(insertPos).match(/^\s*,/);
+            if (trailingComma) {
+                insertPos += trailingComma[0].length;
+                separator = '';
             }
+
+            const customMembers = myThemeSections.map(s => s.code).join(',\n\n    ');
+
+            result = result.slice(0, insertPos) + separator +
+                '\n\n    // === CUSTOM FUNCTIONS PRESERVED FROM v2.9 ===\n    ' +
+                customMembers + ',' +
+                result.slice(insertPos);
         }
 
         // Add code after main initialization
@@ -333,7 +372,8 @@ export class JavaScriptTransformer {
         return {
             template: this.analysis.template,
             complexity: this.analysis.complexity,
-            preservedCode: this.customCodeSections
+            preservedCode: this.customCodeSections,
+            legacyChanges: this.changes.length
         };
     }
 }
@@ -0,0 +1,53 @@
+/**
+ * v2.9 myTheme methods with no v3.0 counterpart and what replaces them
+ *
+ * `call` replaces a call such as `myTheme.toggleMenu(this)`, `reference`
+ * replaces the bare method when it is passed around as a callback.
+ */
+export const LEGACY_METHODS = {
+    hideMenu: {
+        call: "$('body').addClass('siteNav-off')",
+        reference: "function () { $('body').addClass('siteNav-off'); }",
+        description: 'v3.0 hides the menu with the siteNav-off body class'
+    },
+    toggleMenu: {
+        call: "$('#siteNavToggler').trigger('click')",
+        reference: "function () { $('#siteNavToggler').trigger('click'); }",
+        description: 'v3.0 toggles the menu with the #siteNavToggler button'
+    },
+    reset: {
+        call: 'myTheme.checkNav()',
+        reference: 'myTheme.checkNav',
+        description: 'v3.0 recalculates the menu layout on resize with checkNav()'
+    }
+};
+
+/**
+ * Statements every v2.9 `myTheme.init()` has in some form, which the
+ * template's `init()` replaces: the old IE check, the resize handler that
+ * resets the menu, the menu toggler button and the `nav=false` parameter.
+ * Anything else in the old init is the style's own code.
+ */
+export const LEGACY_INIT_STATEMENTS = [
+    /\bie_v\b|\$exe\.isIE\(/,
+    /(myTheme|this)\.reset\(/,
+    /nav-toggler|toggle-nav|\bnavToggler\b/,
+    /\.(before|after|prepend|append)\(\s*l\s*\)/,
+    /nav=false|^url\s*=\s*url\.split\(/
+];
+
+/**
+ * Globals the pages of a v3.0 export define for styles
+ */
+export const RUNTIME_GLOBALS = ['$', 'jQuery', '$exe', '$exe_i18n'];
+
+/**
+ * v2.9 globals and `$exe` members that v3.0 pages do not define
+ */
+export const LEGACY_GLOBALS = {
+    exe_editor: 'only defined by the v2.9 editor',
+    eXe: 'the v2.9 editor application; v3.0 has no such global',
+    _: "the v2.9 editor's translation function; v3.0 strings are in $exe_i18n",
+    exe_style: "set by v2.9 exports to the style's path",
+    '$exe.hint': 'the v2.9 hint helper was removed in v3.0'
+};
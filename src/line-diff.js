@@ -0,0 +1,154 @@
+/**
+ * Most edits a diff looks for before it gives up and shows the rest of
+ * the files as replaced
+ */
+const MAX_EDITS = 3000;
+
+/**
+ * Side-by-side line diff of two texts
+ *
+ * Lines are compared as they are, apart from the line ending. Runs of
+ * removed and added lines between unchanged ones are paired up into
+ * `changed` rows.
+ *
+ * @param {string} oldText
+ * @param {string} newText
+ * @returns {Array<Object>} rows of { type, old, new } - type is `same`,
+ *   `changed`, `removed` or `added`; old and new are { line, text } (line
+ *   from 1) or null
+ */
+export function diffLines(oldText, newText) {
+    const a = splitLines(oldText);
+    const b = splitLines(newText);
+
+    // Common head and tail don't need the edit search
+    let head = 0;
+    while (head < a.length && head < b.length && a[head] === b[head]) head++;
+    let tail = 0;
+    while (tail < a.length - head && tail < b.length - head &&
+        a[a.length - 1 - tail] === b[b.length - 1 - tail]) tail++;
+
+    const ops = [];
+    for (let i = 0; i < head; i++) ops.push(['same', i, i]);
+    ops.push(...findEdits(a, b, head, a.length - tail, b.length - tail));
+    for (let i = tail; i > 0; i--) ops.push(['same', a.length - i, b.length - i]);
+
+    return toRows(ops, a, b);
+}
+
+/**
+ * Split a text into lines, without the empty one after a final newline
+ */
+export function splitLines(text) {
+    if (!text) return [];
+    const lines = text.split(/\r?\n/);
+    if (lines[lines.length - 1] === '') lines.pop();
+    return lines;
+}
+
+/**
+ * Shortest edit script between a[start..endA) and b[start..endB) (Myers),
+ * as ['same', i, j], ['removed', i] and ['added', j] operations
+ */
+function findEdits(a, b, start, endA, endB) {
+    const n = endA - start;
+    const m = endB - start;
+    const max = n + m;
+    const offset = max + 1;
+    const v = new Int32Array(2 * max + 3);
+    const trace = [];
+    const limit = Math.min(max, MAX_EDITS);
+
+    for (let d = 0; d <= limit; d++) {
+        // The furthest points of the previous round, for the way back
+        trace.push(v.slice(offset - d - 1, offset + d + 2));
+
+        for (let k = -d; k <= d; k += 2) {
+            let x = (k === -d || (k !== d && v[offset + k - 1] < v[offset + k + 1]))
+                ? v[offset + k + 1]
+                : v[offset + k - 1] + 1;
+            let y = x - k;
+            while (x < n && y < m && a[start + x] === b[start + y]) {
+                x++;
+                y++;
+            }
+            v[offset + k] = x;
+
+            if (x >= n && y >= m) {
+                return backtrack(trace, n, m, start);
+            }
+        }
+    }
+
+    // Too far apart: everything in between was replaced
+    const ops = [];
+    for (let i = start; i < endA; i++) ops.push(['removed', i]);
+    for (let j = start; j < endB; j++) ops.push(['added', j]);
+    return ops;
+}
+
+function backtrack(trace, n, m, start) {
+    const ops = [];
+    let x = n;
+    let y = m;
+
+    for (let d = trace.length - 1; d > 0; d--) {
+        const v = trace[d];
+        const k = x - y;
+        const prevK = (k === -d || (k !== d && v[k - 1 + d + 1] < v[k + 1 + d + 1])) ? k + 1 : k - 1;
+        const prevX = v[prevK + d + 1];
+        const prevY = prevX - prevK;
+
+        while (x > prevX && y > prevY) {
+            x--;
+            y--;
+            ops.push(['same', start + x, start + y]);
+        }
+        if (x === prevX) {
+            ops.push(['added', start + prevY]);
+        } else {
+            ops.push(['removed', start + prevX]);
+        }
+        x = prevX;
+        y = prevY;
+    }
+    while (x > 0 && y > 0) {
+        x--;
+        y--;
+        ops.push(['same', start + x, start + y]);
+    }
+
+    return ops.reverse();
+}
+
+function toRows(ops, a, b) {
+    const rows = [];
+    const oldSide = i => ({ line: i + 1, text: a[i] });
+    const newSide = j => ({ line: j + 1, text: b[j] });
+    let removed = [];
+    let added = [];
+
+    const flush = () => {
+        for (let i = 0; i < Math.max(removed.length, added.length); i++) {
+            const old = i < removed.length ? oldSide(removed[i]) : null;
+            const now = i < added.length ? newSide(added[i]) : null;
+            rows.push({ type: old && now ? 'changed' : (old ? 'removed' : 'added'), old, new: now });
+        }
+        removed = [];
+        added = [];
+    };
+
+    for (const [type, i, j] of ops) {
+        if (type === 'removed') {
+            removed.push(i);
+        } else if (type === 'added') {
+            added.push(i);
+        } else {
+            flush();
+            rows.push({ type: 'same', old: oldSide(i), new: newSide(j) });
+        }
+    }
+    flush();
+
+    return rows;
+}
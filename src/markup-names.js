@@ -0,0 +1,188 @@
+import postcss from 'postcss';
+import selectorParser from 'postcss-selector-parser';
+import * as acorn from 'acorn';
+import * as walk from 'acorn-walk';
+import { SELECTOR_MAP } from './selector-map.js';
+import { TEMPLATE_NAMES } from './template-scorer.js';
+
+/**
+ * IDs and classes of the v2.9 page and iDevice markup; v2.9 also gives
+ * every iDevice a type class ending in `Idevice` (see LEGACY_TYPE_CLASS)
+ */
+export const LEGACY_MARKUP = [
+    '#content', '#header', '#emptyHeader', '#headerContent', '#main-wrapper', '#main',
+    '#nodeDecoration', '#nodeTitle', '#topPagination', '#bottomPagination',
+    '#toggle-nav', '#nav-toggler', '#header-options',
+    '.no-nav', '.hide-nav', '.show-nav', '.pagination',
+    '.iDevice_wrapper', '.iDevice', '.iDevice_header', '.iDevice_header_noIcon', '.iDeviceTitle',
+    '.iDevice_icon', '.iDevice_inner', '.iDevice_content_wrapper', '.iDevice_content',
+    '.toggle-idevice', '.show-idevice', '.hidden-idevice', '.emphasis0', '.emphasis1'
+];
+
+/**
+ * v2.9 iDevice type classes (`.textIdevice`, `.FreeTextfpdIdevice`)
+ */
+export const LEGACY_TYPE_CLASS = /^\.[\w-]+Idevice$/;
+
+/**
+ * Elements of the v3.0 page and box markup; those every template styles
+ * are expected in a converted style too (see getStructureSelectors)
+ */
+export const STRUCTURE_SELECTORS = [
+    '#siteNav', '#siteNavToggler', '#searchBarTogger', '#exe-client-search',
+    '.package-header', '.package-title', '.page-header', '.page-title', '.page-content',
+    '.box', '.box-head', '.box-icon', '.box-title', '.box-toggle', '.box-content',
+    '.nav-buttons', '#siteFooter'
+];
+
+/**
+ * jQuery methods whose first argument is a list of class names
+ */
+const CLASS_METHODS = ['addClass', 'removeClass', 'toggleClass', 'hasClass'];
+
+const cache = new WeakMap();
+const structureCache = new WeakMap();
+
+/**
+ * IDs and classes (`#id`, `.class`) of the v3.0 export markup: those the
+ * templates' stylesheets and scripts refer to, plus the targets of the
+ * selector map
+ *
+ * @param {VirtualFS} templates - `<template>/style.css` and `style.js`
+ * @returns {Set<string>}
+ */
+export function getTemplateNames(templates) {
+    if (templates && cache.has(templates)) return cache.get(templates);
+
+    const names = new Set(STRUCTURE_SELECTORS);
+    for (const entry of SELECTOR_MAP) {
+        findSelectorNames(entry.new).forEach(name => names.add(name));
+    }
+
+    for (const template of templates ? TEMPLATE_NAMES : []) {
+        if (templates.isFile(`${template}/style.css`)) {
+            postcss.parse(templates.readFile(`${template}/style.css`, 'utf-8')).walkRules(rule => {
+                findSelectorNames(rule.selector).forEach(name => names.add(name));
+            });
+        }
+        if (templates.isFile(`${template}/style.js`)) {
+            findScriptNames(templates.readFile(`${template}/style.js`, 'utf-8')).forEach(name => names.add(name));
+        }
+    }
+
+    if (templates) cache.set(templates, names);
+    return names;
+}
+
+/**
+ * The STRUCTURE_SELECTORS every template styles
+ *
+ * @param {VirtualFS} templates
+ * @returns {Array<string>}
+ */
+export function getStructureSelectors(templates) {
+    if (!templates) return STRUCTURE_SELECTORS;
+    if (structureCache.has(templates)) return structureCache.get(templates);
+
+    let selectors = STRUCTURE_SELECTORS;
+    for (const template of TEMPLATE_NAMES) {
+        if (!templates.isFile(`${template}/style.css`)) continue;
+        const styled = findStyledNames(postcss.parse(templates.readFile(`${template}/style.css`, 'utf-8')));
+        selectors = selectors.filter(selector => styled.has(selector));
+    }
+
+    structureCache.set(templates, selectors);
+    return selectors;
+}
+
+/**
+ * IDs and classes that rules with declarations apply to: those in the
+ * last compound of their selectors, leaving out keyframes
+ *
+ * @param {Root} root - a PostCSS stylesheet
+ * @returns {Set<string>}
+ */
+export function findStyledNames(root) {
+    const styled = new Set();
+    root.walkRules(rule => {
+        if (rule.parent.type === 'atrule' && /keyframes$/i.test(rule.parent.name)) return;
+        if (!rule.nodes.some(node => node.type === 'decl')) return;
+        for (const selector of rule.selectors) {
+            const compounds = selector.trim().split(/\s*[\s>+~]\s*/);
+            findSelectorNames(compounds[compounds.length - 1]).forEach(name => styled.add(name));
+        }
+    });
+    return styled;
+}
+
+/**
+ * Whether an ID or class belongs to the v2.9 markup only
+ */
+export function isLegacyName(name, templateNames) {
+    if (templateNames.has(name)) return false;
+    return LEGACY_MARKUP.includes(name) || LEGACY_TYPE_CLASS.test(name);
+}
+
+/**
+ * IDs and classes of a selector list, leaving out the arguments of
+ * pseudo-classes such as :not()
+ */
+export function findSelectorNames(selector) {
+    const names = [];
+    try {
+        selectorParser(selectors => {
+            selectors.walk(node => {
+                if (node.type === 'pseudo') return false;
+                if (node.type === 'class') names.push(`.${node.value}`);
+                if (node.type === 'id') names.push(`#${node.value}`);
+            });
+        }).processSync(selector);
+    } catch (e) {
+        // Selectors postcss-selector-parser can't read contribute no names
+    }
+    return names;
+}
+
+/**
+ * IDs and classes in the strings of a script: selectors, HTML snippets
+ * and the arguments of addClass() and similar
+ */
+function findScriptNames(code) {
+    const names = [];
+    let ast;
+    try {
+        ast = acorn.parse(code, { ecmaVersion: 'latest', sourceType: 'script' });
+    } catch (e) {
+        return names;
+    }
+
+    const readString = (text, isClassList) => {
+        if (isClassList) {
+            text.split(/\s+/).filter(Boolean).forEach(name => names.push(`.${name}`));
+            return;
+        }
+        for (const match of text.matchAll(/\b(id|class)\s*=\s*["']([^"']*)["']/g)) {
+            const prefix = match[1] === 'id' ? '#' : '.';
+            match[2].split(/\s+/).filter(Boolean).forEach(name => names.push(prefix + name));
+        }
+        if (!text.includes('<')) {
+            for (const match of text.matchAll(/(?:^|[\s>+~,(])([#.][A-Za-z_][\w-]*)/g)) {
+                names.push(match[1]);
+            }
+        }
+    };
+
+    walk.ancestor(ast, {
+        Literal(node, state, ancestors) {
+            if (typeof node.value !== 'string') return;
+            const parent = ancestors[ancestors.length - 2];
+            const isClassList = parent && parent.type === 'CallExpression' && parent.arguments[0] === node &&
+                parent.callee.type === 'MemberExpression' && CLASS_METHODS.includes(parent.callee.property.name);
+            readString(node.value, isClassList);
+        },
+        TemplateElement(node) {
+            readString(node.value.cooked || '', false);
+        }
+    });
+    return names;
+}
@@ -0,0 +1,254 @@
+import { VirtualFS, basename, extname, joinPath } from './virtual-fs.js';
+import { parseThemeXML } from './theme-xml.js';
+
+/**
+ * File extensions of eXeLearning project packages (ZIP archives)
+ */
+export const PACKAGE_EXTENSIONS = ['.elpx', '.elp'];
+
+/**
+ * Kinds of package, recognised by the files at their root
+ */
+const PACKAGE_TYPES = {
+    scorm: 'SCORM package',
+    ims: 'IMS content package',
+    elpx: 'eXeLearning 3.0 project (.elpx)',
+    elp: 'eXeLearning 2.x project (.elp)',
+    website: 'Exported website'
+};
+
+/**
+ * Stylesheets that mark a folder as a v2.9 style (next to config.xml)
+ */
+const STYLE_SIGNATURE = ['content.css', 'nav.css'];
+
+/**
+ * Finds a v2.9 style inside an exported package (website, IMS, SCORM,
+ * .elpx or .elp) and puts a converted style back in its place
+ *
+ * The style folder is the one holding config.xml together with
+ * content.css or nav.css. Exports from eXeLearning 2.x copy the style to
+ * the package root, next to the content; there, only the style's own
+ * files are taken: config.xml, the two stylesheets, the `*_js.js` script
+ * and the files the stylesheets refer to.
+ */
+export class PackageExtractor {
+    constructor(archive, name) {
+        this.archive = archive;
+        this.name = name;
+    }
+
+    /**
+     * Check if a file name is an eXeLearning project package
+     */
+    static isPackageFile(filename) {
+        return PACKAGE_EXTENSIONS.includes(extname(filename));
+    }
+
+    /**
+     * Check if a file tree is a plain style rather than a package
+     */
+    static isStyle(files) {
+        return files.isFile('config.xml') &&
+            !files.isFile('index.html') &&
+            !files.isFile('imsmanifest.xml') &&
+            !files.isFile('content.xml') &&
+            !files.isFile('contentv3.xml');
+    }
+
+    /**
+     * What kind of package this is
+     *
+     * @returns {Object} { type, label }
+     */
+    detect() {
+        let type = 'website';
+        if (this.archive.isFile('imsmanifest.xml')) {
+            const manifest = this.archive.readFile('imsmanifest.xml', 'utf-8');
+            type = /adlcp|scorm/i.test(manifest) ? 'scorm' : 'ims';
+        } else if (this.archive.isFile('content.xml')) {
+            type = 'elpx';
+        } else if (this.archive.isFile('contentv3.xml') || this.archive.isFile('content.data')) {
+            type = 'elp';
+        }
+        return { type, label: PACKAGE_TYPES[type] };
+    }
+
+    /**
+     * Folders holding a v2.9 style, shallowest first ('' is the root)
+     */
+    findStyleFolders() {
+        const folders = ['', ...[...this.archive.directories].sort()];
+        return folders
+            .filter(folder => this.archive.isFile(joinPath(folder, 'config.xml')) &&
+                STYLE_SIGNATURE.some(file => this.archive.isFile(joinPath(folder, file))))
+            .sort((a, b) => depth(a) - depth(b));
+    }
+
+    /**
+     * Locate the style and copy its files into a VirtualFS of their own
+     *
+     * @returns {Object} { type, label, styleFolder, styleName, files }
+     */
+    extract() {
+        const { type, label } = this.detect();
+        const [styleFolder] = this.findStyleFolders();
+
+        if (styleFolder === undefined) {
+            throw new Error(`No v2.9 style found in ${this.name} (${label}): ${this.explainMissingStyle(type)}`);
+        }
+
+        const files = styleFolder ? this.archive.subtree(styleFolder) : this.extractRootStyle();
+
+        return {
+            type,
+            label,
+            styleFolder,
+            styleName: this.getStyleName(styleFolder, files),
+            files
+        };
+    }
+
+    /**
+     * Take the style's files out of a package root shared with the content
+     */
+    extractRootStyle() {
+        const files = new VirtualFS();
+        const root = this.archive.readdir().filter(file => this.archive.isFile(file));
+
+        const own = root.filter(file => file === 'config.xml' ||
+            STYLE_SIGNATURE.includes(file) ||
+            file.endsWith('_js.js'));
+
+        // Images and fonts the stylesheets refer to
+        const referenced = new Set();
+        for (const stylesheet of own.filter(file => file.endsWith('.css'))) {
+            const css = this.archive.readFile(stylesheet, 'utf-8');
+            for (const [, reference] of css.matchAll(/url\(\s*['"]?([^'")]+?)['"]?\s*\)/gi)) {
+                referenced.add(reference.split(/[?#]/)[0]);
+            }
+        }
+
+        for (const file of [...own, ...root.filter(file => referenced.has(file))]) {
+            files.copyFile(file, file, this.archive);
+        }
+        return files;
+    }
+
+    /**
+     * Name for the converted style: the style folder, unless it is a
+     * generic one, then the package's name
+     */
+    getStyleName(styleFolder, files) {
+        const folder = basename(styleFolder);
+        if (folder && !['theme', 'style', 'styles'].includes(folder.toLowerCase())) {
+            return folder;
+        }
+
+        try {
+            const { fields } = parseThemeXML(files.readFile('config.xml', 'utf-8'));
+            if (fields.name && /^[\w.-]+$/.test(fields.name)) {
+                return fields.name;
+            }
+        } catch (e) {
+            // The conversion reports invalid config.xml files
+        }
+        return this.name;
+    }
+
+    /**
+     * Hint for packages without a v2.9 style
+     */
+    explainMissingStyle(type) {
+        if (['', ...this.archive.directories].some(folder =>
+            this.archive.isFile(joinPath(folder, 'config.xml')) && this.archive.isFile(joinPath(folder, 'style.css')))) {
+            return 'its style is already in v3.0 format';
+        }
+
+        if (type === 'elp' && this.archive.isFile('contentv3.xml')) {
+            const content = this.archive.readFile('contentv3.xml', 'utf-8');
+            const match = /value="_style"\s*\/?>(?:\s*<\/string>)?\s*<unicode[^>]*value="([^"]+)"/.exec(content);
+            if (match) {
+                return `.elp projects only name their style ("${match[1]}"); convert that style's folder instead`;
+            }
+            return '.elp projects only name their style; convert the style\'s folder instead';
+        }
+
+        return `no folder holds config.xml together with ${STYLE_SIGNATURE.join(' or ')}`;
+    }
+
+    /**
+     * A copy of the package with the converted style in place of the old one
+     *
+     * @param {Object} extracted - the result of extract()
+     * @param {VirtualFS} output - the converted style
+     * @param {Array} styleFiles - the files of `output` to include
+     * @returns {VirtualFS}
+     */
+    repackage(extracted, output, styleFiles = output.list()) {
+        const { styleFolder, files } = extracted;
+        const packed = new VirtualFS();
+        for (const [filePath, content] of this.archive.files) {
+            packed.files.set(filePath, content);
+        }
+        for (const dir of this.archive.directories) {
+            packed.directories.add(dir);
+        }
+
+        // The old stylesheets and script are replaced by style.css and style.js;
+        // images stay where they are, since content at the root may use them
+        const replaced = {};
+        for (const file of files.readdir().filter(file => files.isFile(file))) {
+            if (file.endsWith('.css')) replaced[joinPath(styleFolder, file)] = joinPath(styleFolder, 'style.css');
+            if (file.endsWith('.js')) replaced[joinPath(styleFolder, file)] = joinPath(styleFolder, 'style.js');
+        }
+
+        if (styleFolder) {
+            packed.remove(styleFolder);
+        } else {
+            Object.keys(replaced).forEach(file => packed.remove(file));
+        }
+
+        for (const dir of output.directories) {
+            packed.mkdir(joinPath(styleFolder, dir));
+        }
+        for (const file of styleFiles) {
+            packed.writeFile(joinPath(styleFolder, file), output.files.get(file));
+        }
+
+        // Point the pages at the new files
+        for (const page of packed.list().filter(file => ['.html', '.htm'].includes(extname(file)))) {
+            const html = packed.readFile(page, 'utf-8');
+            const updated = this.updatePage(html, page, replaced);
+            if (updated !== html) {
+                packed.writeFile(page, updated);
+            }
+        }
+
+        return packed;
+    }
+
+    /**
+     * Rewrite the <link> and <script> tags of a page that load replaced
+     * files; the second stylesheet link (nav.css) is dropped
+     */
+    updatePage(html, page, replaced) {
+        const pageFolder = page.split('/').slice(0, -1).join('/');
+        const linked = new Set();
+
+        return html.replace(/<(link|script)\b[^>]*?\b(href|src)\s*=\s*(["'])([^"']+)\3[^>]*>(\s*<\/script>)?/gi, (tag, element, attribute, quote, reference) => {
+            const target = replaced[joinPath(pageFolder, reference.split(/[?#]/)[0])];
+            if (!target) return tag;
+
+            if (linked.has(target)) return '';
+            linked.add(target);
+
+            const newReference = reference.split('/').slice(0, -1).concat(basename(target)).join('/');
+            return tag.replace(`${quote}${reference}${quote}`, `${quote}${newReference}${quote}`);
+        });
+    }
+}
+
+function depth(folder) {
+    return folder ? folder.split('/').length : 0;
+}
@@ -0,0 +1,97 @@
+import fs from 'fs-extra';
+import path from 'path';
+import { createRequire } from 'module';
+import { pathToFileURL } from 'url';
+import { PluginManager } from './plugin-manager.js';
+
+/**
+ * Import plugins from npm package names or file paths
+ *
+ * Packages are resolved by Node from `baseDir` (the working directory)
+ * first, then from the converter's own dependencies.
+ *
+ * @returns {Promise<Array>} the checked plugin objects
+ */
+export async function loadPlugins(specifiers = [], baseDir = process.cwd()) {
+    const plugins = [];
+
+    for (const specifier of specifiers) {
+        let module;
+        try {
+            module = await import(await resolvePlugin(specifier, baseDir));
+        } catch (e) {
+            throw new Error(`Could not load plugin "${specifier}": ${e.message}`);
+        }
+
+        let plugin = module.default !== undefined ? module.default : module;
+        if (typeof plugin === 'function') {
+            plugin = await plugin();
+        }
+        if (plugin && typeof plugin === 'object' && !plugin.name) {
+            plugin = { ...plugin, name: specifier };
+        }
+        plugins.push(plugin);
+    }
+
+    return new PluginManager(plugins).plugins;
+}
+
+/**
+ * Turn a plugin specifier into something import() accepts
+ */
+export async function resolvePlugin(specifier, baseDir) {
+    if (/^\.{0,2}[\\/]/.test(specifier) || path.isAbsolute(specifier)) {
+        return pathToFileURL(path.resolve(baseDir, specifier)).href;
+    }
+
+    // Node's resolution handles conditions, subpath patterns and the like
+    const require = createRequire(path.join(baseDir, 'package.json'));
+    try {
+        return pathToFileURL(require.resolve(specifier)).href;
+    } catch (e) {
+        if (e.code === 'ERR_PACKAGE_PATH_NOT_EXPORTED') {
+            const entry = await findPackageEntry(specifier, baseDir);
+            if (entry) {
+                return pathToFileURL(entry).href;
+            }
+        } else if (e.code !== 'MODULE_NOT_FOUND') {
+            throw e;
+        }
+    }
+
+    // Packages installed next to the converter
+    return specifier;
+}
+
+/**
+ * Fallback for packages that only export an `import` entry, which
+ * require.resolve() refuses: the entry point of the package in the
+ * node_modules folders above `baseDir`
+ */
+async function findPackageEntry(name, baseDir) {
+    if (!/^(@[\w.-]+\/)?[\w.-]+$/.test(name)) return null;
+
+    for (let dir = path.resolve(baseDir); ; dir = path.dirname(dir)) {
+        const packageDir = path.join(dir, 'node_modules', name);
+        const manifestPath = path.join(packageDir, 'package.json');
+        if (await fs.pathExists(manifestPath)) {
+            const manifest = await fs.readJson(manifestPath);
+            const exported = pickExport(manifest.exports);
+            return path.join(packageDir, exported || manifest.module || manifest.main || 'index.js');
+        }
+        if (path.dirname(dir) === dir) return null;
+    }
+}
+
+/**
+ * Pick the import entry of a package.json "exports" field
+ */
+function pickExport(exported) {
+    if (!exported || typeof exported === 'string') return exported || null;
+    if (Array.isArray(exported)) return pickExport(exported[0]);
+    if (exported['.'] !== undefined) return pickExport(exported['.']);
+    for (const condition of ['import', 'node', 'default']) {
+        if (exported[condition] !== undefined) return pickExport(exported[condition]);
+    }
+    return null;
+}
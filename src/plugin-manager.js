@@ -0,0 +1,100 @@
+/**
+ * Conversion steps a plugin can hook into, in the order they run
+ *
+ * `transformJS`, `transformCSS` and `transformConfig` receive the generated
+ * file contents and may return a replacement; the others receive the
+ * conversion context only. `beforeValidate` gets the converted files as
+ * `context.output` (a VirtualFS) and also runs in dry runs; `afterWrite`
+ * runs only when files are written.
+ */
+export const PLUGIN_HOOKS = ['afterAnalyze', 'transformJS', 'transformCSS', 'transformConfig', 'beforeValidate', 'afterWrite'];
+
+const TRANSFORM_HOOKS = ['transformJS', 'transformCSS', 'transformConfig'];
+
+/**
+ * Plugin properties that describe it rather than hook into it
+ */
+const PLUGIN_INFO = ['name', 'version', 'description'];
+
+/**
+ * Runs plugin hooks during a conversion
+ *
+ * A plugin is an object with a `name` and one or more hook functions, or
+ * a (possibly async) function returning one. Plugins run in the order they
+ * were given; each transform hook gets the output of the previous one.
+ * One manager is created per conversion so `changes` describes one style.
+ * Loading plugins from disk is Node-only and lives in plugin-loader.js.
+ */
+export class PluginManager {
+    constructor(plugins = []) {
+        this.plugins = plugins.map(plugin => this.check(plugin));
+        this.changes = [];
+    }
+
+    /**
+     * Make sure a plugin only declares known hooks
+     */
+    check(plugin) {
+        if (!plugin || typeof plugin !== 'object') {
+            throw new Error(`Invalid plugin: expected an object with hooks, got ${plugin === null ? 'null' : typeof plugin}`);
+        }
+
+        for (const [key, value] of Object.entries(plugin)) {
+            if (PLUGIN_INFO.includes(key)) continue;
+            if (!PLUGIN_HOOKS.includes(key)) {
+                throw new Error(`Plugin "${plugin.name}" has an unknown hook "${key}". Available hooks: ${PLUGIN_HOOKS.join(', ')}`);
+            }
+            if (typeof value !== 'function') {
+                throw new Error(`Plugin "${plugin.name}" hook "${key}" must be a function`);
+            }
+        }
+
+        return plugin;
+    }
+
+    /**
+     * Names of the loaded plugins
+     */
+    getNames() {
+        return this.plugins.map(plugin => plugin.name);
+    }
+
+    /**
+     * Run a hook on every plugin that has it
+     *
+     * @param {string} hook - one of PLUGIN_HOOKS
+     * @param {Object} context - { styleName, inputPath, outputPath, analysis, options, ... }
+     * @param {string} content - file contents, for the transform hooks
+     * @returns {Promise<string|undefined>} the transformed contents
+     */
+    async run(hook, context, content) {
+        for (const plugin of this.plugins) {
+            if (!plugin[hook]) continue;
+
+            let result;
+            try {
+                result = TRANSFORM_HOOKS.includes(hook)
+                    ? await plugin[hook](content, context)
+                    : await plugin[hook](context);
+            } catch (e) {
+                throw new Error(`Plugin "${plugin.name}" failed in ${hook}: ${e.message}`);
+            }
+
+            const modified = TRANSFORM_HOOKS.includes(hook) && result !== undefined && result !== content;
+            if (modified && typeof result !== 'string') {
+                throw new Error(`Plugin "${plugin.name}" ${hook} must return a string, got ${typeof result}`);
+            }
+
+            this.changes.push({
+                type: 'plugin',
+                plugin: plugin.name,
+                hook,
+                modified,
+                description: modified ? `Changed the output of ${hook}` : `Ran ${hook}`
+            });
+            if (modified) content = result;
+        }
+
+        return content;
+    }
+}
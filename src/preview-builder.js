@@ -0,0 +1,297 @@
+import { VirtualFS, basename } from './virtual-fs.js';
+
+/**
+ * Sample iDevices shown on both preview pages: the v2.9 type class and the
+ * keyword of the icon file the style provides for it
+ */
+const SAMPLE_IDEVICES = [
+    { title: 'Objectives', type: 'objectivesIdevice', icon: 'objectives' },
+    { title: 'Reading', type: 'readingIdevice', icon: 'reading' },
+    { title: 'Activity', type: 'activityIdevice', icon: 'activity' },
+    { title: 'Reflection', type: 'ReflectionIdevice', icon: 'reflection' }
+];
+
+const SAMPLE_NAV = [
+    { title: 'Home', active: true, children: ['Introduction', 'Getting started'] },
+    { title: 'Unit 1', children: [] },
+    { title: 'Unit 2', children: [] },
+    { title: 'Glossary', children: [] }
+];
+
+const SAMPLE_CONTENT = `<p>Lorem ipsum dolor sit amet, <a href="#">consectetur adipiscing</a> elit. Sed do eiusmod tempor incididunt ut labore et dolore magna aliqua. <strong>Ut enim ad minim veniam</strong>, quis nostrud <em>exercitation ullamco</em> laboris.</p>
+<ul>
+<li>Duis aute irure dolor in reprehenderit</li>
+<li>Excepteur sint occaecat cupidatat non proident</li>
+</ul>
+<blockquote><p>Sunt in culpa qui officia deserunt mollit anim id est laborum.</p></blockquote>`;
+
+/**
+ * Matching parts of the two sample pages: { name, old, new } with a
+ * selector for each page
+ */
+export const PREVIEW_REGIONS = [
+    { name: 'Header', old: '#header', new: '.main-header' },
+    { name: 'Navigation', old: '#siteNav', new: '#siteNav' },
+    { name: 'Search bar', old: '#exe-client-search', new: '#exe-client-search' },
+    { name: 'Text box', old: '#id0', new: '#box0' },
+    ...SAMPLE_IDEVICES.map(({ title }, i) => ({ name: `${title} box`, old: `#id${i + 1}`, new: `#box${i + 1}` })),
+    { name: 'Footer', old: '#siteFooter', new: '#siteFooter' }
+];
+
+/**
+ * The rules of eXeLearning's own export stylesheets the sample pages rely
+ * on (hidden helper text, iDevice icons set on the header)
+ */
+const BASE_CSS = `<style>
+.sr-av { position: absolute; width: 1px; height: 1px; overflow: hidden; clip: rect(0 0 0 0); }
+.iDevice_header { background-repeat: no-repeat; min-height: 50px; }
+</style>`;
+
+const LICENSE = '<a rel="license" href="https://creativecommons.org/licenses/by-sa/4.0/">Creative Commons Attribution Share Alike License 4.0</a>';
+
+/**
+ * Builds a static sample site showing the old style on v2.9 export markup
+ * next to the converted style on v3.0 export markup
+ *
+ * The pages carry the markup eXeLearning's scripts would produce (menu and
+ * search togglers included) but load no scripts, since the styles need
+ * eXeLearning's jQuery and the preview must open offline.
+ *
+ * Layout of the returned VirtualFS:
+ * - `index.html`: both pages side by side
+ * - `v2.9/`: the old style files with `index.html` at the export root
+ * - `v3.0/`: `index.html` with the converted style in `theme/`
+ */
+export class PreviewBuilder {
+    constructor(styleName) {
+        this.styleName = styleName;
+    }
+
+    /**
+     * @param {VirtualFS} oldFiles - the old style
+     * @param {Object} analysis - the analysis of the old style
+     * @param {VirtualFS} newFiles - the converted style
+     * @param {Array} newFileList - files of `newFiles` to include
+     */
+    build(oldFiles, analysis, newFiles, newFileList = newFiles.list()) {
+        const preview = new VirtualFS();
+
+        for (const file of oldFiles.list()) {
+            preview.copyFile(file, `v2.9/${file}`, oldFiles);
+        }
+        for (const file of newFileList) {
+            preview.copyFile(file, `v3.0/theme/${file}`, newFiles);
+        }
+
+        preview.writeFile('v2.9/index.html', this.renderOldPage(analysis, oldFiles.list()));
+        preview.writeFile('v3.0/index.html', this.renderNewPage(analysis, newFileList));
+        preview.writeFile('index.html', this.renderComparison(analysis));
+
+        return preview;
+    }
+
+    /**
+     * Icon file for a sample iDevice, if the style has one
+     */
+    findIcon(files, keyword) {
+        const pattern = new RegExp(`^icon_${keyword}\\.(gif|png|svg|jpe?g)$`, 'i');
+        return files.find(file => pattern.test(basename(file))) || null;
+    }
+
+    /**
+     * Sample page with v2.9 export markup
+     */
+    renderOldPage(analysis, files) {
+        const stylesheets = [BASE_CSS, ...analysis.cssFiles
+            .map(file => `<link rel="stylesheet" type="text/css" href="${escapeHtml(file)}" />`)]
+            .join('\n');
+
+        const nav = SAMPLE_NAV.map(item => {
+            const classes = item.active ? 'active main-node daddy' : 'no-ch';
+            return `<li><a href="#" class="${classes}">${item.title}</a>${renderSubsections(item)}</li>`;
+        }).join('\n');
+
+        const idevices = SAMPLE_IDEVICES.map(({ title, type, icon }, i) => {
+            const iconFile = this.findIcon(files, icon);
+            const iconStyle = iconFile ? ` style="background-image:url(${escapeHtml(iconFile)})"` : '';
+            return `<article class="iDevice_wrapper ${type}" id="id${i + 1}">
+<div class="iDevice emphasis1">
+<header class="iDevice_header"${iconStyle}><h2 class="iDeviceTitle">${title}</h2></header>
+<div class="iDevice_inner">
+<div class="iDevice_content_wrapper"><div class="iDevice_content">
+${SAMPLE_CONTENT}
+</div></div>
+</div>
+</div>
+</article>`;
+        }).join('\n');
+
+        const pagination = id => `<div id="${id}"><nav class="pagination noprt"><a href="#" class="prev"><span><span>« </span>Previous</span></a> <span class="sep">| </span><a href="#" class="next"><span>Next<span> »</span></span></a></nav></div>`;
+
+        return page(`${this.styleName} (v2.9)`, stylesheets, 'exe-web-site', `<div id="content">
+<p id="skipNav"><a href="#main" class="sr-av">Skip navigation</a></p>
+<div id="header"><div id="headerContent">${escapeHtml(this.styleName)}</div></div>
+<div id="siteNav">
+<ul>
+${nav}
+</ul>
+</div>
+${pagination('topPagination')}
+<div id="exe-client-search"><form action="#"><p><label for="exe-client-search-text" class="sr-av">Search</label><input type="text" id="exe-client-search-text" name="q" value="" /><input type="submit" id="exe-client-search-submit" value="Search" /></p></form></div>
+<div id="main-wrapper">
+<section id="main">
+<header id="nodeDecoration"><h1 id="nodeTitle">Home</h1></header>
+<article class="iDevice_wrapper textIdevice" id="id0">
+<div class="iDevice emphasis0">
+<div class="iDevice_inner"><div class="iDevice_content_wrapper"><div class="iDevice_content">
+${SAMPLE_CONTENT}
+</div></div></div>
+</div>
+</article>
+${idevices}
+</section>
+</div>
+${pagination('bottomPagination')}
+<div id="siteFooter"><div id="siteFooterContent"><div id="packageLicense" class="cc cc-by-sa"><p><span>Licensed under the</span> ${LICENSE}</p></div></div></div>
+</div>`);
+    }
+
+    /**
+     * Sample page with v3.0 export markup
+     */
+    renderNewPage(analysis, files) {
+        const nav = SAMPLE_NAV.map(item => {
+            const classes = item.active ? 'active main-node daddy' : 'no-ch';
+            return `<li${item.active ? ' class="active"' : ''}><a href="#" class="${classes}">${item.title}</a>${renderSubsections(item)}</li>`;
+        }).join('\n');
+
+        const idevices = SAMPLE_IDEVICES.map(({ title, icon }, i) => {
+            const iconFile = this.findIcon(files, icon);
+            const iconTag = iconFile
+                ? `<div class="box-icon exe-icon"><img src="theme/${escapeHtml(iconFile)}" alt="" /></div>`
+                : '';
+            return `<article class="box" id="box${i + 1}">
+<header class="box-head">${iconTag}<h1 class="box-title">${title}</h1><button class="box-toggle box-toggle-on" title="Toggle content"><span>Toggle content</span></button></header>
+<div class="box-content">
+<div class="idevice_node text"><div class="exe-text">
+${SAMPLE_CONTENT}
+</div></div>
+</div>
+</article>`;
+        }).join('\n');
+
+        const stylesheets = [BASE_CSS];
+        if (files.includes('style.css')) {
+            stylesheets.push('<link rel="stylesheet" type="text/css" href="theme/style.css" />');
+        }
+
+        return page(`${this.styleName} (v3.0)`, stylesheets.join('\n'), 'exe-export exe-web-site', `<div class="exe-content exe-export">
+<button type="button" id="siteNavToggler" class="toggler" title="Menu"><span class="sr-av">Menu</span></button>
+<button type="button" id="searchBarTogger" class="toggler" title="Search"><span class="sr-av">Search</span></button>
+<nav id="siteNav">
+<ul>
+${nav}
+</ul>
+</nav>
+<main class="page">
+<div id="exe-client-search"><form action="#"><p><label for="exe-client-search-text" class="sr-av">Search</label><input type="text" id="exe-client-search-text" name="q" value="" /><input type="submit" id="exe-client-search-submit" value="Search" /></p></form></div>
+<header class="main-header">
+<div class="package-header"><h1 class="package-title">${escapeHtml(this.styleName)}</h1></div>
+<div class="page-header"><h2 class="page-title">Home</h2></div>
+</header>
+<div class="page-content">
+<article class="box no-header" id="box0">
+<div class="box-content">
+<div class="idevice_node text"><div class="exe-text">
+${SAMPLE_CONTENT}
+</div></div>
+</div>
+</article>
+${idevices}
+</div>
+</main>
+<div class="nav-buttons"><a href="#" class="nav-button nav-button-left" title="Previous"><span>Previous</span></a><a href="#" class="nav-button nav-button-right" title="Next"><span>Next</span></a></div>
+<footer id="siteFooter"><div id="siteFooterContent"><div id="packageLicense" class="cc cc-by-sa"><p><span class="license-label">License: </span>${LICENSE}</p></div></div></footer>
+</div>`);
+    }
+
+    /**
+     * Page showing both sample pages side by side
+     */
+    renderComparison(analysis) {
+        const name = escapeHtml(this.styleName);
+        return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8" />
+<meta name="viewport" content="width=device-width, initial-scale=1" />
+<title>${name}: v2.9 / v3.0 preview</title>
+<style>
+html, body { margin: 0; height: 100%; font-family: system-ui, sans-serif; }
+body { display: flex; flex-direction: column; }
+.bar { display: flex; gap: 1em; align-items: center; padding: .5em 1em; background: #263238; color: #fff; font-size: 14px; }
+.bar a { color: #80cbc4; }
+.bar label { margin-left: auto; }
+.panes { display: flex; flex: 1; min-height: 0; }
+.pane { display: flex; flex-direction: column; flex: 1; min-width: 0; border-right: 1px solid #90a4ae; }
+.pane h2 { margin: 0; padding: .3em 1em; font-size: 13px; background: #eceff1; }
+iframe { flex: 1; width: 100%; border: 0; }
+</style>
+</head>
+<body>
+<div class="bar">
+<strong>${name}</strong>
+<span>Template: ${escapeHtml(analysis.template)} · Complexity: ${escapeHtml(analysis.complexity)}</span>
+<label>Width <select id="width"><option value="">Fit</option><option value="1280">1280px</option><option value="768">768px</option><option value="375">375px</option></select></label>
+</div>
+<div class="panes">
+<div class="pane"><h2>v2.9 · old style (<a href="v2.9/index.html" target="_blank">open</a>)</h2><iframe src="v2.9/index.html" title="v2.9"></iframe></div>
+<div class="pane"><h2>v3.0 · converted style (<a href="v3.0/index.html" target="_blank">open</a>)</h2><iframe src="v3.0/index.html" title="v3.0"></iframe></div>
+</div>
+<script>
+document.getElementById('width').addEventListener('change', function () {
+    var width = this.value;
+    document.querySelectorAll('iframe').forEach(function (frame) {
+        frame.style.flex = width ? '0 0 auto' : '';
+        frame.style.width = width ? width + 'px' : '';
+    });
+    document.querySelectorAll('.pane').forEach(function (pane) {
+        pane.style.overflowX = width ? 'auto' : '';
+    });
+});
+</script>
+</body>
+</html>
+`;
+    }
+}
+
+function renderSubsections(item) {
+    if (item.children.length === 0) return '';
+    const links = item.children.map(child => `<li><a href="#" class="no-ch">${child}</a></li>`).join('\n');
+    return `\n<ul class="other-section">\n${links}\n</ul>\n`;
+}
+
+function page(title, head, bodyClass, body) {
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8" />
+<meta name="viewport" content="width=device-width, initial-scale=1" />
+<title>${escapeHtml(title)}</title>
+${head}
+</head>
+<body class="${bodyClass}">
+${body}
+</body>
+</html>
+`;
+}
+
+function escapeHtml(text) {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
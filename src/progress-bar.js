@@ -0,0 +1,115 @@
+import chalk from 'chalk';
+
+const BAR_WIDTH = 30;
+
+/**
+ * Progress of a batch: done/total, a bar and the time left, estimated
+ * from the styles done so far
+ *
+ * On a terminal the bar is redrawn in place and `log()` prints above it;
+ * elsewhere (a log file, CI) each update is a line of its own.
+ */
+export class ProgressBar {
+    constructor(total, stream = process.stdout) {
+        this.total = total;
+        this.stream = stream;
+        this.done = 0;
+        this.startTime = Date.now();
+        this.label = '';
+        this.drawn = false;
+    }
+
+    get interactive() {
+        return Boolean(this.stream.isTTY);
+    }
+
+    /**
+     * Count one more style as done
+     */
+    tick(label = '') {
+        this.advance();
+        this.update(label);
+    }
+
+    /**
+     * Count one more style as done without drawing the bar
+     */
+    advance() {
+        this.done++;
+    }
+
+    /**
+     * Show what is running now
+     */
+    update(label = this.label) {
+        this.label = label;
+        if (this.interactive) {
+            this.clear();
+            this.stream.write(this.render());
+            this.drawn = true;
+        } else {
+            this.stream.write(this.render() + '\n');
+        }
+    }
+
+    /**
+     * Print a line above the bar
+     */
+    log(text) {
+        this.clear();
+        this.stream.write(text + '\n');
+        if (this.interactive && this.drawn) {
+            this.stream.write(this.render());
+        }
+    }
+
+    /**
+     * Leave the bar as it is and move to the next line
+     */
+    stop() {
+        if (this.interactive && this.drawn) {
+            this.stream.write('\n');
+            this.drawn = false;
+        }
+    }
+
+    clear() {
+        if (this.interactive && this.drawn) {
+            this.stream.write('\r\x1b[2K');
+        }
+    }
+
+    render() {
+        const ratio = this.total > 0 ? this.done / this.total : 1;
+        const filled = Math.round(ratio * BAR_WIDTH);
+        const bar = chalk.cyan('█'.repeat(filled)) + chalk.gray('░'.repeat(BAR_WIDTH - filled));
+        const percent = `${Math.floor(ratio * 100)}%`.padStart(4);
+        const counts = `${percent} ${this.done}/${this.total} · ETA ${this.getETA()}`;
+        let line = `${bar} ${counts}`;
+
+        // A bar wider than the terminal wraps and can't be redrawn
+        const room = (this.stream.columns || 80) - BAR_WIDTH - counts.length - 5;
+        if (this.label && room > 3) {
+            const label = this.label.length > room ? this.label.slice(0, room - 1) + '…' : this.label;
+            line += chalk.gray(` · ${label}`);
+        }
+        return line;
+    }
+
+    /**
+     * Time left at the pace so far, as m:ss (or h:mm:ss)
+     */
+    getETA() {
+        if (this.done === 0) return '--:--';
+        const remaining = (Date.now() - this.startTime) / this.done * (this.total - this.done);
+        return formatDuration(remaining);
+    }
+}
+
+export function formatDuration(ms) {
+    const seconds = Math.round(ms / 1000);
+    const h = Math.floor(seconds / 3600);
+    const m = Math.floor((seconds % 3600) / 60);
+    const s = String(seconds % 60).padStart(2, '0');
+    return h > 0 ? `${h}:${String(m).padStart(2, '0')}:${s}` : `${m}:${s}`;
+}
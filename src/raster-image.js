@@ -0,0 +1,176 @@
+import { decode as decodePNG, encode as encodePNG, hasPngSignature, convertIndexedToRgb } from 'fast-png';
+import jpeg from 'jpeg-js';
+import omggif from 'omggif';
+
+/**
+ * Largest image decoded, in megabytes; bigger header images are skipped
+ */
+const MAX_DECODE_MB = 64;
+
+/**
+ * A bitmap of RGBA pixels that can be painted on and saved as PNG
+ *
+ * Reads PNG (fast-png), JPEG (jpeg-js) and the first frame of GIF files
+ * (omggif), which covers the header images of v2.9 styles. The codecs are
+ * plain JavaScript, so this works in the web app too.
+ */
+export class RasterImage {
+    constructor(width, height, pixels = null) {
+        this.width = width;
+        this.height = height;
+        this.pixels = pixels || new Uint8Array(width * height * 4);
+    }
+
+    /**
+     * Decode a PNG, JPEG or GIF file
+     *
+     * @param {Uint8Array} data
+     * @returns {RasterImage|null} null for formats that cannot be read
+     */
+    static decode(data) {
+        const bytes = data instanceof Uint8Array ? data : new Uint8Array(data);
+        try {
+            if (hasPngSignature(bytes)) {
+                return fromPNG(decodePNG(bytes));
+            }
+            if (bytes[0] === 0xff && bytes[1] === 0xd8) {
+                const image = jpeg.decode(bytes, { useTArray: true, formatAsRGBA: true, maxMemoryUsageInMB: MAX_DECODE_MB });
+                return new RasterImage(image.width, image.height, image.data);
+            }
+            if (String.fromCharCode(...bytes.subarray(0, 4)) === 'GIF8') {
+                const reader = new omggif.GifReader(bytes);
+                const image = new RasterImage(reader.width, reader.height);
+                reader.decodeAndBlitFrameRGBA(0, image.pixels);
+                return image;
+            }
+        } catch (e) {
+            // Damaged images are treated as unreadable
+        }
+        return null;
+    }
+
+    /**
+     * Paint a rectangle in a colour
+     *
+     * @param {string} colour - #rrggbb
+     */
+    fillRect(x, y, width, height, colour) {
+        const [r, g, b] = parseHex(colour);
+        for (let row = Math.max(0, y); row < Math.min(this.height, y + height); row++) {
+            for (let column = Math.max(0, x); column < Math.min(this.width, x + width); column++) {
+                this.pixels.set([r, g, b, 255], (row * this.width + column) * 4);
+            }
+        }
+    }
+
+    /**
+     * Paint the outline of a rectangle, one pixel wide
+     */
+    strokeRect(x, y, width, height, colour) {
+        this.fillRect(x, y, width, 1, colour);
+        this.fillRect(x, y + height - 1, width, 1, colour);
+        this.fillRect(x, y, 1, height, colour);
+        this.fillRect(x + width - 1, y, 1, height, colour);
+    }
+
+    /**
+     * Repeat an image over a rectangle from its top left corner, as a
+     * CSS background does, blending transparent pixels
+     */
+    tile(image, x, y, width, height) {
+        for (let row = Math.max(0, y); row < Math.min(this.height, y + height); row++) {
+            for (let column = Math.max(0, x); column < Math.min(this.width, x + width); column++) {
+                const source = (((row - y) % image.height) * image.width + (column - x) % image.width) * 4;
+                const alpha = image.pixels[source + 3] / 255;
+                if (alpha === 0) continue;
+
+                const target = (row * this.width + column) * 4;
+                for (let channel = 0; channel < 3; channel++) {
+                    this.pixels[target + channel] = Math.round(image.pixels[source + channel] * alpha +
+                        this.pixels[target + channel] * (1 - alpha));
+                }
+                this.pixels[target + 3] = 255;
+            }
+        }
+    }
+
+    /**
+     * Encode as an RGB PNG file
+     *
+     * @returns {Uint8Array}
+     */
+    toPNG() {
+        const rgb = new Uint8Array(this.width * this.height * 3);
+        for (let pixel = 0; pixel < this.width * this.height; pixel++) {
+            rgb.set(this.pixels.subarray(pixel * 4, pixel * 4 + 3), pixel * 3);
+        }
+        return encodePNG({ width: this.width, height: this.height, data: rgb, channels: 3, depth: 8 });
+    }
+}
+
+/**
+ * Convert #rrggbb to [r, g, b]
+ */
+function parseHex(colour) {
+    return [1, 3, 5].map(i => parseInt(colour.slice(i, i + 2), 16));
+}
+
+/**
+ * Turn a decoded PNG of any colour type and bit depth into RGBA pixels
+ */
+function fromPNG(png) {
+    let { data, channels } = png;
+    if (png.palette) {
+        data = convertIndexedToRgb(png);
+        channels = png.palette[0].length;
+    } else if (png.depth === 16) {
+        data = Uint8Array.from(data, value => scaleSample(value, 16));
+    } else if (png.depth < 8) {
+        // Grey levels packed below a byte
+        data = unpackGrey(png);
+    }
+
+    const image = new RasterImage(png.width, png.height);
+    const key = !png.palette && png.transparency && png.transparency.length === channels
+        ? Array.from(png.transparency, value => scaleSample(value, png.depth))
+        : null;
+
+    for (let pixel = 0; pixel < png.width * png.height; pixel++) {
+        const source = pixel * channels;
+        const colour = channels < 3
+            ? [data[source], data[source], data[source]]
+            : [data[source], data[source + 1], data[source + 2]];
+        let alpha = channels === 2 || channels === 4 ? data[source + channels - 1] : 255;
+
+        // tRNS gives a colour that stands for transparent
+        if (key && key.every((value, i) => data[source + i] === value)) alpha = 0;
+        image.pixels.set([...colour, alpha], pixel * 4);
+    }
+    return image;
+}
+
+/**
+ * Spread 1, 2 or 4-bit grey values over bytes
+ */
+function unpackGrey(png) {
+    const max = (1 << png.depth) - 1;
+    const rowBytes = Math.ceil(png.width * png.depth / 8);
+    const grey = new Uint8Array(png.width * png.height);
+    for (let row = 0; row < png.height; row++) {
+        for (let column = 0; column < png.width; column++) {
+            const bit = column * png.depth;
+            const byte = png.data[row * rowBytes + (bit >> 3)];
+            const value = (byte >> (8 - png.depth - (bit & 7))) & max;
+            grey[row * png.width + column] = scaleSample(value, png.depth);
+        }
+    }
+    return grey;
+}
+
+/**
+ * A sample of a PNG's bit depth as a byte
+ */
+function scaleSample(value, depth) {
+    if (depth === 16) return value >> 8;
+    return depth < 8 ? Math.round(value * 255 / ((1 << depth) - 1)) : value;
+}
@@ -0,0 +1,257 @@
+import { TEMPLATE_NAMES } from './template-scorer.js';
+import { CSS_MODES } from './css-merger.js';
+
+/**
+ * Version of the conversion-report.json layout: the major number changes
+ * when a field is removed, renamed or changes meaning, the minor number
+ * when fields are added. Readers should check the major number only.
+ */
+export const REPORT_SCHEMA_VERSION = '1.1.0';
+
+const string = { type: 'string' };
+const integer = { type: 'integer', minimum: 0 };
+const strings = { type: 'array', items: string };
+const counts = { type: 'object', additionalProperties: integer };
+
+/**
+ * A validation finding (StyleValidator)
+ */
+const finding = {
+    type: 'object',
+    required: ['type', 'message', 'severity'],
+    properties: {
+        type: string,
+        message: string,
+        severity: { enum: ['error', 'warning', 'info'] },
+        line: integer,
+        column: integer,
+        frame: string
+    }
+};
+
+/**
+ * Shape of conversion-report.json (JSON Schema 2020-12)
+ *
+ * Only the fields readers can rely on are described; every object may
+ * carry more.
+ */
+export const REPORT_SCHEMA = {
+    $schema: 'https://json-schema.org/draft/2020-12/schema',
+    $id: `urn:exelearning-style-converter:conversion-report:${REPORT_SCHEMA_VERSION.split('.')[0]}`,
+    title: 'eXeLearning style conversion report',
+    type: 'object',
+    required: ['schemaVersion', 'generator', 'generatedAt', 'results'],
+    properties: {
+        $schema: string,
+        schemaVersion: { type: 'string', pattern: '^\\d+\\.\\d+\\.\\d+$' },
+        generator: {
+            type: 'object',
+            required: ['name', 'version'],
+            properties: { name: string, version: string }
+        },
+        generatedAt: { type: 'string', format: 'date-time' },
+        results: {
+            type: 'object',
+            required: ['styleName', 'analysis', 'jsTransform', 'cssChanges', 'configChanges', 'assetMigration', 'iconMapping', 'validation', 'dryRun'],
+            properties: {
+                styleName: string,
+                inputPath: string,
+                outputPath: string,
+                analysis: {
+                    type: 'object',
+                    required: ['styleName', 'complexity', 'template', 'templateSelection', 'cssFiles', 'assets', 'customCode', 'warnings'],
+                    properties: {
+                        styleName: string,
+                        complexity: { enum: ['simple', 'moderate', 'complex'] },
+                        template: { enum: TEMPLATE_NAMES },
+                        templateSelection: { enum: ['auto', 'override', 'config'] },
+                        templateScores: {
+                            type: 'array',
+                            items: {
+                                type: 'object',
+                                required: ['template', 'score'],
+                                properties: { template: string, score: { type: 'number' } }
+                            }
+                        },
+                        jsFile: { type: ['string', 'null'] },
+                        cssFiles: strings,
+                        configFile: { type: ['string', 'null'] },
+                        assets: strings,
+                        customCode: {
+                            type: 'object',
+                            properties: {
+                                customFunctions: strings,
+                                customEventListeners: strings,
+                                linesOfCode: integer
+                            }
+                        },
+                        warnings: strings
+                    }
+                },
+                jsTransform: {
+                    type: 'object',
+                    required: ['content', 'customCodeSections', 'changes'],
+                    properties: {
+                        content: string,
+                        customCodeSections: strings,
+                        changes: {
+                            type: 'array',
+                            items: {
+                                type: 'object',
+                                required: ['type', 'description'],
+                                properties: {
+                                    type: string,
+                                    old: { type: ['string', 'null'] },
+                                    new: { type: ['string', 'null'] },
+                                    line: integer,
+                                    description: string
+                                }
+                            }
+                        },
+                        droppedCode: {
+                            type: 'array',
+                            items: {
+                                type: 'object',
+                                required: ['member', 'line', 'code'],
+                                properties: { member: string, line: integer, code: string }
+                            }
+                        }
+                    }
+                },
+                cssChanges: {
+                    type: 'object',
+                    required: ['mode', 'changes', 'summary'],
+                    properties: {
+                        mode: { enum: CSS_MODES },
+                        changes: {
+                            type: 'array',
+                            items: {
+                                type: 'object',
+                                required: ['type', 'description'],
+                                properties: {
+                                    type: string,
+                                    category: string,
+                                    old: string,
+                                    new: string,
+                                    count: integer,
+                                    file: string,
+                                    line: integer,
+                                    description: string
+                                }
+                            }
+                        },
+                        summary: {
+                            type: 'object',
+                            required: ['totalChanges', 'byType', 'byCategory'],
+                            properties: { totalChanges: integer, byType: counts, byCategory: counts }
+                        }
+                    }
+                },
+                configChanges: {
+                    type: 'object',
+                    required: ['changes', 'summary'],
+                    properties: {
+                        changes: {
+                            type: 'array',
+                            items: {
+                                type: 'object',
+                                required: ['type', 'field', 'description'],
+                                properties: {
+                                    type: string,
+                                    field: string,
+                                    value: string,
+                                    oldValue: string,
+                                    newValue: string,
+                                    description: string
+                                }
+                            }
+                        },
+                        summary: {
+                            type: 'object',
+                            properties: { totalChanges: integer, fieldsAdded: integer, fieldsUpdated: integer, fieldsRemoved: integer }
+                        }
+                    }
+                },
+                assetMigration: {
+                    type: 'object',
+                    required: ['migrations', 'pruned', 'summary'],
+                    properties: {
+                        migrations: {
+                            type: 'array',
+                            items: {
+                                type: 'object',
+                                required: ['filename', 'from', 'to', 'type'],
+                                properties: {
+                                    filename: string,
+                                    from: string,
+                                    to: string,
+                                    type: string,
+                                    reason: string,
+                                    source: { enum: ['template'] }
+                                }
+                            }
+                        },
+                        pruned: strings,
+                        summary: {
+                            type: 'object',
+                            required: ['total', 'byType'],
+                            properties: { total: integer, pruned: integer, byType: counts, byReason: counts }
+                        }
+                    }
+                },
+                iconMapping: {
+                    type: 'object',
+                    required: ['mappings', 'unmatched', 'uncovered', 'filled', 'icons', 'summary'],
+                    properties: {
+                        mappings: {
+                            type: 'array',
+                            items: {
+                                type: 'object',
+                                required: ['old', 'new', 'slot', 'match', 'action'],
+                                properties: {
+                                    old: string,
+                                    new: string,
+                                    slot: string,
+                                    match: { enum: ['name', 'alias'] },
+                                    action: { enum: ['renamed', 'aliased', 'kept'] }
+                                }
+                            }
+                        },
+                        unmatched: strings,
+                        uncovered: strings,
+                        filled: strings,
+                        icons: strings,
+                        summary: counts
+                    }
+                },
+                validation: {
+                    type: 'object',
+                    required: ['isValid', 'errors', 'warnings', 'info'],
+                    properties: {
+                        isValid: { type: 'boolean' },
+                        errors: { type: 'array', items: finding },
+                        warnings: { type: 'array', items: finding },
+                        info: { type: 'array', items: finding }
+                    }
+                },
+                configFile: { type: ['string', 'null'] },
+                plugins: {
+                    type: 'object',
+                    properties: { names: strings, changes: { type: 'array' } }
+                },
+                package: { type: 'object' },
+                screenshot: {
+                    type: 'object',
+                    required: ['method'],
+                    properties: { method: { enum: ['kept', 'rendered', 'composed'] }, reason: { type: ['string', 'null'] } }
+                },
+                visual: { type: 'object' },
+                zipFile: {
+                    type: 'object',
+                    properties: { zipPath: string, size: integer, filesCount: integer }
+                },
+                dryRun: { type: 'boolean' }
+            }
+        }
+    }
+};
@@ -1,6 +1,35 @@
 import chalk from 'chalk';
 import fs from 'fs-extra';
 import path from 'path';
+import { fileURLToPath } from 'url';
+import { describeRoute } from './asset-router.js';
+import { REPORT_SCHEMA, REPORT_SCHEMA_VERSION } from './report-schema.js';
+import { renderHTMLReport } from './html-report.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+/**
+ * Report files the converter can write next to the converted style
+ */
+export const REPORT_FORMATS = ['md', 'json', 'html'];
+
+/**
+ * Wording of VisualChecker's fidelity levels
+ */
+const FIDELITY_LABELS = {
+    close: 'close to the original',
+    review: 'worth a look',
+    rework: 'needs hand work'
+};
+
+/**
+ * How screenshot.png was made
+ */
+const SCREENSHOT_METHODS = {
+    kept: 'kept from the old style',
+    rendered: 'rendered from a sample page',
+    composed: 'sketched in the style\'s colours'
+};
 
 /**
  * Generates conversion reports
@@ -25,8 +54,29 @@ export class ConversionReporter {
         console.log('\n' + chalk.bold('Style Information:'));
         console.log(`  Name: ${chalk.green(analysis.styleName)}`);
         console.log(`  Complexity: ${this.colorizeComplexity(analysis.complexity)}`);
-        console.log(`  Template Used: ${chalk.cyan(analysis.template)}`);
+        console.log(`  Template Used: ${chalk.cyan(analysis.template)}${this.getTemplateNote(analysis, results, chalk.gray)}`);
         console.log(`  Lines of Code: ${analysis.customCode.linesOfCode}`);
+        if (results.package) {
+            console.log(`  Package: ${results.package.label}, style in ${this.getPackageLocation(results.package)}`);
+            if (results.package.repackagedPath) {
+                console.log(`  Converted Package: ${chalk.green(results.package.repackagedPath)}`);
+            }
+        }
+
+        // Template scores
+        if (analysis.templateScores && analysis.templateScores.length > 0) {
+            console.log('\n' + chalk.bold('Template Selection:'));
+            for (const { template, score } of analysis.templateScores) {
+                const marker = template === analysis.template ? chalk.green('✓') : ' ';
+                console.log(`  ${marker} ${template.padEnd(6)} ${String(score).padStart(3)}/100`);
+            }
+            const chosen = analysis.templateScores.find(s => s.template === analysis.template);
+            if (chosen) {
+                for (const reason of chosen.reasons) {
+                    console.log(chalk.gray(`    - ${reason.trait}: ${reason.detail}`));
+                }
+            }
+        }
 
         // Custom features
         if (analysis.customCode.customFunctions.length > 0) {
@@ -47,18 +97,51 @@ export class ConversionReporter {
             } else {
                 console.log(`  ${chalk.blue('→')} Used standard v3.0 template (no custom code)`);
             }
+
+            const legacyChanges = results.jsTransform.changes || [];
+            const rewritten = legacyChanges.filter(c => c.type === 'legacy-call' || c.type === 'legacy-reference');
+            const unresolved = legacyChanges.filter(c => c.type === 'legacy-string');
+            if (rewritten.length > 0) {
+                console.log(`  ${chalk.green('✓')} Rewrote ${rewritten.length} legacy myTheme references to v3.0`);
+            }
+            if (unresolved.length > 0) {
+                console.log(`  ${chalk.yellow('⚠')} ${unresolved.length} legacy myTheme references in strings need manual review`);
+            }
+
+            const dropped = results.jsTransform.droppedCode || [];
+            if (dropped.length > 0) {
+                console.log(`  ${chalk.yellow('⚠')} ${dropped.length} custom statements of the old myTheme.init() were dropped, review manually:`);
+                for (const statement of dropped) {
+                    console.log(`    ${chalk.yellow('- line ' + statement.line)}: ${statement.code.split('\n')[0].trim()}`);
+                }
+            }
         }
 
         // CSS changes
         if (results.cssChanges) {
             const summary = results.cssChanges.summary || {};
             console.log('\n' + chalk.bold('CSS Changes:'));
+            if (results.cssChanges.mode === 'template') {
+                const tokenCount = Object.keys(results.cssChanges.tokens || {}).length;
+                console.log(`  ${chalk.blue('→')} Built on the ${analysis.template} template with ${tokenCount} design tokens from the old style`);
+            }
+            const variables = results.cssChanges.designTokens || [];
+            if (variables.length > 0) {
+                const location = results.dryRun ? '' : ` (${path.join(results.outputPath, 'design-tokens.json')})`;
+                console.log(`  ${chalk.blue('→')} ${variables.length} CSS custom properties in :root${location}`);
+            }
             console.log(`  Total Updates: ${chalk.cyan(summary.totalChanges || 0)}`);
             if (summary.byType) {
                 for (const [type, count] of Object.entries(summary.byType)) {
                     console.log(`    - ${type}: ${count}`);
                 }
             }
+            if (summary.byCategory && Object.keys(summary.byCategory).length > 0) {
+                console.log('  Selectors Remapped:');
+                for (const [category, count] of Object.entries(summary.byCategory)) {
+                    console.log(`    - ${category}: ${count}`);
+                }
+            }
         }
 
         // Config.xml changes
@@ -80,6 +163,51 @@ export class ConversionReporter {
                     console.log(`    - ${type}/: ${count} files`);
                 }
             }
+            if (summary.pruned) {
+                console.log(`  Removed as unused: ${chalk.cyan(summary.pruned)} files`);
+            }
+        }
+
+        // iDevice icons
+        if (results.iconMapping) {
+            const summary = results.iconMapping.summary;
+            console.log('\n' + chalk.bold(`iDevice Icons (${results.analysis.template} set):`));
+            console.log(`  Mapped: ${chalk.green(summary.mapped)} (${summary.renamed} renamed, ${summary.aliased} also kept under the old name)`);
+            console.log(`  Without counterpart: ${chalk.yellow(summary.unmatched)}`);
+            console.log(`  Template icons not covered: ${chalk.yellow(summary.uncovered)}${summary.filled ? ` (${summary.filled} filled from the template)` : ''}`);
+        }
+
+        // Screenshot
+        if (results.screenshot) {
+            const reason = results.screenshot.reason ? chalk.gray(` (${results.screenshot.reason})`) : '';
+            console.log(`  Screenshot: ${SCREENSHOT_METHODS[results.screenshot.method]}${reason}`);
+        }
+
+        // Plugins
+        if (results.plugins && results.plugins.names.length > 0) {
+            console.log('\n' + chalk.bold('Plugins:'));
+            for (const name of results.plugins.names) {
+                const hooks = results.plugins.changes.filter(c => c.plugin === name && c.modified).map(c => c.hook);
+                console.log(`  ${chalk.blue('→')} ${name}${hooks.length > 0 ? chalk.gray(` (changed ${hooks.join(', ')})`) : ''}`);
+            }
+        }
+
+        // Visual check
+        if (results.visual) {
+            console.log('\n' + chalk.bold('Visual Fidelity:'));
+            if (results.visual.skipped) {
+                console.log(`  ${chalk.yellow('⚠')} Skipped: ${results.visual.reason}`);
+            } else {
+                const color = { close: chalk.green, review: chalk.yellow, rework: chalk.red }[results.visual.level];
+                console.log(`  Score: ${color(`${results.visual.fidelity}%`)} (${FIDELITY_LABELS[results.visual.level]})`);
+                for (const viewport of results.visual.viewports) {
+                    const worst = viewport.regions
+                        .filter(region => region.difference !== null)
+                        .sort((a, b) => b.difference - a.difference)[0];
+                    const note = worst && worst.difference > 0 ? chalk.gray(` (most changed: ${worst.name})`) : '';
+                    console.log(`    - ${viewport.name} (${viewport.width}px): ${viewport.fidelity}%${note}`);
+                }
+            }
         }
 
         // Validation results
@@ -94,6 +222,9 @@ export class ConversionReporter {
                 console.log('\n' + chalk.bold.red('Errors:'));
                 for (const error of validation.errors) {
                     console.log(`  ${chalk.red('✗')} ${error.message}`);
+                    if (error.frame) {
+                        console.log(chalk.gray(error.frame.replace(/^/gm, '    ')));
+                    }
                 }
             }
 
@@ -141,10 +272,46 @@ export class ConversionReporter {
         // Summary
         md += '## Summary\n\n';
         md += `- **Complexity Level:** ${analysis.complexity}\n`;
-        md += `- **Template Used:** ${analysis.template}\n`;
+        md += `- **Template Used:** ${analysis.template}${this.getTemplateNote(analysis, results)}\n`;
         md += `- **Original JS Lines:** ${analysis.customCode.linesOfCode}\n`;
+        if (results.configFile) {
+            md += `- **Conversion Rules:** ${results.configFile}\n`;
+        }
+        if (results.package) {
+            md += `- **Package:** ${results.package.label}, style in ${this.getPackageLocation(results.package)}\n`;
+        }
+        if (results.screenshot) {
+            md += `- **Screenshot:** ${SCREENSHOT_METHODS[results.screenshot.method]}`;
+            md += results.screenshot.reason ? ` (browser unavailable: ${results.screenshot.reason})\n` : '\n';
+        }
+        if (results.visual && !results.visual.skipped) {
+            md += `- **Visual Fidelity:** ${results.visual.fidelity}% (${FIDELITY_LABELS[results.visual.level]})\n`;
+        }
         md += `- **Validation:** ${validation.isValid ? '✓ PASSED' : '✗ FAILED'}\n\n`;
 
+        // Template scores
+        if (analysis.templateScores && analysis.templateScores.length > 0) {
+            const traits = analysis.templateScores[0].reasons.map(r => r.trait);
+            md += '## Template Selection\n\n';
+            md += `| Template | Score | ${traits.join(' | ')} |\n`;
+            md += `|----------|-------|${traits.map(() => '---').join('|')}|\n`;
+            for (const { template, score, reasons } of analysis.templateScores) {
+                const name = template === analysis.template ? `**${template}**` : template;
+                const points = reasons.map(r => `${Math.round(r.score * r.weight)}/${r.weight}`);
+                md += `| ${name} | ${score} | ${points.join(' | ')} |\n`;
+            }
+            md += '\n';
+
+            const chosen = analysis.templateScores.find(s => s.template === analysis.template);
+            if (chosen) {
+                md += `Reasoning for **${chosen.template}**:\n\n`;
+                for (const reason of chosen.reasons) {
+                    md += `- **${reason.trait}:** ${reason.detail}\n`;
+                }
+                md += '\n';
+            }
+        }
+
         // Custom features
         if (analysis.customCode.customFunctions.length > 0) {
             md += '## Custom Features Preserved\n\n';
@@ -164,15 +331,27 @@ export class ConversionReporter {
             md += '\n';
         }
 
+        // Legacy myTheme API
+        if (results.jsTransform && results.jsTransform.changes && results.jsTransform.changes.length > 0) {
+            md += '## Legacy myTheme Methods\n\n';
+            md += '| Type | Old | New | Line | Notes |\n';
+            md += '|------|-----|-----|------|-------|\n';
+            for (const change of results.jsTransform.changes) {
+                md += `| ${change.type} | \`${change.old}\` | ${change.new ? `\`${change.new}\`` : '-'} | ${change.line} | ${change.description} |\n`;
+            }
+            md += '\n';
+        }
+
         // CSS changes
         if (results.cssChanges && results.cssChanges.changes) {
             md += '## CSS Changes\n\n';
             md += `Total changes: ${results.cssChanges.changes.length}\n\n`;
             if (results.cssChanges.changes.length > 0) {
-                md += '| Type | Old | New | Count |\n';
-                md += '|------|-----|-----|-------|\n';
+                md += '| Type | Old | New | Count | Location |\n';
+                md += '|------|-----|-----|-------|----------|\n';
                 for (const change of results.cssChanges.changes.slice(0, 20)) {
-                    md += `| ${change.type} | \`${change.old || '-'}\` | \`${change.new || '-'}\` | ${change.count || 1} |\n`;
+                    const location = change.file ? `${change.file}:${change.line}` : '-';
+                    md += `| ${change.type} | \`${change.old || '-'}\` | \`${change.new || '-'}\` | ${change.count || 1} | ${location} |\n`;
                 }
                 if (results.cssChanges.changes.length > 20) {
                     md += `\n*... and ${results.cssChanges.changes.length - 20} more changes*\n`;
@@ -181,6 +360,60 @@ export class ConversionReporter {
             }
         }
 
+        // Design tokens (template CSS mode)
+        if (results.cssChanges && results.cssChanges.tokens) {
+            const tokens = Object.entries(results.cssChanges.tokens);
+            md += '## Design Tokens\n\n';
+            md += `\`style.css\` is the ${analysis.template} template's stylesheet with these values from the old style laid over it:\n\n`;
+            if (tokens.length > 0) {
+                md += '| Token | Value | Source |\n';
+                md += '|-------|-------|--------|\n';
+                for (const [name, token] of tokens) {
+                    const source = token.file ? `${token.file}:${token.line}` : '-';
+                    md += `| ${token.label} (\`${name}\`) | \`${token.value}\` | ${source} |\n`;
+                }
+            } else {
+                md += '*No design tokens were found; the template is used unchanged.*\n';
+            }
+            md += '\n';
+        }
+
+        // CSS custom properties
+        const variables = (results.cssChanges && results.cssChanges.designTokens) || [];
+        if (variables.length > 0) {
+            md += '## CSS Custom Properties\n\n';
+            md += '`style.css` declares these variables in `:root` and uses them instead of the literal values. ';
+            md += 'Change a value there (or in `design-tokens.json` for reference) to restyle every rule that uses it.\n\n';
+            md += '| Variable | Value | Uses | Replaces |\n';
+            md += '|----------|-------|------|----------|\n';
+            for (const variable of variables) {
+                const replaces = variable.members.length > 1
+                    ? variable.members.map(m => `\`${m}\``).join(', ')
+                    : (variable.role || '-');
+                md += `| \`${variable.name}\` | \`${variable.value}\` | ${variable.uses} | ${replaces} |\n`;
+            }
+            md += '\n';
+        }
+
+        // Selector mappings
+        const selectorMappings = new Map();
+        for (const change of (results.cssChanges && results.cssChanges.changes) || []) {
+            if (!change.category) continue;
+            if (!selectorMappings.has(change.old)) {
+                selectorMappings.set(change.old, { ...change, count: 0 });
+            }
+            selectorMappings.get(change.old).count += change.count || 1;
+        }
+        if (selectorMappings.size > 0) {
+            md += '## Selector Mappings (v2.9 → v3.0)\n\n';
+            md += '| Category | Old | New | Count |\n';
+            md += '|----------|-----|-----|-------|\n';
+            for (const mapping of selectorMappings.values()) {
+                md += `| ${mapping.category} | \`${mapping.old}\` | \`${mapping.new}\` | ${mapping.count} |\n`;
+            }
+            md += '\n';
+        }
+
         // Config.xml changes
         if (results.configChanges && results.configChanges.changes) {
             md += '## Config.xml Updates\n\n';
@@ -206,6 +439,51 @@ export class ConversionReporter {
                 }
                 md += '\n';
             }
+            const byReason = results.assetMigration.summary.byReason || {};
+            if (Object.keys(byReason).length > 0) {
+                md += 'Directories chosen by:\n\n';
+                for (const [reason, count] of Object.entries(byReason)) {
+                    md += `- ${describeRoute(reason)}: ${count} files\n`;
+                }
+                md += '\n';
+            }
+            if (results.assetMigration.pruned && results.assetMigration.pruned.length > 0) {
+                md += `Removed as unused (nothing in the style refers to them): ${results.assetMigration.pruned.map(file => `\`${file}\``).join(', ')}\n\n`;
+            }
+        }
+
+        // iDevice icons
+        if (results.iconMapping) {
+            const icons = results.iconMapping;
+            md += '## iDevice Icons\n\n';
+            md += `Old iDevice icons renamed after the ${results.analysis.template} template's icon set, so eXeLearning 3.0 offers them in its place.\n\n`;
+            if (icons.mappings.length > 0) {
+                md += '| Old | New | Template icon | Matched by |\n';
+                md += '|-----|-----|---------------|------------|\n';
+                for (const mapping of icons.mappings) {
+                    const kept = mapping.action === 'aliased' ? ' (old name kept: style.css uses it)' : '';
+                    md += `| \`${mapping.old}\` | \`${mapping.new}\`${kept} | \`${mapping.slot}\` | ${mapping.match === 'alias' ? 'similar name' : 'same name'} |\n`;
+                }
+                md += '\n';
+            }
+            if (icons.unmatched.length > 0) {
+                md += `No counterpart in the template (kept as they are): ${icons.unmatched.map(file => `\`${file}\``).join(', ')}\n\n`;
+            }
+            if (icons.uncovered.length > 0) {
+                const filled = icons.filled.length > 0 ? 'copied from the template' : 'not covered by the old style';
+                md += `Template icons ${filled}: ${icons.uncovered.map(file => `\`${file}\``).join(', ')}\n\n`;
+            }
+        }
+
+        // Plugins
+        if (results.plugins && results.plugins.names.length > 0) {
+            md += '## Plugins\n\n';
+            md += '| Plugin | Hook | Result |\n';
+            md += '|--------|------|--------|\n';
+            for (const change of results.plugins.changes) {
+                md += `| ${change.plugin} | ${change.hook} | ${change.description} |\n`;
+            }
+            md += '\n';
         }
 
         // Validation
@@ -218,6 +496,9 @@ export class ConversionReporter {
             md += '### Errors\n\n';
             for (const error of validation.errors) {
                 md += `- ❌ **${error.type}**: ${error.message}\n`;
+                if (error.frame) {
+                    md += `\n  \`\`\`\n${error.frame.replace(/^/gm, '  ')}\n  \`\`\`\n`;
+                }
             }
             md += '\n';
         }
@@ -230,13 +511,27 @@ export class ConversionReporter {
             md += '\n';
         }
 
+        // Visual check
+        if (results.visual) {
+            md += this.generateVisualSection(results.visual);
+        }
+
         // Manual review recommendations
         md += '## Recommendations\n\n';
         md += '### Manual Review Required\n\n';
         md += '1. **CSS Styling**: Review the merged CSS to ensure all styles are correct\n';
         md += '2. **Asset References**: Verify all asset paths are correctly updated\n';
         md += '3. **Custom Features**: Test all preserved custom functionality\n';
-        md += '4. **Browser Testing**: Test the converted style in different browsers\n\n';
+        md += '4. **Browser Testing**: Test the converted style in different browsers\n';
+        const dropped = (results.jsTransform && results.jsTransform.droppedCode) || [];
+        if (dropped.length > 0) {
+            md += '5. **Dropped init() Code**: The template\'s `myTheme.init()` replaces the old one, which also did this; ' +
+                'add what is still needed to the custom code:\n';
+            for (const statement of dropped) {
+                md += `\n   Line ${statement.line}:\n\n   \`\`\`javascript\n${statement.code.split(/\r?\n/).map(line => `   ${line}`).join('\n')}\n   \`\`\`\n`;
+            }
+        }
+        md += '\n';
 
         // Save the report
         const reportPath = path.join(outputPath, 'conversion-report.md');
@@ -245,6 +540,127 @@ export class ConversionReporter {
         return reportPath;
     }
 
+    /**
+     * Write the report in one of REPORT_FORMATS to the output directory
+     *
+     * @param {Object} styles - { files, output }: the old and the converted
+     *   style, for the diffs of the HTML report
+     * @returns {Promise<string>} the path of the report
+     */
+    async generateReport(format, results, outputPath, styles = {}) {
+        switch (format) {
+            case 'md':
+                return this.generateMarkdownReport(results, outputPath);
+            case 'json':
+                return this.generateJSONReport(results, outputPath);
+            case 'html':
+                return this.generateHTMLReport(results, outputPath, styles);
+            default:
+                throw new Error(`Unknown report format "${format}". Available formats: ${REPORT_FORMATS.join(', ')}`);
+        }
+    }
+
+    /**
+     * Generate conversion-report.json: the whole results object, wrapped
+     * with the schema version (see REPORT_SCHEMA) and the generator
+     */
+    async generateJSONReport(results, outputPath) {
+        const packageJson = await fs.readJson(path.join(__dirname, '..', 'package.json'));
+        const report = {
+            $schema: REPORT_SCHEMA.$id,
+            schemaVersion: REPORT_SCHEMA_VERSION,
+            generator: { name: packageJson.name, version: packageJson.version },
+            generatedAt: new Date().toISOString(),
+            results
+        };
+
+        const reportPath = path.join(outputPath, 'conversion-report.json');
+        await fs.writeFile(reportPath, JSON.stringify(report, null, 2) + '\n', 'utf-8');
+
+        return reportPath;
+    }
+
+    /**
+     * Generate conversion-report.html, a page without outside resources,
+     * with diffs of the old and the converted style when both are given
+     */
+    async generateHTMLReport(results, outputPath, { files, output } = {}) {
+        const html = renderHTMLReport(results, {
+            generatedAt: new Date().toISOString(),
+            templateNote: this.getTemplateNote(results.analysis, results),
+            sources: files && output ? this.getDiffSources(results.analysis, files, output) : null
+        });
+
+        const reportPath = path.join(outputPath, 'conversion-report.html');
+        await fs.writeFile(reportPath, html, 'utf-8');
+
+        return reportPath;
+    }
+
+    /**
+     * Old and new texts of the files the HTML report compares: the old
+     * script against style.js, the old stylesheets against style.css and
+     * the old config.xml against the new one
+     */
+    getDiffSources(analysis, files, output) {
+        const read = (vfs, name) => ({ name, content: vfs.isFile(name) ? vfs.readFile(name, 'utf-8') : '' });
+        const old = names => names.filter(name => name && files.isFile(name)).map(name => read(files, name));
+
+        return {
+            js: { old: old([analysis.jsFile]), new: read(output, 'style.js') },
+            css: { old: old(analysis.cssFiles), new: read(output, 'style.css') },
+            config: { old: old([analysis.configFile]), new: read(output, 'config.xml') }
+        };
+    }
+
+    /**
+     * Markdown section with the visual check's scores per region
+     */
+    generateVisualSection(visual) {
+        let md = '## Visual Fidelity\n\n';
+        if (visual.skipped) {
+            return md + `*Skipped: ${visual.reason}.*\n\n`;
+        }
+
+        md += `**Score:** ${visual.fidelity}% (${FIDELITY_LABELS[visual.level]})\n\n`;
+        md += 'A sample page in v2.9 markup with the old style and the same page in v3.0 markup with the converted style were rendered; ';
+        md += 'each cell is the share of matching pixels in that region.\n\n';
+
+        const { viewports } = visual;
+        md += `| Region | ${viewports.map(v => `${v.name} (${v.width}px)`).join(' | ')} |\n`;
+        md += `|--------|${viewports.map(() => '---').join('|')}|\n`;
+        for (const [i, region] of viewports[0].regions.entries()) {
+            const cells = viewports.map(viewport => {
+                const { difference, note } = viewport.regions[i];
+                if (difference === null) return `- (${note})`;
+                return `${Math.round((1 - difference) * 100)}%${note ? ` (${note})` : ''}`;
+            });
+            md += `| ${region.name} | ${cells.join(' | ')} |\n`;
+        }
+        md += `| **Page** | ${viewports.map(v => `**${v.fidelity}%**`).join(' | ')} |\n\n`;
+
+        md += 'Screenshots: ';
+        md += viewports.map(v => `[${v.name} v2.9](visual/${v.name}-v2.9.png), [${v.name} v3.0](visual/${v.name}-v3.0.png)`).join(', ');
+        md += '\n\n';
+        return md;
+    }
+
+    /**
+     * Where the style was found inside a package
+     */
+    getPackageLocation(packageInfo) {
+        return packageInfo.styleFolder ? `${packageInfo.styleFolder}/` : 'the package root';
+    }
+
+    /**
+     * Note on how the template was chosen, when it was not the best match
+     */
+    getTemplateNote(analysis, results, format = text => text) {
+        if (analysis.templateSelection === 'override') return format(' (--template)');
+        if (analysis.templateSelection === 'config') return format(` (${results.configFile})`);
+        return '';
+    }
+
     /**
      * Colorize complexity level
      */
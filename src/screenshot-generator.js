@@ -0,0 +1,141 @@
+import valueParser from 'postcss-value-parser';
+import { PreviewBuilder } from './preview-builder.js';
+import { RasterImage } from './raster-image.js';
+import { toHex } from './css-utils.js';
+
+/**
+ * Size of the screenshots of the v3.0 templates
+ */
+export const SCREENSHOT_SIZE = { width: 1200, height: 550 };
+
+/**
+ * Lengths of the placeholder text lines, as a share of the box width
+ */
+const TEXT_LINES = [0.95, 0.9, 0.97, 0.88, 0.93, 0.6];
+const NAV_ITEMS = [170, 210, 150, 190, 230, 160];
+
+/**
+ * Makes the screenshot.png eXeLearning 3.0 shows in its style picker
+ *
+ * compose() paints a sketch of the preview's v3.0 sample page in the old
+ * style's colours (see ThemeOverlay's tokens), with its header image when
+ * that is a PNG, JPEG or GIF. render() takes the same page rendered with
+ * the converted style in a browser, which the CLI puts over the sketch.
+ */
+export class ScreenshotGenerator {
+    constructor(styleName) {
+        this.styleName = styleName;
+    }
+
+    /**
+     * Render the v3.0 sample page in a browser
+     *
+     * @param {HeadlessBrowser} browser
+     * @param {VirtualFS} oldFiles - the old style
+     * @param {Object} analysis - the analysis of the old style
+     * @param {VirtualFS} output - the converted style
+     * @param {Array} styleFiles - files of `output` to include
+     * @returns {Promise<Uint8Array>} PNG data
+     */
+    async render(browser, oldFiles, analysis, output, styleFiles) {
+        const preview = new PreviewBuilder(this.styleName).build(oldFiles, analysis, output, styleFiles);
+        const page = await browser.open(preview, 'v3.0/index.html', SCREENSHOT_SIZE);
+        try {
+            // The search form only shows once its toggler is used
+            await page.addStyleTag({ content: '#exe-client-search { display: none; }' });
+            await page.evaluate(() => document.fonts.ready.then(() => null));
+            const image = await page.screenshot({
+                type: 'png',
+                clip: { x: 0, y: 0, ...SCREENSHOT_SIZE }
+            });
+            return new Uint8Array(image);
+        } finally {
+            await page.close();
+        }
+    }
+
+    /**
+     * Paint the layout of a v3.0 page in the style's colours
+     *
+     * @param {Object} tokens - { name: { value } } as read by ThemeOverlay
+     * @param {VirtualFS} output - the converted style, for the header image
+     * @returns {Uint8Array} PNG data
+     */
+    compose(tokens, output) {
+        const value = name => (tokens[name] ? tokens[name].value : null);
+        const { width, height } = SCREENSHOT_SIZE;
+        const image = new RasterImage(width, height);
+
+        const background = value('pageBackground') || '#ffffff';
+        const content = value('contentBackground') || background;
+        const text = value('textColour') || '#333333';
+        const link = value('link') || text;
+        const primary = value('primary') || text;
+        const border = mix(text, background, 0.85);
+
+        image.fillRect(0, 0, width, height, background);
+
+        // Header with the package title
+        const headerHeight = 100;
+        image.fillRect(0, 0, width, headerHeight, value('headerBackground') || background);
+        const headerImage = this.loadImage(value('headerImage'), output);
+        if (headerImage) {
+            image.tile(headerImage, 0, 0, width, headerHeight);
+        }
+        image.fillRect(32, 40, 320, 22, value('headerText') || primary);
+        image.fillRect(0, headerHeight - 1, width, 1, border);
+
+        // Menu
+        const navWidth = Math.max(200, Math.min(320, parseInt(value('navWidth'), 10) || 280));
+        const navLink = value('navLink') || link;
+        image.fillRect(0, headerHeight, navWidth, height - headerHeight, value('navBackground') || mix(text, background, 0.96));
+        image.fillRect(16, 120, navWidth - 32, 40, mix(navLink, background, 0.8));
+        NAV_ITEMS.forEach((itemWidth, i) => {
+            image.fillRect(32, 134 + i * 52, Math.min(itemWidth, navWidth - 64), 12, navLink);
+        });
+
+        // Page title and an iDevice box
+        const left = navWidth + 60;
+        const boxWidth = width - left - 60;
+        image.fillRect(left, 124, 340, 24, primary);
+        image.fillRect(left, 184, boxWidth, height - 184 + 1, content);
+        image.strokeRect(left, 184, boxWidth, height - 184 + 1, border);
+        image.fillRect(left + 36, 222, 380, 22, value('secondary') || primary);
+        image.fillRect(left + 36, 264, boxWidth - 72, 1, border);
+
+        const lineColour = mix(text, content, 0.45);
+        TEXT_LINES.forEach((share, i) => {
+            image.fillRect(left + 36, 292 + i * 32, Math.round((boxWidth - 72) * share), 10, lineColour);
+        });
+        image.fillRect(left + 36 + Math.round((boxWidth - 72) * 0.4), 292 + 32, Math.round((boxWidth - 72) * 0.18), 10, link);
+
+        return image.toPNG();
+    }
+
+    /**
+     * Decode the image a `url()` token points at, if it is readable
+     */
+    loadImage(url, output) {
+        if (!url) return null;
+
+        let file = null;
+        valueParser(url).walk(node => {
+            if (node.type === 'function' && node.value.toLowerCase() === 'url' && node.nodes[0]) {
+                file = node.nodes[0].value.split(/[?#]/)[0].replace(/^\.\//, '');
+            }
+        });
+        if (!file || !output.isFile(file)) return null;
+
+        const image = RasterImage.decode(output.files.get(file));
+        return image && image.width > 0 && image.height > 0 ? image : null;
+    }
+}
+
+/**
+ * Blend two #rrggbb colours; `ratio` is the share of `b`
+ */
+function mix(a, b, ratio) {
+    const channels = colour => [1, 3, 5].map(i => parseInt(colour.slice(i, i + 2), 16));
+    const [x, y] = [channels(a), channels(b)];
+    return toHex(x.map((channel, i) => channel * (1 - ratio) + y[i] * ratio));
+}
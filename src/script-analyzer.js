@@ -0,0 +1,390 @@
+import * as acorn from 'acorn';
+import * as acornLoose from 'acorn-loose';
+import * as walk from 'acorn-walk';
+
+const PARSE_OPTIONS = {
+    ecmaVersion: 'latest',
+    sourceType: 'script',
+    locations: true,
+    allowReturnOutsideFunction: true,
+    allowHashBang: true
+};
+
+/**
+ * myTheme members every v2.9 style defines (menu toggling and navigation
+ * parameters); v3.0 templates provide their own equivalents
+ */
+export const LEGACY_THEME_MEMBERS = ['init', 'hideMenu', 'toggleMenu', 'param', 'params', 'reset'];
+
+/**
+ * myTheme members the v3.0 templates define
+ */
+export const TEMPLATE_THEME_MEMBERS = ['init', 'inIframe', 'searchForm', 'isLowRes', 'checkNav', 'param', 'params', 'movePageTitle'];
+
+/**
+ * Events that jQuery exposes as shorthand methods ($(window).resize(fn))
+ */
+const JQUERY_EVENT_METHODS = ['ready', 'load', 'resize', 'scroll', 'click', 'keydown', 'keyup', 'keypress', 'unload'];
+
+/**
+ * DOM events with an `on<event>` handler property (window.onload = fn);
+ * other `on...` properties (obj.once, obj.online) are plain assignments
+ */
+const DOM_EVENT_PROPERTIES = [
+    'load', 'unload', 'beforeunload', 'pageshow', 'pagehide', 'readystatechange',
+    'resize', 'scroll', 'orientationchange', 'hashchange', 'popstate', 'message', 'error',
+    'click', 'dblclick', 'contextmenu', 'mousedown', 'mouseup', 'mousemove', 'mouseover', 'mouseout',
+    'mouseenter', 'mouseleave', 'wheel', 'touchstart', 'touchmove', 'touchend', 'touchcancel',
+    'pointerdown', 'pointerup', 'pointermove', 'keydown', 'keyup', 'keypress',
+    'focus', 'blur', 'change', 'input', 'submit', 'reset', 'select', 'beforeprint', 'afterprint'
+];
+
+/**
+ * The page title and its wrapper, in v2.9 (#nodeDecoration, #nodeTitle)
+ * and v3.0 (.page-title) markup: a script that selects them moves or
+ * rewrites the title
+ */
+const TITLE_SELECTOR = /(^|[^\w-])(#nodeDecoration|#nodeTitle|\.nodeTitle|\.page-title)(?![\w-])/;
+const TITLE_IDS = ['nodeDecoration', 'nodeTitle'];
+
+/**
+ * Parses a theme script and builds an inventory of its top-level parts:
+ * myTheme members, function declarations, IIFEs, event registrations and
+ * any other statements. Every entry keeps its source range and code
+ * (including leading comments) so it can be extracted by node; the AST
+ * node itself is attached as a non-enumerable `node` property, and the
+ * whole tree is kept as `ast`.
+ */
+export class ScriptAnalyzer {
+    constructor(code) {
+        this.code = code || '';
+        this.comments = [];
+        this.ast = null;
+    }
+
+    /**
+     * Parse the script and build the inventory
+     */
+    analyze() {
+        const inventory = {
+            parseError: null,
+            myTheme: null,
+            functions: [],
+            iifes: [],
+            eventRegistrations: [],
+            statements: [],
+            titleReferences: []
+        };
+
+        const ast = this.parse(inventory);
+        this.ast = ast;
+
+        let previousEnd = 0;
+        for (const node of ast.body) {
+            const entry = this.createEntry(node, previousEnd);
+            previousEnd = node.end;
+
+            const myTheme = this.getMyThemeObject(node);
+            if (myTheme) {
+                inventory.myTheme = Object.assign(entry, {
+                    members: this.collectMembers(myTheme, '')
+                });
+            } else if (node.type === 'FunctionDeclaration') {
+                inventory.functions.push(Object.assign(entry, { name: node.id.name }));
+            } else if (this.isIIFE(node)) {
+                inventory.iifes.push(Object.assign(entry, {
+                    name: entry.comment || `IIFE (line ${entry.line})`
+                }));
+            } else {
+                const registration = this.getEventRegistration(node);
+                if (registration) {
+                    const { handler, ...details } = registration;
+                    Object.assign(entry, details, this.findBootstrap(details.event, handler));
+                    Object.defineProperty(entry, 'handler', { value: handler, enumerable: false });
+                    inventory.eventRegistrations.push(entry);
+                } else {
+                    inventory.statements.push(Object.assign(entry, { name: this.describeStatement(node) }));
+                }
+            }
+        }
+
+        inventory.titleReferences = this.findTitleReferences(ast);
+        return inventory;
+    }
+
+    /**
+     * Parse the code, falling back to the error-tolerant parser so that
+     * scripts with syntax errors still yield a (partial) inventory
+     */
+    parse(inventory) {
+        this.comments = [];
+        try {
+            return acorn.parse(this.code, { ...PARSE_OPTIONS, onComment: this.comments });
+        } catch (e) {
+            inventory.parseError = {
+                message: e.message,
+                line: e.loc ? e.loc.line : null,
+                column: e.loc ? e.loc.column : null
+            };
+            this.comments = [];
+            return acornLoose.parse(this.code, { ...PARSE_OPTIONS, onComment: this.comments });
+        }
+    }
+
+    /**
+     * Create the common entry fields for a node: range, line and code,
+     * extended backwards over the comments directly preceding it
+     */
+    createEntry(node, previousEnd) {
+        let start = node.start;
+        let comment = null;
+
+        for (let i = this.comments.length - 1; i >= 0; i--) {
+            const c = this.comments[i];
+            if (c.end > start || c.start < previousEnd) continue;
+            if (this.code.slice(c.end, start).trim() !== '') break;
+            start = c.start;
+            comment = c.value.trim();
+        }
+
+        const entry = {
+            start,
+            end: node.end,
+            line: node.loc.start.line,
+            comment,
+            code: this.code.slice(start, node.end)
+        };
+
+        // Keep the AST node available without serialising it with the entry
+        Object.defineProperty(entry, 'node', { value: node, enumerable: false });
+
+        return entry;
+    }
+
+    /**
+     * Return the object literal of `var myTheme = { ... }`, if this is it
+     */
+    getMyThemeObject(node) {
+        if (node.type !== 'VariableDeclaration') return null;
+        const declarator = node.declarations.find(d =>
+            d.id.type === 'Identifier' && d.id.name === 'myTheme'
+        );
+        if (declarator && declarator.init && declarator.init.type === 'ObjectExpression') {
+            return declarator.init;
+        }
+        return null;
+    }
+
+    /**
+     * Collect the members of an object literal (recursively for nested objects)
+     */
+    collectMembers(objectNode, prefix) {
+        const members = [];
+        let previousEnd = objectNode.start + 1;
+
+        for (const prop of objectNode.properties) {
+            const entry = this.createEntry(prop, previousEnd);
+            previousEnd = prop.end;
+
+            const name = this.getPropertyName(prop);
+            if (!name) continue;
+
+            const value = prop.value;
+            const member = Object.assign(entry, {
+                name,
+                path: prefix + name,
+                type: 'value',
+                members: []
+            });
+
+            if (prop.method ||
+                (value && ['FunctionExpression', 'ArrowFunctionExpression'].includes(value.type))) {
+                member.type = 'function';
+            } else if (value && value.type === 'ObjectExpression') {
+                member.type = 'object';
+                member.members = this.collectMembers(value, `${member.path}.`);
+            }
+
+            members.push(member);
+        }
+
+        return members;
+    }
+
+    /**
+     * Get the static name of an object property
+     */
+    getPropertyName(prop) {
+        if (prop.type !== 'Property' || prop.computed) return null;
+        if (prop.key.type === 'Identifier') return prop.key.name;
+        if (prop.key.type === 'Literal') return String(prop.key.value);
+        return null;
+    }
+
+    /**
+     * Check if a statement is an immediately invoked function expression
+     */
+    isIIFE(node) {
+        if (node.type !== 'ExpressionStatement') return false;
+        let expr = node.expression;
+        if (expr.type === 'UnaryExpression') expr = expr.argument;
+        return expr.type === 'CallExpression' &&
+            ['FunctionExpression', 'ArrowFunctionExpression'].includes(expr.callee.type);
+    }
+
+    /**
+     * Recognise event registrations: $(fn), $(document).ready(fn),
+     * x.addEventListener('evt', fn), $(x).on('evt', fn), $(x).resize(fn)
+     * and window.onload = fn
+     */
+    getEventRegistration(node) {
+        if (node.type !== 'ExpressionStatement') return null;
+        const expr = node.expression;
+
+        // window.onload = fn (a DOM event, and a handler rather than null)
+        if (expr.type === 'AssignmentExpression' &&
+            expr.left.type === 'MemberExpression' &&
+            !expr.left.computed &&
+            /^on[a-z]+$/.test(expr.left.property.name) &&
+            DOM_EVENT_PROPERTIES.includes(expr.left.property.name.slice(2)) &&
+            expr.right.type !== 'Literal') {
+            return {
+                event: expr.left.property.name.slice(2),
+                target: this.code.slice(expr.left.object.start, expr.left.object.end),
+                handler: expr.right
+            };
+        }
+
+        if (expr.type !== 'CallExpression') return null;
+        const callee = expr.callee;
+
+        // $(function(){ ... }) / jQuery(function(){ ... })
+        if (callee.type === 'Identifier' &&
+            ['$', 'jQuery'].includes(callee.name) &&
+            expr.arguments.length === 1 &&
+            ['FunctionExpression', 'ArrowFunctionExpression'].includes(expr.arguments[0].type)) {
+            return { event: 'ready', target: 'document', handler: expr.arguments[0] };
+        }
+
+        // addEventListener('evt', fn) / document.addEventListener('evt', fn)
+        const method = callee.type === 'MemberExpression' && !callee.computed
+            ? callee.property.name
+            : (callee.type === 'Identifier' ? callee.name : null);
+        const target = callee.type === 'MemberExpression'
+            ? this.code.slice(callee.object.start, callee.object.end)
+            : 'window';
+
+        if (method === 'addEventListener' && expr.arguments.length >= 2 &&
+            expr.arguments[0].type === 'Literal') {
+            return { event: String(expr.arguments[0].value), target, handler: expr.arguments[1] };
+        }
+
+        if (callee.type !== 'MemberExpression') return null;
+
+        // $(x).on('evt', fn) / $(x).bind('evt', fn)
+        if (['on', 'bind'].includes(method) && expr.arguments.length >= 2 &&
+            expr.arguments[0].type === 'Literal') {
+            return {
+                event: String(expr.arguments[0].value),
+                target,
+                handler: expr.arguments[expr.arguments.length - 1]
+            };
+        }
+
+        // $(x).ready(fn) / $(window).resize(fn)
+        if (JQUERY_EVENT_METHODS.includes(method) && expr.arguments.length === 1) {
+            return { event: method, target, handler: expr.arguments[0] };
+        }
+
+        return null;
+    }
+
+    /**
+     * Find the statements of a ready handler that only start the theme
+     * (`myTheme.init()`, optionally inside an if). `isBootstrap` is true
+     * when the handler does nothing else.
+     */
+    findBootstrap(event, handler) {
+        const result = { bootstrapRanges: [], isBootstrap: false };
+        if (event !== 'ready' || !handler || !handler.body || handler.body.type !== 'BlockStatement') {
+            return result;
+        }
+
+        const statements = handler.body.body;
+        const bootstrap = statements.filter(statement => this.isThemeInitStatement(statement));
+
+        result.bootstrapRanges = bootstrap.map(s => ({ start: s.start, end: s.end }));
+        result.isBootstrap = bootstrap.length > 0 && bootstrap.length === statements.length;
+        return result;
+    }
+
+    /**
+     * Check if a statement is `myTheme.init();` or `if (...) myTheme.init();`
+     */
+    isThemeInitStatement(statement) {
+        if (statement.type === 'IfStatement' && !statement.alternate) {
+            const consequent = statement.consequent;
+            if (consequent.type === 'BlockStatement') {
+                return consequent.body.length > 0 &&
+                    consequent.body.every(s => this.isThemeInitStatement(s));
+            }
+            return this.isThemeInitStatement(consequent);
+        }
+
+        if (statement.type !== 'ExpressionStatement') return false;
+        const expr = statement.expression;
+        return expr.type === 'CallExpression' &&
+            expr.callee.type === 'MemberExpression' &&
+            expr.callee.object.type === 'Identifier' &&
+            expr.callee.object.name === 'myTheme' &&
+            !expr.callee.computed &&
+            expr.callee.property.name === 'init';
+    }
+
+    /**
+     * Find the strings that select the page title: `$("#nodeTitle")`,
+     * `getElementById('nodeDecoration')`, `$('.page-title')`...
+     *
+     * @returns {Array} [{ selector, line }]
+     */
+    findTitleReferences(ast) {
+        const references = [];
+        const add = (value, node) => {
+            const match = TITLE_IDS.includes(value) ? [null, null, `#${value}`] : value.match(TITLE_SELECTOR);
+            if (match) references.push({ selector: match[2], line: node.loc.start.line });
+        };
+
+        walk.full(ast, node => {
+            if (node.type === 'Literal' && typeof node.value === 'string') {
+                add(node.value, node);
+            } else if (node.type === 'TemplateElement') {
+                add(node.value.cooked || '', node);
+            }
+        });
+        return references;
+    }
+
+    /**
+     * Short human-readable description of a top-level statement
+     */
+    describeStatement(node) {
+        const firstLine = this.code.slice(node.start, node.end).split('\n')[0].trim();
+        return firstLine.length > 60 ? firstLine.slice(0, 57) + '...' : firstLine;
+    }
+}
+
+/**
+ * Find a myTheme member by path (e.g. 'common.init') in an inventory
+ */
+export function findThemeMember(inventory, memberPath) {
+    if (!inventory || !inventory.myTheme) return null;
+
+    let members = inventory.myTheme.members;
+    let found = null;
+    for (const name of memberPath.split('.')) {
+        found = members.find(m => m.name === name);
+        if (!found) return null;
+        members = found.members;
+    }
+    return found;
+}
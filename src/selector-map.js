@@ -0,0 +1,86 @@
+/**
+ * v2.9 → v3.0 selector mapping table
+ *
+ * Each entry maps a class or ID used by the v2.9 export markup to the
+ * selector that targets the equivalent element in the v3.0 export markup.
+ * `type` is the kind of the old selector (class or id), `category` groups
+ * entries in the reports.
+ */
+
+/**
+ * Build a selector that matches a v3.0 box whose icon image contains the
+ * given keyword. v3.0 boxes carry no iDevice type class, so the chosen
+ * icon is the closest equivalent of the old per-type header icon.
+ */
+function boxWithIcon(keyword) {
+    return `.box:has(.box-icon img[src*="${keyword}"])`;
+}
+
+/**
+ * Per-iDevice type classes and the icon keyword they used in v2.9
+ */
+const IDEVICE_TYPES = [
+    { old: '.activityIdevice', icon: 'activity' },
+    { old: '.readingIdevice', icon: 'reading' },
+    { old: '.objectivesIdevice', icon: 'objectives' },
+    { old: '.preknowledgeIdevice', icon: 'preknowledge' },
+    { old: '.ReflectionIdevice', icon: 'reflection' },
+    { old: '.CasestudyIdevice', icon: 'casestudy' },
+    { old: '.GalleryIdevice', icon: 'gallery' },
+    { old: '.ListaIdevice', icon: 'question' },
+    { old: '.QuizTestIdevice', icon: 'question' },
+    { old: '.MultichoiceIdevice', icon: 'question' },
+    { old: '.MultiSelectIdevice', icon: 'question' },
+    { old: '.TrueFalseIdevice', icon: 'question' },
+    { old: '.ClozeIdevice', icon: 'question' },
+    { old: '.WikipediaIdevice', icon: 'web' },
+    { old: '.RssIdevice', icon: 'web' },
+    { old: '.ExternalUrlIdevice', icon: 'web' }
+];
+
+export const SELECTOR_MAP = [
+    // Navigation toggling
+    { old: '.no-nav', new: '.siteNav-off', type: 'class', category: 'navigation', description: 'Updated navigation toggle class' },
+    { old: '.hide-nav', new: '.siteNav-off', type: 'class', category: 'navigation', description: 'Updated navigation toggle class' },
+    { old: '.show-nav', new: '.siteNav-on', type: 'class', category: 'navigation', description: 'Updated navigation toggle class' },
+    { old: '#toggle-nav', new: '#siteNavToggler', type: 'id', category: 'navigation', description: 'Updated menu toggle button ID' },
+    { old: '#nav-toggler', new: '#siteNavToggler', type: 'id', category: 'navigation', description: 'Updated menu toggle button ID' },
+    { old: '#header-options', new: '#siteNavToggler', type: 'id', category: 'navigation', description: 'Updated menu toggle container ID' },
+
+    // iDevice structure
+    { old: '.iDevice_wrapper', new: '.box', type: 'class', category: 'idevice-structure', description: 'iDevice wrapper is now a box' },
+    { old: '.iDevice', new: '.box', type: 'class', category: 'idevice-structure', description: 'iDevice container is now a box' },
+    { old: '.iDevice_header', new: '.box-head', type: 'class', category: 'idevice-structure', description: 'iDevice header is now the box head' },
+    { old: '.iDeviceTitle', new: '.box-title', type: 'class', category: 'idevice-structure', description: 'iDevice title is now the box title' },
+    { old: '.iDevice_icon', new: '.box-icon', type: 'class', category: 'idevice-structure', description: 'iDevice icon is now the box icon' },
+    { old: '.iDevice_inner', new: '.box-content', type: 'class', category: 'idevice-structure', description: 'iDevice body is now the box content' },
+    { old: '.iDevice_content', new: '.box-content', type: 'class', category: 'idevice-structure', description: 'iDevice content is now the box content' },
+    { old: '.toggle-idevice', new: '.box-toggle', type: 'class', category: 'idevice-structure', description: 'iDevice toggler is now the box toggle button' },
+    { old: '.hidden-idevice', new: '.minimized', type: 'class', category: 'idevice-structure', description: 'Collapsed iDevices are now minimized boxes' },
+    { old: '.emphasis0', new: '.box.no-header', type: 'class', category: 'idevice-structure', description: 'iDevices without emphasis are now boxes without header' },
+    { old: '.emphasis1', new: '.box:not(.no-header)', type: 'class', category: 'idevice-structure', description: 'iDevices with emphasis are now boxes with a header' },
+    { old: '.show-idevice', new: '.box-toggle.box-toggle-off', type: 'class', category: 'idevice-structure', description: 'The show link of collapsed iDevices is now the box toggle when off' },
+    { old: '.hide-idevice', new: '.box-toggle.box-toggle-on', type: 'class', category: 'idevice-structure', description: 'The hide link of open iDevices is now the box toggle when on' },
+
+    // Per-iDevice type classes
+    ...IDEVICE_TYPES.map(({ old, icon }) => ({
+        old,
+        new: boxWithIcon(icon),
+        type: 'class',
+        category: 'idevice-type',
+        description: `iDevice type class replaced by a box with a "${icon}" icon`
+    })),
+
+    // Page chrome
+    { old: '#content', new: '.exe-content', type: 'id', category: 'page-chrome', description: 'Content wrapper is now .exe-content' },
+    { old: '#main-wrapper', new: '.page', type: 'id', category: 'page-chrome', description: 'Main wrapper is now the page element' },
+    { old: '#main', new: '.page-content', type: 'id', category: 'page-chrome', description: 'Main area is now the page content' },
+    { old: '#header', new: '.package-header', type: 'id', category: 'page-chrome', description: 'Header is now the package header' },
+    { old: '#emptyHeader', new: '.package-header', type: 'id', category: 'page-chrome', description: 'Empty header is now the package header' },
+    { old: '#headerContent', new: '.package-title', type: 'id', category: 'page-chrome', description: 'Header content is now the package title' },
+    { old: '#nodeDecoration', new: '.page-header', type: 'id', category: 'page-chrome', description: 'Node decoration is now the page header' },
+    { old: '#nodeTitle', new: '.page-title', type: 'id', category: 'page-chrome', description: 'Node title is now the page title' },
+    { old: '.pagination', new: '.nav-buttons', type: 'class', category: 'page-chrome', description: 'Pagination links are now the navigation buttons' },
+    { old: '#topPagination', new: '.nav-buttons', type: 'id', category: 'page-chrome', description: 'Pagination is now the navigation buttons' },
+    { old: '#bottomPagination', new: '.nav-buttons', type: 'id', category: 'page-chrome', description: 'Pagination is now the navigation buttons' }
+];
@@ -0,0 +1,220 @@
+import crypto from 'crypto';
+import fs from 'fs-extra';
+import path from 'path';
+import { readDirectory } from './fs-adapter.js';
+import { readZip, isZipFile } from './zip-adapter.js';
+import { PackageExtractor } from './package-extractor.js';
+import { extname } from './virtual-fs.js';
+
+/**
+ * Directories never searched for styles
+ */
+const IGNORED_DIRECTORIES = ['node_modules', '__MACOSX'];
+
+/**
+ * Stylesheets that only a v2.9 style has; a style with style.css and
+ * neither of these is already in v3.0 format
+ */
+const LEGACY_STYLESHEETS = ['content.css', 'nav.css'];
+
+/**
+ * Finds the styles in a directory tree for a batch conversion
+ *
+ * A directory is a style when it holds a config.xml with a `<theme>`
+ * element and at least one stylesheet or script; the search doesn't go
+ * below it. ZIP archives and .elpx/.elp packages are opened: a style
+ * zipped on its own (maybe in its folder) counts like a directory, and a
+ * package counts when PackageExtractor finds a style in it. Hidden
+ * directories and node_modules are not searched.
+ *
+ * Everything else is listed with the reason it was skipped: archives one
+ * by one, and directories as the topmost one in which nothing was found.
+ * Styles are compared by a hash of their files, so the same style as a
+ * folder and as a ZIP, or copied to two places, is converted once: the
+ * first one found, with the subdirectories of a directory searched
+ * before its archives.
+ */
+export class StyleDiscovery {
+    /**
+     * @param {string} root - the batch directory
+     * @param {Object} options - { exclude: directories to leave out, such
+     *   as the output directory }
+     */
+    constructor(root, options = {}) {
+        this.root = root;
+        this.exclude = (options.exclude || []).map(dir => path.resolve(dir));
+        this.styles = [];
+        this.skipped = [];
+        this.duplicates = [];
+        this.hashes = new Map();
+        this.outputs = new Map();
+    }
+
+    /**
+     * Walk the tree
+     *
+     * @returns {Promise<Object>} { styles, skipped, duplicates } - styles
+     *   are { name, inputPath, kind, styleName, outputDir, hash }, where
+     *   name is the path below the root and outputDir the directory below
+     *   the output one that mirrors where it was found; skipped are
+     *   { name, reason } and duplicates { name, of }
+     */
+    async discover() {
+        await this.walk('');
+        return { styles: this.styles, skipped: this.skipped, duplicates: this.duplicates };
+    }
+
+    /**
+     * Search a directory (relative to the root)
+     *
+     * @returns {Promise<number>} the number of styles found in it,
+     *   duplicates included
+     */
+    async walk(relative) {
+        const dir = path.join(this.root, relative);
+        const entries = (await fs.readdir(dir, { withFileTypes: true }))
+            .sort((a, b) => a.name < b.name ? -1 : a.name > b.name ? 1 : 0);
+        const names = entries.filter(entry => entry.isFile()).map(entry => entry.name);
+
+        const problem = await this.checkSignature(names, name => fs.readFile(path.join(dir, name), 'utf-8'));
+        if (relative && problem === null) {
+            const files = await readDirectory(dir);
+            return this.add(relative, dir, 'directory', path.basename(dir), files);
+        }
+
+        let found = 0;
+        const skippedBefore = this.skipped.length;
+
+        for (const entry of entries) {
+            if (!entry.isDirectory() || entry.name.startsWith('.') || IGNORED_DIRECTORIES.includes(entry.name)) continue;
+            const child = path.join(dir, entry.name);
+            if (this.exclude.includes(path.resolve(child))) continue;
+            found += await this.walk(joinName(relative, entry.name));
+        }
+
+        for (const name of names) {
+            if (isZipFile(name) || PackageExtractor.isPackageFile(name)) {
+                found += await this.addArchive(joinName(relative, name), path.join(dir, name));
+            }
+        }
+
+        // Only the topmost directory without styles is listed
+        if (found === 0 && relative) {
+            const below = this.skipped.slice(skippedBefore).filter(entry => entry.directory);
+            this.skipped = this.skipped.filter(entry => !below.includes(entry));
+            this.skipped.push({
+                name: relative,
+                directory: true,
+                reason: problem === 'no config.xml' ? 'no style in it or below it' : problem
+            });
+        }
+        return found;
+    }
+
+    /**
+     * Open an archive and add the style in it
+     *
+     * @returns {Promise<number>} 1 when it holds a style, 0 otherwise
+     */
+    async addArchive(name, inputPath) {
+        let archive;
+        try {
+            archive = await readZip(await fs.readFile(inputPath));
+        } catch (e) {
+            this.skipped.push({ name, reason: `not a readable ZIP archive (${e.message.split(' : ')[0]})` });
+            return 0;
+        }
+
+        const { vfs: files } = archive.unwrap();
+        const baseName = path.basename(inputPath, path.extname(inputPath));
+
+        if (!PackageExtractor.isPackageFile(name) && PackageExtractor.isStyle(files)) {
+            const problem = await this.checkSignature(files.readdir(), file => files.readFile(file, 'utf-8'));
+            if (problem) {
+                this.skipped.push({ name, reason: problem });
+                return 0;
+            }
+            return this.add(name, inputPath, 'archive', baseName, files);
+        }
+
+        try {
+            const extracted = new PackageExtractor(files, baseName).extract();
+            return this.add(name, inputPath, 'package', extracted.styleName, extracted.files);
+        } catch (e) {
+            this.skipped.push({ name, reason: e.message });
+            return 0;
+        }
+    }
+
+    /**
+     * Why the files of a folder are not a v2.9 style, or null when they are
+     *
+     * @param {Array<string>} names - the file names in the folder
+     * @param {Function} read - reads one of them as text
+     */
+    async checkSignature(names, read) {
+        if (!names.includes('config.xml')) {
+            return 'no config.xml';
+        }
+        if (!/<theme[\s>]/.test(await read('config.xml'))) {
+            return 'config.xml has no `<theme>` element';
+        }
+
+        const stylesheets = names.filter(name => extname(name) === '.css');
+        if (stylesheets.length === 0 && !names.some(name => extname(name) === '.js')) {
+            return 'config.xml without a stylesheet or script';
+        }
+        if (stylesheets.includes('style.css') && !LEGACY_STYLESHEETS.some(file => names.includes(file))) {
+            return 'already a v3.0 style (style.css without content.css or nav.css)';
+        }
+        return null;
+    }
+
+    /**
+     * Add a style, unless the same files or the same output were found
+     * before
+     *
+     * @returns {number} 1: a style was found, even when it isn't added
+     */
+    add(name, inputPath, kind, styleName, files) {
+        const hash = hashFiles(files);
+        if (this.hashes.has(hash)) {
+            this.duplicates.push({ name, of: this.hashes.get(hash) });
+            return 1;
+        }
+
+        const outputDir = path.posix.dirname(name) === '.' ? '' : path.posix.dirname(name);
+        const output = joinName(outputDir, styleName);
+        if (this.outputs.has(output)) {
+            this.skipped.push({ name, reason: `another style, ${this.outputs.get(output)}, is converted to ${output}/` });
+            return 1;
+        }
+
+        this.hashes.set(hash, name);
+        this.outputs.set(output, name);
+        this.styles.push({ name, inputPath, kind, styleName, outputDir, hash });
+        return 1;
+    }
+}
+
+/**
+ * SHA-256 of the names and contents of a style's files, the same for a
+ * folder and its ZIP
+ */
+export function hashFiles(files) {
+    const hash = crypto.createHash('sha256');
+    for (const file of files.list()) {
+        hash.update(file);
+        hash.update('\0');
+        hash.update(files.files.get(file));
+        hash.update('\0');
+    }
+    return hash.digest('hex');
+}
+
+/**
+ * Path below the root, with forward slashes
+ */
+function joinName(parent, name) {
+    return parent ? `${parent}/${name}` : name;
+}
@@ -0,0 +1,284 @@
+import postcss from 'postcss';
+import { LAYOUT_ROLES, matchesRole, getPrimaryFont, findColours, toHsl } from './css-utils.js';
+
+/**
+ * v3.0 templates shipped under styles-new/
+ */
+export const TEMPLATE_NAMES = ['base', 'neo', 'flux', 'nova', 'zen'];
+
+/**
+ * Font families grouped by the look they give a style
+ */
+const FONT_CATEGORIES = {
+    rounded: ['fredoka', 'nunito', 'quicksand', 'varela round', 'comfortaa', 'comic sans ms'],
+    serif: ['serif', 'georgia', 'times', 'times new roman', 'garamond', 'palatino', 'cambria', 'merriweather'],
+    monospace: ['monospace', 'courier', 'courier new', 'monaco', 'consolas']
+};
+
+/**
+ * How much each trait contributes to the 0-100 score
+ */
+const WEIGHTS = {
+    sidebarWidth: 15,
+    headerImage: 15,
+    fonts: 15,
+    colours: 30,
+    titleDecoration: 10,
+    structure: 15
+};
+
+/**
+ * Scores the v3.0 templates by how closely they resemble an old style
+ *
+ * Layout traits (sidebar width, header image, fonts, colour usage, title
+ * decorations) are read from the CSS of both sides and compared trait by
+ * trait, along with whether the scripts move the page title. Works on plain
+ * strings so it does not depend on where the files come from.
+ */
+export class TemplateScorer {
+    /**
+     * @param {Object} templates - { name: { css, js } } for each template
+     */
+    constructor(templates) {
+        this.templates = Object.entries(templates).map(([name, files]) => ({
+            name,
+            traits: {
+                ...this.extractTraits([files.css], 'v3.0'),
+                movesTitle: /movePageTitle/.test(files.js || '')
+            }
+        }));
+    }
+
+    /**
+     * Read the layout traits from a set of stylesheets
+     */
+    extractTraits(stylesheets, version) {
+        const roles = LAYOUT_ROLES[version];
+        const traits = {
+            sidebarWidth: null,
+            headerImage: false,
+            webFonts: false,
+            fontCategory: null,
+            colours: { count: 0, saturation: 0, accentHue: null },
+            titleDecoration: false
+        };
+
+        const fontCounts = new Map();
+        let bodyFont = null;
+        const colourCounts = new Map();
+
+        for (const css of stylesheets) {
+            let root;
+            try {
+                root = postcss.parse(css);
+            } catch (e) {
+                // Unparseable stylesheets are reported by the CSS merger
+                continue;
+            }
+
+            root.walkAtRules(/^font-face$/i, () => {
+                traits.webFonts = true;
+            });
+
+            root.walkDecls(decl => {
+                const rule = decl.parent;
+                if (!rule || rule.type !== 'rule') return;
+                if (rule.parent.type === 'atrule' && /font-face|keyframes$/i.test(rule.parent.name)) return;
+
+                const inMedia = rule.parent.type === 'atrule';
+                const prop = decl.prop.toLowerCase();
+
+                for (const colour of findColours(decl.value)) {
+                    colourCounts.set(colour, (colourCounts.get(colour) || 0) + 1);
+                }
+
+                if (prop === 'font-family') {
+                    const family = getPrimaryFont(decl.value);
+                    if (family) {
+                        fontCounts.set(family, (fontCounts.get(family) || 0) + 1);
+                        if (!bodyFont && matchesRole(rule, roles.body)) bodyFont = family;
+                    }
+                }
+
+                if (!inMedia && prop === 'width' && traits.sidebarWidth === null &&
+                    matchesRole(rule, roles.nav)) {
+                    const match = decl.value.match(/^(\d+(?:\.\d+)?)px$/);
+                    if (match) traits.sidebarWidth = parseFloat(match[1]);
+                }
+
+                if (/^background(-image)?$/.test(prop) && /url\s*\(/i.test(decl.value) &&
+                    matchesRole(rule, roles.header)) {
+                    traits.headerImage = true;
+                }
+
+                if (matchesRole(rule, roles.title) && this.isDecoration(rule, prop, decl.value)) {
+                    traits.titleDecoration = true;
+                }
+            });
+        }
+
+        const primaryFont = bodyFont ||
+            [...fontCounts.entries()].sort((a, b) => b[1] - a[1]).map(([font]) => font)[0] || null;
+        traits.fontCategory = primaryFont ? this.getFontCategory(primaryFont) : null;
+        traits.colours = this.summariseColours(colourCounts);
+
+        return traits;
+    }
+
+    /**
+     * Check if a title declaration decorates it (borders, backgrounds,
+     * shadows or generated content)
+     */
+    isDecoration(rule, prop, value) {
+        if (/^(none|0|transparent|inherit|initial)$/i.test(value.trim())) return false;
+        if (/::?(before|after)/.test(rule.selector) && prop === 'content') return true;
+        return /^(border(-(top|bottom|left|right))?(-style|-width)?|background(-image|-color)?|box-shadow|text-shadow)$/.test(prop);
+    }
+
+    /**
+     * Group a font family into rounded, serif, monospace or sans-serif
+     */
+    getFontCategory(family) {
+        for (const [category, names] of Object.entries(FONT_CATEGORIES)) {
+            if (names.some(name => family === name || family.startsWith(`${name} `))) {
+                return category;
+            }
+        }
+        return 'sans-serif';
+    }
+
+    /**
+     * Summarise the colour usage: distinct colours, average saturation and
+     * the hue of the most used saturated colour
+     */
+    summariseColours(colourCounts) {
+        const summary = { count: colourCounts.size, saturation: 0, accentHue: null };
+        if (colourCounts.size === 0) return summary;
+
+        let totalSaturation = 0;
+        let accent = null;
+        for (const [colour, uses] of colourCounts) {
+            const { h, s, l } = toHsl(colour);
+            totalSaturation += s;
+            // Near-white, near-black and greys do not define the palette
+            if (s >= 0.25 && l > 0.1 && l < 0.9 && (!accent || uses > accent.uses)) {
+                accent = { hue: h, uses };
+            }
+        }
+
+        summary.saturation = Math.round((totalSaturation / colourCounts.size) * 100) / 100;
+        summary.accentHue = accent ? Math.round(accent.hue) : null;
+        return summary;
+    }
+
+    /**
+     * Score every template against the traits of an old style, best first
+     *
+     * @param {Object} styleTraits - traits from extractTraits() plus `movesTitle`
+     * @returns {Array} [{ template, score, reasons: [{ trait, score, weight, detail }] }]
+     */
+    score(styleTraits) {
+        const ranking = this.templates.map(template => {
+            const reasons = [
+                this.compareSidebar(styleTraits, template.traits),
+                this.compareHeaderImage(styleTraits, template.traits),
+                this.compareFonts(styleTraits, template.traits),
+                this.compareColours(styleTraits, template.traits),
+                this.compareTitleDecoration(styleTraits, template.traits),
+                this.compareStructure(styleTraits, template.traits)
+            ];
+            const score = Math.round(reasons.reduce((total, r) => total + r.score * r.weight, 0));
+            return { template: template.name, score, reasons };
+        });
+
+        // Stable sort keeps the TEMPLATE_NAMES order for ties
+        return ranking.sort((a, b) => b.score - a.score);
+    }
+
+    compareSidebar(style, template) {
+        const reason = { trait: 'sidebarWidth', weight: WEIGHTS.sidebarWidth };
+        if (style.sidebarWidth === null || template.sidebarWidth === null) {
+            return { ...reason, score: 0.5, detail: 'Sidebar width unknown' };
+        }
+        const difference = Math.abs(style.sidebarWidth - template.sidebarWidth);
+        return {
+            ...reason,
+            score: Math.max(0, 1 - difference / 150),
+            detail: `Sidebar ${style.sidebarWidth}px vs ${template.sidebarWidth}px`
+        };
+    }
+
+    compareHeaderImage(style, template) {
+        const match = style.headerImage === template.headerImage;
+        return {
+            trait: 'headerImage',
+            weight: WEIGHTS.headerImage,
+            score: match ? 1 : 0,
+            detail: style.headerImage
+                ? (match ? 'Both use a header image' : 'Template has no header image')
+                : (match ? 'Neither uses a header image' : 'Template uses a header image')
+        };
+    }
+
+    compareFonts(style, template) {
+        const sameCategory = style.fontCategory === template.fontCategory ||
+            (!style.fontCategory && template.fontCategory === 'sans-serif');
+        const sameWebFonts = style.webFonts === template.webFonts;
+        return {
+            trait: 'fonts',
+            weight: WEIGHTS.fonts,
+            score: (sameCategory ? 0.6 : 0) + (sameWebFonts ? 0.4 : 0),
+            detail: `${style.fontCategory || 'default'}${style.webFonts ? ' web font' : ''} vs ` +
+                `${template.fontCategory || 'default'}${template.webFonts ? ' web font' : ''}`
+        };
+    }
+
+    compareColours(style, template) {
+        const a = style.colours;
+        const b = template.colours;
+
+        let hueScore = 0.5;
+        let hueDetail = 'no accent colour';
+        if (a.accentHue !== null && b.accentHue !== null) {
+            const distance = Math.min(Math.abs(a.accentHue - b.accentHue), 360 - Math.abs(a.accentHue - b.accentHue));
+            hueScore = 1 - distance / 180;
+            hueDetail = `accent hue ${a.accentHue}° vs ${b.accentHue}°`;
+        } else if (a.accentHue === null && b.accentHue === null) {
+            hueScore = 1;
+        }
+
+        const saturationScore = 1 - Math.min(1, Math.abs(a.saturation - b.saturation) * 2);
+        const countScore = Math.min(a.count, b.count) / Math.max(a.count, b.count, 1);
+
+        return {
+            trait: 'colours',
+            weight: WEIGHTS.colours,
+            score: hueScore * 0.5 + saturationScore * 0.35 + countScore * 0.15,
+            detail: `${hueDetail}, saturation ${a.saturation} vs ${b.saturation}, ${a.count} vs ${b.count} colours`
+        };
+    }
+
+    compareTitleDecoration(style, template) {
+        const match = style.titleDecoration === template.titleDecoration;
+        return {
+            trait: 'titleDecoration',
+            weight: WEIGHTS.titleDecoration,
+            score: match ? 1 : 0,
+            detail: style.titleDecoration
+                ? (match ? 'Both decorate the page title' : 'Template has a plain page title')
+                : (match ? 'Both use a plain page title' : 'Template decorates the page title')
+        };
+    }
+
+    compareStructure(style, template) {
+        const match = Boolean(style.movesTitle) === template.movesTitle;
+        return {
+            trait: 'structure',
+            weight: WEIGHTS.structure,
+            score: match ? 1 : 0,
+            detail: style.movesTitle
+                ? (match ? 'Old script works on the page title, template provides movePageTitle' : 'Old script works on the page title, template lacks movePageTitle')
+                : (match ? 'Page header left in place by both' : 'Template moves the page title, the old style does not')
+        };
+    }
+}
@@ -0,0 +1,338 @@
+import postcss from 'postcss';
+import valueParser from 'postcss-value-parser';
+import { matchesRole, findColours } from './css-utils.js';
+
+/**
+ * Design tokens read from an old style and where they come from
+ *
+ * `match` selects the rules (already remapped to v3.0 selectors) a token
+ * is read from; `props` are the declarations that carry it and `kind`
+ * how the value is taken from them. When several rules set a token, the
+ * last one wins, as in the cascade.
+ */
+const TOKENS = [
+    { name: 'fontFamily', variable: '--exe-font-body', label: 'Body font', match: rule => matchesRole(rule, ['body']), props: ['font-family'], kind: 'font' },
+    { name: 'textColour', variable: '--exe-text', label: 'Text colour', match: rule => matchesRole(rule, ['body']), props: ['color'], kind: 'colour' },
+    { name: 'pageBackground', variable: '--exe-background', label: 'Page background colour', match: rule => matchesRole(rule, ['body']), props: ['background', 'background-color'], kind: 'colour' },
+    { name: 'pageBackgroundImage', variable: '--exe-background-image', label: 'Page background image', match: rule => matchesRole(rule, ['body']), props: ['background', 'background-image'], kind: 'url' },
+    { name: 'contentBackground', variable: '--exe-content-background', label: 'Content background colour', match: rule => matchesRole(rule, ['.exe-content', '.page-content']), props: ['background', 'background-color'], kind: 'colour' },
+    { name: 'primary', variable: '--exe-primary', label: 'Primary colour (page title)', match: rule => matchesRole(rule, ['.page-header', '.page-title']), props: ['color'], kind: 'colour' },
+    { name: 'secondary', variable: '--exe-secondary', label: 'Secondary colour (iDevice titles)', match: rule => matchesRole(rule, ['.box-title']), props: ['color'], kind: 'colour' },
+    { name: 'headingFont', variable: '--exe-font-heading', label: 'Heading font', match: rule => matchesRole(rule, ['.page-title', '.box-title']), props: ['font-family'], kind: 'font' },
+    { name: 'link', variable: '--exe-link', label: 'Link colour', match: rule => isContentLink(rule, /^a(:link|:visited)?$/), props: ['color'], kind: 'colour' },
+    { name: 'linkHover', variable: '--exe-link-hover', label: 'Link hover colour', match: rule => isContentLink(rule, /^a:(hover|focus|active)$/), props: ['color'], kind: 'colour' },
+    { name: 'headerBackground', variable: '--exe-header-background', label: 'Header background colour', match: rule => matchesRole(rule, ['.package-header']), props: ['background', 'background-color'], kind: 'colour' },
+    { name: 'headerImage', variable: '--exe-header-image', label: 'Header background image', match: rule => matchesRole(rule, ['.package-header']), props: ['background', 'background-image'], kind: 'url' },
+    { name: 'headerText', variable: '--exe-header-text', label: 'Header text colour', match: rule => matchesRole(rule, ['.package-header', '.package-title']), props: ['color'], kind: 'colour' },
+    { name: 'navBackground', variable: '--exe-nav-background', label: 'Menu background colour', match: rule => matchesRole(rule, ['#siteNav']), props: ['background', 'background-color'], kind: 'colour' },
+    { name: 'navLink', variable: '--exe-nav-link', label: 'Menu link colour', match: rule => rule.selector.includes('#siteNav') && isLink(rule, /^a(:link|:visited)?$/, /^(#siteNav|ul|li)([.#:[]|$)/), props: ['color'], kind: 'colour' },
+    { name: 'navWidth', variable: '--exe-nav-width', label: 'Menu width', match: rule => matchesRole(rule, ['#siteNav']), props: ['width'], kind: 'length' }
+];
+
+/**
+ * v3.0 rules the tokens are applied to
+ */
+const OVERLAY_RULES = [
+    { selector: 'body', decls: [['font-family', 'fontFamily'], ['background-color', 'pageBackground'], ['background-image', 'pageBackgroundImage']] },
+    { selector: '.exe-content', decls: [['color', 'textColour'], ['background-color', 'contentBackground']] },
+    { selector: '.exe-content a', decls: [['color', 'link']] },
+    { selector: '.exe-content a:hover,\n.exe-content a:focus', decls: [['color', 'linkHover']] },
+    { selector: '.exe-content .page-title', decls: [['color', 'primary'], ['font-family', 'headingFont']] },
+    { selector: '.exe-content .box-title', decls: [['color', 'secondary'], ['font-family', 'headingFont']] },
+    { selector: '.package-header', decls: [['background-color', 'headerBackground'], ['background-image', 'headerImage'], ['color', 'headerText']] },
+    { selector: '.package-header .package-title', decls: [['color', 'headerText']] },
+    { selector: '#siteNav', decls: [['background-color', 'navBackground']] },
+    { selector: '#siteNav a', decls: [['color', 'navLink']] }
+];
+
+/**
+ * Check if a rule styles links (last compound matching the pattern) inside
+ * the given containers only, e.g. `a`, `.exe-content a` or `#siteNav ul a`
+ */
+function isLink(rule, pattern, containers) {
+    return rule.selectors.some(selector => {
+        const compounds = selector.trim().split(/\s*[\s>+~]\s*/);
+        const last = compounds.pop();
+        return pattern.test(last) && compounds.every(compound => containers.test(compound));
+    });
+}
+
+/**
+ * Name of the stylesheet a PostCSS root was parsed from
+ */
+function getFileName(root) {
+    const input = root.source && root.source.input;
+    const file = input ? input.file || input.id : null;
+    return file ? file.split(/[\\/]/).pop() : null;
+}
+
+/**
+ * Check if a rule styles links in the page content as a whole
+ */
+function isContentLink(rule, pattern) {
+    return isLink(rule, pattern, /^(html|body|main|\.exe-content|\.page-content|\.page)([.#:[]|$)/);
+}
+
+/**
+ * Carries an old style's visual identity into a v3.0 template stylesheet
+ *
+ * Design tokens (colours, fonts, header and page images, menu width) are
+ * read from the old stylesheets after their selectors have been remapped
+ * to v3.0, then laid over the template's own style.css: the menu width
+ * replaces the template's, and the rest is appended as a block of rules
+ * targeting the v3.0 markup, together with the old @font-face rules.
+ */
+export class ThemeOverlay {
+    constructor(styleName) {
+        this.styleName = styleName;
+        this.changes = [];
+    }
+
+    /**
+     * Read the design tokens from remapped PostCSS roots
+     *
+     * @returns {Object} { name: { value, label, file, line } }
+     */
+    extractTokens(roots) {
+        const tokens = {};
+
+        for (const root of roots) {
+            const file = getFileName(root);
+
+            // Only top-level rules describe the default (desktop) look
+            root.each(rule => {
+                if (rule.type !== 'rule') return;
+
+                for (const token of TOKENS) {
+                    if (!token.match(rule)) continue;
+
+                    rule.each(decl => {
+                        if (decl.type !== 'decl' || !token.props.includes(decl.prop.toLowerCase())) return;
+                        const value = this.readValue(token.kind, decl.value);
+                        if (value) {
+                            tokens[token.name] = {
+                                value,
+                                label: token.label,
+                                variable: token.variable,
+                                kind: token.kind,
+                                file,
+                                line: decl.source ? decl.source.start.line : null
+                            };
+                        }
+                    });
+                }
+            });
+        }
+
+        // v2.9 styles often leave the body font to eXe's base stylesheet
+        // and only set it on form fields and feedback
+        if (!tokens.fontFamily) {
+            const fallback = this.findCommonFont(roots);
+            if (fallback) {
+                tokens.fontFamily = {
+                    ...fallback,
+                    label: 'Body font (most used font-family)',
+                    variable: '--exe-font-body',
+                    kind: 'font'
+                };
+            }
+        }
+
+        return tokens;
+    }
+
+    /**
+     * Find the font-family value declared most often in top-level rules
+     */
+    findCommonFont(roots) {
+        const fonts = new Map();
+        for (const root of roots) {
+            const file = getFileName(root);
+            root.each(rule => {
+                if (rule.type !== 'rule') return;
+                rule.each(decl => {
+                    if (decl.type !== 'decl' || decl.prop.toLowerCase() !== 'font-family') return;
+                    const value = this.readValue('font', decl.value);
+                    if (!value) return;
+                    if (!fonts.has(value)) {
+                        fonts.set(value, {
+                            value,
+                            uses: 0,
+                            file,
+                            line: decl.source ? decl.source.start.line : null
+                        });
+                    }
+                    fonts.get(value).uses++;
+                });
+            });
+        }
+
+        const [common] = [...fonts.values()].sort((a, b) => b.uses - a.uses);
+        if (!common) return null;
+        const { uses, ...token } = common;
+        return token;
+    }
+
+    /**
+     * Take a token value out of a declaration value
+     */
+    readValue(kind, value) {
+        switch (kind) {
+            case 'colour':
+                return findColours(value)[0] || null;
+            case 'font': {
+                const font = value.replace(/\u200b/g, '').replace(/\s*!important$/i, '').trim();
+                return font && !/^(var\(|inherit|initial)/i.test(font) ? font : null;
+            }
+            case 'url': {
+                let url = null;
+                valueParser(value).walk(node => {
+                    if (!url && node.type === 'function' && node.value.toLowerCase() === 'url') {
+                        url = valueParser.stringify(node);
+                    }
+                });
+                return url;
+            }
+            case 'length': {
+                const match = value.trim().match(/^(\d+(?:\.\d+)?)px$/);
+                return match ? `${match[1]}px` : null;
+            }
+            default:
+                return null;
+        }
+    }
+
+    /**
+     * Lay the tokens over a template stylesheet
+     *
+     * @param {string} templateCSS - the template's style.css
+     * @param {Object} tokens - from extractTokens()
+     * @param {Array} fontFaces - @font-face at-rules to carry over
+     * @param {boolean} useVariables - declare the tokens as custom
+     *   properties on :root and refer to them with var()
+     * @returns {Object} { content, changes, variables }
+     */
+    apply(templateCSS, tokens, fontFaces = [], useVariables = false) {
+        const root = postcss.parse(templateCSS, { from: 'style.css' });
+
+        if (tokens.navWidth) {
+            this.replaceNavWidth(root, tokens.navWidth);
+        }
+
+        let overlay = `\n/* ========================================\n`;
+        overlay += `   Visual identity of ${this.styleName} (v2.9)\n`;
+        overlay += `   ======================================== */\n\n`;
+
+        const uniqueFontFaces = [...new Set(fontFaces.map(rule => rule.toString()))];
+        for (const fontFace of uniqueFontFaces) {
+            overlay += `${fontFace}\n\n`;
+        }
+
+        const uses = new Map();
+        let rules = '';
+        for (const { selector, decls } of OVERLAY_RULES) {
+            const present = decls.filter(([, name]) => tokens[name]);
+            if (present.length === 0) continue;
+
+            rules += `${selector} {\n`;
+            for (const [prop, name] of present) {
+                const value = useVariables ? `var(${tokens[name].variable})` : tokens[name].value;
+                rules += `    ${prop}: ${value};\n`;
+                uses.set(name, (uses.get(name) || 0) + 1);
+            }
+            rules += '}\n\n';
+        }
+
+        const variables = [];
+        if (useVariables && uses.size > 0) {
+            overlay += ':root {\n';
+            for (const [name, count] of uses) {
+                const token = tokens[name];
+                overlay += `    ${token.variable}: ${token.value};\n`;
+                variables.push({
+                    name: token.variable,
+                    value: token.value,
+                    type: token.kind,
+                    uses: count,
+                    role: token.label,
+                    members: [token.value],
+                    source: token.file ? `${token.file}:${token.line}` : null
+                });
+            }
+            overlay += '}\n\n';
+        }
+        overlay += rules;
+
+        for (const [name, count] of uses) {
+            const token = tokens[name];
+            this.changes.push({
+                type: 'design-token',
+                old: name,
+                new: token.value,
+                count,
+                file: token.file,
+                line: token.line,
+                description: token.label
+            });
+        }
+
+        if (uniqueFontFaces.length > 0) {
+            this.changes.push({
+                type: 'font-face',
+                old: null,
+                new: `${uniqueFontFaces.length} @font-face rules`,
+                count: uniqueFontFaces.length,
+                description: 'Web fonts of the old style carried over'
+            });
+        }
+
+        return {
+            content: root.toString().replace(/\s*$/, '\n') + overlay,
+            changes: this.changes,
+            variables
+        };
+    }
+
+    /**
+     * Replace the template's menu width, and the offsets that depend on it,
+     * with the old style's
+     */
+    replaceNavWidth(root, navWidth) {
+        let templateWidth = null;
+        root.each(rule => {
+            if (templateWidth || rule.type !== 'rule' || !matchesRole(rule, ['#siteNav'])) return;
+            rule.each(decl => {
+                const match = decl.type === 'decl' && decl.prop === 'width' && decl.value.match(/^(\d+(?:\.\d+)?)px$/);
+                if (match && !templateWidth) templateWidth = `${match[1]}px`;
+            });
+        });
+
+        if (!templateWidth || templateWidth === navWidth.value) return;
+
+        let count = 0;
+        root.walkDecls(decl => {
+            if (/^background/.test(decl.prop) || !decl.value.includes(templateWidth)) return;
+            if (!/#siteNav|\.page(?![\w-])/.test(decl.parent.selector || '')) return;
+
+            const value = valueParser(decl.value);
+            value.walk(node => {
+                if (node.type !== 'word') return;
+                if (node.value === templateWidth || node.value === `-${templateWidth}`) {
+                    node.value = node.value.replace(templateWidth, navWidth.value);
+                    count++;
+                }
+            });
+            decl.value = value.toString();
+        });
+
+        this.changes.push({
+            type: 'layout',
+            old: templateWidth,
+            new: navWidth.value,
+            count,
+            file: navWidth.file,
+            line: navWidth.line,
+            description: 'Menu width (and the offsets that depend on it) taken from the old style'
+        });
+    }
+}
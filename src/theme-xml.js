@@ -0,0 +1,114 @@
+/**
+ * Minimal XML reader for config.xml
+ *
+ * config.xml is a flat `<theme>` element with one child per field. This
+ * reader checks that the document is well formed (balanced tags, one root,
+ * known entities) and returns the root element, so the same code runs in
+ * Node and in the browser.
+ */
+
+const ENTITIES = { lt: '<', gt: '>', amp: '&', quot: '"', apos: "'" };
+
+/**
+ * Parse an XML document into { name, attributes, children, text }
+ *
+ * @throws {Error} when the document is not well formed
+ */
+export function parseXML(content) {
+    const xml = content.replace(/^\uFEFF/, '');
+    const stack = [];
+    let root = null;
+    let position = 0;
+
+    const lineAt = index => xml.slice(0, index).split('\n').length;
+    const fail = (message, index) => {
+        throw new Error(`${message} (line ${lineAt(index)})`);
+    };
+
+    while (position < xml.length) {
+        const start = xml.indexOf('<', position);
+        const text = xml.slice(position, start === -1 ? xml.length : start);
+
+        if (text.trim()) {
+            if (stack.length === 0) fail('Text outside the root element', position);
+            stack[stack.length - 1].text += decodeEntities(text, position, fail);
+        }
+        if (start === -1) break;
+
+        if (xml.startsWith('<!--', start)) {
+            const end = xml.indexOf('-->', start);
+            if (end === -1) fail('Unterminated comment', start);
+            position = end + 3;
+        } else if (xml.startsWith('<![CDATA[', start)) {
+            const end = xml.indexOf(']]>', start);
+            if (end === -1) fail('Unterminated CDATA section', start);
+            if (stack.length === 0) fail('CDATA outside the root element', start);
+            stack[stack.length - 1].text += xml.slice(start + 9, end);
+            position = end + 3;
+        } else if (xml.startsWith('<?', start)) {
+            const end = xml.indexOf('?>', start);
+            if (end === -1) fail('Unterminated processing instruction', start);
+            position = end + 2;
+        } else if (xml.startsWith('<!', start)) {
+            const end = xml.indexOf('>', start);
+            if (end === -1) fail('Unterminated declaration', start);
+            position = end + 1;
+        } else if (xml.startsWith('</', start)) {
+            const match = /^<\/([A-Za-z_][\w.:-]*)\s*>/.exec(xml.slice(start));
+            if (!match) fail('Malformed closing tag', start);
+            const open = stack.pop();
+            if (!open) fail(`Unexpected closing tag </${match[1]}>`, start);
+            if (open.name !== match[1]) fail(`Mismatched closing tag </${match[1]}>, expected </${open.name}>`, start);
+            position = start + match[0].length;
+        } else {
+            const match = /^<([A-Za-z_][\w.:-]*)((?:\s+[A-Za-z_][\w.:-]*\s*=\s*(?:"[^"]*"|'[^']*'))*)\s*(\/?)>/.exec(xml.slice(start));
+            if (!match) fail('Malformed tag', start);
+
+            const element = { name: match[1], attributes: {}, children: [], text: '' };
+            for (const [, name, double, single] of match[2].matchAll(/([A-Za-z_][\w.:-]*)\s*=\s*(?:"([^"]*)"|'([^']*)')/g)) {
+                element.attributes[name] = decodeEntities(double !== undefined ? double : single, start, fail);
+            }
+
+            if (stack.length > 0) {
+                stack[stack.length - 1].children.push(element);
+            } else if (root) {
+                fail('More than one root element', start);
+            } else {
+                root = element;
+            }
+
+            if (!match[3]) stack.push(element);
+            position = start + match[0].length;
+        }
+    }
+
+    if (stack.length > 0) fail(`Unclosed tag <${stack[stack.length - 1].name}>`, xml.length);
+    if (!root) fail('No root element', 0);
+
+    return root;
+}
+
+/**
+ * Read config.xml into { field: value }, keeping only the text of each
+ * field of the root element
+ */
+export function parseThemeXML(content) {
+    const root = parseXML(content);
+    const fields = {};
+    for (const child of root.children) {
+        if (!(child.name in fields)) {
+            fields[child.name] = child.text;
+        }
+    }
+    return { root: root.name, fields };
+}
+
+function decodeEntities(text, index, fail) {
+    return text.replace(/&([^;\s]*);?/g, (match, name) => {
+        if (!match.endsWith(';')) fail(`Unescaped "&" in text`, index);
+        if (ENTITIES[name] !== undefined) return ENTITIES[name];
+        if (/^#x[0-9a-f]+$/i.test(name)) return String.fromCodePoint(parseInt(name.slice(2), 16));
+        if (/^#\d+$/.test(name)) return String.fromCodePoint(parseInt(name.slice(1), 10));
+        return fail(`Unknown entity &${name};`, index);
+    });
+}
@@ -1,13 +1,64 @@
-import fs from 'fs-extra';
-import path from 'path';
-import xml2js from 'xml2js';
+import * as walk from 'acorn-walk';
+import postcss from 'postcss';
+import { parseThemeXML } from './theme-xml.js';
+import { ConversionConfig } from './conversion-config.js';
+import { ScriptAnalyzer } from './script-analyzer.js';
+import { RUNTIME_GLOBALS, LEGACY_GLOBALS } from './legacy-api.js';
+import { codeFrame } from './code-frame.js';
+import { findAssetReferences } from './asset-references.js';
+import { getTemplateNames, getStructureSelectors, isLegacyName, findSelectorNames, findStyledNames, LEGACY_TYPE_CLASS } from './markup-names.js';
 
 /**
- * Validates the converted style
+ * Globals of the language and the browser that theme scripts use
+ */
+const STANDARD_GLOBALS = new Set([
+    // JavaScript
+    'Array', 'ArrayBuffer', 'BigInt', 'Boolean', 'DataView', 'Date', 'Error', 'EvalError',
+    'Float32Array', 'Float64Array', 'Function', 'Infinity', 'Int8Array', 'Int16Array',
+    'Int32Array', 'Intl', 'JSON', 'Map', 'Math', 'NaN', 'Number', 'Object', 'Promise',
+    'Proxy', 'RangeError', 'ReferenceError', 'Reflect', 'RegExp', 'Set', 'String', 'Symbol',
+    'SyntaxError', 'TypeError', 'URIError', 'Uint8Array', 'Uint8ClampedArray', 'Uint16Array',
+    'Uint32Array', 'WeakMap', 'WeakSet', 'arguments', 'decodeURI', 'decodeURIComponent',
+    'encodeURI', 'encodeURIComponent', 'escape', 'eval', 'globalThis', 'isFinite', 'isNaN',
+    'parseFloat', 'parseInt', 'undefined', 'unescape',
+    // Browser
+    'AbortController', 'Audio', 'Blob', 'CSS', 'CustomEvent', 'DOMParser', 'DocumentFragment',
+    'Element', 'Event', 'File', 'FileReader', 'FormData', 'HTMLElement', 'Image',
+    'IntersectionObserver', 'KeyboardEvent', 'MouseEvent', 'MutationObserver', 'Node',
+    'NodeList', 'Option', 'ResizeObserver', 'TextDecoder', 'TextEncoder', 'URL',
+    'URLSearchParams', 'WebSocket', 'Worker', 'XMLHttpRequest', 'addEventListener', 'alert',
+    'atob', 'blur', 'btoa', 'cancelAnimationFrame', 'clearInterval', 'clearTimeout', 'close',
+    'confirm', 'console', 'crypto', 'devicePixelRatio', 'dispatchEvent', 'document', 'event',
+    'fetch', 'focus', 'frames', 'getComputedStyle', 'getSelection', 'history', 'innerHeight',
+    'innerWidth', 'localStorage', 'location', 'matchMedia', 'name', 'navigator', 'open',
+    'opener', 'outerHeight', 'outerWidth', 'pageXOffset', 'pageYOffset', 'parent',
+    'performance', 'postMessage', 'print', 'prompt', 'queueMicrotask', 'removeEventListener',
+    'requestAnimationFrame', 'screen', 'scroll', 'scrollBy', 'scrollTo', 'scrollX', 'scrollY',
+    'self', 'sessionStorage', 'setInterval', 'setTimeout', 'speechSynthesis',
+    'structuredClone', 'top', 'window'
+]);
+
+/**
+ * Share of `!important` declarations above which a stylesheet is flagged,
+ * and the count from which a single rule is named
+ */
+const IMPORTANT_SHARE = 0.1;
+const IMPORTANT_PER_RULE = 5;
+
+/**
+ * Validates the converted style, given as a VirtualFS
+ *
+ * `options.templates` holds the v3.0 templates, from which the IDs and
+ * classes of the v3.0 markup are read for the CSS checks. `options.icons`
+ * lists the iDevice icons, which count as used assets. `options.config`
+ * is the ConversionConfig whose deprecated fields config.xml must not have.
  */
 export class StyleValidator {
-    constructor(outputPath) {
-        this.outputPath = outputPath;
+    constructor(files, options = {}) {
+        this.files = files;
+        this.templates = options.templates || null;
+        this.icons = options.icons || [];
+        this.config = options.config || new ConversionConfig();
         this.errors = [];
         this.warnings = [];
         this.info = [];
@@ -38,8 +89,7 @@ export class StyleValidator {
         const requiredFiles = ['config.xml', 'style.js', 'style.css'];
 
         for (const file of requiredFiles) {
-            const filePath = path.join(this.outputPath, file);
-            if (!await fs.pathExists(filePath)) {
+            if (!this.files.isFile(file)) {
                 this.errors.push({
                     type: 'missing-file',
                     message: `Required file ${file} is missing`,
@@ -57,8 +107,7 @@ export class StyleValidator {
         // Check for expected directories
         const expectedDirs = ['icons', 'img', 'fonts'];
         for (const dir of expectedDirs) {
-            const dirPath = path.join(this.outputPath, dir);
-            if (!await fs.pathExists(dirPath)) {
+            if (!this.files.isDirectory(dir)) {
                 this.warnings.push({
                     type: 'missing-directory',
                     message: `Expected directory ${dir}/ is missing (may be empty)`,
@@ -72,23 +121,20 @@ export class StyleValidator {
      * Validate config.xml
      */
     async validateConfigXml() {
-        const configPath = path.join(this.outputPath, 'config.xml');
-
-        if (!await fs.pathExists(configPath)) {
+        if (!this.files.isFile('config.xml')) {
             return; // Already reported as error
         }
 
         try {
-            const content = await fs.readFile(configPath, 'utf-8');
-            const parser = new xml2js.Parser();
-            const config = await parser.parseStringPromise(content);
+            const content = this.files.readFile('config.xml', 'utf-8');
+            const config = parseThemeXML(content);
 
             // Check required fields
             const requiredFields = ['name', 'compatibility', 'version'];
-            const theme = config.theme || {};
+            const theme = config.root === 'theme' ? config.fields : {};
 
             for (const field of requiredFields) {
-                if (!theme[field] || !theme[field][0]) {
+                if (!theme[field]) {
                     this.errors.push({
                         type: 'config-field-missing',
                         message: `config.xml is missing required field: ${field}`,
@@ -98,18 +144,17 @@ export class StyleValidator {
             }
 
             // Check compatibility is 3.0
-            if (theme.compatibility && theme.compatibility[0] !== '3.0') {
+            if (theme.compatibility && theme.compatibility !== '3.0') {
                 this.errors.push({
                     type: 'config-compatibility',
-                    message: `config.xml compatibility should be 3.0, found: ${theme.compatibility[0]}`,
+                    message: `config.xml compatibility should be 3.0, found: ${theme.compatibility}`,
                     severity: 'error'
                 });
             }
 
-            // Check for deprecated fields
-            const deprecatedFields = ['extra-head', 'extra-body', 'edition-extra-head'];
-            for (const field of deprecatedFields) {
-                if (theme[field]) {
+            // Check for deprecated fields, the built-in ones and those of the configuration
+            for (const field of this.config.deprecatedFields) {
+                if (theme[field] !== undefined) {
                     this.warnings.push({
                         type: 'config-deprecated-field',
                         message: `config.xml contains deprecated field: ${field}`,
@@ -136,14 +181,12 @@ export class StyleValidator {
      * Validate JavaScript
      */
     async validateJavaScript() {
-        const jsPath = path.join(this.outputPath, 'style.js');
-
-        if (!await fs.pathExists(jsPath)) {
+        if (!this.files.isFile('style.js')) {
             return; // Already reported as error
         }
 
         try {
-            const content = await fs.readFile(jsPath, 'utf-8');
+            const content = this.files.readFile('style.js', 'utf-8');
 
             // Check for myTheme object
             if (!content.includes('var myTheme')) {
@@ -193,26 +236,26 @@ export class StyleValidator {
                 });
             }
 
-            // Basic syntax check (look for common errors)
-            const lines = content.split('\n');
-            let braceCount = 0;
-            for (let i = 0; i < lines.length; i++) {
-                const line = lines[i];
-                braceCount += (line.match(/{/g) || []).length;
-                braceCount -= (line.match(/}/g) || []).length;
+            // Full parse; the remaining checks need a complete syntax tree
+            const analyzer = new ScriptAnalyzer(content);
+            const inventory = analyzer.analyze();
+
+            if (inventory.parseError) {
+                const { message, line, column } = inventory.parseError;
+                this.errors.push(this.syntaxError('js-syntax-error', 'style.js', content, {
+                    reason: message.replace(/ \(\d+:\d+\)$/, ''),
+                    line,
+                    column: line ? column + 1 : null
+                }));
+                return;
             }
 
-            if (braceCount !== 0) {
-                this.warnings.push({
-                    type: 'js-syntax-warning',
-                    message: `style.js may have mismatched braces (difference: ${braceCount}). This may be inherited from the original v2.9 code.`,
-                    severity: 'warning'
-                });
-            }
+            this.checkGlobals(analyzer.ast);
+            this.checkThemeCalls(analyzer.ast, inventory);
 
             this.info.push({
                 type: 'js-valid',
-                message: 'style.js passed basic validation',
+                message: 'style.js parsed without syntax errors',
                 severity: 'info'
             });
         } catch (e) {
@@ -224,18 +267,167 @@ export class StyleValidator {
         }
     }
 
+    /**
+     * Describe a parse error, with a code frame when its position is known
+     * (`line` and `column` are 1-based)
+     */
+    syntaxError(type, file, content, { reason, line, column }) {
+        if (!line) {
+            return { type, message: `${file} has a syntax error: ${reason}`, severity: 'error' };
+        }
+
+        return {
+            type,
+            message: `${file} has a syntax error at line ${line}, column ${column}: ${reason}`,
+            severity: 'error',
+            line,
+            column,
+            frame: codeFrame(content, line, column)
+        };
+    }
+
+    /**
+     * Warn about globals style.js uses without declaring them that neither
+     * the browser nor v3.0 pages define, and about v2.9 globals. Names are
+     * matched across the whole file rather than by scope; names tested with
+     * `typeof` count as guarded.
+     */
+    checkGlobals(ast) {
+        const declared = new Set();
+        const guarded = new Set();
+        const used = new Map();
+
+        const use = (name, node, ancestors) => {
+            const parent = ancestors[ancestors.length - 2];
+            if (parent && parent.type === 'UnaryExpression' && parent.operator === 'typeof') {
+                guarded.add(name);
+            } else if (!used.has(name)) {
+                used.set(name, node.loc.start.line);
+            }
+        };
+
+        walk.ancestor(ast, {
+            // Declarations, parameters and assignments to bare names
+            VariablePattern(node) {
+                declared.add(node.name);
+            },
+            Identifier(node, state, ancestors) {
+                use(node.name, node, ancestors);
+            },
+            MemberExpression(node, state, ancestors) {
+                if (node.object.type === 'Identifier' && !node.computed) {
+                    use(`${node.object.name}.${node.property.name}`, node, ancestors);
+                }
+            }
+        });
+
+        for (const [name, line] of used) {
+            if (declared.has(name.split('.')[0]) || guarded.has(name)) continue;
+
+            if (LEGACY_GLOBALS[name]) {
+                this.warnings.push({
+                    type: 'js-legacy-global',
+                    message: `style.js uses ${name} (line ${line}), which eXeLearning 3.0 does not provide: ${LEGACY_GLOBALS[name]}`,
+                    severity: 'warning',
+                    line
+                });
+            } else if (!name.includes('.') && !RUNTIME_GLOBALS.includes(name) && !STANDARD_GLOBALS.has(name)) {
+                this.warnings.push({
+                    type: 'js-undefined-global',
+                    message: `style.js uses ${name} (line ${line}), which is not defined in style.js, the browser or eXeLearning 3.0`,
+                    severity: 'warning',
+                    line
+                });
+            }
+        }
+    }
+
+    /**
+     * Report myTheme methods that are called but defined neither in the
+     * object literal nor by assignment (`myTheme.x = ...`). In the
+     * literal's own methods, `this` is the object the method belongs to.
+     */
+    checkThemeCalls(ast, inventory) {
+        if (!inventory.myTheme) return;
+
+        const defined = new Map();
+        const owners = new Map();
+        const collect = (members, owner) => {
+            for (const member of members) {
+                defined.set(member.path, member.type);
+                if (member.type === 'function') owners.set(member.node.value, owner);
+                collect(member.members, member.path);
+            }
+        };
+        collect(inventory.myTheme.members, null);
+
+        // Path of a `myTheme.a.b` or `this.a.b` expression, as names
+        const pathOf = (node, ancestors) => {
+            const names = [];
+            while (node.type === 'MemberExpression' && !node.computed) {
+                names.unshift(node.property.name);
+                node = node.object;
+            }
+            if (node.type === 'Identifier' && node.name === 'myTheme') return names;
+            if (node.type !== 'ThisExpression') return null;
+
+            const method = [...ancestors].reverse().find(a => ['FunctionExpression', 'FunctionDeclaration'].includes(a.type));
+            if (!method || !owners.has(method)) return null;
+            const owner = owners.get(method);
+            return owner ? [...owner.split('.'), ...names] : names;
+        };
+
+        const assigned = new Set();
+        const calls = [];
+        walk.ancestor(ast, {
+            AssignmentExpression(node, state, ancestors) {
+                const path = node.left.type === 'MemberExpression' ? pathOf(node.left, ancestors) : null;
+                if (path) assigned.add(path.join('.'));
+            },
+            CallExpression(node, state, ancestors) {
+                const path = node.callee.type === 'MemberExpression' ? pathOf(node.callee, ancestors) : null;
+                if (path && path.length > 0) calls.push({ path, line: node.loc.start.line });
+            }
+        });
+
+        // The first name along the path that is not defined; members of
+        // functions and plain values are not followed
+        const findMissing = path => {
+            for (let i = 1; i <= path.length; i++) {
+                const prefix = path.slice(0, i).join('.');
+                if (assigned.has(prefix)) return null;
+                const type = defined.get(prefix);
+                if (!type) return prefix;
+                if (type !== 'object') return null;
+            }
+            return null;
+        };
+
+        const reported = new Set();
+        for (const call of calls) {
+            const missing = findMissing(call.path);
+            if (!missing || reported.has(missing)) continue;
+            reported.add(missing);
+
+            this.errors.push({
+                type: 'js-undefined-method',
+                message: `style.js calls myTheme.${missing} (line ${call.line}), which myTheme does not define`,
+                severity: 'error',
+                line: call.line
+            });
+        }
+    }
+
     /**
      * Validate CSS
      */
     async validateCSS() {
-        const cssPath = path.join(this.outputPath, 'style.css');
-
-        if (!await fs.pathExists(cssPath)) {
+        if (!this.files.isFile('style.css')) {
             return; // Already reported as error
         }
 
         try {
-            const content = await fs.readFile(cssPath, 'utf-8');
+            const content = this.files.readFile('style.css', 'utf-8');
 
             // Check if CSS is not empty
             if (content.trim().length === 0) {
@@ -246,32 +438,26 @@ export class StyleValidator {
                 });
             }
 
-            // Check for old selectors that should have been updated
-            const oldSelectors = ['.no-nav', '#toggle-nav', '.hide-nav', '.show-nav'];
-            for (const selector of oldSelectors) {
-                if (content.includes(selector)) {
-                    this.warnings.push({
-                        type: 'css-old-selector',
-                        message: `style.css contains old v2.9 selector: ${selector}`,
-                        severity: 'warning'
-                    });
-                }
+            let root;
+            try {
+                root = postcss.parse(content);
+            } catch (e) {
+                this.errors.push(this.syntaxError('css-syntax-error', 'style.css', content, {
+                    reason: e.reason || e.message,
+                    line: e.line || null,
+                    column: e.column || null
+                }));
+                return;
             }
 
-            // Check for asset paths without subdirectories (might need updating)
-            const assetWithoutPath = content.match(/url\s*\(\s*['"]?([^'")\s\/]+\.(gif|png|jpg|jpeg|woff|woff2|ttf))['"]?\s*\)/gi);
-            if (assetWithoutPath && assetWithoutPath.length > 0) {
-                this.warnings.push({
-                    type: 'css-asset-paths',
-                    message: `style.css may have asset paths without subdirectories (found ${assetWithoutPath.length} instances)`,
-                    severity: 'warning',
-                    detail: `Consider reviewing: ${assetWithoutPath.slice(0, 3).join(', ')}`
-                });
-            }
+            this.checkSelectors(root);
+            this.checkDuplicateRules(root);
+            this.checkImportant(root);
+            this.checkStructure(root);
 
             this.info.push({
                 type: 'css-valid',
-                message: 'style.css passed basic validation',
+                message: 'style.css parsed without syntax errors',
                 severity: 'info'
             });
         } catch (e) {
@@ -283,6 +469,119 @@ export class StyleValidator {
         }
     }
 
+    /**
+     * Warn about selectors that need an ID or class of the v2.9 markup
+     * only, and so never match a v3.0 page: one warning per name, and one
+     * for all iDevice type classes, which v3.0 has none of
+     */
+    checkSelectors(root) {
+        const templateNames = getTemplateNames(this.templates);
+        const found = new Map();
+
+        eachRule(root, rule => {
+            for (const selector of rule.selectors) {
+                const legacy = findSelectorNames(selector).find(name => isLegacyName(name, templateNames));
+                if (!legacy) continue;
+
+                const key = LEGACY_TYPE_CLASS.test(legacy) ? 'iDevice type classes' : legacy;
+                if (!found.has(key)) found.set(key, { line: rule.source.start.line, names: new Set(), selectors: [] });
+                found.get(key).names.add(legacy);
+                found.get(key).selectors.push(selector);
+            }
+        });
+
+        for (const [key, { line, names, selectors }] of found) {
+            const count = selectors.length === 1 ? `\`${selectors[0]}\`` : `${selectors.length} selectors`;
+            const what = names.size > 1 ? `${names.size} v2.9 ${key} (${[...names].join(', ')})` : [...names][0];
+            this.warnings.push({
+                type: 'css-unmatched-selector',
+                message: `style.css uses ${what}, which v3.0 pages never contain (${count}, from line ${line})`,
+                severity: 'warning',
+                line,
+                selectors
+            });
+        }
+    }
+
+    /**
+     * Warn about rules repeated with the same selector, context and
+     * declarations
+     */
+    checkDuplicateRules(root) {
+        const seen = new Map();
+
+        eachRule(root, rule => {
+            const context = [];
+            for (let parent = rule.parent; parent && parent.type !== 'root'; parent = parent.parent) {
+                context.unshift(parent.type === 'atrule' ? `@${parent.name} ${parent.params}` : parent.selector);
+            }
+            const declarations = rule.nodes
+                .filter(node => node.type === 'decl')
+                .map(decl => `${decl.prop}:${decl.value}${decl.important ? '!important' : ''}`);
+            const key = [...context, rule.selectors.join(','), ...declarations].join('\n');
+
+            if (seen.has(key)) {
+                this.warnings.push({
+                    type: 'css-duplicate-rule',
+                    message: `style.css repeats the rule \`${rule.selectors.join(', ')}\` of line ${seen.get(key)} on line ${rule.source.start.line}`,
+                    severity: 'warning',
+                    line: rule.source.start.line
+                });
+            } else {
+                seen.set(key, rule.source.start.line);
+            }
+        });
+    }
+
+    /**
+     * Warn when `!important` is used so often that the v3.0 rules and the
+     * style's own overrides no longer cascade
+     */
+    checkImportant(root) {
+        let total = 0;
+        let important = 0;
+        const rules = [];
+
+        eachRule(root, rule => {
+            let count = 0;
+            rule.each(node => {
+                if (node.type !== 'decl') return;
+                total++;
+                if (node.important) count++;
+            });
+            important += count;
+            if (count >= IMPORTANT_PER_RULE) rules.push(`line ${rule.source.start.line} (${count})`);
+        });
+
+        if (important > 0 && important / total >= IMPORTANT_SHARE) {
+            this.warnings.push({
+                type: 'css-important-storm',
+                message: `style.css marks ${important} of ${total} declarations !important (${Math.round(important / total * 100)}%)` +
+                    (rules.length > 0 ? `; most in the rules at ${rules.slice(0, 5).join(', ')}${rules.length > 5 ? ` and ${rules.length - 5} more` : ''}` : ''),
+                severity: 'warning'
+            });
+        }
+    }
+
+    /**
+     * List the parts of the v3.0 markup that every template styles but no
+     * rule of the style applies to
+     */
+    checkStructure(root) {
+        const structure = getStructureSelectors(this.templates);
+        const styled = findStyledNames(root);
+
+        const unstyled = structure.filter(selector => !styled.has(selector));
+        if (unstyled.length > 0) {
+            this.warnings.push({
+                type: 'css-unstyled-structure',
+                message: `style.css leaves ${unstyled.length} of ${structure.length} v3.0 page parts unstyled: ${unstyled.join(', ')}`,
+                severity: 'warning',
+                selectors: unstyled
+            });
+        }
+    }
+
     /**
      * Validate assets
      */
@@ -291,9 +590,8 @@ export class StyleValidator {
         let totalAssets = 0;
 
         for (const dir of assetDirs) {
-            const dirPath = path.join(this.outputPath, dir);
-            if (await fs.pathExists(dirPath)) {
-                const files = await fs.readdir(dirPath);
+            if (this.files.isDirectory(dir)) {
+                const files = this.files.readdir(dir);
                 totalAssets += files.length;
 
                 if (files.length > 0) {
@@ -313,6 +611,29 @@ export class StyleValidator {
                 severity: 'warning'
             });
         }
+
+        // url() references of style.css against the files shipped
+        const { missing, orphans } = findAssetReferences(this.files, { icons: this.icons });
+        for (const reference of missing) {
+            this.warnings.push({
+                type: 'asset-missing',
+                message: `style.css refers to ${reference.path} (${describeLines(reference.lines)}), which is not in the style` +
+                    (reference.foundAt ? `; ${reference.foundAt} has the same name` : ''),
+                severity: 'warning',
+                path: reference.path,
+                lines: reference.lines
+            });
+        }
+
+        if (orphans.length > 0) {
+            const listed = orphans.slice(0, 10).join(', ') + (orphans.length > 10 ? ` and ${orphans.length - 10} more` : '');
+            this.warnings.push({
+                type: 'asset-orphaned',
+                message: `${orphans.length} ${orphans.length === 1 ? 'asset is' : 'assets are'} never used: ${listed}`,
+                severity: 'warning',
+                files: orphans
+            });
+        }
     }
 
     /**
@@ -327,3 +648,23 @@ export class StyleValidator {
         };
     }
 }
+
+/**
+ * Call `callback` for the style rules of a stylesheet, leaving out
+ * keyframes
+ */
+function eachRule(root, callback) {
+    root.walkRules(rule => {
+        if (rule.parent.type === 'atrule' && /keyframes$/i.test(rule.parent.name)) return;
+        callback(rule);
+    });
+}
+
+/**
+ * "line 4" or "lines 4, 9, 12 and 3 more"
+ */
+function describeLines(lines) {
+    if (lines.length === 1) return `line ${lines[0]}`;
+    const shown = lines.slice(0, 3).join(', ');
+    return `lines ${shown}${lines.length > 3 ? ` and ${lines.length - 3} more` : ''}`;
+}
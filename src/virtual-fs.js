@@ -0,0 +1,199 @@
+/**
+ * Extensions read and written as text; everything else is kept as bytes
+ */
+export const TEXT_EXTENSIONS = ['.css', '.js', '.xml', '.html', '.htm', '.txt', '.json', '.md', '.svg'];
+
+/**
+ * Extension of a file name, lower-cased, including the dot
+ */
+export function extname(filename) {
+    const name = basename(filename);
+    const dot = name.lastIndexOf('.');
+    return dot > 0 ? name.slice(dot).toLowerCase() : '';
+}
+
+/**
+ * Last segment of a path, optionally without the given extension
+ */
+export function basename(filePath, ext = '') {
+    const name = filePath.split('/').filter(Boolean).pop() || '';
+    return ext && name.toLowerCase().endsWith(ext.toLowerCase()) ? name.slice(0, -ext.length) : name;
+}
+
+/**
+ * Join path segments with forward slashes, resolving `.` and `..`
+ */
+export function joinPath(...parts) {
+    const segments = [];
+    for (const segment of parts.join('/').replace(/\\/g, '/').split('/')) {
+        if (!segment || segment === '.') continue;
+        if (segment === '..') {
+            segments.pop();
+        } else {
+            segments.push(segment);
+        }
+    }
+    return segments.join('/');
+}
+
+/**
+ * Check if a file should be handled as text
+ */
+export function isTextFile(filename) {
+    return TEXT_EXTENSIONS.includes(extname(filename));
+}
+
+/**
+ * In-memory file tree shared by the CLI and the web app
+ *
+ * Paths are relative and use forward slashes. Text files are stored as
+ * strings and binary files as Uint8Array; readFile() converts between
+ * the two as needed. Directories exist when they hold a file or were
+ * created with mkdir(), so empty asset folders survive a round trip.
+ */
+export class VirtualFS {
+    constructor() {
+        this.files = new Map();
+        this.directories = new Set();
+    }
+
+    /**
+     * Build a file tree from [path, content] pairs
+     */
+    static from(entries) {
+        const vfs = new VirtualFS();
+        for (const [filePath, content] of entries) {
+            vfs.writeFile(filePath, content);
+        }
+        return vfs;
+    }
+
+    writeFile(filePath, content) {
+        const key = joinPath(filePath);
+        if (!key) throw new Error('Cannot write a file without a name');
+        if (content instanceof ArrayBuffer) {
+            content = new Uint8Array(content);
+        } else if (ArrayBuffer.isView(content) && !(content instanceof Uint8Array)) {
+            content = new Uint8Array(content.buffer, content.byteOffset, content.byteLength);
+        }
+        this.files.set(key, content);
+        this.mkdir(key.split('/').slice(0, -1).join('/'));
+    }
+
+    /**
+     * Read a file as a string (encoding 'utf-8') or as bytes
+     */
+    readFile(filePath, encoding = null) {
+        const key = joinPath(filePath);
+        if (!this.files.has(key)) {
+            throw new Error(`File not found: ${key}`);
+        }
+        const content = this.files.get(key);
+        if (encoding) {
+            return typeof content === 'string' ? content : new TextDecoder().decode(content);
+        }
+        return typeof content === 'string' ? new TextEncoder().encode(content) : content;
+    }
+
+    mkdir(dirPath) {
+        const segments = joinPath(dirPath).split('/').filter(Boolean);
+        for (let i = 1; i <= segments.length; i++) {
+            this.directories.add(segments.slice(0, i).join('/'));
+        }
+    }
+
+    exists(filePath) {
+        const key = joinPath(filePath);
+        return key === '' || this.files.has(key) || this.directories.has(key);
+    }
+
+    isFile(filePath) {
+        return this.files.has(joinPath(filePath));
+    }
+
+    isDirectory(filePath) {
+        const key = joinPath(filePath);
+        return key === '' || this.directories.has(key);
+    }
+
+    /**
+     * Size of a file in bytes
+     */
+    size(filePath) {
+        const content = this.files.get(joinPath(filePath));
+        if (content === undefined) return 0;
+        return typeof content === 'string' ? new TextEncoder().encode(content).length : content.length;
+    }
+
+    /**
+     * Names of the files and directories directly inside a directory
+     */
+    readdir(dirPath = '') {
+        const prefix = joinPath(dirPath);
+        const names = new Set();
+        for (const key of [...this.files.keys(), ...this.directories]) {
+            if (prefix && !key.startsWith(`${prefix}/`)) continue;
+            const rest = prefix ? key.slice(prefix.length + 1) : key;
+            if (rest) names.add(rest.split('/')[0]);
+        }
+        return [...names].sort();
+    }
+
+    /**
+     * Paths of every file below a directory
+     */
+    list(dirPath = '') {
+        const prefix = joinPath(dirPath);
+        return [...this.files.keys()]
+            .filter(key => !prefix || key.startsWith(`${prefix}/`))
+            .sort();
+    }
+
+    /**
+     * Copy a file, possibly from another file tree
+     */
+    copyFile(from, to, source = this) {
+        this.writeFile(to, source.files.get(joinPath(from)) ?? source.readFile(from));
+    }
+
+    remove(filePath) {
+        const key = joinPath(filePath);
+        this.files.delete(key);
+        this.directories.delete(key);
+        for (const other of [...this.files.keys(), ...this.directories]) {
+            if (other.startsWith(`${key}/`)) {
+                this.files.delete(other);
+                this.directories.delete(other);
+            }
+        }
+    }
+
+    /**
+     * A new file tree holding the contents of one directory
+     */
+    subtree(dirPath) {
+        const prefix = joinPath(dirPath);
+        const vfs = new VirtualFS();
+        for (const [key, content] of this.files) {
+            if (key.startsWith(`${prefix}/`)) vfs.files.set(key.slice(prefix.length + 1), content);
+        }
+        for (const dir of this.directories) {
+            if (dir.startsWith(`${prefix}/`)) vfs.directories.add(dir.slice(prefix.length + 1));
+        }
+        return vfs;
+    }
+
+    /**
+     * When every file sits in one top-level folder (as in most ZIPs of a
+     * style), return that folder's name and contents
+     *
+     * @returns {Object} { folder, vfs } - folder is null when there is none
+     */
+    unwrap() {
+        const top = this.readdir();
+        if (top.length === 1 && this.isDirectory(top[0])) {
+            return { folder: top[0], vfs: this.subtree(top[0]) };
+        }
+        return { folder: null, vfs: this };
+    }
+}
@@ -0,0 +1,189 @@
+import { VirtualFS } from './virtual-fs.js';
+import { PREVIEW_REGIONS } from './preview-builder.js';
+
+/**
+ * Widths the sample pages are rendered at
+ */
+export const VIEWPORTS = [
+    { name: 'desktop', width: 1280, height: 800 },
+    { name: 'mobile', width: 375, height: 667, isMobile: true, hasTouch: true }
+];
+
+/**
+ * Fidelity (0-100) from which a style is taken to look like the original,
+ * and below which it needs hand work
+ */
+export const FIDELITY_LEVELS = { close: 85, review: 65 };
+
+/**
+ * Largest side, in pixels, regions are scaled down to before comparing
+ */
+const SAMPLE_SIZE = 240;
+
+/**
+ * Channel difference (0-255) above which two pixels count as different
+ */
+const PIXEL_THRESHOLD = 48;
+
+/**
+ * Renders the preview's v2.9 and v3.0 sample pages (see PreviewBuilder)
+ * and scores how much each region of the converted page differs from the
+ * original
+ *
+ * Both pages are screenshotted at every viewport. Each region (header,
+ * navigation, search bar, content boxes, footer) is cropped from both
+ * screenshots, scaled to the same size and compared pixel by pixel, so a
+ * region that moved but looks the same still scores well. A region shown
+ * on one page only counts as completely different; regions hidden on
+ * both (a collapsed mobile menu) are left out.
+ */
+export class VisualChecker {
+    /**
+     * @param {HeadlessBrowser} browser
+     */
+    constructor(browser) {
+        this.browser = browser;
+    }
+
+    /**
+     * @param {VirtualFS} preview - the result of PreviewBuilder.build()
+     * @returns {Promise<Object>} { fidelity, level, viewports, screenshots } -
+     *   screenshots is a VirtualFS of `<viewport>-v2.9.png` and
+     *   `<viewport>-v3.0.png`
+     */
+    async check(preview) {
+        const screenshots = new VirtualFS();
+        const viewports = [];
+
+        for (const viewport of VIEWPORTS) {
+            const before = await this.capture(preview, 'v2.9/index.html', viewport, PREVIEW_REGIONS.map(r => r.old));
+            const after = await this.capture(preview, 'v3.0/index.html', viewport, PREVIEW_REGIONS.map(r => r.new));
+            screenshots.writeFile(`${viewport.name}-v2.9.png`, before.image);
+            screenshots.writeFile(`${viewport.name}-v3.0.png`, after.image);
+
+            const differences = await this.compare(before, after);
+            const regions = PREVIEW_REGIONS.map((region, i) => ({ name: region.name, ...differences[i] }));
+            const scored = regions.filter(region => region.difference !== null);
+
+            viewports.push({
+                name: viewport.name,
+                width: viewport.width,
+                fidelity: fidelity(scored),
+                regions
+            });
+        }
+
+        const overall = Math.round(viewports.reduce((sum, viewport) => sum + viewport.fidelity, 0) / viewports.length);
+        return {
+            fidelity: overall,
+            level: getFidelityLevel(overall),
+            browser: this.browser.executablePath,
+            viewports,
+            screenshots
+        };
+    }
+
+    /**
+     * Screenshot a page and measure where its regions are
+     *
+     * @returns {Promise<Object>} { image, rects } - rects are null for
+     *   regions that are missing or not displayed
+     */
+    async capture(preview, entry, viewport, selectors) {
+        const page = await this.browser.open(preview, entry, viewport);
+        try {
+            await page.evaluate(() => document.fonts.ready.then(() => null));
+            const rects = await page.evaluate(selectors => selectors.map(selector => {
+                const element = document.querySelector(selector);
+                if (!element) return null;
+                const rect = element.getBoundingClientRect();
+                if (rect.width < 1 || rect.height < 1) return null;
+                return {
+                    x: Math.round(rect.left + window.scrollX),
+                    y: Math.round(rect.top + window.scrollY),
+                    width: Math.round(rect.width),
+                    height: Math.round(rect.height)
+                };
+            }), selectors);
+            const image = await page.screenshot({ type: 'png', fullPage: true });
+            return { image: new Uint8Array(image), rects };
+        } finally {
+            await page.close();
+        }
+    }
+
+    /**
+     * Compare the regions of two captures on a canvas in the browser
+     *
+     * @returns {Promise<Array>} per region { difference, note } - difference
+     *   is the share (0-1) of differing pixels, null when not compared
+     */
+    async compare(before, after) {
+        const page = await this.browser.newPage();
+        try {
+            return await page.evaluate(async (beforeImage, afterImage, pairs, size, threshold) => {
+                const load = data => new Promise((resolve, reject) => {
+                    const image = new Image();
+                    image.onload = () => resolve(image);
+                    image.onerror = () => reject(new Error('Could not decode screenshot'));
+                    image.src = `data:image/png;base64,${data}`;
+                });
+                const [oldImage, newImage] = await Promise.all([load(beforeImage), load(afterImage)]);
+
+                const sample = (image, rect, width, height) => {
+                    const canvas = document.createElement('canvas');
+                    canvas.width = width;
+                    canvas.height = height;
+                    const context = canvas.getContext('2d');
+                    context.drawImage(image, rect.x, rect.y, rect.width, rect.height, 0, 0, width, height);
+                    return context.getImageData(0, 0, width, height).data;
+                };
+
+                return pairs.map(([oldRect, newRect]) => {
+                    if (!oldRect && !newRect) return { difference: null, note: 'not shown on either page' };
+                    if (!newRect) return { difference: 1, note: 'not shown in v3.0' };
+                    if (!oldRect) return { difference: 1, note: 'not shown in v2.9' };
+
+                    const scale = Math.min(1, size / Math.max(oldRect.width, oldRect.height));
+                    const width = Math.max(1, Math.round(oldRect.width * scale));
+                    const height = Math.max(1, Math.round(oldRect.height * scale));
+                    const a = sample(oldImage, oldRect, width, height);
+                    const b = sample(newImage, newRect, width, height);
+
+                    let different = 0;
+                    for (let i = 0; i < a.length; i += 4) {
+                        if (Math.abs(a[i] - b[i]) > threshold ||
+                            Math.abs(a[i + 1] - b[i + 1]) > threshold ||
+                            Math.abs(a[i + 2] - b[i + 2]) > threshold) {
+                            different++;
+                        }
+                    }
+                    return { difference: different / (width * height), note: null };
+                });
+            },
+            Buffer.from(before.image).toString('base64'),
+            Buffer.from(after.image).toString('base64'),
+            before.rects.map((rect, i) => [rect, after.rects[i]]),
+            SAMPLE_SIZE,
+            PIXEL_THRESHOLD);
+        } finally {
+            await page.close();
+        }
+    }
+}
+
+/**
+ * How closely a fidelity score follows the original: close, review or
+ * rework
+ */
+export function getFidelityLevel(score) {
+    if (score >= FIDELITY_LEVELS.close) return 'close';
+    if (score >= FIDELITY_LEVELS.review) return 'review';
+    return 'rework';
+}
+
+function fidelity(regions) {
+    if (regions.length === 0) return 0;
+    const difference = regions.reduce((sum, region) => sum + region.difference, 0) / regions.length;
+    return Math.round((1 - difference) * 100);
+}
@@ -0,0 +1,86 @@
+import { Worker } from 'worker_threads';
+
+/**
+ * Runs tasks on a fixed number of worker threads
+ *
+ * Each worker gets one task at a time as a message and answers with one
+ * message when it is done. A worker that crashes fails its task and is
+ * replaced, so the other tasks still run.
+ */
+export class WorkerPool {
+    /**
+     * @param {URL|string} script - the worker module
+     * @param {number} size - number of workers
+     * @param {Object} workerData - passed to every worker
+     */
+    constructor(script, size, workerData = {}) {
+        this.script = script;
+        this.size = size;
+        this.workerData = workerData;
+    }
+
+    /**
+     * Run every task and wait for all of them
+     *
+     * @param {Array<Object>} tasks - messages for the workers
+     * @param {Function} onResult - called with (message, task) as each
+     *   task finishes; a crashed worker gives { success: false, error }
+     */
+    run(tasks, onResult) {
+        const queue = [...tasks];
+        let running = 0;
+
+        return new Promise((resolve, reject) => {
+            const settle = (worker, task, message) => {
+                worker.task = null;
+                Promise.resolve(onResult(message, task)).then(() => {
+                    running--;
+                    if (!worker.crashed) {
+                        next(worker);
+                    } else if (queue.length > 0) {
+                        start();
+                    } else if (running === 0) {
+                        resolve();
+                    }
+                }, error => {
+                    worker.terminate();
+                    reject(error);
+                });
+            };
+
+            const next = worker => {
+                if (queue.length === 0) {
+                    worker.terminate();
+                    if (running === 0) resolve();
+                    return;
+                }
+                worker.task = queue.shift();
+                running++;
+                worker.postMessage(worker.task);
+            };
+
+            // A worker that dies takes its task with it
+            const crash = (worker, reason) => {
+                if (!worker.task || worker.crashed) return;
+                worker.crashed = true;
+                settle(worker, worker.task, { ...worker.task, success: false, error: reason });
+            };
+
+            const start = () => {
+                const worker = new Worker(this.script, { workerData: this.workerData });
+                worker.on('message', message => settle(worker, worker.task, message));
+                worker.on('error', error => crash(worker, error.message));
+                worker.on('exit', code => crash(worker, `worker stopped with exit code ${code}`));
+                next(worker);
+            };
+
+            if (queue.length === 0) {
+                resolve();
+                return;
+            }
+            for (let i = 0; i < Math.min(this.size, queue.length); i++) {
+                start();
+            }
+        });
+    }
+}
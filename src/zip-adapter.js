@@ -0,0 +1,56 @@
+import JSZip from 'jszip';
+import { VirtualFS, isTextFile, extname } from './virtual-fs.js';
+
+/**
+ * Entries that archivers add and that are not part of a style
+ */
+const IGNORED_ENTRIES = /(^|\/)(__MACOSX|\.DS_Store|Thumbs\.db)(\/|$)/;
+
+/**
+ * Check if a file name is a ZIP archive
+ */
+export function isZipFile(filename) {
+    return extname(filename) === '.zip';
+}
+
+/**
+ * Read a ZIP archive (Buffer, ArrayBuffer, Uint8Array or Blob) into a
+ * VirtualFS, skipping macOS and Windows metadata
+ */
+export async function readZip(data) {
+    const zip = await JSZip.loadAsync(data);
+    const vfs = new VirtualFS();
+
+    for (const [entryPath, entry] of Object.entries(zip.files)) {
+        if (IGNORED_ENTRIES.test(entryPath)) continue;
+
+        if (entry.dir) {
+            vfs.mkdir(entryPath);
+        } else {
+            vfs.writeFile(entryPath, await entry.async(isTextFile(entryPath) ? 'string' : 'uint8array'));
+        }
+    }
+
+    return vfs;
+}
+
+/**
+ * Pack files of a VirtualFS into a ZIP archive
+ *
+ * @param {VirtualFS} vfs
+ * @param {Object} options - { files: paths to include (default: all),
+ *   type: JSZip output type, 'nodebuffer' in Node or 'blob' in the browser }
+ */
+export async function writeZip(vfs, options = {}) {
+    const zip = new JSZip();
+
+    for (const filePath of options.files || vfs.list()) {
+        zip.file(filePath, vfs.files.get(filePath));
+    }
+
+    return zip.generateAsync({
+        type: options.type || 'uint8array',
+        compression: 'DEFLATE',
+        compressionOptions: { level: 9 }
+    });
+}
@@ -1,95 +1,51 @@
-import archiver from 'archiver';
-import fs from 'fs-extra';
-import path from 'path';
+import { writeZip } from './zip-adapter.js';
 
 /**
  * Creates a ZIP file of the converted style, ready for import into eXeLearning 3.0
  */
 export class ZipCreator {
-    constructor(outputPath, styleName) {
-        this.outputPath = outputPath;
+    constructor(files, styleName) {
+        this.files = files;
         this.styleName = styleName;
     }
 
     /**
      * Create ZIP file
+     *
+     * @param {string} type - JSZip output type ('nodebuffer', 'blob', ...)
+     * @returns {Promise<Object>} { fileName, content, size, filesCount }
      */
-    async createZip() {
-        const zipPath = path.join(path.dirname(this.outputPath), `${this.styleName}-3.0.zip`);
-
-        return new Promise((resolve, reject) => {
-            // Create write stream for the ZIP file
-            const output = fs.createWriteStream(zipPath);
-            const archive = archiver('zip', {
-                zlib: { level: 9 } // Maximum compression
-            });
-
-            // Handle stream events
-            output.on('close', () => {
-                resolve({
-                    zipPath,
-                    size: archive.pointer(),
-                    filesCount: this.filesCount
-                });
-            });
-
-            output.on('error', (err) => {
-                reject(err);
-            });
-
-            archive.on('error', (err) => {
-                reject(err);
-            });
-
-            // Pipe archive data to the file
-            archive.pipe(output);
-
-            // Add files to the archive
-            this.filesCount = 0;
-            this.addFilesToArchive(archive);
-
-            // Finalize the archive
-            archive.finalize();
-        });
+    async createZip(type = 'uint8array') {
+        const files = this.getArchiveFiles();
+        const content = await writeZip(this.files, { files, type });
+
+        return {
+            fileName: `${this.styleName}-3.0.zip`,
+            content,
+            size: content.size !== undefined ? content.size : content.length,
+            filesCount: files.length
+        };
     }
 
     /**
-     * Add files to the archive
+     * Files that go into the archive
      */
-    addFilesToArchive(archive) {
+    getArchiveFiles() {
         // Required files
-        const requiredFiles = ['config.xml', 'style.js', 'style.css'];
-
-        for (const file of requiredFiles) {
-            const filePath = path.join(this.outputPath, file);
-            if (fs.existsSync(filePath)) {
-                archive.file(filePath, { name: file });
-                this.filesCount++;
-            }
-        }
+        const files = ['config.xml', 'style.js', 'style.css'].filter(file => this.files.isFile(file));
 
         // Optional screenshot
-        const screenshotPath = path.join(this.outputPath, 'screenshot.png');
-        if (fs.existsSync(screenshotPath)) {
-            archive.file(screenshotPath, { name: 'screenshot.png' });
-            this.filesCount++;
+        if (this.files.isFile('screenshot.png')) {
+            files.push('screenshot.png');
         }
 
         // Add directories (icons, img, fonts) if they exist and are not empty
-        const directories = ['icons', 'img', 'fonts'];
-
-        for (const dir of directories) {
-            const dirPath = path.join(this.outputPath, dir);
-            if (fs.existsSync(dirPath)) {
-                const files = fs.readdirSync(dirPath);
-                if (files.length > 0) {
-                    archive.directory(dirPath, dir);
-                    this.filesCount += files.length;
-                }
-            }
+        for (const dir of ['icons', 'img', 'fonts']) {
+            files.push(...this.files.list(dir));
         }
 
-        // Note: We deliberately exclude conversion-report.md from the ZIP
+        // Note: We deliberately exclude the conversion reports from the ZIP
         // as it's for the developer, not for eXeLearning import
+        return files;
     }
 }
@@ -0,0 +1,40 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import postcss from 'postcss';
+import { CSSMerger } from '../src/css-merger.js';
+import { VirtualFS } from '../src/virtual-fs.js';
+
+function updateSelectors(css) {
+    const merger = new CSSMerger(new VirtualFS(), { cssFiles: [] });
+    const root = postcss.parse(css);
+    merger.updateSelectors(root, 'content.css');
+    return { selectors: root.nodes.map(rule => rule.selector), changes: merger.changes };
+}
+
+test('nested wrapper and inner selectors become one v3.0 element', () => {
+    const { selectors, changes } = updateSelectors(`
+.iDevice_wrapper .iDevice { margin: 0 }
+.iDevice_inner .iDevice_content p { color: red }
+.iDevice_wrapper > .iDevice.emphasis1 .iDevice_inner .iDevice_content { padding: 1em }
+`);
+
+    assert.deepEqual(selectors, ['.box', '.box-content p', '.box:not(.no-header) .box-content']);
+
+    const nested = changes.filter(change => change.type === 'nested').map(change => `${change.old} → ${change.new}`);
+    assert.deepEqual(nested, [
+        '.iDevice_wrapper .iDevice → .box',
+        '.iDevice_inner .iDevice_content → .box-content',
+        '.iDevice_wrapper .iDevice → .box',
+        '.iDevice_inner .iDevice_content → .box-content'
+    ]);
+});
+
+test('selectors of distinct v3.0 elements are kept apart', () => {
+    const { selectors, changes } = updateSelectors(`
+.iDevice .iDevice_header { border: 0 }
+.iDevice + .iDevice { margin-top: 1em }
+`);
+
+    assert.deepEqual(selectors, ['.box .box-head', '.box + .box']);
+    assert.equal(changes.filter(change => change.type === 'nested').length, 0);
+});
@@ -1,6 +1,7 @@
 import { BrowserFileHandler } from './file-handler.js';
 import { BrowserConsole } from './console-ui.js';
 import { BrowserStyleConverter } from './browser-converter.js';
+import { ConversionConfig } from '../../src/conversion-config.js';
 import { saveAs } from 'file-saver';
 
 /**
@@ -12,6 +13,7 @@ class App {
         this.console = new BrowserConsole('#console-output');
         this.converter = null;
         this.filesMap = null;
+        this.config = new ConversionConfig();
 
         this.init();
     }
@@ -32,6 +34,11 @@ class App {
             this.handleFileUpload(e.target.files, 'zip');
         });
 
+        // Conversion rules input
+        document.getElementById('configInput').addEventListener('change', (e) => {
+            this.handleConfigUpload(e.target.files[0]);
+        });
+
         // Convert button
         document.getElementById('convertBtn').addEventListener('click', () => {
             this.convert();
@@ -86,6 +93,31 @@ class App {
         }
     }
 
+    async handleConfigUpload(file) {
+        if (!file) {
+            this.config = new ConversionConfig();
+            return;
+        }
+
+        try {
+            const text = await file.text();
+            let json;
+            try {
+                json = JSON.parse(text);
+            } catch (error) {
+                throw new Error(`Could not parse ${file.name}: ${error.message}`);
+            }
+            this.config = new ConversionConfig(json, file.name);
+            this.console.success(`Loaded conversion rules from ${file.name}`);
+        } catch (error) {
+            this.config = new ConversionConfig();
+            document.getElementById('configInput').value = '';
+            for (const line of error.message.split('\n')) {
+                this.console.error(line);
+            }
+        }
+    }
+
     async convert() {
         if (!this.filesMap || this.filesMap.size === 0) {
             this.console.error('No files uploaded!');
@@ -105,8 +137,11 @@ class App {
 
             // Create converter
             const createZip = document.getElementById('createZip').checked;
+            const pruneAssets = document.getElementById('pruneAssets').checked;
             this.converter = new BrowserStyleConverter({
                 createZip,
+                pruneAssets,
+                config: this.config,
                 onProgress: (msg) => this.console.info(msg)
             });
 
@@ -126,7 +161,7 @@ class App {
             this.console.info(`Style: ${result.styleName}`);
             this.console.info(`Complexity: ${result.analysis.complexity}`);
             this.console.info(`Template: ${result.analysis.template}`);
-            this.console.info(`Lines of code: ${result.analysis.linesOfCode}`);
+            this.console.info(`Lines of code: ${result.analysis.customCode.linesOfCode}`);
 
             if (result.analysis.customCode.customFunctions.length > 0) {
                 this.console.blank();
@@ -136,6 +171,15 @@ class App {
                 });
             }
 
+            const dropped = result.results.jsTransform.droppedCode;
+            if (dropped.length > 0) {
+                this.console.blank();
+                this.console.warning('Dropped with the old myTheme.init(), review manually:');
+                dropped.forEach(statement => {
+                    this.console.warning(`  - line ${statement.line}: ${statement.code.split('\n')[0].trim()}`);
+                });
+            }
+
             // Download ZIP
             if (result.zipBlob) {
                 this.console.blank();
@@ -5,11 +5,241 @@ export const templates = {
   "base": {
     "js": "var myTheme = {\n    init: function () {\n        // Common functions\n        if (this.inIframe()) $('body').addClass('in-iframe');\n        if (!$('body').hasClass('exe-web-site')) return;\n        // Add menu and search bar togglers\n        var togglers =\n            '\\\n            <button type=\"button\" id=\"siteNavToggler\" class=\"toggler\" title=\"' +\n            $exe_i18n.menu +\n            '\">\\\n                <span class=\"sr-av\">' +\n            $exe_i18n.menu +\n            '</span>\\\n            </button>\\\n            <button type=\"button\" id=\"searchBarTogger\" class=\"toggler\" title=\"' +\n            $exe_i18n.search +\n            '\">\\\n                <span class=\"sr-av\">' +\n            $exe_i18n.search +\n            '</span>\\\n            </button>\\\n        ';\n        $('#siteNav').before(togglers);\n        // Check the current NAV status\n        var url = window.location.href;\n        url = url.split('?');\n        if (url.length > 1) {\n            if (url[1].indexOf('nav=false') != -1) {\n                $('body').addClass('siteNav-off');\n                myTheme.params('add');\n            }\n        }\n        // Menu toggler\n        $('#siteNavToggler').on('click', function () {\n            if (myTheme.isLowRes()) {\n                $('#exe-client-search').hide();\n                if ($('body').hasClass('siteNav-off')) {\n                    $('body').removeClass('siteNav-off');\n                } else {\n                    if ($('#siteNav').isInViewport()) {\n                        $('body').addClass('siteNav-off');\n                        myTheme.params('add');\n                    }\n                }\n                window.scroll(0, 0);\n            } else {\n                $('body').toggleClass('siteNav-off');\n                myTheme.params(\n                    $('body').hasClass('siteNav-off') ? 'add' : 'remove'\n                );\n            }\n        });\n        // Search bar toggler\n        $('#searchBarTogger').on('click', function () {\n            var bar = $('#exe-client-search');\n            if (bar.is(':visible')) {\n                bar.hide();\n            } else {\n                if (myTheme.isLowRes()) {\n                    $('body').addClass('siteNav-off');\n                }\n                bar.show();\n                $('#exe-client-search-text').focus();\n                window.scroll(0, 0);\n            }\n        });\n        if (!this.inIframe()) {\n            // Fixed navigation\n            $('#siteNav').wrap('<div id=\"sidebar-nav\"></div>');\n            myTheme.checkNav();\n            $(window).bind('resize', function () {\n                myTheme.checkNav();\n            });\n        }\n        // Search form\n        this.searchForm();\n    },\n    inIframe: function () {\n        try {\n            return window.self !== window.top;\n        } catch (e) {\n            return true;\n        }\n    },\n    searchForm: function () {\n        $('#exe-client-search-text').attr('class', 'form-control');\n    },\n    isLowRes: function () {\n        return $('#siteNav').css('float') == 'none';\n    },\n    checkNav: function () {\n        var wrapper = $('#sidebar-nav');\n        var navH = $('#siteNav > ul').height(); // Menu height\n        navH = navH + 50;\n        if (navH < $(window).height()) wrapper.addClass('fixed');\n        else wrapper.removeClass('fixed');\n    },\n    param: function (e, act) {\n        if (act == 'add') {\n            var ref = e.href;\n            var con = '?';\n            if (ref.indexOf('.html?') != -1) con = '&';\n            var param = 'nav=false';\n            if (ref.indexOf(param) == -1) {\n                ref += con + param;\n                e.href = ref;\n            }\n        } else {\n            // This will remove all params\n            var ref = e.href;\n            ref = ref.split('?');\n            e.href = ref[0];\n        }\n    },\n    params: function (act) {\n        $('.nav-buttons a').each(function () {\n            myTheme.param(this, act);\n        });\n    },\n};\n$(function () {\n    myTheme.init();\n});\n$.fn.isInViewport = function () {\n    var elementTop = $(this).offset().top;\n    var elementBottom = elementTop + $(this).outerHeight();\n    var viewportTop = $(window).scrollTop();\n    var viewportBottom = viewportTop + $(window).height();\n    return elementBottom > viewportTop && elementTop < viewportBottom;\n};\n",
     "css": "/* Default style (to review) */\n\nbody.exe-export {\n    padding: 1em 0;\n}\n\nbody.exe-web-site {\n    padding: 0;\n}\n\n.exe-content a {\n    color: #d76b4a;\n}\n.exe-content a:hover,\n.exe-content a:focus {\n    color: #993d28;\n}\n\n#node-content-container.exe-content #node-content {\n    padding-top: 20px;\n    padding-bottom: 20px;\n    max-width: 1280px;\n    margin: 0 auto;\n    display: block;\n}\n\n.exe-content {\n    color: #333;\n    background-color: #fff;\n}\n\n.js .exe-export .exe-content {\n    min-height: calc(100vh - 30px);\n}\n\n.js .in-iframe .exe-content {\n    min-height: 0;\n}\n\n.exe-content .package-title {\n    font-size: 1.25rem;\n    font-weight: 300;\n}\n\n.exe-content .page-title {\n    color: #078e8e;\n    font-size: 1.7rem;\n    text-align: left;\n}\n\n.exe-single-page .package-header h1 {\n    color: #333;\n    font-size: 1.25rem;\n    font-weight: 300;\n    text-align: left;\n    margin-bottom: 2em;\n}\n\n.exe-single-page .package-node {\n    margin-bottom: 3.5em;\n}\n\n.exe-single-page .package-subtitle {\n    top: -2.1em;\n}\n\n.exe-content .box {\n    margin: 20px 0;\n    border: none;\n    background-color: #fff;\n}\n\n.exe-web-site .exe-content .box {\n    margin: 40px 0;\n}\n\n.exe-content .box-head {\n    border-bottom: 0;\n}\n\n#node-content-container.exe-content .box {\n    border: 1px dotted #ddd;\n}\n#node-content-container.exe-content .box.hidden-idevices {\n    border-style: solid;\n}\n\n.exe-content .box header {\n    min-height: 60px;\n}\n\n.exe-content .box-title {\n    color: #054d4d;\n    font-size: 1.5rem;\n}\n\n.exe-content .box-head .exe-icon {\n    float: left;\n}\n\n.exe-web-site .page-content,\n#exe-client-search,\n.exe-web-site main > header,\n.exe-web-site #siteFooterContent,\n.exe-export .exe-content {\n    max-width: 1280px;\n    padding: 0 20px;\n    margin: 0 auto;\n}\n\n.exe-web-site .exe-content {\n    max-width: none;\n    padding: 0;\n}\n\n.exe-export main {\n    padding-top: 1.5em;\n}\n.exe-web-site main {\n    padding-top: 4.5em;\n}\n\n/* siteNav */\n#siteNav {\n    float: left;\n    background: #f6f6f6;\n    border-right: 1px solid #f0f0f0;\n    width: 300px;\n    padding-top: 66px;\n    padding-left: 8px;\n}\n#siteNav:after {\n    content: \"\";\n    width: 300px;\n    height: 100vh;\n    background: #f6f6f6;\n    position: absolute;\n    left: 0;\n    border-right: 1px solid #f0f0f0;\n}\n#siteFooterExtra {\n    margin-bottom: 2em;\n    color: #555;\n    font-size: 0.95em;\n}\n#siteNav .other-section {\n    display: none;\n}\n#sidebar-nav.fixed {\n    position: fixed;\n}\nbody.siteNav-off #siteNav {\n    display: none;\n}\n.exe-web-site main.page {\n    padding-top: 4.5em;\n    padding-left: 320px;\n    padding-right: 20px;\n    /* min-height: calc(100vh - 300px); */\n}\n.exe-web-site #siteFooter {\n    padding-left: 320px;\n    padding-right: 20px;\n}\nbody.siteNav-off main.page,\nbody.siteNav-off #siteFooter {\n    padding-left: 20px;\n}\n#siteNav ul,\n#siteNav li {\n    margin: 0;\n    padding: 0;\n    list-style: none;\n}\n\n#siteNav a {\n    color: #000;\n    display: block;\n    padding: 8px 15px;\n    border-radius: 8px;\n    max-width: 280px;\n    transition: background-color 0.5s ease;\n}\n\n#siteNav a.active {\n    background: #fff;\n    color: #d76b4a;\n}\n\n#siteNav a.highlighted-link {\n    color: #d76b4a;\n    background: #ededed;\n    margin-top: 10px;\n}\n\n#siteNav a.highlighted-link:hover,\n#siteNav a.highlighted-link:focus {\n    background: #fff;\n}\n\n#siteNav a:hover {\n    background: #f2f2f2;\n    text-decoration: none;\n}\n\n#siteNav ul ul a {\n    padding-left: 35px;\n    font-size: 0.95em;\n}\n\n#siteNav ul ul ul a {\n    padding-left: 55px;\n    font-size: 0.9em;\n}\n\n#siteNav ul ul ul ul a {\n    padding-left: 75px;\n}\n/* pagination */\n.nav-buttons .nav-button,\nbutton.toggler {\n    position: fixed;\n    top: 10px;\n    left: 15px;\n    display: block;\n    width: 40px;\n    height: 40px;\n    background: #078e8e url(img/icons.png) no-repeat 0 0;\n    background-size: auto 40px;\n    border-radius: 50%;\n    z-index: 999;\n    border: 0;\n    transition: background-color 0.5s ease;\n}\n.nav-buttons span.nav-button {\n    opacity: 0.5;\n    filter: grayscale(1);\n    cursor: not-allowed;\n}\n.nav-buttons .nav-button-left {\n    background-position: -80px 0;\n}\n.nav-buttons .nav-button-right {\n    background-position: -120px 0;\n}\nbutton#searchBarTogger {\n    background-position: -40px 0;\n    display: none;\n}\n\n.exe-search-on #searchBarTogger {\n    display: inline;\n}\n\nbutton#siteNavToggler {\n    left: 280px;\n}\nbutton#searchBarTogger {\n    left: 330px;\n}\nbody.siteNav-off button#siteNavToggler {\n    left: 65px;\n}\nbody.siteNav-off button#searchBarTogger {\n    left: 115px;\n}\n.nav-buttons a:hover,\n.nav-buttons a:focus,\nbutton.toggler:hover,\nbutton.toggler:focus {\n    background-color: #066d6d;\n    border-color: #066d6d;\n}\n.nav-buttons .nav-button span,\n.box-toggle span,\n#exe-client-search-reset span,\n#packageLicense .license-label {\n    position: absolute;\n    clip: rect(1px 1px 1px 1px); /* IE6, IE7 */\n    clip: rect(1px, 1px, 1px, 1px);\n}\n.package-subtitle {\n    font-size: .95em;\n    color: #666;\n    position: relative;\n    top: -.15em;\n}\n.nav-buttons .nav-button-right {\n    left: auto;\n    right: 15px;\n}\n/* Box toggler */\n.exe-export .box {\n    position: relative;\n}\n.exe-export .box-toggle {\n    width: 40px;\n    height: 40px;\n    background: url(img/icons.png) no-repeat -200px 0;\n    background-size: auto 40px;\n    border-radius: 50%;\n    border: 0;\n    position: absolute;\n    top: 0;\n    right: 0;\n    opacity: 0.6;\n}\n.exe-export .box-head:hover .box-toggle,\n.exe-export .box-toggle:focus {\n    opacity: 1;\n}\n\n.exe-export .no-header .box-toggle {\n    top: -10px;\n}\n\n.exe-export .minimized .box-toggle {\n    background-position: -160px 0;\n}\n\n#node-content-container.exe-content .box-head .exe-icon {\n    width: 60px;\n    height: 60px;\n    font-size: 40px;\n}\n\n#node-content-container.exe-content .box-head .exe-icon img {\n    height: 40px;\n}\n\n.exe-export .box-icon img {\n    display: block;\n    float: left;\n    margin-right: 10px;\n}\n\n.exe-export .box-icon img {\n    width: 40px;\n    height: auto;\n}\n\n.exe-export .box-title {\n    padding-top: 5px;\n}\n\n.exe-export .box.minimized .box-head {\n    border-bottom: 1px solid #ddd;\n}\n\n.exe-export .box.no-header.minimized .box-head {\n    border-color: #fff;\n}\n\n.exe-export .box .box-content {\n    background: #f9f9f9;\n    border: 1px solid #ddd;\n    padding: 20px;\n    border-radius: 8px;\n    overflow: auto;\n}\n\n.exe-export .box.no-header .box-content {\n    background: none;\n    border: none;\n    padding: 20px 0;\n}\n/* Search bar */\n#exe-client-search {\n    display: none;\n    margin-bottom: 30px;\n}\n#exe-client-search-text {\n    max-width: 80%;\n    max-width: calc(100% - 90px);\n    display: inline;\n}\n#exe-client-search-submit {\n    text-indent: -999em;\n    background: #078e8e url(img/icons.png) no-repeat -41px -1px;\n    background-size: auto 40px;\n    width: 38px;\n    height: 38px;\n    border: none;\n    border-radius: 4px;\n}\n#exe-client-search-reset.visible {\n    background: url(img/icons.png) no-repeat -242px -1px;\n    background-size: auto 40px;\n    width: 38px;\n    height: 38px;\n    display: inline-block;\n    vertical-align: middle;\n    position: relative;\n    top: -3px;\n    left: -5px;\n    opacity: 0.6;\n    border-radius: 4px;\n}\n#exe-client-search-reset:hover,\n#exe-client-search-reset:focus {\n    opacity: 1;\n}\n#exe-client-search-submit:hover,\n#exe-client-search-submit:focus {\n    background-color: #066d6d;\n}\n#exe-client-search-results-list ul,\n#exe-client-search-results-list li {\n    margin: 2em 0;\n    padding: 0;\n    list-style: none;\n}\n#exe-client-search-results-list li {\n    margin: 0 0 1em 0;\n}\n#exe-client-search-results-list p {\n    margin-top: 2em;\n}\n\n/* Licenses */\n#packageLicense {\n    text-align: left;\n    font-size: 0.9em;\n    color: #555;\n    line-height: 1em;\n    margin: 2.5em 0 2em 0;\n    border: 1px solid transparent;\n    border-radius: 2px;\n}\n#packageLicense p {\n    margin: 0;\n}\n#packageLicense a {\n    color: #666;\n    text-transform: capitalize;\n    display: inline-block;\n    white-space: nowrap;\n    text-overflow: ellipsis;\n    max-width: 100%;\n    overflow: hidden;\n    line-height: 15px;\n}\n#packageLicense a:hover,\n#packageLicense a:focus {\n    text-decoration: none;\n    color: #d76b4a;\n}\n#packageLicense.propietary {\n    position: absolute;\n    overflow: hidden;\n    clip: rect(0, 0, 0, 0);\n    height: 0;\n}\n#packageLicense.cc {\n    padding: 0 20px 0 90px;\n    background: url(img/licenses.gif) no-repeat 0 0;\n}\n#packageLicense.cc-by-sa {\n    background-position: 0 -100px;\n}\n#packageLicensea.cc-by-nd {\n    background-position: 0 -200px;\n}\n#packageLicense.cc-by-nc {\n    background-position: 0 -300px;\n}\n#packageLicense.cc-by-nc-sa {\n    background-position: 0 -400px;\n}\n#packageLicense.cc-by-nc-nd {\n    background-position: 0 -500px;\n}\n#packageLicense.cc-0 {\n    background-position: 0 -600px;\n}\n\n/* iDevice buttons */\n.exe-content .iDevice_buttons input {\n    background: #fff;\n    color: #555;\n    border: 1px solid #ccc;\n    padding: 4px 10px;\n    border-radius: 4px;\n    transition: 0.5s ease;\n}\n.exe-content .iDevice_buttons input:hover,\n.exe-content .iDevice_buttons input:focus {\n    box-shadow: 2px 2px 4px #dbdbdb;\n    color: #000;\n    border-color: #bbb;\n}\n\n/* Page counter */\n.page-counter {\n    text-align: right;\n}\n.page-counter {\n    margin: 0 0 0.5em 0;\n    font-size: 0.9em;\n    color: #777;\n    font-weight: 300;\n    background: #fff;\n}\n.page-counter .page-counter-sep {\n    margin: 0 0.1em;\n}\n.exe-web-site .page-counter {\n    position: fixed;\n    top: 18px;\n    right: 70px;\n    margin: 0;\n    font-size: 0.9em;\n    color: #777;\n    padding: 0 8px;\n    border-radius: 4px;\n    text-align: left;\n}\n\n/* Teacher mode */\n#teacher-mode-toggler-wrapper {\n    float: right;\n    margin: 0 0 0 1em;\n}\n#teacher-mode-toggler.form-check-input:checked {\n    background-color: #078e8e;\n    border-color: #078e8e;\n    font-size: 0.9em;\n    margin-right: 0.6em;\n}\nlabel[for=\"teacher-mode-toggler\"] {\n    font-size: 0.9em;\n    color: #777;\n    position: relative;\n    top: -0.2em;\n}\n\n/* Bootstrap buttons */\n.exe-content .btn-primary {\n    background-color: #066d6d;\n    border-color: #066d6d;\n}\n.exe-content .btn-primary:hover,\n.exe-content .btn-primary:focus {\n    background-color: #078e8e;\n    border-color: #078e8e;\n}\n\n/* Responsive design */\n@media (max-width: 767.98px) {\n    #siteNav,\n    #siteNav:after {\n        width: 255px;\n    }\n    #siteNav a {\n        max-width: 230px;\n    }\n    button#siteNavToggler {\n        left: 230px;\n    }\n    button#searchBarTogger {\n        left: 280px;\n    }\n    .exe-web-site main.page,\n    .exe-web-site #siteFooter {\n        padding-left: 270px;\n    }\n}\n\n@media (max-width: 575.98px) {\n    #siteNav {\n        width: 100%;\n        float: none;\n        padding: 68px 10px 20px 10px;\n        min-height: 0 !important;\n        height: auto !important;\n    }\n    #siteNav:after {\n        display: none;\n    }\n    body.exe-web-site main.page {\n        padding-top: 2.5em;\n        padding-left: 0;\n    }\n    body.exe-web-site #siteFooter {\n        padding-left: 0;\n    }\n    .exe-web-site.siteNav-off main.page {\n        padding-top: 5.5em;\n    }\n    .nav-buttons .nav-button,\n    button.toggler {\n        position: absolute;\n    }\n    #siteNav a {\n        max-width: 100%;\n    }\n    #sidebar-nav.fixed {\n        position: relative;\n    }\n    button#siteNavToggler {\n        left: 65px;\n    }\n    button#searchBarTogger {\n        left: 115px;\n    }\n    .exe-web-site .page-counter {\n        background: none;\n        position: absolute;\n    }\n    .exe-web-site .page-counter .page-counter-label {\n        position: absolute;\n        clip: rect(1px 1px 1px 1px); /* IE6, IE7 */\n        clip: rect(1px, 1px, 1px, 1px);\n    }\n}\n\n@media print {\n    /* Node in new page: section.package-node{page-break-after:always} */\n    html body {\n        background: #fff;\n    }\n    .exe-content {\n        color: #000;\n        padding: 0;\n    }\n    @page {\n        margin: 1.5cm;\n    }\n    /* Uncomment this to print URL after links:\n    a{font-weight:bolder;text-decoration:none!important}\n    a[href^=http]:after{content:\" <\" attr(href) \"> \"}\n    */\n    body #header,\n    body #emptyHeader,\n    body #nodeDecoration {\n        height: auto !important;\n        min-height: 0;\n        border: none;\n        padding: 0;\n    }\n    body #headerContent {\n        padding-top: 40px;\n    }\n    #packageLicense.cc {\n        background: none;\n        padding-left: 0;\n    }\n    .exe-export .box-toggle {\n        display: none;\n    }\n    /* Website */\n    .exe-web-site #siteNav,\n    .exe-web-site .nav-buttons,\n    .exe-web-site button.toggler {\n        display: none;\n    }\n    .exe-web-site #siteFooter,\n    .exe-web-site main.page {\n        padding-left: 0;\n        padding-right: 0;\n    }\n    .exe-web-site main.page {\n        padding-top: 1em;\n    }\n}\n",
-    "config": "<?xml version=\"1.0\"?>\n<theme>\n    <name>base</name>\n    <title>Default</title>\n    <version>2025</version>\n    <compatibility>3.0</compatibility>\n    <author>eXeLearning.net</author>\n    <license>Creative Commons by-sa</license>\n    <license-url>http://creativecommons.org/licenses/by-sa/3.0/</license-url>\n    <description>Minimally-styled, feature rich responsive style for eXe.\n\niDevice icons by Francisco Javier Pulido Cuadrado.</description>\n    <downloadable>1</downloadable>\n</theme>"
+    "config": "<?xml version=\"1.0\"?>\n<theme>\n    <name>base</name>\n    <title>Default</title>\n    <version>2025</version>\n    <compatibility>3.0</compatibility>\n    <author>eXeLearning.net</author>\n    <license>Creative Commons by-sa</license>\n    <license-url>http://creativecommons.org/licenses/by-sa/3.0/</license-url>\n    <description>Minimally-styled, feature rich responsive style for eXe.\n\niDevice icons by Francisco Javier Pulido Cuadrado.</description>\n    <downloadable>1</downloadable>\n</theme>",
+    "icons": [
+      "activity.png",
+      "agreement.png",
+      "alert.png",
+      "arts.png",
+      "ask.png",
+      "book.png",
+      "calculate.png",
+      "case.png",
+      "chrono.png",
+      "collaborative.png",
+      "competencies.png",
+      "diary.png",
+      "diary_alt.png",
+      "discuss.png",
+      "download.png",
+      "draw.png",
+      "english.png",
+      "experiment.png",
+      "explore.png",
+      "file.png",
+      "gallery.png",
+      "geography.png",
+      "guide.png",
+      "history.png",
+      "info.png",
+      "interactive.png",
+      "letters.png",
+      "listen.png",
+      "math.png",
+      "music.png",
+      "nature.png",
+      "objectives.png",
+      "observe.png",
+      "passport.png",
+      "perform.png",
+      "piece.png",
+      "pieces.png",
+      "play.png",
+      "present.png",
+      "reflection.png",
+      "roadmap.png",
+      "share.png",
+      "sport.png",
+      "start.png",
+      "stop.png",
+      "suitcase.png",
+      "technology.png",
+      "think.png",
+      "think_alt.png",
+      "video.png"
+    ]
   },
   "neo": {
     "js": "var myTheme = {\n    init: function () {\n        // Common functions\n        if (this.inIframe()) $('body').addClass('in-iframe');\n        if (!$('body').hasClass('exe-web-site')) return;\n        // Add menu and search bar togglers\n        var togglers =\n            '\\\n            <button type=\"button\" id=\"siteNavToggler\" class=\"toggler\" title=\"' +\n            $exe_i18n.menu +\n            '\">\\\n                <span class=\"sr-av\">' +\n            $exe_i18n.menu +\n            '</span>\\\n            </button>\\\n            <button type=\"button\" id=\"searchBarTogger\" class=\"toggler\" title=\"' +\n            $exe_i18n.search +\n            '\">\\\n                <span class=\"sr-av\">' +\n            $exe_i18n.search +\n            '</span>\\\n            </button>\\\n        ';\n        $('#siteNav').before(togglers);\n        // Check the current NAV status\n        var url = window.location.href;\n        url = url.split('?');\n        if (url.length > 1) {\n            if (url[1].indexOf('nav=false') != -1) {\n                $('body').addClass('siteNav-off');\n                myTheme.params('add');\n            }\n        }\n        // Menu toggler\n        $('#siteNavToggler').on('click', function () {\n            if (myTheme.isLowRes()) {\n                $('#exe-client-search').hide();\n                if ($('body').hasClass('siteNav-off')) {\n                    $('body').removeClass('siteNav-off');\n                } else {\n                    if ($('#siteNav').isInViewport()) {\n                        $('body').addClass('siteNav-off');\n                        myTheme.params('add');\n                    }\n                }\n            } else {\n                $('body').toggleClass('siteNav-off');\n                myTheme.params(\n                    $('body').hasClass('siteNav-off') ? 'add' : 'remove'\n                );\n            }\n        });\n        // Search bar toggler\n        $('#searchBarTogger').on('click', function () {\n            var bar = $('#exe-client-search');\n            if (bar.is(':visible')) {\n                bar.hide();\n            } else {\n                if (myTheme.isLowRes()) {\n                    $('body').addClass('siteNav-off');\n                }\n                bar.show();\n                $('#exe-client-search-text').focus();\n            }\n        });\n        if (!this.inIframe()) {\n            // Fixed navigation\n            $('#siteNav').wrap('<div id=\"sidebar-nav\"></div>');\n            myTheme.checkNav();\n            $(window).bind('resize', function () {\n                myTheme.checkNav();\n            });\n        }\n        // Search form\n        this.searchForm();\n\n        // mover .page-title dentro de .page-content\n        this.movePageTitle();\n    },\n    inIframe: function () {\n        try {\n            return window.self !== window.top;\n        } catch (e) {\n            return true;\n        }\n    },\n    searchForm: function () {\n        $('#exe-client-search-text').attr('class', 'form-control');\n    },\n    isLowRes: function () {\n        return $('#siteNav').css('float') == 'none';\n    },\n    checkNav: function () {\n        var wrapper = $('#sidebar-nav');\n        var navH = $('#siteNav > ul').height(); // Menu height\n        navH = navH + 50;\n        if (navH < $(window).height()) wrapper.addClass('fixed');\n        else wrapper.removeClass('fixed');\n    },\n    param: function (e, act) {\n        if (act == 'add') {\n            var ref = e.href;\n            var con = '?';\n            if (ref.indexOf('.html?') != -1) con = '&';\n            var param = 'nav=false';\n            if (ref.indexOf(param) == -1) {\n                ref += con + param;\n                e.href = ref;\n            }\n        } else {\n            // This will remove all params\n            var ref = e.href;\n            ref = ref.split('?');\n            e.href = ref[0];\n        }\n    },\n    params: function (act) {\n        $('.nav-buttons a').each(function () {\n            myTheme.param(this, act);\n        });\n    },\n\n    // function that move the h2 outside the header\n    movePageTitle: function () {\n        const tryMove = () => {\n            const $header = $('.page > header.page-header');\n            const $title = $header.find('.page-title').first();\n\n            // Search container of content\n            let $content = $('.page-content').first();\n            if (!$content.length)\n                $content = $('.content, main .content').first();\n            if (!$content.length) $content = $('#main, #content').first();\n            if (!$content.length && $header.length)\n                $content = $header.nextAll(':not(header)').first();\n            if (!$content.length && $header.length) $content = $header.parent();\n\n            if ($header.length && $title.length && $content.length) {\n                $content.prepend($title); // move it to the start\n                return true;\n            }\n            return false;\n        };\n\n        if (tryMove()) return;\n\n        const observer = new MutationObserver(() => {\n            if (tryMove()) observer.disconnect();\n        });\n        observer.observe(document.body, { childList: true, subtree: true });\n    },\n    // 🔼\n};\n\n$(function () {\n    myTheme.init();\n});\n\n$.fn.isInViewport = function () {\n    var elementTop = $(this).offset().top;\n    var elementBottom = elementTop + $(this).outerHeight();\n    var viewportTop = $(window).scrollTop();\n    var viewportBottom = viewportTop + $(window).height();\n    return elementBottom > viewportTop && elementTop < viewportBottom;\n};\n",
     "css": "@charset \"UTF-8\";\n@font-face {\n    font-family: \"Nunito\";\n    src: url(\"fonts/Nunito-ExtraLightItalic.woff2\") format(\"woff2\"),\n        url(\"fonts/Nunito-ExtraLightItalic.woff\") format(\"woff\");\n    font-style: italic;\n    font-display: swap;\n}\n\n@font-face {\n    font-family: \"Nunito\";\n    src: url(\"fonts/Nunito-ExtraLight.woff2\") format(\"woff2\"),\n        url(\"fonts/Nunito-ExtraLight.woff\") format(\"woff\");\n    font-style: normal;\n    font-display: swap;\n}\n\n@font-face {\n    font-family: \"Nunito\";\n    src: url(\"fonts/Nunito-BoldItalic.woff2\") format(\"woff2\"),\n        url(\"fonts/Nunito-BoldItalic.woff\") format(\"woff\");\n    font-weight: bold;\n    font-style: italic;\n    font-display: swap;\n}\n\n@font-face {\n    font-family: \"Nunito\";\n    src: url(\"fonts/Nunito-Bold.woff2\") format(\"woff2\"),\n        url(\"fonts/Nunito-Bold.woff\") format(\"woff\");\n    font-weight: bold;\n    font-style: normal;\n    font-display: swap;\n}\n\na {\n    text-decoration: none;\n}\n\n.page-title {\n    font-weight: bold;\n    margin-top: 32px;\n}\n\n.page > header .package-title,\n.siteNav-off .page > header .package-title,\n.exe-single-page .package-header h1 {\n    padding-left: 32px;\n    width: calc(100% - 470px);\n    white-space: nowrap;\n    overflow: hidden;\n    text-overflow: ellipsis;\n    color: #002702;\n    margin: 0;\n}\n\n.exe-teacher-mode-toggler .page > header .package-title,\n.exe-teacher-mode-toggler.siteNav-off .page > header .package-title {\n    width: calc(100% - 550px);\n}\n\n.exe-single-page .package-header h1 {\n    width: 100%;\n}\n\n.exe-scorm .page header .page-title,\n.exe-ims .page header .page-title,\n.exe-epub .page header .page-title {\n    width: 100%;\n}\n\n.exe-scorm .page > header .package-title,\n.exe-scorm .siteNav-off .page > header .package-title,\n.exe-ims .page > header .package-title,\n.exe-ims .siteNav-off .page > header .package-title,\n.exe-epub .page > header .package-title,\n.exe-epub .siteNav-off .page > header .package-title,\n.exe-ims .page > header .package-title {\n    width: 100%;\n}\n\n.package-subtitle {\n    width: 100%;\n    position: absolute;\n    left: 32px;\n    bottom: -.2em;\n    font-size: .9em;\n    color: #777;\n}\n\n.exe-web-site .package-subtitle {\n    max-width: 70%;\n    white-space: nowrap;\n    text-overflow: ellipsis;\n    overflow: hidden;\n}\n\n.siteNav-off .page > header .package-subtitle {\n    left: 24px;\n}\n\n@media (max-width: 750px) {\n    .package-subtitle {\n        font-size: 1em;\n    }\n}\n\nbody:has(.package-subtitle) .package-title,\nbody.exe-single-page:has(.package-subtitle) .package-node h1 {\n    position:relative;\n    top: -.2em;\n}\n\nmain header:not(#head) {\n    padding: 0 !important;\n    margin: 0 !important;\n    max-width: none !important;\n}\n\n.page > header {\n    position: fixed;\n    top: 0;\n    right: 0;\n    left: 0;\n    z-index: 400;\n    height: 100px;\n    display: flex !important;\n    align-items: center;\n    background-color: #fff;\n    box-shadow: 0 0 4px 0 rgba(0, 0, 0, 0.25);\n}\n\nbody.exe-export {\n    padding: 1em 0;\n}\n\nbody.exe-export.exe-scorm,\nbody.exe-export.exe-ims,\nbody.exe-export.exe-epub {\n    padding: 0;\n}\n\nbody.exe-scorm .package-title,\nbody.exe-ims .package-title,\nbody.exe-epub .package-title{\n    position: absolute;\n    top: 20px;\n    left: 0;\n    font-weight: normal;\n    font-size: .95em;\n    color: #777;\n}\n\nbody.exe-scorm .package-subtitle,\nbody.exe-ims .package-subtitle,\nbody.exe-epub .package-subtitle {\n    position: absolute;\n    clip: rect(1px 1px 1px 1px); /* IE6, IE7 */\n    clip: rect(1px, 1px, 1px, 1px);\n}\n\nbody.exe-scorm .page-title,\nbody.exe-ims .page-title,\nbody.exe-epub .page-title {\n    padding: 0 32px;\n}\n\n@media (max-width: 750px) {\n    body.exe-scorm .page-title,\n    body.exe-ims .page-title,\n    body.exe-epub .page-title {\n        padding: 0 24px;\n    }\n}\n\nbody.exe-web-site {\n    padding: 0;\n}\n\nbody.exe-export,\nbody.exe-web-site {\n    font-family: \"Nunito\", Arial, Verdana, Helvetica, sans-serif;\n    font-size: 120%;\n}\n\n.exe-content a {\n    color: #0d77d1;\n}\n.exe-content a:hover,\n.exe-content a:focus {\n    color: #0a60ab;\n    text-decoration: none;\n}\n\n.exe-download-package-link a {\n    background: #002702;\n    color: #fff;\n}\n\n#node-content-container.exe-content #node-content {\n    padding-top: 20px;\n    padding-bottom: 20px;\n    max-width: 1280px;\n    margin: 0 auto;\n    display: block;\n}\n\n.exe-content {\n    color: #333;\n    background-color: #f4f4f4;\n    background: url(img/background.png);\n    background-size: cover;\n    background-position: center;\n    background-repeat: no-repeat;\n    background-attachment: fixed;\n}\n\n.js .exe-export .exe-content {\n    min-height: calc(100vh - 30px);\n}\n\n.js .in-iframe .exe-content {\n    min-height: 0;\n}\n\n.sr-av {\n    display: none;\n}\n\n.exe-content .package-title,\n.exe-single-page .package-header h1 {\n    font-size: 1.7rem;\n    text-align: left;\n    font-weight: 700;\n}\n\n.exe-single-page .package-node {\n    margin-bottom: 3.5em;\n}\n\n.exe-content .box {\n    margin: 35px 0;\n    border: 1px solid #d4e6ec;\n}\n\n.exe-web-site .exe-content .box {\n    margin: 40px 0;\n}\n\n.exe-content .box-head {\n    border-bottom: 0;\n}\n#node-content-container.exe-content .box.hidden-idevices {\n    border-style: solid;\n}\n\n.exe-content .box header {\n    min-height: 60px;\n    border-bottom: 1px solid #e4e4e4;\n}\n\n.exe-content .box-head .box-title {\n    color: #002702;\n    font-size: 1.65rem !important;\n    font-weight: 700;\n}\n\n.exe-content .box-head .exe-icon {\n    float: left;\n}\n\n.exe-web-site .page-content,\n#exe-client-search,\n.exe-web-site main > header,\n.exe-export .exe-content {\n    max-width: 1280px;\n    padding: 0 60px;\n    margin: 0 auto;\n}\n\n.exe-single-page .exe-content {\n    max-width: 100% !important;\n}\n\n.exe-single-page .exe-content main,\n.exe-single-page .exe-content footer {\n    max-width: 1280px;\n    margin: 0 auto;\n}\n.exe-single-page .exe-content main {\n    padding-top: 4em;\n}\n\n.exe-web-site .exe-content {\n    max-width: none;\n    padding: 0;\n}\n\n.exe-scorm .exe-export main,\n.exe-ims .exe-export main,\n.exe-epub .exe-export main {\n    padding-top: 5em;\n    padding-bottom: 1em;\n}\n\nbody.exe-export.exe-scorm .exe-content,\nbody.exe-export.exe-ims .exe-content,\nbody.exe-export.exe-epub .exe-content {\n    padding: 0 40px;\n}\n.exe-content.cover-on .exe-interactive-video,\n.exe-content .exe-interactive-video {\n    width: 100%;\n}\n\n.exe-export main {\n    padding-top: 1.5em;\n}\n.exe-web-site main {\n    padding-top: 4.5em;\n}\n\n/* siteNav */\n#siteNav {\n    float: left;\n    padding: 100px 16px 48px 16px;\n    background-color: #4caf50;\n    height: calc(100vh - 100px);\n    border-radius: 0 40px 40px 0;\n    width: 330px;\n    z-index: 1;\n    position: fixed;\n    transition: left 0.3s ease;\n    left: 0;\n    top: 100px;\n    overflow: visible;\n}\n#siteNav::-webkit-scrollbar {\n    display: none;\n}\n\n#siteNav > ul {\n    max-height: calc(100vh - 230px);\n    overflow-y: auto;\n    margin: 0;\n    padding: 0;\n}\n\n#siteNav > ul::-webkit-scrollbar {\n    display: none;\n}\n\n#siteFooterExtra {\n    margin-bottom: 2em;\n    color: #555;\n    font-size: 0.95em;\n}\n#siteNav .other-section {\n    display: none;\n}\n#sidebar-nav.fixed,\n#sidebar-nav {\n    position: fixed;\n}\nbody.siteNav-off #siteNav {\n    left: -330px;\n}\n.exe-web-site main.page {\n    box-sizing: border-box;\n    width: 100%;\n    padding-left: 330px;\n    padding-bottom: 24px;\n    transition: padding 0.3s ease;\n}\n.exe-web-site #siteFooter {\n    padding-left: 390px;\n    padding-right: 60px;\n    padding-bottom: 2em;\n    transition: padding 0.3s ease;\n}\n.exe-scorm #siteFooter,\n.exe-ims #siteFooter,\n.exe-epub #siteFooter {\n    padding-bottom: 40px;\n}\nbody.siteNav-off main.page,\nbody.siteNav-off #siteFooter {\n    padding-left: 20px;\n}\n#siteNav ul,\n#siteNav li {\n    margin: 0;\n    padding: 0;\n    list-style: none;\n}\n\n#siteNav li {\n    margin-bottom: 6px;\n}\n\n#siteNav a {\n    color: #002702;\n    display: block;\n    padding: 8px 15px;\n    border-radius: 8px;\n    transition: background-color 0.5s ease;\n    font-weight: 700;\n    padding-right: 40px;\n}\n\n#siteNav a.active {\n    color: #002702;\n    background-color: #ffb74d;\n    font-weight: bold;\n    margin-bottom: 6px;\n}\n\n#siteNav a.highlighted-link {\n    color: #fff;\n    margin-top: 10px;\n    background: #2e9132 url(img/book_white.svg) no-repeat 8px center;\n    padding-left: 42px;\n}\n\n#siteNav a.highlighted-link.active {\n    background: #ffb74d url(img/book_white.svg) no-repeat 8px center !important;\n    color: #002702;\n}\n\n#siteNav a.highlighted-link:hover {\n    background: #1a7d1e url(img/book_white.svg) no-repeat 8px center !important;\n    color: #fff;\n}\n#siteNav a.highlighted-link:focus {\n    background: #1a7d1e url(img/book_white.svg) no-repeat 8px center !important;\n    color: #fff;\n}\n\n#siteNav a:hover {\n    background: #e49929;\n    text-decoration: none;\n    color: #002702;\n}\n\n#siteNav ul ul a {\n    padding-left: 35px;\n    font-size: 0.95em;\n    background-color: #ffeba1;\n    color: #002702;\n    transition: background-color 0.5s ease;\n}\n\n.current-page-parent a {\n    background-color: #ffeba1;\n    margin-bottom: 6px;\n    color: #002702 !important;\n}\n\n#siteNav ul ul ul a {\n    padding-left: 55px;\n    font-size: 0.9em;\n}\n\n#siteNav ul ul ul ul a {\n    padding-left: 75px;\n}\n\n.daddy {\n    background: url(img/arrow_down_color.svg) no-repeat right 16px center / 22px !important;\n}\n.active .active.daddy {\n    background: #ffb74d url(img/arrow_color.svg) no-repeat right 16px center /\n        22px !important;\n}\n.active .daddy {\n    background: #ffeba1 url(img/arrow_down_color.svg) no-repeat right 16px\n        center / 22px !important;\n}\n#siteNav .current-page-parent > .daddy {\n    background: #ffeba1 url(img/arrow_color.svg) no-repeat right 16px center /\n        22px !important;\n    margin-bottom: 6px;\n}\n.current-page-parent .daddy {\n    background: #ffeba1 url(img/arrow_down_color.svg) no-repeat right 16px\n        center / 22px !important;\n}\n.daddy:hover {\n    background: #e49929 url(img/arrow_down_color.svg) no-repeat right 16px\n        center / 22px !important;\n}\n.active.daddy:hover {\n    background: #e49929 url(img/arrow_color.svg) no-repeat right 16px center /\n        22px !important;\n}\n\n/* pagination */\n.nav-buttons .nav-button,\nbutton.toggler {\n    position: fixed;\n    top: 18px;\n    right: 65px;\n    display: inline-block;\n    width: auto;\n    height: auto;\n    background-image: url(img/back_arrow.svg);\n    background-size: 20px;\n    background-color: #ffb74d;\n    background-repeat: no-repeat;\n    border-radius: 8px;\n    z-index: 999;\n    border: 0;\n    transition: background-color 0.5s ease;\n    padding: 18px;\n    color: #002702;\n    font-weight: 600;\n}\n\n.nav-buttons span.nav-button {\n    opacity: 0.5;\n    filter: grayscale(1);\n    cursor: not-allowed;\n}\n.nav-buttons .nav-button-left {\n    background-position: left 14px center;\n    padding-left: 48px;\n    right: 180px;\n}\n.nav-buttons .nav-button-right {\n    background-position: right 14px center;\n    padding-right: 48px;\n    background-image: url(img/forward_arrow.svg);\n    right: 20px;\n}\n\n.nav-buttons a:hover,\n.nav-buttons a:focus,\nbutton.toggler:hover,\nbutton.toggler:focus {\n    background-color: #e49929;\n    border-color: #e49929;\n    text-decoration: none;\n    color: #002702;\n}\nbutton#siteNavToggler {\n    left: 10px;\n    top: 130px;\n    background: url(img/menu_open.svg) no-repeat 12px / 32px;\n    width: 40px;\n    height: 40px;\n    border-radius: 8px;\n    box-sizing: content-box;\n    padding: 8px;\n}\n\n#siteNavToggler:hover {\n    background-color: #2e9132;\n}\nbody.siteNav-off button#siteNavToggler {\n    left: 0;\n    top: 130px;\n    padding: 8px 8px 8px 17px;\n    border-radius: 0 8px 8px 0;\n    background: #ffb74d url(img/menu_closed.svg) no-repeat 16px / 32px;\n}\nbody.siteNav-off button#siteNavToggler:hover {\n    background-color: #e49929;\n}\n\n#siteNavToggler .sr-av {\n    display: none;\n}\n\nbody.siteNav-off button#siteNavToggler .sr-av {\n    color: #002702;\n}\n\n#exe-client-search-reset span,\n#packageLicense .license-label {\n    position: absolute;\n    clip: rect(1px 1px 1px 1px); /* IE6, IE7 */\n    clip: rect(1px, 1px, 1px, 1px);\n}\n\n.box-toggle span {\n    display: none;\n}\n\n/* Box toggler */\n.box {\n    background-color: #ffffff;\n    border: 1px solid #eaecf0;\n    border-radius: 12px;\n    padding: 2.25rem;\n    margin-bottom: 32px;\n}\n\n.exe-export .box {\n    position: relative;\n}\n.exe-export .box-toggle {\n    width: 40px;\n    height: 40px;\n    background: url(img/arrow.svg);\n    background-size: auto 20px;\n    background-repeat: no-repeat;\n    background-position: center;\n    border-radius: 50%;\n    border: 0;\n    position: absolute;\n    top: 20px;\n    right: 20px;\n    transition: transform 0.2s ease-in-out;\n}\n\n.exe-export .minimized .box-toggle {\n    transform: rotate(180deg);\n}\n\n#node-content-container.exe-content .box-head .exe-icon {\n    width: 60px;\n    height: 60px;\n    font-size: 40px;\n}\n\n#node-content-container.exe-content .box-head .exe-icon img {\n    height: 40px;\n}\n\n.exe-export .box-icon img {\n    display: block;\n    float: left;\n    margin-right: 10px;\n}\n\n.exe-export .box-icon img {\n    width: 40px;\n    height: auto;\n}\n\n.exe-export .box-title {\n    padding-top: 5px;\n}\n\n.exe-export .box.minimized .box-head {\n    border-bottom: 1px solid #ddd;\n}\n\n.exe-export .box.no-header.minimized .box-head {\n    border-color: #fff;\n}\n\n.exe-export .box.no-header .box-content {\n    background: none;\n    border: none;\n    padding: 20px 0;\n}\n.exe-export #siteFooterContent {\n    background-color: white;\n    padding: 14px;\n    border-radius: 6px;\n    width: 100%;\n    max-width: 1160px;\n    margin: 0 auto;\n}\n#siteFooterContent #packageLicense {\n    margin: 0;\n}\n\n/* Table */\n\ntable {\n    display: table;\n    overflow-x: auto;\n    -webkit-overflow-scrolling: touch;\n    max-width: 100% !important;\n    margin: 2em 0 !important;\n}\n\n/* Licenses */\n#packageLicense {\n    text-align: left;\n    font-size: 0.9em;\n    color: #555;\n    line-height: 1em;\n    margin: 2.5em 0 2em 0;\n    border: 1px solid transparent;\n    border-radius: 2px;\n}\n#packageLicense p {\n    margin: 0;\n}\n#packageLicense a {\n    color: #666;\n    text-transform: capitalize;\n    display: inline-block;\n    white-space: nowrap;\n    text-overflow: ellipsis;\n    max-width: 100%;\n    overflow: hidden;\n    line-height: 15px;\n}\n#packageLicense a:hover,\n#packageLicense a:focus {\n    text-decoration: none;\n    color: #b04721;\n}\n#packageLicense.propietary {\n    position: absolute;\n    overflow: hidden;\n    clip: rect(0, 0, 0, 0);\n    height: 0;\n}\n#packageLicense.cc {\n    padding: 0 20px 0 90px;\n    background: url(img/licenses.gif) no-repeat 0 0;\n}\n#packageLicense.cc-by-sa {\n    background-position: 0 -100px;\n}\n#packageLicensea.cc-by-nd {\n    background-position: 0 -200px;\n}\n#packageLicense.cc-by-nc {\n    background-position: 0 -300px;\n}\n#packageLicense.cc-by-nc-sa {\n    background-position: 0 -400px;\n}\n#packageLicense.cc-by-nc-nd {\n    background-position: 0 -500px;\n}\n#packageLicense.cc-0 {\n    background-position: 0 -600px;\n}\n\n/* iDevice buttons */\n.exe-content .iDevice_buttons input {\n    background: #fff;\n    color: #555;\n    border: 1px solid #ccc;\n    padding: 4px 10px;\n    border-radius: 4px;\n    transition: 0.5s ease;\n}\n.exe-content .iDevice_buttons input:hover,\n.exe-content .iDevice_buttons input:focus {\n    box-shadow: 2px 2px 4px #dbdbdb;\n    color: #000;\n    border-color: #bbb;\n}\n\n/* Page counter */\n.page-counter {\n    text-align: right;\n    margin: 0 0 0.5em 0;\n    font-size: 0.9em;\n    color: #777;\n    font-weight: 400;\n    background: #fff;\n    position: fixed;\n    top: 38px;\n    right: 32px;\n    margin: 0;\n    padding: 0;\n    color: #777;\n    text-align: right;\n}\n\n.exe-web-site .page-counter {\n    right: 366px;\n}\n\n.exe-teacher-mode-toggler.exe-web-site .page-counter {\n    right: 450px;\n}\n\n/* Search bar */\nbody.siteNav-off.exe-search-on button#searchBarTogger,\nbody.exe-search-on button#searchBarTogger {\n    display: inline-block;\n}\n#exe-client-search-form p {\n    margin-top: 4em;\n}\n#exe-client-search-form p {\n    display: flex;\n    width: 100%;\n    flex-direction: row;\n    flex-wrap: nowrap;\n    gap: 6px;\n}\n\nbutton#searchBarTogger {\n    right: auto;\n    left: 260px;\n    top: 136px;\n    background: #ffb74d url(img/search.svg) no-repeat center / 28px;\n    width: 48px;\n    height: 48px;\n    display: none;\n}\nbody.siteNav-off button#searchBarTogger {\n    top: 220px;\n    left: 0px;\n    padding-left: 50px;\n    border-radius: 0 8px 8px 0;\n    display: none;\n}\n#exe-client-search {\n    display: none;\n    margin-bottom: 30px;\n}\n#exe-client-search-text {\n    flex: 1 1 auto;\n    min-width: 0;\n    display: inline;\n    height: 48px;\n}\n#exe-client-search-submit {\n    text-indent: -999em;\n    background: #ffb74d url(img/search.svg) no-repeat center / 28px;\n    border: none;\n    border-radius: 4px;\n    background-position: center;\n}\n#exe-client-search-reset.visible {\n    background: #c0c0c0 url(img/menu_open.svg) no-repeat center / 28px;\n    display: inline-block;\n    vertical-align: middle;\n    border-radius: 4px;\n}\n#exe-client-search-submit,\n#exe-client-search-reset.visible {\n    height: 48px;\n    flex: 0 0 48px;\n}\n#exe-client-search-reset:hover,\n#exe-client-search-reset:focus {\n    opacity: 1;\n}\n#exe-client-search-submit:hover,\n#exe-client-search-submit:focus {\n    background-color: #ffb74d;\n}\n#exe-client-search-results-list ul,\n#exe-client-search-results-list li {\n    margin: 2em 0;\n    padding: 0;\n    list-style: none;\n}\n#exe-client-search-results-list li {\n    margin: 0 0 1em 0;\n}\n#exe-client-search-results-list p {\n    margin-top: 2em;\n}\n\n#exe-client-search-results-list ul,\n#exe-client-search-results-list p {\n    background-color: #ffffff;\n    border-radius: 12px;\n    padding: 2.25rem;\n}\n\n/* Modo docente */\n\n.exe-export .form-check {\n    float: none;\n    position: absolute;\n    top: 18px;\n    right: 335px;\n    display: flex;\n    align-items: center;\n    padding: 4px 36px 4px 4px;\n    margin: 0 10px 0 0;\n    height: 64px;\n    background-image: url(img/teacher_hat.svg);\n    background-repeat: no-repeat;\n    background-position: right center;\n    background-size: 28px;\n}\n.exe-export .form-check-label {\n    display: none;\n}\n.exe-export .form-switch .form-check-input {\n    width: 2.6em;\n    height: 1.4em;\n}\n.exe-export .form-check-input:checked {\n    background-color: #ffcc00;\n    border-color: #ffcc00;\n}\n.exe-export .form-check-input:focus {\n    border-color: #ffcc00;\n    box-shadow: 0 0 0 0.25rem rgba(255, 204, 0, 0.25);\n}\n.exe-export .form-check label {\n    width: 64px;\n    font-size: 1rem;\n}\n.exe-export .form-switch .form-check-input:focus {\n    background-image: url(img/switch.svg);\n    background-size: 16px;\n    background-repeat: no-repeat;\n    background-position: left 1.6px center;\n}\n.exe-export .mode-teacher .form-switch .form-check-input:focus {\n    background-image: url(img/switch_white.svg);\n    background-position: right 1.6px center;\n}\n\n/* Accesibilidad */\n.exe-atools-on #eXeAtools #eXeAtoolsSet {\n    display: flex;\n    padding: 6px 4px;\n}\n#eXeAtools select {\n    position: static !important;\n}\n\n/* Responsive design */\n\n@media (max-width: 1440px) {\n    .siteNav-off #siteNavToggler .sr-av {\n        display: none;\n    }\n    .siteNav-off #siteNavToggler {\n        width: 50px;\n    }\n}\n\n@media (max-width: 1200px) {\n    body.cover-on #activity {\n        width: 100% !important;\n    }\n    #activity {\n        width: 100%;\n        margin: 0 auto;\n    }\n    #activity #player {\n        width: 100% !important;\n        max-width: 100% !important;\n    }\n}\n\n@media (max-width: 1024px) {\n    .nav-buttons .nav-button span {\n        display: none;\n    }\n\n    .nav-buttons .nav-button {\n        height: 60px;\n    }\n\n    .nav-buttons .nav-button-right {\n        right: 20px;\n        background-position: center;\n    }\n\n    .nav-buttons .nav-button-left {\n        right: 100px;\n        background-position: center;\n    }\n\n    .page > header .package-title,\n    .siteNav-off .page > header .package-title {\n        width: calc(100% - 170px);\n    }\n    .exe-web-site .page-counter {\n        left: auto;\n        right: 185px;\n    }\n    .page-counter-label {\n        display: none;\n    }\n\n    /* Form & pagination*/\n    .exe-export .form-check {\n        right: 182px;\n    }\n    .exe-export .form-check:hover {\n        background-color: transparent;\n    }\n    .exe-export .form-check-label {\n        display: none;\n    }\n    .exe-export .form-check-input {\n        margin: 0 !important;\n    }\n    .exe-teacher-mode-toggler.exe-web-site .page-counter {\n        right: 290px;\n    }\n    .exe-teacher-mode-toggler .page > header .package-title,\n    .exe-teacher-mode-toggler.siteNav-off .page > header .package-title {\n        width: calc(100% - 330px);\n    }\n}\n\n@media (max-width: 750px) {\n    .exe-web-site .page-content,\n    #exe-client-search {\n        padding: 0 20px;\n    }\n\n    .siteNav-off #sidebar-nav {\n        background-color: transparent;\n    }\n    #sidebar-nav {\n        position: static !important;\n        width: 100%;\n        padding: 200px 0 0 0;\n        background-color: #4caf50;\n    }\n\n    #siteNav {\n        float: none;\n        border-right: 0;\n        width: 100%;\n        height: auto;\n        padding: 16px 16px 8px 16px;\n        border-radius: 0;\n        position: static;\n    }\n    body.siteNav-off #siteNav {\n        display: none;\n    }\n\n    #siteNav a {\n        width: 100%;\n        max-width: none;\n    }\n\n    button#siteNavToggler {\n        background: #fff url(img/menu_open_black.svg) no-repeat 12px center /\n            32px;\n    }\n    body.siteNav-off button#siteNavToggler {\n        background: #fff url(img/menu_closed.svg) no-repeat 12px center / 32px;\n    }\n    body.siteNav-off button#siteNavToggler,\n    button#siteNavToggler {\n        position: absolute;\n        z-index: 0;\n        font-weight: 700;\n        background-color: #ffb74d;\n        right: 16px;\n        left: 16px;\n        top: 120px;\n        border-radius: 0.75rem;\n        width: auto;\n        height: 26px;\n        padding: 16px 16px 16px 58px;\n        text-align: left;\n    }\n\n    button#siteNavToggler:hover,\n    body.siteNav-off button#siteNavToggler:hover {\n        background-color: #e49929;\n    }\n    .exe-web-site main.page {\n        padding-left: 0;\n        padding-top: 0;\n    }\n    body.siteNav-off button#siteNavToggler .sr-av,\n    button#siteNavToggler .sr-av,\n    button#siteNavToggler span {\n        color: #000 !important;\n        display: contents;\n    }\n\n    body.siteNav-off main.page,\n    body.siteNav-off #siteFooter {\n        padding: 0;\n    }\n\n    .exe-web-site .exe-content .box {\n        margin-top: 20px;\n    }\n\n    .page > header .package-title,\n    .siteNav-off .page > header .package-title,\n    .exe-single-page .package-header h1 {\n        padding-left: 32px;\n    }\n\n    .siteNav-off #siteNavToggler .sr-av {\n        display: inline-block;\n        width: 100% !important;\n    }\n    .exe-search-on.siteNav-off button#siteNavToggler,\n    .exe-search-on button#siteNavToggler {\n        right: 100px;\n        height: 30px;\n    }\n    body.siteNav-off button#searchBarTogger,\n    body button#searchBarTogger {\n        left: auto;\n        right: 20px;\n        top: 120px;\n        height: 64px;\n        border-radius: 0.75em;\n        width: 68px;\n        position: absolute;\n        z-index: 0;\n    }\n    #exe-client-search-text {\n        height: 54px;\n    }\n    #exe-client-search-form p {\n        height: 54px;\n        margin-top: 1em;\n    }\n    #exe-client-search-submit {\n        background: #ffb74d no-repeat url(img/search.svg) center / 26px;\n    }\n    #exe-client-search-reset.visible {\n        background: #002702 url(img/menu_open.svg) no-repeat center / 26px;\n    }\n    #exe-client-search-submit,\n    #exe-client-search-reset.visible {\n        height: 54px;\n        flex: 0 0 54px;\n    }\n    .exe-client-search-results {\n        padding-bottom: 24px !important;\n    }\n    .exe-web-site #siteFooter #siteFooterContent {\n        margin: 0 auto;\n    }\n    .exe-web-site #siteFooter {\n        padding: 0 20px 2em 20px !important;\n    }\n    #packageLicense {\n        margin: 0 0 1em 0;\n    }\n}\n@media (max-width: 650px) {\n    html {\n        font-size: 0.75rem !important;\n    }\n    .page > header .package-title,\n    .siteNav-off .page > header .package-title {\n        padding-left: 32px;\n        width: calc(100% - 124px);\n        overflow: hidden;\n        text-overflow: ellipsis;\n        height: auto;\n        white-space: normal;\n        word-wrap: break-word;\n        display: -webkit-box;\n        -webkit-line-clamp: 2;\n        -webkit-box-orient: vertical;\n    }\n    .nav-buttons .nav-button-left,\n    .nav-buttons .nav-button-right {\n        height: 40px;\n        width: 40px;\n        padding: 0;\n        top: 20px !important;\n    }\n    .nav-buttons .nav-button-left {\n        right: 70px;\n    }\n\n    button#siteNavToggler {\n        background: #fff url(img/menu_open.svg) no-repeat 12px center / 24px;\n        padding: 16px 16px 16px 40px;\n    }\n    body.siteNav-off button#siteNavToggler {\n        background: #fff url(img/menu_closed.svg) no-repeat 12px / 24px;\n        padding: 16px 16px 16px 40px;\n    }\n    .box-title {\n        width: calc(100% - 32px);\n    }\n    .exe-export .box-toggle {\n        background-position: center;\n        background-size: auto 18px;\n        width: 32px;\n        height: 32px;\n    }\n    body.siteNav-off button#searchBarTogger,\n    body button#searchBarTogger {\n        height: 60px;\n    }\n\n    .exe-search-on.siteNav-off button#siteNavToggler,\n    .exe-search-on button#siteNavToggler {\n        height: 26px;\n    }\n    .exe-single-page .package-header h1 {\n        padding-left: 60px;\n        overflow: hidden;\n        text-overflow: ellipsis;\n        word-wrap: break-word;\n        display: -webkit-box;\n        -webkit-line-clamp: 2;\n        -webkit-box-orient: vertical;\n        white-space: normal;\n        height: auto;\n    }\n    .exe-scorm .exe-export main,\n    .exe-ims .exe-export main,\n    .exe-pub .exe-export main {\n        padding-top: 7em;\n    }\n\n    /* Teacher mode*/\n    .exe-export .form-check {\n        right: 120px;\n    }\n    .exe-export .form-switch .form-check-input {\n        width: 2.5em;\n        height: 1.5em;\n    }\n    .exe-export .form-switch .form-check-input:focus {\n        background-size: 16px;\n    }\n    .exe-teacher-mode-toggler .page > header .package-title,\n    .exe-teacher-mode-toggler.siteNav-off .page > header .package-title {\n        width: calc(100% - 260px);\n    }\n    .exe-web-site .page-counter {\n        right: 140px;\n    }\n    .exe-teacher-mode-toggler.exe-web-site .page-counter {\n        right: 210px;\n    }\n}\n\n@media print {\n    html body {\n        background: #fff;\n    }\n    .exe-content {\n        color: #000;\n        padding: 0;\n    }\n    @page {\n        margin: 1.5cm;\n    }\n    body #header,\n    body #emptyHeader,\n    body #nodeDecoration {\n        height: auto !important;\n        min-height: 0;\n        border: none;\n        padding: 0;\n    }\n    body #headerContent {\n        padding-top: 40px;\n    }\n    #packageLicense.cc {\n        background: none;\n        padding-left: 0;\n    }\n    .exe-export .box-toggle {\n        display: none;\n    }\n    /* Website */\n    .exe-web-site #siteNav,\n    .exe-web-site .nav-buttons,\n    .exe-web-site button.toggler {\n        display: none;\n    }\n    .exe-web-site #siteFooter,\n    .exe-web-site main.page {\n        padding-left: 0;\n        padding-right: 0;\n    }\n    .exe-web-site main.page {\n        padding-top: 1em;\n    }\n}\n",
-    "config": "<?xml version=\"1.0\"?>\n<theme>\n    <name>neo</name>\n    <title>Neo</title>\n    <version>2025</version>\n    <compatibility>3.0</compatibility>\n    <author>3ipunt for eXeLearning.net</author>\n    <license>Creative Commons by-sa</license>\n    <license-url>http://creativecommons.org/licenses/by-sa/3.0/</license-url>\n    <description>Innovación con propósito.\n\nNunito Font, by Vernon Adams (vern@newtypography.co.uk), under the SIL Open Font License, Version 1.1. Copyright (c) 2014, Vernon Adams (vern@newtypography.co.uk), with Reserved Font Name \"Nunito\".</description>\n    <downloadable>1</downloadable>\n</theme>"
+    "config": "<?xml version=\"1.0\"?>\n<theme>\n    <name>neo</name>\n    <title>Neo</title>\n    <version>2025</version>\n    <compatibility>3.0</compatibility>\n    <author>3ipunt for eXeLearning.net</author>\n    <license>Creative Commons by-sa</license>\n    <license-url>http://creativecommons.org/licenses/by-sa/3.0/</license-url>\n    <description>Innovación con propósito.\n\nNunito Font, by Vernon Adams (vern@newtypography.co.uk), under the SIL Open Font License, Version 1.1. Copyright (c) 2014, Vernon Adams (vern@newtypography.co.uk), with Reserved Font Name \"Nunito\".</description>\n    <downloadable>1</downloadable>\n</theme>",
+    "icons": [
+      "icon_agreement.png",
+      "icon_alert.png",
+      "icon_arts.png",
+      "icon_attached.png",
+      "icon_cabinet.png",
+      "icon_calc.png",
+      "icon_collaborative.png",
+      "icon_competencies.png",
+      "icon_diary.png",
+      "icon_download.png",
+      "icon_english.png",
+      "icon_experiment.png",
+      "icon_geography.png",
+      "icon_history.png",
+      "icon_info.png",
+      "icon_java.png",
+      "icon_letters.png",
+      "icon_magnifier.png",
+      "icon_math.png",
+      "icon_music.png",
+      "icon_nature.png",
+      "icon_objective.png",
+      "icon_picture.png",
+      "icon_piece.png",
+      "icon_preknowledge.png",
+      "icon_question.png",
+      "icon_reading.png",
+      "icon_reflection.png",
+      "icon_rss.png",
+      "icon_share.png",
+      "icon_sport.png",
+      "icon_task.png",
+      "icon_technology.png",
+      "icon_theater.png",
+      "icon_think.png",
+      "icon_tool.png",
+      "icon_wikipedia.png",
+      "icon_write.png"
+    ]
+  },
+  "flux": {
+    "js": "var myTheme = {\n    init: function () {\n        // Common functions\n        if (this.inIframe()) $('body').addClass('in-iframe');\n        if (!$('body').hasClass('exe-web-site')) return;\n        // Add menu and search bar togglers\n        var togglers =\n            '\\\n            <button type=\"button\" id=\"siteNavToggler\" class=\"toggler\" title=\"' +\n            $exe_i18n.menu +\n            '\">\\\n                <span class=\"sr-av\">' +\n            $exe_i18n.menu +\n            '</span>\\\n            </button>\\\n            <button type=\"button\" id=\"searchBarTogger\" class=\"toggler\" title=\"' +\n            $exe_i18n.search +\n            '\">\\\n                <span class=\"sr-av\">' +\n            $exe_i18n.search +\n            '</span>\\\n            </button>\\\n        ';\n        $('#siteNav').before(togglers);\n        // Check the current NAV status\n        var url = window.location.href;\n        url = url.split('?');\n        if (url.length > 1) {\n            if (url[1].indexOf('nav=false') != -1) {\n                $('body').addClass('siteNav-off');\n                myTheme.params('add');\n            }\n        }\n        // Menu toggler\n        $('#siteNavToggler').on('click', function () {\n            if (myTheme.isLowRes()) {\n                $('#exe-client-search').hide();\n                if ($('body').hasClass('siteNav-off')) {\n                    $('body').removeClass('siteNav-off');\n                } else {\n                    if ($('#siteNav').isInViewport()) {\n                        $('body').addClass('siteNav-off');\n                        myTheme.params('add');\n                    }\n                }\n            } else {\n                $('body').toggleClass('siteNav-off');\n                myTheme.params(\n                    $('body').hasClass('siteNav-off') ? 'add' : 'remove'\n                );\n            }\n        });\n        // Search bar toggler\n        $('#searchBarTogger').on('click', function () {\n            var bar = $('#exe-client-search');\n            if (bar.is(':visible')) {\n                bar.hide();\n            } else {\n                if (myTheme.isLowRes()) {\n                    $('body').addClass('siteNav-off');\n                }\n                bar.show();\n                $('#exe-client-search-text').focus();\n            }\n        });\n        if (!this.inIframe()) {\n            // Fixed navigation\n            $('#siteNav').wrap('<div id=\"sidebar-nav\"></div>');\n            myTheme.checkNav();\n            $(window).bind('resize', function () {\n                myTheme.checkNav();\n            });\n        }\n        // Search form\n        this.searchForm();\n\n        // mover .page-title dentro de .page-content\n        this.movePageTitle();\n    },\n    inIframe: function () {\n        try {\n            return window.self !== window.top;\n        } catch (e) {\n            return true;\n        }\n    },\n    searchForm: function () {\n        $('#exe-client-search-text').attr('class', 'form-control');\n    },\n    isLowRes: function () {\n        return $('#siteNav').css('float') == 'none';\n    },\n    checkNav: function () {\n        var wrapper = $('#sidebar-nav');\n        var navH = $('#siteNav > ul').height(); // Menu height\n        navH = navH + 50;\n        if (navH < $(window).height()) wrapper.addClass('fixed');\n        else wrapper.removeClass('fixed');\n    },\n    param: function (e, act) {\n        if (act == 'add') {\n            var ref = e.href;\n            var con = '?';\n            if (ref.indexOf('.html?') != -1) con = '&';\n            var param = 'nav=false';\n            if (ref.indexOf(param) == -1) {\n                ref += con + param;\n                e.href = ref;\n            }\n        } else {\n            // This will remove all params\n            var ref = e.href;\n            ref = ref.split('?');\n            e.href = ref[0];\n        }\n    },\n    params: function (act) {\n        $('.nav-buttons a').each(function () {\n            myTheme.param(this, act);\n        });\n    },\n\n    // function that move the h2 outside the header\n    movePageTitle: function () {\n        const tryMove = () => {\n            const $header = $('.page > header.page-header');\n            const $title = $header.find('.page-title').first();\n\n            // Search container of content\n            let $content = $('.page-content').first();\n            if (!$content.length)\n                $content = $('.content, main .content').first();\n            if (!$content.length) $content = $('#main, #content').first();\n            if (!$content.length && $header.length)\n                $content = $header.nextAll(':not(header)').first();\n            if (!$content.length && $header.length) $content = $header.parent();\n\n            if ($header.length && $title.length && $content.length) {\n                $content.prepend($title); // move it to the start\n                return true;\n            }\n            return false;\n        };\n\n        if (tryMove()) return;\n\n        const observer = new MutationObserver(() => {\n            if (tryMove()) observer.disconnect();\n        });\n        observer.observe(document.body, { childList: true, subtree: true });\n    },\n    // 🔼\n};\n\n$(function () {\n    myTheme.init();\n});\n\n$.fn.isInViewport = function () {\n    var elementTop = $(this).offset().top;\n    var elementBottom = elementTop + $(this).outerHeight();\n    var viewportTop = $(window).scrollTop();\n    var viewportBottom = viewportTop + $(window).height();\n    return elementBottom > viewportTop && elementTop < viewportBottom;\n};\n",
+    "css": "@charset \"UTF-8\";\n@font-face {\n    font-family: \"Fredoka\";\n    src: url(\"fonts/Fredoka-Regular.woff\") format(\"woff\");\n    font-weight: 400;\n    font-style: normal;\n}\n\n@font-face {\n    font-family: \"Fredoka\";\n    src: url(\"fonts/Fredoka-SemiBold.woff\") format(\"woff\");\n    font-weight: 600;\n    font-style: normal;\n}\n\n@font-face {\n    font-family: \"Fredoka\";\n    src: url(\"fonts/Fredoka-Bold.woff\") format(\"woff\");\n    font-weight: 700;\n    font-style: normal;\n}\n\na {\n    text-decoration: none;\n}\n\n.page-title {\n    font-weight: bold;\n    color: white;\n    margin-top: 40px;\n}\n\n.exe-epub .page-title, .exe-scorm .page-title, .exe-ims .page-title {\n    color: #282573;\n}\n\n.page > header .package-title,\n.siteNav-off .page > header .package-title {\n    padding-left: 24px;\n    width: calc(100% - 470px);\n    white-space: nowrap;\n    overflow: hidden;\n    text-overflow: ellipsis;\n}\n\n.exe-teacher-mode-toggler .page > header .package-title,\n.exe-teacher-mode-toggler.siteNav-off .page > header .package-title {\n    width: calc(100% - 550px);\n}\n\n.exe-scorm .page header .page-title,\n.exe-ims .page header .page-title,\n.exe-epub .page header .page-title {\n    width: 100%;\n}\n\n.exe-scorm .page > header .package-title,\n.exe-scorm .siteNav-off .page > header .package-title,\n.exe-ims .page > header .package-title,\n.exe-ims .siteNav-off .page > header .package-title,\n.exe-epub .page > header .package-title,\n.exe-epub .siteNav-off .page > header .package-title,\n.exe-ims .page > header .package-title,\n.exe-single-page .package-header h1 {\n    width: 100%;\n}\n\n.package-subtitle {\n    width: 100%;\n    position: absolute;\n    left: 32px;\n    bottom: 0;\n    font-size: .9em;\n    color: #777;\n}\n\n.exe-web-site .package-subtitle {\n    max-width: 70%;\n    white-space: nowrap;\n    text-overflow: ellipsis;\n    overflow: hidden;\n}\n\n.siteNav-off .page > header .package-subtitle {\n    left: 24px;\n}\n\n@media (max-width: 750px) {\n    .package-subtitle {\n        left: 24px;\n        font-size: 1em;\n    }\n}\n\nbody:has(.package-subtitle) .package-title,\nbody.exe-single-page:has(.package-subtitle) .package-node h1 {\n    position:relative;\n    top: -.2em;\n}\n\nmain header:not(#head) {\n    padding: 0 !important;\n    margin: 0 !important;\n    max-width: none !important;\n}\n\n.page > header {\n    position: fixed;\n    top: 0;\n    right: 0;\n    left: 0;\n    z-index: 400;\n    height: 100px;\n    display: flex !important;\n    align-items: center;\n    background: #fff;\n    /* background:#fff url(img/logo.png) no-repeat 24px 15px/ 132px; */\n    border-bottom: 2px solid #282573;\n}\n\n.page > header .package-title,\n.exe-single-page .package-header h1 {\n    padding-left: 32px;\n    color: #282573;\n}\n\nbody.exe-export {\n    padding: 1em 0;\n}\n\nbody.exe-export.exe-scorm,\nbody.exe-export.exe-ims,\nbody.exe-export.exe-epub {\n    padding: 0;\n}\n\nbody.exe-scorm .package-title,\nbody.exe-ims .package-title,\nbody.exe-epub .package-title{\n    position: absolute;\n    top: 24px;\n    left: 0;\n    font-weight: normal;\n    font-size: .95em;\n    color: #777;\n}\n\nbody.exe-scorm .package-subtitle,\nbody.exe-ims .package-subtitle,\nbody.exe-epub .package-subtitle {\n    position: absolute;\n    clip: rect(1px 1px 1px 1px); /* IE6, IE7 */\n    clip: rect(1px, 1px, 1px, 1px);\n}\n\nbody.exe-scorm .page-title,\nbody.exe-ims .page-title,\nbody.exe-epub .page-title {\n    padding: 0 32px;\n}\n\n@media (max-width: 750px) {\n    body.exe-scorm .page-title,\n    body.exe-ims .page-title,\n    body.exe-epub .page-title {\n        padding: 0 24px;\n    }\n}\n\nbody.exe-web-site {\n    padding: 0;\n}\n\nbody.exe-export,\nbody.exe-web-site {\n    font-family: \"Fredoka\", Arial, Verdana, Helvetica, sans-serif;\n    font-size: 120%;\n}\n\n.exe-content a {\n    color: #0d77d1;\n}\n.exe-content a:hover,\n.exe-content a:focus {\n    color: #0a60ab;\n    text-decoration: none;\n}\n\n.exe-download-package-link a {\n    background: #282573;\n    color: #fff;\n}\n\n#node-content-container.exe-content #node-content {\n    padding-top: 20px;\n    padding-bottom: 20px;\n    max-width: 1280px;\n    margin: 0 auto;\n    display: block;\n}\n\n.exe-content {\n    color: #333;\n    background-color: #f4f4f4;\n    background: url(img/background.png);\n    background-size: cover;\n    background-position: center;\n    background-repeat: no-repeat;\n    background-attachment: fixed;\n}\n\n.js .exe-export .exe-content {\n    min-height: calc(100vh - 30px);\n}\n\n.js .in-iframe .exe-content {\n    min-height: 0;\n}\n\n.sr-av {\n    display: none;\n}\n\n.exe-content .package-title,\n.exe-single-page .package-header h1 {\n    font-size: 1.7rem;\n    text-align: left;\n    font-weight: 600;\n}\n\n.exe-single-page .package-node {\n    margin-bottom: 3.5em;\n}\n\n.exe-content .box {\n    margin: 35px 0;\n    border: none;\n}\n\n.exe-web-site .exe-content .box {\n    margin: 40px 0;\n}\n\n.exe-content .box-head {\n    border-bottom: 0;\n}\n\n#node-content-container.exe-content .box {\n    border: 1px dotted #ddd;\n}\n#node-content-container.exe-content .box.hidden-idevices {\n    border-style: solid;\n}\n\n.exe-content .box header {\n    min-height: 60px;\n    border-bottom: 1px solid #e4e4e4;\n}\n\n.exe-content .box-head .box-title {\n    color: #282573;\n    font-size: 1.65rem !important;\n    font-weight: 400;\n}\n\n.exe-content .box-head .exe-icon {\n    float: left;\n}\n\n.exe-web-site .page-content,\n#exe-client-search,\n.exe-web-site main > header,\n.exe-export .exe-content {\n    max-width: 1280px;\n    padding: 0 60px;\n    margin: 0 auto;\n}\n\n.exe-single-page .exe-content {\n    max-width: 100% !important;\n}\n\n.exe-single-page .exe-content main,\n.exe-single-page .exe-content footer {\n    max-width: 1280px;\n    margin: 0 auto;\n}\n.exe-single-page .exe-content main {\n    padding-top: 4em;\n}\n\n.exe-web-site .exe-content {\n    max-width: none;\n    padding: 0;\n}\n\n.exe-scorm .exe-export main,\n.exe-ims .exe-export main,\n.exe-epub .exe-export main {\n    padding-top: 5em;\n    padding-bottom: 1em;\n}\n\nbody.exe-export.exe-scorm .exe-content,\nbody.exe-export.exe-ims .exe-content,\nbody.exe-export.exe-epub .exe-content {\n    padding: 0 40px;\n}\n.exe-content.cover-on .exe-interactive-video,\n.exe-content .exe-interactive-video {\n    width: 100%;\n}\n\n.exe-export main {\n    padding-top: 1.5em;\n}\n.exe-web-site main {\n    padding-top: 4.5em;\n}\n\n/* siteNav */\n#siteNav {\n    float: left;\n    padding: 100px 16px 48px 16px;\n    background-color: #2c2977;\n    height: calc(100vh - 100px);\n    border-radius: 0 40px 40px 0;\n    width: 330px;\n    z-index: 1;\n    position: fixed;\n    transition: left 0.3s ease;\n    left: 0;\n    top: 100px;\n    overflow: visible;\n    border-top: 2px solid #6d68d9;\n    border-right: 2px solid #6d68d9;\n    border-bottom: 2px solid #6d68d9;\n}\n#siteNav::-webkit-scrollbar {\n    display: none;\n}\n\n#siteNav > ul {\n    max-height: calc(100vh - 230px);\n    overflow-y: auto;\n    margin: 0;\n    padding: 0;\n}\n\n#siteNav > ul::-webkit-scrollbar {\n    display: none;\n}\n\n#siteFooterExtra {\n    margin-bottom: 2em;\n    color: #555;\n    font-size: 0.95em;\n}\n#siteNav .other-section {\n    display: none;\n}\n#sidebar-nav.fixed,\n#sidebar-nav {\n    position: fixed;\n}\nbody.siteNav-off #siteNav {\n    left: -330px;\n}\n.exe-web-site main.page {\n    box-sizing: border-box;\n    width: 100%;\n    padding-left: 330px;\n    padding-bottom: 24px;\n    transition: padding 0.3s ease;\n}\n.exe-web-site #siteFooter {\n    padding-left: 390px;\n    padding-right: 60px;\n    padding-bottom: 2em;\n    transition: padding 0.3s ease;\n}\nbody.exe-web-site.siteNav-off #siteFooter {\n    padding-right: 0;\n}\n\n.exe-scorm #siteFooter,\n.exe-ims #siteFooter,\n.exe-epub #siteFooter {\n    padding-bottom: 40px;\n}\nbody.siteNav-off main.page,\nbody.siteNav-off #siteFooter {\n    padding-left: 20px;\n}\n#siteNav ul,\n#siteNav li {\n    margin: 0;\n    padding: 0;\n    list-style: none;\n}\n\n#siteNav li {\n    margin-bottom: 6px;\n}\n\n#siteNav a {\n    color: #fff;\n    display: block;\n    padding: 8px 15px;\n    border-radius: 8px;\n    transition: background-color 0.5s ease;\n    font-weight: 400;\n}\n\n#siteNav a.active {\n    color: #282573;\n    background-color: #ffcc00;\n    font-weight: 600;\n    margin-bottom: 6px;\n}\n\n#siteNav a.highlighted-link {\n    color: #fff;\n    margin-top: 10px;\n    background: #191748 url(img/book_white.svg) no-repeat 8px center;\n    padding-left: 42px;\n}\n\n#siteNav a.highlighted-link.active {\n    background: #ffcc00 url(img/book_color.svg) no-repeat 8px center !important;\n    color: #282573;\n}\n\n#siteNav a.highlighted-link:hover {\n    background: #ffcc00 url(img/book_color.svg) no-repeat 8px center !important;\n    color: #282573;\n}\n#siteNav a.highlighted-link:focus {\n    background: #ffcc00 url(img/book_color.svg) no-repeat 8px center !important;\n    color: #282573;\n}\n\n#siteNav a:hover {\n    background: #e6b800;\n    text-decoration: none;\n    color: #282573;\n}\n\n#siteNav ul ul a {\n    padding-left: 35px;\n    font-size: 0.95em;\n    background-color: #ffe580;\n    color: #282573;\n}\n\n.current-page-parent a {\n    background-color: #ffe580;\n    margin-bottom: 6px;\n    color: #282573 !important;\n}\n\n#siteNav ul ul ul a {\n    padding-left: 55px;\n    font-size: 0.9em;\n}\n\n#siteNav ul ul ul ul a {\n    padding-left: 75px;\n}\n\n.daddy {\n    background: #282573 url(img/arrow_down_menu.svg) no-repeat right 16px center /\n        22px !important;\n}\n.active .active.daddy {\n    background: #ffd940 url(img/arrow.svg) no-repeat right 16px center / 22px !important;\n}\n.active .daddy {\n    background: #ffe580 url(img/arrow_down.svg) no-repeat right 16px center /\n        22px !important;\n}\n#siteNav .current-page-parent > .daddy {\n    background: #ffe580 url(img/arrow.svg) no-repeat right 16px center / 22px !important;\n    margin-bottom: 6px;\n}\n.current-page-parent .daddy {\n    background: #ffe580 url(img/arrow_down.svg) no-repeat right 16px center /\n        22px !important;\n}\n.daddy:hover {\n    background: #ffd940 url(img/arrow_down.svg) no-repeat right 16px center /\n        22px !important;\n}\n.active.daddy:hover {\n    background: #ffd940 url(img/arrow.svg) no-repeat right 16px center / 22px !important;\n}\n\n/* pagination */\n.nav-buttons .nav-button,\nbutton.toggler {\n    position: fixed;\n    top: 18px;\n    right: 65px;\n    display: inline-block;\n    width: auto;\n    height: auto;\n    background-image: url(img/back_arrow.svg);\n    background-size: 20px;\n    background-color: #ffcc00;\n    background-repeat: no-repeat;\n    border-radius: 8px;\n    z-index: 999;\n    border: 0;\n    transition: background-color 0.5s ease;\n    padding: 18px;\n    color: #282573;\n    font-weight: 400;\n}\n\n.nav-buttons span.nav-button {\n    opacity: 0.5;\n    filter: grayscale(1);\n    cursor: not-allowed;\n}\n.nav-buttons .nav-button-left {\n    background-position: left 14px center;\n    padding-left: 48px;\n    right: 180px;\n}\n.nav-buttons .nav-button-right {\n    background-position: right 14px center;\n    padding-right: 48px;\n    background-image: url(img/forward_arrow.svg);\n    right: 20px;\n}\n\n.nav-buttons a:hover,\n.nav-buttons a:focus,\nbutton.toggler:hover,\nbutton.toggler:focus {\n    background-color: #ebb800;\n    border-color: #ebb800;\n    text-decoration: none;\n    color: #282573;\n}\nbutton#siteNavToggler {\n    left: 10px;\n    top: 130px;\n    background: url(img/menu_open.svg) no-repeat 12px / 32px;\n    width: 106px;\n    height: 40px;\n    border-radius: 8px;\n    box-sizing: content-box;\n    padding: 8px;\n}\n\n#siteNavToggler:hover {\n    background-color: #1c1a56;\n    z-index: 2;\n}\nbody.siteNav-off button#siteNavToggler {\n    left: 0;\n    top: 130px;\n    padding: 8px 8px 8px 17px;\n    border-radius: 0 8px 8px 0;\n    background: #ffcc00 url(img/menu_closed.svg) no-repeat 16px / 32px;\n}\nbody.siteNav-off button#siteNavToggler:hover {\n    background-color: #ebb800;\n}\n\n#siteNavToggler .sr-av {\n    visibility: visible;\n    position: static;\n    padding-left: 24px;\n    color: #fff;\n    font-size: 1.25rem;\n    font-weight: 400;\n    display: inline;\n}\n\nbody.siteNav-off button#siteNavToggler .sr-av {\n    color: #282573;\n}\n\n#exe-client-search-reset span,\n#packageLicense .license-label {\n    position: absolute;\n    clip: rect(1px 1px 1px 1px); /* IE6, IE7 */\n    clip: rect(1px, 1px, 1px, 1px);\n}\n\n.box-toggle span {\n    display: none;\n}\n\n/* Box toggler */\n.box {\n    background-color: #ffffff;\n    border: 1px solid #eaecf0;\n    border-radius: 12px;\n    padding: 2.25rem;\n    margin-bottom: 32px;\n}\n\n.exe-export .box {\n    position: relative;\n}\n.exe-export .box-toggle {\n    width: 40px;\n    height: 40px;\n    background: url(img/arrow.svg);\n    background-size: auto 32px;\n    background-repeat: no-repeat;\n    background-position: center;\n    border-radius: 50%;\n    border: 0;\n    position: absolute;\n    top: 20px;\n    right: 20px;\n    transition: transform 0.2s ease-in-out;\n}\n\n.exe-export .minimized .box-toggle {\n    transform: rotate(180deg);\n}\n\n#node-content-container.exe-content .box-head .exe-icon {\n    width: 60px;\n    height: 60px;\n    font-size: 40px;\n}\n\n#node-content-container.exe-content .box-head .exe-icon img {\n    height: 40px;\n}\n\n.exe-export .box-icon img {\n    display: block;\n    float: left;\n    margin-right: 10px;\n}\n\n.exe-export .box-icon img {\n    width: 40px;\n    height: auto;\n}\n\n.exe-export .box-title {\n    padding-top: 5px;\n}\n\n.exe-export .box.minimized .box-head {\n    border-bottom: 1px solid #ddd;\n}\n\n.exe-export .box.no-header.minimized .box-head {\n    border-color: #fff;\n}\n\n.exe-export .box.no-header .box-content {\n    background: none;\n    border: none;\n    padding: 20px 0;\n}\n.exe-export #siteFooterContent {\n    background-color: white;\n    padding: 14px;\n    border-radius: 6px;\n    width: 100%;\n    max-width: 1160px;\n    margin: 0 auto;\n}\n#siteFooterContent #packageLicense {\n    margin: 0;\n}\n\n/* Table */\n\ntable {\n    display: table;\n    overflow-x: auto;\n    -webkit-overflow-scrolling: touch;\n    max-width: 100% !important;\n    margin: 2em 0 !important;\n}\n\n/* Licenses */\n#packageLicense {\n    text-align: left;\n    font-size: 0.9em;\n    color: #555;\n    line-height: 1em;\n    margin: 2.5em 0 2em 0;\n    border: 1px solid transparent;\n    border-radius: 2px;\n}\n#packageLicense p {\n    margin: 0;\n}\n#packageLicense a {\n    color: #666;\n    text-transform: capitalize;\n    display: inline-block;\n    white-space: nowrap;\n    text-overflow: ellipsis;\n    max-width: 100%;\n    overflow: hidden;\n    line-height: 15px;\n}\n#packageLicense a:hover,\n#packageLicense a:focus {\n    text-decoration: none;\n    color: #b04721;\n}\n#packageLicense.propietary {\n    position: absolute;\n    overflow: hidden;\n    clip: rect(0, 0, 0, 0);\n    height: 0;\n}\n#packageLicense.cc {\n    padding: 0 20px 0 90px;\n    background: url(img/licenses.gif) no-repeat 0 0;\n}\n#packageLicense.cc-by-sa {\n    background-position: 0 -100px;\n}\n#packageLicensea.cc-by-nd {\n    background-position: 0 -200px;\n}\n#packageLicense.cc-by-nc {\n    background-position: 0 -300px;\n}\n#packageLicense.cc-by-nc-sa {\n    background-position: 0 -400px;\n}\n#packageLicense.cc-by-nc-nd {\n    background-position: 0 -500px;\n}\n#packageLicense.cc-0 {\n    background-position: 0 -600px;\n}\n\n/* iDevice buttons */\n.exe-content .iDevice_buttons input {\n    background: #fff;\n    color: #555;\n    border: 1px solid #ccc;\n    padding: 4px 10px;\n    border-radius: 4px;\n    transition: 0.5s ease;\n}\n.exe-content .iDevice_buttons input:hover,\n.exe-content .iDevice_buttons input:focus {\n    box-shadow: 2px 2px 4px #dbdbdb;\n    color: #000;\n    border-color: #bbb;\n}\n\n/* Page counter */\n.page-counter {\n    text-align: right;\n    margin: 0 0 0.5em 0;\n    font-size: 0.9em;\n    color: #777;\n    font-weight: 400;\n    background: #fff;\n    position: fixed;\n    top: 38px;\n    right: 32px;\n    margin: 0;\n    padding: 0;\n    color: #777;\n    text-align: right;\n}\n\n.exe-web-site .page-counter {\n    right: 366px;\n}\n\nbody.exe-teacher-mode-toggler.exe-web-site .page-counter {\n    right: 450px;\n}\n\n/* Search bar */\nbody.siteNav-off.exe-search-on button#searchBarTogger,\nbody.exe-search-on button#searchBarTogger {\n    display: inline-block;\n}\n#exe-client-search-form p {\n    margin-top: 4em;\n}\n#exe-client-search-form p {\n    display: flex;\n    width: 100%;\n    flex-direction: row;\n    flex-wrap: nowrap;\n    gap: 6px;\n}\n\nbutton#searchBarTogger {\n    right: auto;\n    left: 260px;\n    top: 136px;\n    background: #ffcc00 url(img/search.svg) no-repeat center / 28px;\n    width: 48px;\n    height: 48px;\n    display: none;\n}\nbody.siteNav-off button#searchBarTogger {\n    top: 220px;\n    left: 0px;\n    padding-left: 50px;\n    border-radius: 0 8px 8px 0;\n    display: none;\n}\n#exe-client-search {\n    display: none;\n    margin-bottom: 30px;\n}\n#exe-client-search-text {\n    flex: 1 1 auto;\n    min-width: 0;\n    display: inline;\n    height: 48px;\n}\n#exe-client-search-submit {\n    text-indent: -999em;\n    background: #ffcc00 url(img/search.svg) no-repeat center / 28px;\n    border: none;\n    border-radius: 4px;\n    background-position: center;\n}\n#exe-client-search-reset.visible {\n    background: #282573 url(img/menu_open.svg) no-repeat center / 28px;\n    background-size: auto 40px;\n    display: inline-block;\n    vertical-align: middle;\n    border-radius: 4px;\n}\n#exe-client-search-submit,\n#exe-client-search-reset.visible {\n    height: 48px;\n    flex: 0 0 48px;\n}\n#exe-client-search-reset:hover,\n#exe-client-search-reset:focus {\n    opacity: 1;\n}\n#exe-client-search-submit:hover,\n#exe-client-search-submit:focus {\n    background-color: #ffcc00;\n}\n#exe-client-search-results-list ul,\n#exe-client-search-results-list li {\n    margin: 2em 0;\n    padding: 0;\n    list-style: none;\n}\n#exe-client-search-results-list li {\n    margin: 0 0 1em 0;\n}\n#exe-client-search-results-list p {\n    margin-top: 2em;\n}\n\n#exe-client-search-results-list ul,\n#exe-client-search-results-list p {\n    background-color: #ffffff;\n    border-radius: 12px;\n    padding: 2.25rem;\n}\n\n/* Accesibilidad */\n.exe-atools-on #eXeAtools #eXeAtoolsSet {\n    display: flex;\n    padding: 6px 4px;\n}\n#eXeAtools select {\n    position: static !important;\n}\n\n/* Modo docente */\n\n.exe-export .form-check {\n    float: none;\n    position: absolute;\n    top: 18px;\n    right: 335px;\n    display: flex;\n    align-items: center;\n    padding: 4px 36px 4px 4px;\n    margin: 0 10px 0 0;\n    height: 64px;\n    background-image: url(img/teacher_hat.svg);\n    background-repeat: no-repeat;\n    background-position: right center;\n    background-size: 28px;\n}\n.exe-export .form-check-label {\n    display: none;\n}\n.exe-export .form-switch .form-check-input {\n    width: 2.6em;\n    height: 1.4em;\n}\n.exe-export .form-check-input:checked {\n    background-color: #ffcc00;\n    border-color: #ffcc00;\n}\n.exe-export .form-check-input:focus {\n    border-color: #ffcc00;\n    box-shadow: 0 0 0 0.25rem rgba(255, 204, 0, 0.25);\n}\n.exe-export .form-check label {\n    width: 64px;\n    font-size: 1rem;\n}\n.exe-export .form-switch .form-check-input:focus {\n    background-image: url(img/switch.svg);\n    background-size: 19px;\n    background-repeat: no-repeat;\n    background-position: left 1.6px center;\n}\n.exe-export .mode-teacher .form-switch .form-check-input:focus {\n    background-image: url(img/switch_white.svg);\n    background-position: right 1.6px center;\n}\n\n/* Responsive design */\n\n@media (max-width: 1440px) {\n    .siteNav-off #siteNavToggler .sr-av {\n        display: none;\n    }\n    .siteNav-off #siteNavToggler {\n        width: 50px;\n    }\n}\n\n@media (max-width: 1200px) {\n    body.cover-on #activity {\n        width: 100% !important;\n    }\n    #activity {\n        width: 100%;\n        margin: 0 auto;\n    }\n    #activity #player {\n        width: 100% !important;\n        max-width: 100% !important;\n    }\n}\n\n@media (max-width: 1024px) {\n    .nav-buttons .nav-button span {\n        display: none;\n    }\n\n    .nav-buttons .nav-button {\n        height: 60px;\n    }\n\n    .nav-buttons .nav-button-right {\n        right: 20px;\n        background-position: center;\n    }\n\n    .nav-buttons .nav-button-left {\n        right: 100px;\n        background-position: center;\n    }\n\n    .page > header .package-title,\n    .siteNav-off .page > header .package-title {\n        width: calc(100% - 240px);\n    }\n    .exe-web-site .page-counter {\n        left: auto;\n        right: 80px;\n        top: 72px;\n    }\n    .exe-search-on .nav-buttons .nav-button-left,\n    .exe-search-on .nav-buttons .nav-button-right {\n        top: 12px;\n    }\n    .page-counter-label {\n        display: none;\n    }\n\n    .exe-export .form-check {\n        right: 182px;\n    }\n    .exe-export .form-check:hover {\n        background-color: transparent;\n    }\n    .exe-export .form-check-label {\n        display: none;\n    }\n    .exe-export .form-check-input {\n        margin: 0 !important;\n    }\n    .exe-teacher-mode-toggler .page > header .package-title,\n    .exe-teacher-mode-toggler.siteNav-off .page > header .package-title {\n        width: calc(100% - 280px);\n    }\n}\n\n@media (max-width: 750px) {\n    .exe-web-site .page-content,\n    #exe-client-search {\n        padding: 0 20px;\n    }\n    #sidebar-nav {\n        position: static !important;\n        width: 100%;\n        padding: 200px 0 0 0;\n    }\n    #siteNav {\n        float: none;\n        border-right: 0;\n        width: 100%;\n        background-color: #282573;\n        height: auto;\n        padding: 16px 16px 8px 16px;\n        border-radius: 0;\n        position: static;\n        border: 0;\n    }\n    body.siteNav-off #siteNav {\n        display: none;\n    }\n    #siteNav a {\n        width: 100%;\n        max-width: none;\n    }\n    button#siteNavToggler {\n        background: #fff url(img/menu_open_color.svg) no-repeat 12px center /\n            32px;\n    }\n    body.siteNav-off button#siteNavToggler {\n        background: #fff url(img/menu_closed.svg) no-repeat 12px center / 32px;\n    }\n    body.siteNav-off button#siteNavToggler,\n    button#siteNavToggler {\n        position: absolute;\n        z-index: 0;\n        font-weight: 600;\n        border: 1px solid #282573;\n        right: 16px;\n        left: 16px;\n        top: 120px;\n        border-radius: 0.75rem;\n        width: auto;\n        height: 26px;\n        padding: 16px;\n    }\n    button#siteNavToggler:hover,\n    body.siteNav-off button#siteNavToggler:hover {\n        background-color: #ffcc00;\n    }\n    button#siteNavToggler span,\n    button#siteNavToggler .sr-av {\n        display: block;\n        color: #000000;\n        overflow: visible;\n        width: auto;\n        height: auto;\n        text-align: left;\n        padding-left: 40px;\n        position: relative;\n        top: -2px;\n    }\n    .exe-web-site main.page {\n        padding-left: 0;\n        padding-top: 0;\n    }\n    body.siteNav-off button#siteNavToggler .sr-av {\n        color: #000 !important;\n        text-align: left;\n        padding-left: 40px;\n        width: auto;\n        height: auto;\n        display: block;\n    }\n\n    body.siteNav-off main.page,\n    body.siteNav-off #siteFooter {\n        padding: 0;\n    }\n\n    .exe-web-site .exe-content .box {\n        margin-top: 20px;\n    }\n    /* .page > header,\n    .siteNav-off .page > header{\n        background: #fff url(img/logo_responsive.png) no-repeat 32px 15px/ 32px;\n    } */\n    .page > header .package-title,\n    .siteNav-off .page > header .package-title,\n    .exe-single-page .package-header h1 {\n        padding-left: 24px;\n    }\n    .siteNav-off #siteNavToggler .sr-av {\n        display: inline-block;\n        width: 100% !important;\n    }\n    .exe-search-on.siteNav-off button#siteNavToggler,\n    .exe-search-on button#siteNavToggler {\n        right: 100px;\n        height: 30px;\n    }\n    body.siteNav-off button#searchBarTogger,\n    body button#searchBarTogger {\n        left: auto;\n        right: 20px;\n        top: 120px;\n        height: 64px;\n        border-radius: 0.75em;\n        width: 68px;\n        position: absolute;\n        z-index: 0;\n    }\n    #exe-client-search-text {\n        height: 54px;\n    }\n    #exe-client-search-form p {\n        height: 54px;\n        margin-top: 1em;\n    }\n    #exe-client-search-submit {\n        background: #ffcc00 no-repeat url(img/search.svg) center / 26px;\n    }\n    #exe-client-search-reset.visible {\n        background: #282573 url(img/menu_open.svg) no-repeat center / 26px;\n    }\n    #exe-client-search-submit,\n    #exe-client-search-reset.visible {\n        height: 54px;\n        flex: 0 0 54px;\n    }\n    .exe-client-search-results {\n        padding-bottom: 24px !important;\n    }\n    .exe-web-site #siteFooter #siteFooterContent {\n        margin: 0 auto;\n    }\n    .exe-web-site #siteFooter {\n        padding: 0 20px 2em 20px !important;\n    }\n    #packageLicense {\n        margin: 0 0 1em 0;\n    }\n}\n@media (max-width: 650px) {\n    html {\n        font-size: 0.75rem !important;\n    }\n    /* .page > header,\n    .siteNav-off .page > header{\n        background: #fff url(img/logo_responsive.png) no-repeat 14px 26px/ 20px;\n    } */\n    .page > header .package-title,\n    .siteNav-off .page > header .package-title {\n        padding-left: 24px;\n        width: calc(100% - 124px);\n        overflow: hidden;\n        text-overflow: ellipsis;\n        height: auto;\n        white-space: normal;\n        word-wrap: break-word;\n        display: -webkit-box;\n        -webkit-line-clamp: 2;\n        -webkit-box-orient: vertical;\n    }\n    .nav-buttons .nav-button-left,\n    .nav-buttons .nav-button-right {\n        height: 50px;\n        width: 50px;\n        padding: 0;\n        top: 25px !important;\n    }\n    .nav-buttons .nav-button-left {\n        right: 80px;\n    }\n    .exe-export .form-check {\n        right: 150px;\n    }\n    .exe-export .form-switch .form-check-input {\n        width: 2.5em;\n        height: 1.5em;\n    }\n    .exe-export .form-switch .form-check-input:focus {\n        background-size: 16px;\n    }\n    button#siteNavToggler {\n        background: #fff url(img/menu_open_color.svg) no-repeat 12px center /\n            24px;\n    }\n    button#siteNavToggler span,\n    button#siteNavToggler .sr-av,\n    body.siteNav-off button#siteNavToggler .sr-av {\n        padding-left: 24px;\n        top: 0;\n    }\n    body.siteNav-off button#siteNavToggler {\n        background: #fff url(img/menu_closed.svg) no-repeat 12px / 24px;\n    }\n    .box-title {\n        width: calc(100% - 32px);\n    }\n    .exe-export .box-toggle {\n        background-position: center;\n        background-size: auto 24px;\n        width: 32px;\n        height: 32px;\n    }\n    body.siteNav-off button#searchBarTogger,\n    body button#searchBarTogger {\n        height: 60px;\n    }\n    .exe-web-site .page-counter {\n        right: 50px;\n        top: 66px;\n    }\n    .exe-search-on.siteNav-off button#siteNavToggler,\n    .exe-search-on button#siteNavToggler {\n        height: 26px;\n    }\n    .exe-single-page .package-header h1 {\n        padding-left: 20px;\n        overflow: hidden;\n        text-overflow: ellipsis;\n        word-wrap: break-word;\n        display: -webkit-box;\n        -webkit-line-clamp: 2;\n        -webkit-box-orient: vertical;\n        white-space: normal;\n        height: auto;\n    }\n    .exe-scorm .exe-export main,\n    .exe-ims .exe-export main,\n    .exe-pub .exe-export main {\n        padding-top: 7em;\n    }\n}\n\n@media print {\n    html body {\n        background: #fff;\n    }\n    .exe-content {\n        color: #000;\n        padding: 0;\n    }\n    @page {\n        margin: 1.5cm;\n    }\n    body #header,\n    body #emptyHeader,\n    body #nodeDecoration {\n        height: auto !important;\n        min-height: 0;\n        border: none;\n        padding: 0;\n    }\n    body #headerContent {\n        padding-top: 40px;\n    }\n    #packageLicense.cc {\n        background: none;\n        padding-left: 0;\n    }\n    .exe-export .box-toggle {\n        display: none;\n    }\n    /* Website */\n    .exe-web-site #siteNav,\n    .exe-web-site .nav-buttons,\n    .exe-web-site button.toggler {\n        display: none;\n    }\n    .exe-web-site #siteFooter,\n    .exe-web-site main.page {\n        padding-left: 0;\n        padding-right: 0;\n    }\n    .exe-web-site main.page {\n        padding-top: 1em;\n    }\n}\n",
+    "config": "<?xml version=\"1.0\"?>\n<theme>\n    <name>flux</name>\n    <title>Flux</title>\n    <version>2025</version>\n    <compatibility>3.0</compatibility>\n    <author>3ipunt Consejería de Educación Canarias</author>\n    <license>Creative Commons by-sa</license>\n    <license-url>http://creativecommons.org/licenses/by-sa/3.0/</license-url>\n    <description>Energía en movimiento.\n\niDevice icons by Google (https://fonts.google.com/icons), under the 2.0 version of the Apache License (https://www.apache.org/licenses/LICENSE-2.0.html).\n\nFredoka Font, by Milena Brandao, under the SIL Open Font License, Version 1.1. Copyright (c) 2021, Milena Brandao.</description>\n    <downloadable>1</downloadable>\n</theme>",
+    "icons": [
+      "ads_click.svg",
+      "attachment.svg",
+      "audiotrack.svg",
+      "calculate.svg",
+      "calendar_today.svg",
+      "checklist_rtl.svg",
+      "cloud_done.svg",
+      "collections.svg",
+      "description.svg",
+      "edit_note.svg",
+      "edited_explore.svg",
+      "edited_ok.svg",
+      "fact_checksvg.svg",
+      "flag_circle.svg",
+      "follow_the_signs.svg",
+      "forum.svg",
+      "group.svg",
+      "help.svg",
+      "information.svg",
+      "lan.svg",
+      "list_alt.svg",
+      "local_library.svg",
+      "lock.svg",
+      "mic.svg",
+      "pageview.svg",
+      "pairs.svg",
+      "person.svg",
+      "photo_camera.svg",
+      "psychology.svg",
+      "room.svg",
+      "rule.svg",
+      "search.svg",
+      "segment.svg",
+      "send.svg",
+      "share.svg",
+      "smart_display.svg",
+      "touch_app.svg",
+      "verifiedsvg.svg",
+      "workspace_premiumsvg.svg"
+    ]
+  },
+  "nova": {
+    "js": "var myTheme = {\n    init: function () {\n        // Common functions\n        if (this.inIframe()) $('body').addClass('in-iframe');\n        if (!$('body').hasClass('exe-web-site')) return;\n        // Add menu and search bar togglers\n        var togglers =\n            '\\\n            <button type=\"button\" id=\"siteNavToggler\" class=\"toggler\" title=\"' +\n            $exe_i18n.menu +\n            '\">\\\n                <span class=\"sr-av\">' +\n            $exe_i18n.menu +\n            '</span>\\\n            </button>\\\n            <button type=\"button\" id=\"searchBarTogger\" class=\"toggler\" title=\"' +\n            $exe_i18n.search +\n            '\">\\\n                <span class=\"sr-av\">' +\n            $exe_i18n.search +\n            '</span>\\\n            </button>\\\n        ';\n        $('#siteNav').before(togglers);\n        // Check the current NAV status\n        var url = window.location.href;\n        url = url.split('?');\n        if (url.length > 1) {\n            if (url[1].indexOf('nav=false') != -1) {\n                $('body').addClass('siteNav-off');\n                myTheme.params('add');\n            }\n        }\n        // Menu toggler\n        $('#siteNavToggler').on('click', function () {\n            if (myTheme.isLowRes()) {\n                $('#exe-client-search').hide();\n                if ($('body').hasClass('siteNav-off')) {\n                    $('body').removeClass('siteNav-off');\n                } else {\n                    if ($('#siteNav').isInViewport()) {\n                        $('body').addClass('siteNav-off');\n                        myTheme.params('add');\n                    }\n                }\n            } else {\n                $('body').toggleClass('siteNav-off');\n                myTheme.params(\n                    $('body').hasClass('siteNav-off') ? 'add' : 'remove'\n                );\n            }\n        });\n        // Search bar toggler\n        $('#searchBarTogger').on('click', function () {\n            var bar = $('#exe-client-search');\n            if (bar.is(':visible')) {\n                bar.hide();\n            } else {\n                if (myTheme.isLowRes()) {\n                    $('body').addClass('siteNav-off');\n                }\n                bar.show();\n                $('#exe-client-search-text').focus();\n            }\n        });\n        if (!this.inIframe()) {\n            // Fixed navigation\n            $('#siteNav').wrap('<div id=\"sidebar-nav\"></div>');\n            myTheme.checkNav();\n            $(window).bind('resize', function () {\n                myTheme.checkNav();\n            });\n        }\n        // Search form\n        this.searchForm();\n\n        // mover .page-title dentro de .page-content\n        this.movePageTitle();\n    },\n    inIframe: function () {\n        try {\n            return window.self !== window.top;\n        } catch (e) {\n            return true;\n        }\n    },\n    searchForm: function () {\n        $('#exe-client-search-text').attr('class', 'form-control');\n    },\n    isLowRes: function () {\n        return $('#siteNav').css('float') == 'none';\n    },\n    checkNav: function () {\n        var wrapper = $('#sidebar-nav');\n        var navH = $('#siteNav > ul').height(); // Menu height\n        navH = navH + 50;\n        if (navH < $(window).height()) wrapper.addClass('fixed');\n        else wrapper.removeClass('fixed');\n    },\n    param: function (e, act) {\n        if (act == 'add') {\n            var ref = e.href;\n            var con = '?';\n            if (ref.indexOf('.html?') != -1) con = '&';\n            var param = 'nav=false';\n            if (ref.indexOf(param) == -1) {\n                ref += con + param;\n                e.href = ref;\n            }\n        } else {\n            // This will remove all params\n            var ref = e.href;\n            ref = ref.split('?');\n            e.href = ref[0];\n        }\n    },\n    params: function (act) {\n        $('.nav-buttons a').each(function () {\n            myTheme.param(this, act);\n        });\n    },\n\n    // function that move the h2 outside the header\n    movePageTitle: function () {\n        const tryMove = () => {\n            const $header = $('.page > header.page-header');\n            const $title = $header.find('.page-title').first();\n\n            // Search container of content\n            let $content = $('.page-content').first();\n            if (!$content.length)\n                $content = $('.content, main .content').first();\n            if (!$content.length) $content = $('#main, #content').first();\n            if (!$content.length && $header.length)\n                $content = $header.nextAll(':not(header)').first();\n            if (!$content.length && $header.length) $content = $header.parent();\n\n            if ($header.length && $title.length && $content.length) {\n                $content.prepend($title); // move it to the start\n                return true;\n            }\n            return false;\n        };\n\n        if (tryMove()) return;\n\n        const observer = new MutationObserver(() => {\n            if (tryMove()) observer.disconnect();\n        });\n        observer.observe(document.body, { childList: true, subtree: true });\n    },\n    // 🔼\n};\n\n$(function () {\n    myTheme.init();\n});\n\n$.fn.isInViewport = function () {\n    var elementTop = $(this).offset().top;\n    var elementBottom = elementTop + $(this).outerHeight();\n    var viewportTop = $(window).scrollTop();\n    var viewportBottom = viewportTop + $(window).height();\n    return elementBottom > viewportTop && elementTop < viewportBottom;\n};\n",
+    "css": "@charset \"UTF-8\";\n@font-face {\n    font-family: \"Open Sans\";\n    font-style: normal;\n    font-weight: 400;\n    src: local(\"Open Sans\"), local(\"OpenSans\"),\n        url(fonts/open-sans.woff2) format(\"woff2\"),\n        url(fonts/open-sans.woff) format(\"woff\");\n}\n@font-face {\n    font-family: \"Open Sans\";\n    font-style: normal;\n    font-weight: 700;\n    src: local(\"Open Sans Bold\"), local(\"OpenSans-Bold\"),\n        url(fonts/open-sans-bold.woff2) format(\"woff2\"),\n        url(fonts/open-sans-bold.woff) format(\"woff\");\n}\n\n.page > header .package-title,\n.siteNav-off .page > header .package-title,\n.exe-single-page .package-header h1 {\n    width: calc(100% - 470px);\n    white-space: nowrap;\n    overflow: hidden;\n    text-overflow: ellipsis;\n}\n\n.exe-teacher-mode-toggler .page > header .package-title,\n.exe-teacher-mode-toggler.siteNav-off .page > header .package-title {\n    width: calc(100% - 550px);\n}\n\nmain header:not(#head) {\n    padding: 0 !important;\n    margin: 0 !important;\n    max-width: none !important;\n}\n\n.exe-web-site main.page {\n    box-sizing: border-box;\n    width: 100%;\n    padding-left: 300px;\n    padding-bottom: 40px;\n}\n\n.exe-scorm .page > header .package-title,\n.exe-scorm .siteNav-off .page > header .package-title,\n.exe-ims .page > header .package-title,\n.exe-ims .siteNav-off .page > header .package-title,\n.exe-epub .page > header .package-title,\n.exe-epub .siteNav-off .page > header .package-title,\n.exe-ims .page > header .package-title,\n.exe-single-page .package-header h1 {\n    width: 100%;\n}\n\n.page > header {\n    position: fixed;\n    top: 0;\n    right: 0;\n    left: 0;\n    z-index: 400;\n    height: 100px;\n    display: flex !important;\n    align-items: center;\n    background-color: #fff;\n    /* background:#fff url(img/logo.png) no-repeat 32px 15px/ 132px; */\n    border-bottom: 1px solid #ffcc00;\n}\n\n.page-title {\n    font-weight: bold;\n}\n\n.exe-single-page .page-title {\n    margin-top: 20px;\n}\n\n.page > header .package-title {\n    padding-left: 32px;\n    color: #282573;\n    margin: 0;\n}\n\nbody.exe-export {\n    padding: 1em 0;\n}\n\nbody.exe-web-site {\n    padding: 0;\n}\n\nbody.exe-export,\nbody.exe-web-site {\n    font-family: \"Open Sans\";\n}\n\n.exe-content a {\n    color: #0d77d1;\n}\n.exe-content a:hover,\n.exe-content a:focus {\n    color: #0a60ab;\n    text-decoration: none;\n}\n\n.exe-download-package-link a {\n    background: #282573;\n    color: #fff;\n}\n\n.exe-download-package-link a:hover {\n    background-color: #0f0b67;\n    color: #fff;\n    text-decoration: none;\n}\n\n#node-content-container.exe-content #node-content {\n    padding-top: 20px;\n    padding-bottom: 20px;\n    max-width: 1280px;\n    margin: 0 auto;\n    display: block;\n}\n\n.exe-content,\nbody {\n    color: #333;\n    background-color: #f4f4f4;\n}\n\n.js .exe-export .exe-content {\n    min-height: calc(100vh - 30px);\n}\n\n.js .in-iframe .exe-content {\n    min-height: 0;\n}\n\n.sr-av {\n    display: none;\n}\n\n.exe-content .package-title {\n    color: #333333;\n    font-size: 1.7rem;\n    text-align: left;\n    font-weight: 700;\n}\n\n.exe-content .package-title,\n.exe-single-page .package-header h1 {\n    font-size: 1.7rem;\n    text-align: left;\n    font-weight: 700;\n    color: #282573;\n}\n\n.exe-single-page .package-header > h1 {\n    padding-left: 32px !important;\n}\n\n.exe-single-page .package-node {\n    margin-bottom: 3.5em;\n}\n\n.exe-content .box {\n    margin: 32px 0;\n    border: none;\n}\n\n.exe-content .box-head {\n    border-bottom: 0;\n}\n\n#node-content-container.exe-content .box {\n    border: 1px dotted #ddd;\n}\n#node-content-container.exe-content .box.hidden-idevices {\n    border-style: solid;\n}\n\n.exe-content .box header {\n    min-height: 60px;\n    border-bottom: 1px solid #e4e4e4;\n}\n\n.exe-content .box-head .box-title {\n    color: #282573;\n    font-size: 1.75rem !important;\n    font-weight: 700;\n}\n\n.exe-content .box-head .exe-icon {\n    float: left;\n}\n\n.exe-web-site .page-content,\n#exe-client-search,\n.exe-web-site main > header,\n.exe-web-site #siteFooterContent,\n.exe-export .exe-content {\n    max-width: 1280px;\n    padding: 0 90px;\n    margin: 0 auto 0 auto;\n}\n\n.exe-web-site .page-content {\n    margin: 40px auto 0 auto;\n}\n\n.exe-web-site .exe-content {\n    max-width: none;\n    padding: 0;\n}\n\nbody.exe-export.exe-scorm {\n    padding: 0;\n}\n\n.exe-export main {\n    padding-top: 1.5em;\n}\n.exe-scorm .exe-export main {\n    padding-top: 5em;\n    padding-bottom: 1em;\n}\n.exe-web-site main {\n    padding-top: 6em;\n}\n.exe-content.cover-on .exe-interactive-video,\n.exe-content .exe-interactive-video {\n    width: 100%;\n}\n.exe-export main {\n    padding-top: 6em;\n}\n.exe-web-site main {\n    padding-top: 6em;\n}\n\nbody.exe-export.exe-scorm .exe-content,\nbody.exe-export.exe-ims .exe-content,\nbody.exe-export.exe-epub .exe-content {\n    padding: 0 40px;\n}\n\n/* siteNav */\n#siteNav {\n    float: left;\n    border-right: 1px solid #f0f0f0;\n    width: 300px;\n    padding-top: 200px;\n    padding-left: 8px;\n    background-color: #ffffff;\n    height: 100vh;\n    z-index: 1;\n    overflow: auto;\n    scrollbar-width: none;\n    transition: left 0.3s ease;\n    left: 0;\n    top: 100px;\n    overflow: visible;\n}\n\n#siteNav::-webkit-scrollbar {\n    display: none;\n}\n\n#siteNav > ul {\n    max-height: calc(100vh - 230px);\n    overflow-y: auto;\n    margin: 0;\n    padding: 0;\n}\n\n#siteNav > ul::-webkit-scrollbar {\n    display: none;\n}\n\n#siteFooterExtra {\n    margin-bottom: 2em;\n    color: #555;\n    font-size: 0.95em;\n}\n#siteNav .other-section {\n    display: none;\n}\n#sidebar-nav.fixed,\n#sidebar-nav {\n    position: fixed;\n}\nbody.siteNav-off #siteNav {\n    display: none;\n}\n\n.exe-web-site #siteFooter {\n    padding-left: 320px;\n    padding-right: 20px;\n    transition: padding 0.3s ease;\n}\n.exe-web-site main.page {\n    box-sizing: border-box;\n    width: 100%;\n    padding-left: 300px;\n    padding-bottom: 40px;\n    transition: padding 0.3s ease;\n}\nbody.siteNav-off main.page,\nbody.siteNav-off #siteFooter {\n    padding-left: 0;\n}\n#siteNav ul,\n#siteNav li {\n    margin: 0;\n    padding: 0;\n    list-style: none;\n}\n\n#siteNav li {\n    margin-bottom: 4px;\n}\n\n#siteNav a {\n    color: #000;\n    display: block;\n    padding: 8px 15px;\n    border-radius: 8px;\n    max-width: 280px;\n    transition: background-color 0.5s ease;\n}\n\n#siteNav a.active {\n    color: #282573;\n    background-color: #ffcc00;\n    font-weight: bold;\n    margin-bottom: 4px;\n}\n\n#siteNav a.highlighted-link {\n    color: #000;\n    margin-top: 10px;\n    background: #f1f1f1 url(img/book.svg) no-repeat 8px center;\n    padding-left: 42px;\n}\n\n#siteNav a.highlighted-link.active {\n    background: #ffcc00 url(img/book_color.svg) no-repeat 8px center !important;\n    color: #282573;\n}\n\n#siteNav a.highlighted-link:hover {\n    background: #ffd940 url(img/book_color.svg) no-repeat 8px center !important;\n    color: #282573;\n}\n#siteNav a.highlighted-link:focus {\n    background: #ffcc00 url(img/book_color.svg) no-repeat 8px center !important;\n    color: #282573;\n}\n\n#siteNav a.highlighted-link {\n    margin-top: 10px;\n}\n\n#siteNav a.highlighted-link:hover,\n#siteNav a.highlighted-link:focus {\n    background: #ffd940;\n}\n\n#siteNav a:hover {\n    background: #ffd940;\n    text-decoration: none;\n}\n\n#siteNav ul ul a {\n    padding-left: 35px;\n    font-size: 0.95em;\n    background-color: #fff1bb;\n}\n\n.current-page-parent a {\n    background-color: #fff1bb;\n    margin-bottom: 4px;\n}\n\n#siteNav ul ul ul a {\n    padding-left: 55px;\n    font-size: 0.9em;\n}\n\n#siteNav ul ul ul ul a {\n    padding-left: 75px;\n}\n\n.daddy {\n    background: #fff url(img/arrow_down.svg) no-repeat right 16px center / 22px !important;\n}\n.active .active.daddy {\n    background: #ffd940 url(img/arrow.svg) no-repeat right 16px center / 22px !important;\n}\n.active .daddy {\n    background: #fff1bb url(img/arrow_down.svg) no-repeat right 16px center /\n        22px !important;\n}\n#siteNav .current-page-parent > .daddy {\n    background: #fff1bb url(img/arrow.svg) no-repeat right 16px center / 22px !important;\n}\n.current-page-parent .daddy {\n    background: #fff1bb url(img/arrow_down.svg) no-repeat right 16px center /\n        22px !important;\n}\n.daddy:hover {\n    background: #ffd940 url(img/arrow_down.svg) no-repeat right 16px center /\n        22px !important;\n}\n.active.daddy:hover {\n    background: #ffd940 url(img/arrow.svg) no-repeat right 16px center / 22px !important;\n}\n\n/* pagination */\n.nav-buttons .nav-button,\nbutton.toggler {\n    position: fixed;\n    top: 18px;\n    right: 65px;\n    display: inline-block;\n    width: auto;\n    height: auto;\n    background-image: url(img/arrow_back.svg);\n    background-size: 24px;\n    background-color: #282573;\n    background-repeat: no-repeat;\n    border-radius: 8px;\n    z-index: 999;\n    border: 0;\n    transition: background-color 0.5s ease;\n    padding: 18px;\n    color: #fff;\n    font-weight: 600;\n}\n\n.nav-buttons span.nav-button {\n    opacity: 0.5;\n    filter: grayscale(1);\n    cursor: not-allowed;\n}\n.nav-buttons .nav-button-left {\n    background-position: left 14px center;\n    padding-left: 48px;\n    right: 180px;\n}\n.nav-buttons .nav-button-right {\n    background-position: right 14px center;\n    padding-right: 48px;\n    background-image: url(img/arrow_forward.svg);\n    right: 20px;\n}\n\nbutton#siteNavToggler {\n    left: 10px;\n    top: 130px;\n    background: #fff url(img/menu_open.svg) no-repeat 12px / 32px;\n    width: 40px;\n    height: 40px;\n    border-radius: 8px;\n    box-sizing: content-box;\n    padding: 8px;\n}\n#siteNavToggler:hover {\n    background-color: #f4f4f4;\n}\nbutton#siteNavToggler span {\n    display: none;\n}\n.siteNav-off button#siteNavToggler span {\n    display: inline;\n}\n\nbody.siteNav-off button#siteNavToggler {\n    left: 0;\n    top: 130px;\n    padding: 8px 8px 8px 19px;\n    width: 100px;\n    border-radius: 0 8px 8px 0;\n    background: #282573 url(img/menu_closed.svg) no-repeat 22px / 32px;\n}\nbody.siteNav-off button#siteNavToggler:hover {\n    background-color: #191748;\n}\n\n#siteNavToggler .sr-av {\n    visibility: visible;\n    position: static;\n    padding-left: 24px;\n    color: #fff;\n    font-size: 1rem;\n    font-weight: 600;\n}\n\n.nav-buttons a:hover,\n.nav-buttons a:focus,\nbutton.toggler:hover,\nbutton.toggler:focus {\n    background-color: #191748;\n    border-color: #191748;\n    color: #fff;\n    text-decoration: none;\n}\n\n#exe-client-search-reset span,\n#packageLicense .license-label {\n    position: absolute;\n    clip: rect(1px 1px 1px 1px);\n    clip: rect(1px, 1px, 1px, 1px);\n}\n\n.box-toggle span {\n    display: none;\n}\n/* Box toggler */\n.box {\n    background-color: #ffffff;\n    border: 1px solid #eaecf0;\n    border-radius: 12px;\n    padding: 2.25rem;\n    margin-bottom: 32px;\n}\n\n.exe-export .box {\n    position: relative;\n}\n.exe-export .box-toggle {\n    width: 40px;\n    height: 40px;\n    background: url(img/arrow.svg);\n    background-size: auto 40px;\n    border-radius: 50%;\n    border: 0;\n    position: absolute;\n    top: 20px;\n    right: 20px;\n    background-color: #ffcc00;\n    transition: transform 0.2s ease-in-out;\n}\n.exe-export .box-head:hover .box-toggle,\n.exe-export .box-toggle:focus {\n    opacity: 1;\n}\n\n.exe-export .minimized .box-toggle {\n    transform: rotate(180deg);\n}\n\n#node-content-container.exe-content .box-head .exe-icon {\n    width: 60px;\n    height: 60px;\n    font-size: 40px;\n}\n\n#node-content-container.exe-content .box-head .exe-icon img {\n    height: 40px;\n}\n\n.exe-export .box-icon img {\n    display: block;\n    float: left;\n    margin-right: 10px;\n}\n\n.exe-export .box-icon img {\n    width: 40px;\n    height: auto;\n}\n\n.exe-export .box-title {\n    padding-top: 5px;\n}\n\n.exe-export .box.minimized .box-head {\n    border-bottom: 1px solid #ddd;\n}\n\n.exe-export .box.no-header.minimized .box-head {\n    border-color: #fff;\n}\n\n.exe-export .box.no-header .box-content {\n    background: none;\n    border: none;\n    padding: 20px 0;\n}\n\n/* Licenses */\n#packageLicense {\n    text-align: left;\n    font-size: 0.9em;\n    color: #555;\n    line-height: 1em;\n    margin: 2.5em 0 2em 0;\n    border: 1px solid transparent;\n    border-radius: 2px;\n}\n#packageLicense p {\n    margin: 0;\n}\n#packageLicense a {\n    color: #666;\n    text-transform: capitalize;\n    display: inline-block;\n    white-space: nowrap;\n    text-overflow: ellipsis;\n    max-width: 100%;\n    overflow: hidden;\n    line-height: 15px;\n}\n#packageLicense a:hover,\n#packageLicense a:focus {\n    text-decoration: none;\n    color: #b04721;\n}\n#packageLicense.propietary {\n    position: absolute;\n    overflow: hidden;\n    clip: rect(0, 0, 0, 0);\n    height: 0;\n}\n#packageLicense.cc {\n    padding: 0 20px 0 90px;\n    background: url(img/licenses.gif) no-repeat 0 0;\n}\n#packageLicense.cc-by-sa {\n    background-position: 0 -100px;\n}\n#packageLicensea.cc-by-nd {\n    background-position: 0 -200px;\n}\n#packageLicense.cc-by-nc {\n    background-position: 0 -300px;\n}\n#packageLicense.cc-by-nc-sa {\n    background-position: 0 -400px;\n}\n#packageLicense.cc-by-nc-nd {\n    background-position: 0 -500px;\n}\n#packageLicense.cc-0 {\n    background-position: 0 -600px;\n}\n\n/* iDevice buttons */\n.exe-content .iDevice_buttons input {\n    background: #fff;\n    color: #555;\n    border: 1px solid #ccc;\n    padding: 4px 10px;\n    border-radius: 4px;\n    transition: 0.5s ease;\n}\n.exe-content .iDevice_buttons input:hover,\n.exe-content .iDevice_buttons input:focus {\n    box-shadow: 2px 2px 4px #dbdbdb;\n    color: #000;\n    border-color: #bbb;\n}\n\n/* Page counter */\n.page-counter {\n    text-align: right;\n    margin: 0 0 0.5em 0;\n    font-size: 0.9em;\n    color: #777;\n    font-weight: 300;\n    background: #fff;\n}\n\n.exe-web-site .page-counter {\n    position: fixed;\n    top: 38px;\n    right: 346px;\n    margin: 0;\n    padding: 0;\n    font-size: 0.9em;\n    color: #777;\n    text-align: right;\n}\n\n.exe-teacher-mode-toggler.exe-web-site .page-counter {\n    right: 450px;\n}\n\n/* Search bar */\nbody.siteNav-off.exe-search-on button#searchBarTogger,\nbody.exe-search-on button#searchBarTogger {\n    display: inline-block;\n}\n#exe-client-search-form p {\n    margin-top: 2em;\n}\n#exe-client-search-form p {\n    display: flex;\n    width: 100%;\n    flex-direction: row;\n    flex-wrap: nowrap;\n    gap: 6px;\n}\nbutton#searchBarTogger {\n    right: auto;\n    left: 220px;\n    top: 136px;\n    background: #282573 url(img/search.svg) no-repeat center / 32px;\n    width: 48px;\n    height: 48px;\n    display: none;\n}\nbody.siteNav-off button#searchBarTogger {\n    top: 220px;\n    left: 0px;\n    padding-left: 50px;\n    border-radius: 0 8px 8px 0;\n    display: none;\n}\n#exe-client-search {\n    display: none;\n    margin-bottom: 30px;\n}\n#exe-client-search-text {\n    flex: 1 1 auto;\n    min-width: 0;\n    display: inline;\n}\n#exe-client-search-submit {\n    text-indent: -999em;\n    background: #ffcc00 url(img/icons.png) no-repeat -41px -1px;\n    background-size: auto 40px;\n    width: 38px;\n    height: 38px;\n    border: none;\n    border-radius: 4px;\n}\n#exe-client-search-reset.visible {\n    background: url(img/icons.png) no-repeat -242px -1px;\n    background-size: auto 40px;\n    width: 38px;\n    height: 38px;\n    display: inline-block;\n    vertical-align: middle;\n    opacity: 0.6;\n    border-radius: 4px;\n}\n#exe-client-search-reset:hover,\n#exe-client-search-reset:focus {\n    opacity: 1;\n}\n#exe-client-search-submit:hover,\n#exe-client-search-submit:focus {\n    background-color: #ffcc00;\n}\n#exe-client-search-results-list ul,\n#exe-client-search-results-list li {\n    margin: 2em 0;\n    padding: 0;\n    list-style: none;\n}\n#exe-client-search-results-list li {\n    margin: 0 0 1em 0;\n}\n#exe-client-search-results-list p {\n    margin-top: 2em;\n}\n\n/* Modo docente */\n\n.exe-export .form-check {\n    float: none;\n    position: absolute;\n    top: 18px;\n    right: 335px;\n    display: flex;\n    align-items: center;\n    padding: 4px 36px 4px 4px;\n    margin: 0 10px 0 0;\n    height: 64px;\n    background-image: url(img/teacher_hat.svg);\n    background-repeat: no-repeat;\n    background-position: right center;\n    background-size: 28px;\n}\n.exe-export .form-check-label {\n    display: none;\n}\n.exe-export .form-switch .form-check-input {\n    width: 2.6em;\n    height: 1.4em;\n}\n.exe-export .form-check-input:checked {\n    background-color: #ffcc00;\n    border-color: #ffcc00;\n}\n.exe-export .form-check-input:focus {\n    border-color: #ffcc00;\n    box-shadow: 0 0 0 0.25rem rgba(255, 204, 0, 0.25);\n}\n.exe-export .form-check label {\n    width: 64px;\n    font-size: 1rem;\n}\n.exe-export .form-switch .form-check-input:focus {\n    background-image: url(img/switch.svg);\n    background-size: 16px;\n    background-repeat: no-repeat;\n    background-position: left 1.6px center;\n}\n.exe-export .mode-teacher .form-switch .form-check-input:focus {\n    background-image: url(img/switch_white.svg);\n    background-position: right 1.6px center;\n}\n\n/* Accesibilidad */\n.exe-atools-on #eXeAtools #eXeAtoolsSet {\n    display: flex;\n    padding: 6px 4px;\n}\n#eXeAtools select {\n    position: static !important;\n}\n\n@media (max-width: 1440px) {\n    .siteNav-off button#siteNavToggler span {\n        display: none;\n    }\n    body.siteNav-off button#siteNavToggler {\n        width: 56px;\n    }\n}\n\n@media (max-width: 1200px) {\n    body.cover-on #activity {\n        width: 100% !important;\n    }\n    #activity {\n        width: 100%;\n        margin: 0 auto;\n    }\n    #activity #player {\n        width: 100% !important;\n        max-width: 100% !important;\n    }\n}\n\n@media (max-width: 1024px) {\n    .nav-buttons .nav-button span {\n        display: none;\n    }\n    .nav-buttons .nav-button {\n        height: 60px;\n    }\n    .nav-buttons .nav-button-right {\n        right: 20px;\n        background-position: center;\n    }\n    .nav-buttons .nav-button-left {\n        right: 100px;\n        background-position: center;\n    }\n    .page > header .package-title,\n    .siteNav-off .page > header .package-title {\n        width: calc(100% - 230px);\n    }\n    .exe-web-site .page-counter {\n        right: 190px;\n    }\n    .exe-teacher-mode-toggler.exe-web-site .page-counter {\n        right: 290px;\n    }\n    .page-counter-label {\n        display: none;\n    }\n    .exe-export .form-check {\n        right: 182px;\n    }\n    .exe-export .form-check:hover {\n        background-color: transparent;\n    }\n    .exe-export .form-check-label {\n        display: none;\n    }\n    .exe-export .form-check-input {\n        margin: 0 !important;\n    }\n    .exe-teacher-mode-toggler .page > header .package-title,\n    .exe-teacher-mode-toggler.siteNav-off .page > header .package-title {\n        width: calc(100% - 320px);\n    }\n}\n\n@media (max-width: 750px) {\n    .exe-web-site .page-content {\n        padding: 0 20px;\n    }\n    .exe-web-site .page-content {\n        margin: 0;\n    }\n\n    #sidebar-nav {\n        position: static !important;\n        width: 100%;\n        padding: 190px 0 0 0;\n    }\n\n    #siteNav {\n        float: none;\n        border-right: 1px solid #f0f0f0;\n        width: 100%;\n        padding-top: 200px;\n        padding-left: 8px;\n        background-color: #ffffff;\n        height: auto;\n        padding: 16px 16px 8px 16px;\n    }\n    #siteNav a {\n        width: 100%;\n        max-width: none;\n    }\n\n    button#siteNavToggler {\n        right: 16px;\n        left: 16px;\n        top: 120px;\n        border-radius: 0.75rem;\n        width: auto;\n        padding: 16px;\n        height: 20px;\n        border: 1px solid #ebe9e9;\n        background: #ffffff url(img/menu_open.svg) no-repeat 12px center / 32px;\n        font-weight: 700;\n        position: absolute;\n        z-index: 0;\n    }\n\n    button#siteNavToggler span {\n        display: block;\n        color: #000000;\n        overflow: visible;\n        width: auto;\n        height: auto;\n        text-align: left;\n        padding-left: 40px;\n    }\n\n    .exe-web-site main.page {\n        padding-left: 0;\n        padding-top: 0;\n    }\n\n    body.siteNav-off button#siteNavToggler {\n        right: 16px;\n        left: 16px;\n        top: 120px;\n        border-radius: 0.75rem;\n        width: auto;\n        padding: 16px;\n        height: 20px;\n        background: #282573 url(img/menu_closed.svg) no-repeat 12px / 32px;\n        font-weight: 700;\n    }\n\n    body.siteNav-off button#siteNavToggler span {\n        color: #fff;\n        text-align: left;\n        padding-left: 40px;\n        width: auto;\n        height: auto;\n        display: block;\n    }\n\n    body.siteNav-off button#siteNavToggler:hover {\n        background-color: #191748;\n    }\n\n    body.siteNav-off main.page,\n    body.siteNav-off #siteFooter {\n        padding: 0;\n    }\n\n    .exe-web-site .exe-content .box {\n        margin-top: 20px;\n    }\n\n    /* .page > header, .siteNav-off .page > header{\n        background: #fff url(img/logo_responsive.png) no-repeat 32px 15px/ 32px;\n    } */\n    .page > header .package-title,\n    .siteNav-off .page > header .package-title {\n        width: calc(100% - 180px);\n    }\n    #siteNavToggler .sr-av {\n        color: #000;\n        padding-left: 40px;\n    }\n    .exe-search-on.siteNav-off button#siteNavToggler,\n    .exe-search-on button#siteNavToggler {\n        right: 100px;\n    }\n    body.siteNav-off button#searchBarTogger,\n    body button#searchBarTogger {\n        left: auto;\n        right: 20px;\n        top: 120px;\n        height: 54px;\n        border-radius: 0.75em;\n        width: 68px;\n        position: absolute;\n        z-index: 0;\n    }\n    #exe-client-search-form p {\n        height: 54px;\n        margin-top: 1em;\n    }\n    #exe-client-search-submit {\n        background: #ffcc00 no-repeat url(img/search.svg) center / 24px;\n    }\n    #exe-client-search-reset.visible {\n        background: #ffffff url(img/menu_open.svg) no-repeat 12px center / 24px;\n    }\n    #exe-client-search-submit,\n    #exe-client-search-reset.visible {\n        height: 54px;\n        flex: 0 0 54px;\n    }\n    .exe-web-site #siteFooter #siteFooterContent {\n        padding: 0;\n    }\n    .exe-web-site #siteFooter {\n        padding: 0 20px !important;\n    }\n    #packageLicense {\n        margin: 0 0 3em 0;\n    }\n}\n\n@media (max-width: 650px) {\n    html {\n        font-size: 0.85rem !important;\n    }\n    .page > header .package-title,\n    .siteNav-off .page > header .package-title {\n        padding-left: 32px;\n        width: calc(100% - 140px);\n        overflow: hidden;\n        text-overflow: ellipsis;\n        height: auto;\n        white-space: normal;\n        word-wrap: break-word;\n        display: -webkit-box;\n        -webkit-line-clamp: 2;\n        -webkit-box-orient: vertical;\n    }\n    .nav-buttons .nav-button-left,\n    .nav-buttons .nav-button-right {\n        height: 40px;\n        width: 40px;\n        padding: 0;\n        top: 30px;\n    }\n    .nav-buttons .nav-button-left {\n        right: 70px;\n    }\n\n    button#siteNavToggler {\n        background: #fff url(img/menu_open.svg) no-repeat 12px center / 24px;\n    }\n    button#siteNavToggler span,\n    button#siteNavToggler .sr-av,\n    body.siteNav-off button#siteNavToggler span {\n        padding-left: 24px;\n    }\n    body.siteNav-off button#siteNavToggler {\n        background: #282573 url(img/menu_closed.svg) no-repeat 12px / 24px;\n    }\n    .box-title {\n        width: calc(100% - 32px);\n    }\n    .exe-export .box-toggle {\n        background-position: center;\n        background-size: auto 32px;\n        width: 32px;\n        height: 32px;\n    }\n    .exe-single-page .package-header h1 {\n        padding-left: 60px;\n        overflow: hidden;\n        text-overflow: ellipsis;\n        word-wrap: break-word;\n        display: -webkit-box;\n        -webkit-line-clamp: 2;\n        -webkit-box-orient: vertical;\n        width: 95%;\n        height: auto;\n        white-space: normal;\n    }\n    .exe-web-site .page-content,\n    #exe-client-search,\n    .exe-web-site main > header,\n    .exe-web-site #siteFooterContent {\n        padding: 0 30px;\n    }\n    .exe-export .form-check {\n        right: 120px;\n    }\n    .exe-export .form-switch .form-check-input {\n        width: 2.5em;\n        height: 1.5em;\n    }\n    .exe-export .form-switch .form-check-input:focus {\n        background-size: 16px;\n    }\n    .exe-teacher-mode-toggler .page > header .package-title,\n    .exe-teacher-mode-toggler.siteNav-off .page > header .package-title {\n        width: calc(100% - 180px);\n    }\n    .exe-web-site .page-counter {\n        right: 140px;\n    }\n    .exe-teacher-mode-toggler.exe-web-site .page-counter {\n        right: 210px;\n    }\n    .page-title {\n        margin-top: 32px;\n    }\n}\n\n/* Table */\n\ntable {\n    display: table;\n    overflow-x: auto;\n    -webkit-overflow-scrolling: touch;\n    max-width: 100% !important;\n    margin: 2em 0 !important;\n}\n\n@media print {\n    html body {\n        background: #fff;\n    }\n    .exe-content {\n        color: #000;\n        padding: 0;\n    }\n    @page {\n        margin: 1.5cm;\n    }\n    body #header,\n    body #emptyHeader,\n    body #nodeDecoration {\n        height: auto !important;\n        min-height: 0;\n        border: none;\n        padding: 0;\n    }\n    body #headerContent {\n        padding-top: 40px;\n    }\n    #packageLicense.cc {\n        background: none;\n        padding-left: 0;\n    }\n    .exe-export .box-toggle {\n        display: none;\n    }\n    /* Website */\n    .exe-web-site #siteNav,\n    .exe-web-site .nav-buttons,\n    .exe-web-site button.toggler {\n        display: none;\n    }\n    .exe-web-site #siteFooter,\n    .exe-web-site main.page {\n        padding-left: 0;\n        padding-right: 0;\n    }\n    .exe-web-site main.page {\n        padding-top: 1em;\n    }\n}\n",
+    "config": "<?xml version=\"1.0\"?>\n<theme>\n    <name>nova</name>\n    <title>Nova</title>\n    <version>2025</version>\n    <compatibility>3.0</compatibility>\n    <author>3ipunt Consejería de Educación Canarias</author>\n    <license>Creative Commons by-sa</license>\n    <license-url>http://creativecommons.org/licenses/by-sa/3.0/</license-url>\n    <description>Aprender, crecer, avanzar.\n\niDevice icons by Google (https://fonts.google.com/icons), under the 2.0 version of the Apache License (https://www.apache.org/licenses/LICENSE-2.0.html).\n\nOpen Sans Font, by The Open Sans Project Authors, under the SIL Open Font License, Version 1.1. Copyright 2020 The Open Sans Project Authors (https://github.com/googlefonts/opensans).</description>\n    <downloadable>1</downloadable>\n</theme>",
+    "icons": [
+      "ads_click.svg",
+      "attachment.svg",
+      "audiotrack.svg",
+      "calculate.svg",
+      "calendar_today.svg",
+      "checklist_rtl.svg",
+      "cloud_done.svg",
+      "collections.svg",
+      "description.svg",
+      "edit_note.svg",
+      "edited_explore.svg",
+      "edited_ok.svg",
+      "fact_checksvg.svg",
+      "flag_circle.svg",
+      "follow_the_signs.svg",
+      "forum.svg",
+      "group.svg",
+      "help.svg",
+      "information.svg",
+      "lan.svg",
+      "list_alt.svg",
+      "local_library.svg",
+      "lock.svg",
+      "mic.svg",
+      "pageview.svg",
+      "pairs.svg",
+      "person.svg",
+      "photo_camera.svg",
+      "psychology.svg",
+      "room.svg",
+      "rule.svg",
+      "search.svg",
+      "segment.svg",
+      "send.svg",
+      "share.svg",
+      "smart_display.svg",
+      "touch_app.svg",
+      "verifiedsvg.svg",
+      "workspace_premiumsvg.svg"
+    ]
+  },
+  "zen": {
+    "js": "var myTheme = {\n    init: function () {\n        // Common functions\n        if (this.inIframe()) $('body').addClass('in-iframe');\n        if (!$('body').hasClass('exe-web-site')) return;\n        // Add menu and search bar togglers\n        var togglers =\n            '\\\n            <button type=\"button\" id=\"siteNavToggler\" class=\"toggler\" title=\"' +\n            $exe_i18n.menu +\n            '\">\\\n                <span class=\"sr-av\">' +\n            $exe_i18n.menu +\n            '</span>\\\n            </button>\\\n            <button type=\"button\" id=\"searchBarTogger\" class=\"toggler\" title=\"' +\n            $exe_i18n.search +\n            '\">\\\n                <span class=\"sr-av\">' +\n            $exe_i18n.search +\n            '</span>\\\n            </button>\\\n        ';\n        $('#siteNav').before(togglers);\n        // Check the current NAV status\n        var url = window.location.href;\n        url = url.split('?');\n        if (url.length > 1) {\n            if (url[1].indexOf('nav=false') != -1) {\n                $('body').addClass('siteNav-off');\n                myTheme.params('add');\n            }\n        }\n        // Menu toggler\n        $('#siteNavToggler').on('click', function () {\n            if (myTheme.isLowRes()) {\n                $('#exe-client-search').hide();\n                if ($('body').hasClass('siteNav-off')) {\n                    $('body').removeClass('siteNav-off');\n                } else {\n                    if ($('#siteNav').isInViewport()) {\n                        $('body').addClass('siteNav-off');\n                        myTheme.params('add');\n                    }\n                }\n            } else {\n                $('body').toggleClass('siteNav-off');\n                myTheme.params(\n                    $('body').hasClass('siteNav-off') ? 'add' : 'remove'\n                );\n            }\n        });\n        // Search bar toggler\n        $('#searchBarTogger').on('click', function () {\n            var bar = $('#exe-client-search');\n            if (bar.is(':visible')) {\n                bar.hide();\n            } else {\n                if (myTheme.isLowRes()) {\n                    $('body').addClass('siteNav-off');\n                }\n                bar.show();\n                $('#exe-client-search-text').focus();\n            }\n        });\n        if (!this.inIframe()) {\n            // Fixed navigation\n            $('#siteNav').wrap('<div id=\"sidebar-nav\"></div>');\n            myTheme.checkNav();\n            $(window).bind('resize', function () {\n                myTheme.checkNav();\n            });\n        }\n        // Search form\n        this.searchForm();\n\n        // mover .page-title dentro de .page-content\n        this.movePageTitle();\n    },\n    inIframe: function () {\n        try {\n            return window.self !== window.top;\n        } catch (e) {\n            return true;\n        }\n    },\n    searchForm: function () {\n        $('#exe-client-search-text').attr('class', 'form-control');\n    },\n    isLowRes: function () {\n        return $('#siteNav').css('float') == 'none';\n    },\n    checkNav: function () {\n        var wrapper = $('#sidebar-nav');\n        var navH = $('#siteNav > ul').height(); // Menu height\n        navH = navH + 50;\n        if (navH < $(window).height()) wrapper.addClass('fixed');\n        else wrapper.removeClass('fixed');\n    },\n    param: function (e, act) {\n        if (act == 'add') {\n            var ref = e.href;\n            var con = '?';\n            if (ref.indexOf('.html?') != -1) con = '&';\n            var param = 'nav=false';\n            if (ref.indexOf(param) == -1) {\n                ref += con + param;\n                e.href = ref;\n            }\n        } else {\n            // This will remove all params\n            var ref = e.href;\n            ref = ref.split('?');\n            e.href = ref[0];\n        }\n    },\n    params: function (act) {\n        $('.nav-buttons a').each(function () {\n            myTheme.param(this, act);\n        });\n    },\n\n    // function that move the h2 outside the header\n    movePageTitle: function () {\n        const tryMove = () => {\n            const $header = $('.page > header.page-header');\n            const $title = $header.find('.page-title').first();\n\n            // Search container of content\n            let $content = $('.page-content').first();\n            if (!$content.length)\n                $content = $('.content, main .content').first();\n            if (!$content.length) $content = $('#main, #content').first();\n            if (!$content.length && $header.length)\n                $content = $header.nextAll(':not(header)').first();\n            if (!$content.length && $header.length) $content = $header.parent();\n\n            if ($header.length && $title.length && $content.length) {\n                $content.prepend($title); // move it to the start\n                return true;\n            }\n            return false;\n        };\n\n        if (tryMove()) return;\n\n        const observer = new MutationObserver(() => {\n            if (tryMove()) observer.disconnect();\n        });\n        observer.observe(document.body, { childList: true, subtree: true });\n    },\n    // 🔼\n};\n\n$(function () {\n    myTheme.init();\n});\n\n$.fn.isInViewport = function () {\n    var elementTop = $(this).offset().top;\n    var elementBottom = elementTop + $(this).outerHeight();\n    var viewportTop = $(window).scrollTop();\n    var viewportBottom = viewportTop + $(window).height();\n    return elementBottom > viewportTop && elementTop < viewportBottom;\n};\n",
+    "css": "@charset \"UTF-8\";\n@font-face {\n    font-family: \"Inter\";\n    font-style: normal;\n    font-weight: 400;\n    src: local(\"Inter\"), url(fonts/Inter-Regular.woff2) format(\"woff2\"),\n        url(fonts/Inter-Regular.woff) format(\"woff\");\n}\n\n@font-face {\n    font-family: \"Inter\";\n    font-style: italic;\n    font-weight: 400;\n    src: local(\"Inter Italic\"), url(fonts/Inter-Italic.woff2) format(\"woff2\"),\n        url(fonts/Inter-Italic.woff) format(\"woff\");\n}\n\n@font-face {\n    font-family: \"Inter\";\n    font-style: normal;\n    font-weight: 700;\n    src: local(\"Inter Bold\"), url(fonts/Inter-Bold.woff2) format(\"woff2\"),\n        url(fonts/Inter-Bold.woff) format(\"woff\");\n}\n\n@font-face {\n    font-family: \"Inter\";\n    font-style: italic;\n    font-weight: 700;\n    src: local(\"Inter Bold Italic\"),\n        url(fonts/Inter-BoldItalic.woff2) format(\"woff2\"),\n        url(fonts/Inter-BoldItalic.woff) format(\"woff\");\n}\n\nbody.exe-export,\n.exe-content {\n    font-family: \"Inter\";\n    font-weight: 400;\n}\n\n.page-title {\n    font-weight: bold;\n    margin-top: 20px;\n}\n\n.exe-scorm .page header .package-title,\n.exe-single-page .package-header h1 {\n    width: 100%;\n}\n\nmain header:not(#head) {\n    padding: 0 !important;\n    margin: 0 !important;\n    max-width: none !important;\n}\n\n.exe-web-site main.page {\n    box-sizing: border-box;\n    width: 100%;\n    padding-left: 300px;\n    padding-bottom: 40px;\n}\n\n.exe-scorm .page > header .package-title,\n.exe-scorm .siteNav-off .page > header .package-title,\n.exe-ims .page > header .package-title,\n.exe-ims .siteNav-off .page > header .package-title,\n.exe-epub .page > header .package-title,\n.exe-epub .siteNav-off .page > header .package-title,\n.exe-ims .page > header .package-title {\n    width: 100%;\n}\n\n.page > header {\n    position: fixed;\n    top: 4px;\n    right: 4px;\n    left: 4px;\n    z-index: 400;\n    height: 82px;\n    display: flex !important;\n    align-items: center;\n    background: #1c1c1c;\n    border-radius: 12px;\n}\n\n.page > header .package-title,\n.siteNav-off .page > header .package-title,\n.exe-single-page .package-header h1 {\n    padding-left: 80px;\n    width: calc(100% - 470px);\n    white-space: nowrap;\n    overflow: hidden;\n    text-overflow: ellipsis;\n    color: #fff;\n    margin: 0;\n}\n\nbody.exe-export {\n    padding: 1em 0;\n}\n\nbody.exe-web-site {\n    padding: 0;\n}\n\n.exe-content a {\n    color: #00758f;\n}\n.exe-content a:hover,\n.exe-content a:focus {\n    color: #005771;\n    text-decoration: none;\n}\n\n.exe-download-package-link a {\n    background: #00758f;\n    color: #fff;\n}\n\n.exe-download-package-link a:hover {\n    background-color: #005771;\n    color: #fff;\n    text-decoration: none;\n}\n\n#node-content-container.exe-content #node-content {\n    padding-top: 20px;\n    padding-bottom: 20px;\n    max-width: 1280px;\n    margin: 0 auto;\n    display: block;\n}\n\n.exe-content,\nbody {\n    color: #333;\n    background-color: #f4f4f4;\n}\n\n.js .exe-export .exe-content {\n    min-height: calc(100vh - 30px);\n}\n\n.js .in-iframe .exe-content {\n    min-height: 0;\n}\n\n.sr-av {\n    display: none;\n}\n\n.exe-content .package-title,\n.exe-single-page .package-header h1 {\n    font-size: 1.5rem;\n    text-align: left;\n    font-weight: 700;\n    color: #fff;\n}\n\n.exe-single-page .package-node {\n    margin-bottom: 3.5em;\n}\n\n.exe-content .box {\n    margin: 35px 0;\n    border: none;\n}\n\n.exe-web-site .exe-content .box {\n    margin: 40px 0;\n}\n\n.exe-content .box-head {\n    border-bottom: 0;\n    margin-bottom: 16px !important;\n}\n\n.exe-content .box-head + .box-content {\n    padding-top: 1em;\n}\n\n#node-content-container.exe-content .box {\n    border: 1px dotted #ddd;\n}\n#node-content-container.exe-content .box.hidden-idevices {\n    border-style: solid;\n}\n\n.exe-content .box header {\n    min-height: 60px;\n    border-bottom: 1px solid #e4e4e4;\n}\n\n.exe-content .box-head .box-title {\n    color: #1c1c1c;\n    font-size: 1.75rem !important;\n    font-weight: 700;\n}\n\n.exe-content .box-head .exe-icon {\n    float: left;\n}\n\n.exe-web-site .page-content,\n#exe-client-search,\n.exe-web-site main > header,\n.exe-web-site #siteFooterContent,\n.exe-export .exe-content {\n    max-width: 1280px;\n    padding: 0 90px;\n    margin: 0 auto;\n}\n\n.exe-web-site .exe-content {\n    max-width: none;\n    padding: 0;\n}\n\nbody.exe-export.exe-scorm {\n    padding: 0;\n}\n\n.exe-export main {\n    padding-top: 1.5em;\n}\n.exe-scorm .exe-export main {\n    padding-top: 5em;\n    padding-bottom: 1em;\n}\n.exe-web-site main {\n    padding-top: 6em;\n}\n.exe-content.cover-on .exe-interactive-video,\n.exe-content .exe-interactive-video {\n    width: 100%;\n}\n.exe-export main {\n    padding-top: 6em;\n}\n.exe-web-site main {\n    padding-top: 6em;\n}\n\nbody.exe-export.exe-scorm .exe-content,\nbody.exe-export.exe-ims .exe-content,\nbody.exe-export.exe-epub .exe-content {\n    padding: 0 40px;\n}\n\n/* siteNav */\n#siteNav {\n    float: left;\n    width: 300px;\n    padding-top: 20px;\n    padding-left: 8px;\n    padding-bottom: 20px;\n    background-color: #ffffff;\n    height: calc(100vh - 98px);\n    z-index: 1;\n    scrollbar-width: none;\n    transition: left 0.3s ease;\n    overflow: visible;\n    margin-top: 94px;\n    margin-left: 4px;\n    margin-bottom: 4px;\n    border-radius: 12px;\n}\n\n#siteNav::-webkit-scrollbar {\n    display: none;\n}\n\n#siteNav > ul {\n    max-height: 100%;\n    overflow-y: auto;\n    margin: 0;\n    padding: 0;\n}\n\n#siteNav > ul::-webkit-scrollbar {\n    display: none;\n}\n\n#siteFooterExtra {\n    margin-bottom: 2em;\n    color: #555;\n    font-size: 0.95em;\n}\n#siteNav .other-section {\n    display: none;\n}\n#sidebar-nav.fixed,\n#sidebar-nav {\n    position: fixed;\n}\nbody.siteNav-off #siteNav {\n    display: none;\n}\n\n.exe-web-site #siteFooter {\n    padding-left: 320px;\n    padding-right: 20px;\n    transition: padding 0.3s ease;\n}\n.exe-web-site main.page {\n    box-sizing: border-box;\n    width: 100%;\n    padding-left: 300px;\n    padding-bottom: 40px;\n    transition: padding 0.3s ease;\n}\nbody.siteNav-off main.page,\nbody.siteNav-off #siteFooter {\n    padding-left: 0;\n}\n#siteNav ul,\n#siteNav li {\n    margin: 0;\n    padding: 0;\n    list-style: none;\n}\n\n#siteNav li {\n    margin-bottom: 4px;\n}\n\n#siteNav a {\n    color: #000;\n    display: block;\n    padding: 8px 15px;\n    border-radius: 8px;\n    max-width: 280px;\n    transition: background-color 0.5s ease;\n}\n\n#siteNav a.active {\n    color: #fff;\n    background-color: #00758f;\n    font-weight: bold;\n    margin-bottom: 4px;\n}\n\n#siteNav a.highlighted-link {\n    color: #000;\n    margin-top: 10px;\n    background: #f1f1f1 url(img/book.svg) no-repeat 8px center;\n    padding-left: 42px;\n}\n\n#siteNav a.highlighted-link.active {\n    background: #00758f url(img/book_color.svg) no-repeat 8px center !important;\n    color: #fff;\n}\n\n#siteNav a.highlighted-link:hover {\n    background: #005771 url(img/book_color.svg) no-repeat 8px center !important;\n    color: #fff;\n}\n#siteNav a.highlighted-link:focus {\n    background: #00758f url(img/book_color.svg) no-repeat 8px center !important;\n    color: #fff;\n}\n\n#siteNav a.highlighted-link {\n    margin-top: 10px;\n}\n\n#siteNav a.highlighted-link:hover,\n#siteNav a.highlighted-link:focus {\n    background: #005771;\n}\n\n#siteNav a:hover {\n    background: #005771;\n    text-decoration: none;\n    color: #fff;\n}\n\n#siteNav ul ul a {\n    padding-left: 35px;\n    font-size: 0.95em;\n    background-color: #f2f2f7;\n}\n\n.current-page-parent a {\n    background-color: #f2f2f7;\n    margin-bottom: 4px;\n}\n\n#siteNav ul ul ul a {\n    padding-left: 55px;\n    font-size: 0.9em;\n}\n\n#siteNav ul ul ul ul a {\n    padding-left: 75px;\n}\n\n.daddy {\n    background: #fff url(img/arrow_down.svg) no-repeat right 16px center / 22px !important;\n}\n.active .active.daddy {\n    background: #005771 url(img/arrow_up_white.svg) no-repeat right 16px center /\n        22px !important;\n}\n.active .daddy {\n    background: #f2f2f7 url(img/arrow_down.svg) no-repeat right 16px center /\n        22px !important;\n}\n.current-page-parent .daddy {\n    background: #f2f2f7 url(img/arrow_down.svg) no-repeat right 16px center /\n        22px !important;\n}\n.daddy:hover {\n    background: #005771 url(img/arrow_down_white.svg) no-repeat right 16px\n        center / 22px !important;\n}\n.current-page-parent .daddy:hover {\n    background: #005771 url(img/arrow_down_white.svg) no-repeat right 16px\n        center / 22px !important;\n}\n.active.daddy:hover {\n    background: #005771 url(img/arrow_up_white.svg) no-repeat right 16px center /\n        22px !important;\n}\n\n/* pagination */\n.nav-buttons .nav-button,\nbutton.toggler {\n    position: fixed;\n    top: 15px;\n    right: 65px;\n    display: inline-block;\n    width: auto;\n    height: auto;\n    background-image: url(img/arrow_back.svg);\n    background-size: 24px;\n    background-color: #00758f;\n    background-repeat: no-repeat;\n    border-radius: 8px;\n    z-index: 999;\n    border: 0;\n    transition: background-color 0.5s ease;\n    padding: 18px;\n    color: #fff;\n    font-weight: 600;\n}\n\n.nav-buttons span.nav-button {\n    opacity: 0.5;\n    filter: grayscale(1);\n    cursor: not-allowed;\n}\n.nav-buttons .nav-button-left {\n    background-position: left 14px center;\n    padding-left: 48px;\n    right: 166px;\n}\n.nav-buttons .nav-button-right {\n    background-position: right 14px center;\n    padding-right: 48px;\n    background-image: url(img/arrow_forward.svg);\n    right: 20px;\n}\n\nbutton#siteNavToggler {\n    left: 14px;\n    top: 17px;\n    background: #fff url(img/menu_open.svg) no-repeat center center / 32px;\n    width: 40px;\n    height: 40px;\n    border-radius: 8px;\n    box-sizing: content-box;\n    padding: 8px;\n}\n#siteNavToggler:hover {\n    background-color: #f4f4f4;\n}\nbutton#siteNavToggler span,\n.siteNav-off button#siteNavToggler span {\n    display: none;\n}\n\nbody.siteNav-off button#siteNavToggler {\n    left: 14px;\n    top: 17px;\n    background: url(img/menu_closed.svg) no-repeat center center / 32px;\n}\n\nbody.siteNav-off button#siteNavToggler:hover {\n    background-color: #363636;\n}\n\n#siteNavToggler .sr-av {\n    visibility: visible;\n    position: static;\n    padding-left: 24px;\n    color: #fff;\n    font-size: 1rem;\n    font-weight: 600;\n}\n\n.nav-buttons a:hover,\n.nav-buttons a:focus,\nbutton.toggler:hover,\nbutton.toggler:focus {\n    background-color: #005771;\n    border-color: #005771;\n    color: #fff;\n    text-decoration: none;\n}\n\n#exe-client-search-reset span,\n#packageLicense .license-label {\n    position: absolute;\n    clip: rect(1px 1px 1px 1px);\n    clip: rect(1px, 1px, 1px, 1px);\n}\n\n.box-toggle span {\n    display: none;\n}\n/* Box toggler */\n.box {\n    background-color: #ffffff;\n    border: 1px solid #eaecf0;\n    border-radius: 12px;\n    padding: 2.25rem;\n    margin-bottom: 32px;\n}\n\n.exe-export .box {\n    position: relative;\n}\n.exe-export .box-toggle {\n    width: 40px;\n    height: 40px;\n    background: url(img/arrow.svg);\n    background-size: auto 40px;\n    border-radius: 50%;\n    border: 0;\n    position: absolute;\n    top: 20px;\n    right: 20px;\n\n    transition: transform 0.2s ease-in-out;\n}\n.exe-export .box-head:hover .box-toggle,\n.exe-export .box-toggle:focus {\n    opacity: 1;\n}\n\n.exe-export .minimized .box-toggle {\n    transform: rotate(180deg);\n}\n\n#node-content-container.exe-content .box-head .exe-icon {\n    width: 60px;\n    height: 60px;\n    font-size: 40px;\n}\n\n#node-content-container.exe-content .box-head .exe-icon img {\n    height: 40px;\n}\n\n.exe-export .box-icon img {\n    display: block;\n    float: left;\n    margin-right: 10px;\n}\n\n.exe-export .box-icon img {\n    width: 40px;\n    height: auto;\n}\n\n.exe-export .box-title {\n    padding-top: 5px;\n}\n\n.exe-export .box.minimized .box-head {\n    border-bottom: 1px solid #ddd;\n}\n\n.exe-export .box.no-header.minimized .box-head {\n    border-color: #fff;\n}\n\n.exe-export .box.no-header .box-content {\n    background: none;\n    border: none;\n    padding: 20px 0;\n}\n\n/* Licenses */\n#packageLicense {\n    text-align: left;\n    font-size: 0.9em;\n    color: #555;\n    line-height: 1em;\n    margin: 2.5em 0 2em 0;\n    border: 1px solid transparent;\n    border-radius: 2px;\n}\n#packageLicense p {\n    margin: 0;\n}\n#packageLicense a {\n    color: #666;\n    text-transform: capitalize;\n    display: inline-block;\n    white-space: nowrap;\n    text-overflow: ellipsis;\n    max-width: 100%;\n    overflow: hidden;\n    line-height: 15px;\n}\n#packageLicense a:hover,\n#packageLicense a:focus {\n    text-decoration: none;\n    color: #b04721;\n}\n#packageLicense.propietary {\n    position: absolute;\n    overflow: hidden;\n    clip: rect(0, 0, 0, 0);\n    height: 0;\n}\n#packageLicense.cc {\n    padding: 0 20px 0 90px;\n    background: url(img/licenses.gif) no-repeat 0 0;\n}\n#packageLicense.cc-by-sa {\n    background-position: 0 -100px;\n}\n#packageLicensea.cc-by-nd {\n    background-position: 0 -200px;\n}\n#packageLicense.cc-by-nc {\n    background-position: 0 -300px;\n}\n#packageLicense.cc-by-nc-sa {\n    background-position: 0 -400px;\n}\n#packageLicense.cc-by-nc-nd {\n    background-position: 0 -500px;\n}\n#packageLicense.cc-0 {\n    background-position: 0 -600px;\n}\n\n/* iDevice buttons */\n.exe-content .iDevice_buttons input {\n    background: #1a8fa9;\n    color: #fff;\n    border: 1px solid #1a8fa9;\n    padding: 4px 10px;\n    border-radius: 4px;\n    transition: 0.5s ease;\n}\n.exe-content .iDevice_buttons input:hover,\n.exe-content .iDevice_buttons input:focus {\n    background: #005771;\n    border-color: #005771;\n}\n\n/* Page counter */\n.page-counter {\n    text-align: right;\n    margin: 0 0 0.5em 0;\n    font-size: 0.9em;\n    color: #fff;\n    font-weight: 300;\n}\n\n.exe-web-site .page-counter {\n    position: fixed;\n\n    right: 346px;\n    margin: 0;\n    padding: 0;\n    font-size: 0.9em;\n    color: #fff;\n    text-align: right;\n}\n.exe-teacher-mode-toggler.exe-web-site .page-counter {\n    right: 400px;\n}\n\n/* Search bar */\nbody.siteNav-off.exe-search-on button#searchBarTogger,\nbody.exe-search-on button#searchBarTogger {\n    display: inline-block;\n}\n#exe-client-search-form p {\n    margin-top: 2em;\n}\n#exe-client-search-form p {\n    display: flex;\n    width: 100%;\n    flex-direction: row;\n    flex-wrap: nowrap;\n    gap: 6px;\n}\nbutton#searchBarTogger {\n    right: auto;\n    left: 304px;\n    top: 136px;\n    background: #00758f url(img/search.svg) no-repeat center / 32px;\n    width: 48px;\n    height: 48px;\n    display: none;\n    border-radius: 0 8px 8px 0;\n}\nbody.siteNav-off button#searchBarTogger {\n    top: 136px;\n    left: 0px;\n    padding-left: 50px;\n    border-radius: 0 8px 8px 0;\n    display: none;\n}\n#exe-client-search {\n    display: none;\n    margin-bottom: 30px;\n}\n#exe-client-search-text {\n    flex: 1 1 auto;\n    min-width: 0;\n    display: inline;\n}\n#exe-client-search-submit {\n    text-indent: -999em;\n    background: #00758f url(img/icons.png) no-repeat -41px -1px;\n    background-size: auto 40px;\n    width: 38px;\n    height: 38px;\n    border: none;\n    border-radius: 4px;\n}\n#exe-client-search-reset.visible {\n    background: url(img/icons.png) no-repeat -242px -1px;\n    background-size: auto 40px;\n    width: 38px;\n    height: 38px;\n    display: inline-block;\n    vertical-align: middle;\n    opacity: 0.6;\n    border-radius: 4px;\n}\n#exe-client-search-reset:hover,\n#exe-client-search-reset:focus {\n    opacity: 1;\n}\n#exe-client-search-submit:hover,\n#exe-client-search-submit:focus {\n    background-color: #00758f;\n}\n#exe-client-search-results-list ul,\n#exe-client-search-results-list li {\n    margin: 2em 0;\n    padding: 0;\n    list-style: none;\n}\n#exe-client-search-results-list li {\n    margin: 0 0 1em 0;\n}\n#exe-client-search-results-list p {\n    margin-top: 2em;\n}\n\n/* Modo docente */\n\n.exe-export .form-check {\n    float: none;\n    position: absolute;\n    right: 300px;\n    display: flex;\n    align-items: center;\n    padding: 4px 36px 4px 4px;\n    margin: 0 10px 0 0;\n    height: 64px;\n    background-image: url(img/teacher_hat.svg);\n    background-repeat: no-repeat;\n    background-position: right center;\n    background-size: 28px;\n}\n.exe-export .form-check-label {\n    display: none;\n}\n.exe-export .form-switch .form-check-input {\n    width: 2.6em;\n    height: 1.4em;\n}\n.exe-export .form-check-input:checked {\n    background-color: #ffcc00;\n    border-color: #ffcc00;\n}\n.exe-export .form-check-input:focus {\n    border-color: #ffcc00;\n    box-shadow: 0 0 0 0.25rem rgba(255, 204, 0, 0.25);\n}\n.exe-export .form-check label {\n    width: 64px;\n    font-size: 1rem;\n}\n.exe-export .form-switch .form-check-input:focus {\n    background-image: url(img/switch.svg);\n    background-size: 16px;\n    background-repeat: no-repeat;\n    background-position: left 1.6px center;\n}\n.exe-export .mode-teacher .form-switch .form-check-input:focus {\n    background-image: url(img/switch_white.svg);\n    background-position: right 1.6px center;\n}\n\n/* Accesibilidad */\n.exe-atools-on #eXeAtools #eXeAtoolsSet {\n    display: flex;\n    padding: 6px 4px;\n}\n#eXeAtools select {\n    position: static !important;\n}\n\n@media (max-width: 1440px) {\n    .siteNav-off button#siteNavToggler span {\n        display: none;\n    }\n}\n\n@media (max-width: 1200px) {\n    body.cover-on #activity {\n        width: 100% !important;\n    }\n    #activity {\n        width: 100%;\n        margin: 0 auto;\n    }\n    #activity #player {\n        width: 100% !important;\n        max-width: 100% !important;\n    }\n}\n\n@media (max-width: 1024px) {\n    .nav-buttons .nav-button span {\n        display: none;\n    }\n\n    .nav-buttons .nav-button {\n        height: 60px;\n    }\n\n    .nav-buttons .nav-button-right {\n        right: 20px;\n        background-position: center;\n    }\n\n    .nav-buttons .nav-button-left {\n        right: 100px;\n        background-position: center;\n    }\n\n    .page > header .package-title,\n    .siteNav-off .page > header .package-title {\n        width: calc(100% - 240px);\n    }\n    .exe-web-site .page-counter {\n        left: auto;\n        right: 80px;\n    }\n    .page-counter-label {\n        display: none;\n    }\n\n    /* Form & pagination*/\n    .exe-export .form-check {\n        right: 182px;\n    }\n    .exe-export .form-check:hover {\n        background-color: transparent;\n    }\n    .exe-export .form-check-label {\n        display: none;\n    }\n    .exe-export .form-check-input {\n        margin: 0 !important;\n    }\n    .exe-teacher-mode-toggler.exe-web-site .page-counter {\n        right: 290px;\n    }\n    .exe-teacher-mode-toggler .page > header .package-title,\n    .exe-teacher-mode-toggler.siteNav-off .page > header .package-title {\n        width: calc(100% - 330px);\n    }\n}\n\n/* Responsive design */\n@media (max-width: 750px) {\n    .exe-web-site .page-content {\n        padding: 0 20px;\n    }\n\n    #sidebar-nav {\n        position: static !important;\n        width: 100%;\n        padding: 190px 0 0 0;\n    }\n\n    #siteNav {\n        float: none;\n        width: 100%;\n        margin: 0;\n        background-color: #ffffff;\n        height: auto;\n        padding: 16px 16px 8px 16px;\n        border-radius: 0;\n    }\n    #siteNav a {\n        width: 100%;\n        max-width: none;\n    }\n\n    button#siteNavToggler {\n        right: 16px;\n        left: 16px;\n        top: 120px;\n        border-radius: 0.75rem;\n        width: auto;\n        padding: 16px;\n        height: 20px;\n        border: 1px solid #ebe9e9;\n        background: #fff url(img/menu_open.svg) no-repeat 12px center / 32px;\n        font-weight: 700;\n        position: absolute;\n        z-index: 0;\n    }\n\n    button#siteNavToggler span {\n        display: block;\n        color: #000000;\n        overflow: visible;\n        width: auto;\n        height: auto;\n        text-align: left;\n        padding-left: 40px;\n    }\n\n    .exe-web-site main.page {\n        padding-left: 0;\n        padding-top: 0;\n    }\n\n    body.siteNav-off button#siteNavToggler {\n        right: 16px;\n        left: 16px;\n        top: 120px;\n        border-radius: 0.75rem;\n        width: auto;\n        padding: 16px;\n        height: 20px;\n        background: #00758f url(img/menu_closed.svg) no-repeat 12px / 32px;\n        font-weight: 700;\n    }\n\n    body.siteNav-off button#siteNavToggler span {\n        color: #fff;\n        text-align: left;\n        padding-left: 40px;\n        width: auto;\n        height: auto;\n        display: block;\n    }\n\n    body.siteNav-off button#siteNavToggler:hover {\n        background-color: #005771;\n    }\n\n    body.siteNav-off main.page,\n    body.siteNav-off #siteFooter {\n        padding: 0;\n    }\n\n    .exe-web-site .exe-content .box {\n        margin-top: 20px;\n    }\n\n    .page > header,\n    .siteNav-off .page > header {\n        background: #1c1c1c;\n    }\n\n    .page > header .package-title,\n    .siteNav-off .page > header .package-title {\n        width: calc(100% - 180px);\n    }\n    #siteNavToggler .sr-av {\n        color: #000;\n        padding-left: 40px;\n    }\n    .exe-search-on.siteNav-off button#siteNavToggler,\n    .exe-search-on button#siteNavToggler {\n        right: 100px;\n    }\n    body.siteNav-off button#searchBarTogger,\n    body button#searchBarTogger {\n        left: auto;\n        right: 20px;\n        top: 120px;\n        height: 54px;\n        border-radius: 0.75em;\n        width: 68px;\n        position: absolute;\n        z-index: 0;\n    }\n    #exe-client-search-form p {\n        height: 54px;\n        margin-top: 1em;\n    }\n    #exe-client-search-submit {\n        background: #00758f no-repeat url(img/search.svg) center / 24px;\n    }\n    #exe-client-search-reset.visible {\n        background: #ffffff url(img/menu_open.svg) no-repeat 12px center / 24px;\n    }\n    #exe-client-search-submit,\n    #exe-client-search-reset.visible {\n        height: 54px;\n        flex: 0 0 54px;\n    }\n    .exe-web-site #siteFooter #siteFooterContent {\n        padding: 0;\n    }\n    .exe-web-site #siteFooter {\n        padding: 0 20px !important;\n    }\n    #packageLicense {\n        margin: 0 0 3em 0;\n    }\n    .page > header .package-title,\n    .siteNav-off .page > header .package-title,\n    .exe-single-page .package-header h1 {\n        padding-left: 32px;\n    }\n}\n\n@media (max-width: 650px) {\n    html {\n        font-size: 0.85rem !important;\n    }\n\n    .page > header,\n    .siteNav-off .page > header {\n        background: #1c1c1c;\n    }\n    .page > header .package-title,\n    .siteNav-off .page > header .package-title {\n        padding-left: 20px;\n        width: calc(100% - 124px);\n        overflow: hidden;\n        text-overflow: ellipsis;\n        height: auto;\n        white-space: normal;\n        word-wrap: break-word;\n        display: -webkit-box;\n        -webkit-line-clamp: 2;\n        -webkit-box-orient: vertical;\n    }\n    .nav-buttons .nav-button-left,\n    .nav-buttons .nav-button-right {\n        height: 40px;\n        width: 40px;\n        padding: 0;\n        top: 30px;\n    }\n    .nav-buttons .nav-button-left {\n        right: 70px;\n    }\n\n    button#siteNavToggler {\n        background: #fff url(img/menu_open.svg) no-repeat 12px center / 24px;\n    }\n    button#siteNavToggler span,\n    button#siteNavToggler .sr-av,\n    body.siteNav-off button#siteNavToggler span {\n        padding-left: 24px;\n    }\n    body.siteNav-off button#siteNavToggler {\n        background: #00758f url(img/menu_closed.svg) no-repeat 12px / 24px;\n    }\n    .box-title {\n        width: calc(100% - 32px);\n    }\n    .exe-export .box-toggle {\n        background-position: center;\n        background-size: auto 32px;\n        width: 32px;\n        height: 32px;\n    }\n    .exe-single-page .package-header h1 {\n        padding-left: 32px;\n        overflow: hidden;\n        text-overflow: ellipsis;\n        word-wrap: break-word;\n        display: -webkit-box;\n        -webkit-line-clamp: 2;\n        -webkit-box-orient: vertical;\n        width: 95%;\n        height: auto;\n        white-space: normal;\n    }\n\n    /* Teacher mode*/\n    .exe-export .form-check {\n        right: 120px;\n    }\n    .exe-export .form-switch .form-check-input {\n        width: 2.5em;\n        height: 1.5em;\n    }\n    .exe-export .form-switch .form-check-input:focus {\n        background-size: 16px;\n    }\n    .exe-teacher-mode-toggler .page > header .package-title,\n    .exe-teacher-mode-toggler.siteNav-off .page > header .package-title {\n        width: calc(100% - 260px);\n    }\n    .exe-web-site .page-counter {\n        right: 140px;\n    }\n    .exe-teacher-mode-toggler.exe-web-site .page-counter {\n        right: 210px;\n    }\n}\n\n/* Table */\n\ntable {\n    display: table;\n    overflow-x: auto;\n    -webkit-overflow-scrolling: touch;\n    max-width: 100% !important;\n    margin: 2em 0 !important;\n}\n\n@media print {\n    html body {\n        background: #fff;\n    }\n    .exe-content {\n        color: #000;\n        padding: 0;\n    }\n    @page {\n        margin: 1.5cm;\n    }\n    body #header,\n    body #emptyHeader,\n    body #nodeDecoration {\n        height: auto !important;\n        min-height: 0;\n        border: none;\n        padding: 0;\n    }\n    body #headerContent {\n        padding-top: 40px;\n    }\n    #packageLicense.cc {\n        background: none;\n        padding-left: 0;\n    }\n    .exe-export .box-toggle {\n        display: none;\n    }\n    /* Website */\n    .exe-web-site #siteNav,\n    .exe-web-site .nav-buttons,\n    .exe-web-site button.toggler {\n        display: none;\n    }\n    .exe-web-site #siteFooter,\n    .exe-web-site main.page {\n        padding-left: 0;\n        padding-right: 0;\n    }\n    .exe-web-site main.page {\n        padding-top: 1em;\n    }\n}\n",
+    "config": "<?xml version=\"1.0\"?>\n<theme>\n    <name>zen</name>\n    <title>Zen</title>\n    <version>2025</version>\n    <compatibility>3.0</compatibility>\n    <author>3ipunt for eXeLearning.net</author>\n    <license>Creative Commons by-sa</license>\n    <license-url>http://creativecommons.org/licenses/by-sa/3.0/</license-url>\n    <description>Equilibrio y claridad.\n\niDevice icons by Google (https://fonts.google.com/icons), under the 2.0 version of the Apache License (https://www.apache.org/licenses/LICENSE-2.0.html).\n\nInter Font, by Rasmus Andersson, under the SIL Open Font License, Version 1.1. Copyright (c) 2016-2020 The Inter Project Authors (https://github.com/rsms/inter).</description>\n    <downloadable>1</downloadable>\n</theme>",
+    "icons": [
+      "ads_click.svg",
+      "attachment.svg",
+      "audiotrack.svg",
+      "calculate.svg",
+      "calendar_today.svg",
+      "check.svg",
+      "checklist_rtl.svg",
+      "cloud_done.svg",
+      "collections.svg",
+      "compasssvg.svg",
+      "description.svg",
+      "edit_note.svg",
+      "fact_checksvg.svg",
+      "flag_circle.svg",
+      "follow_the_signs.svg",
+      "forum.svg",
+      "group.svg",
+      "help.svg",
+      "information.svg",
+      "lan.svg",
+      "list_alt.svg",
+      "local_library.svg",
+      "lock.svg",
+      "mic.svg",
+      "pageview.svg",
+      "pairs.svg",
+      "person.svg",
+      "photo_camera.svg",
+      "psychology.svg",
+      "room.svg",
+      "rule.svg",
+      "search.svg",
+      "segment.svg",
+      "send.svg",
+      "share.svg",
+      "smart_display.svg",
+      "touch_app.svg",
+      "verifiedsvg.svg",
+      "workspace_premiumsvg.svg"
+    ]
   }
 };